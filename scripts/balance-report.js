@@ -0,0 +1,144 @@
+/**
+ * 关卡平衡报告
+ * 在 Node 中无界面批量模拟关卡，输出胜率、逃脱数和分类准确率
+ *
+ * 用法:
+ *   node scripts/balance-report.js [选项]
+ *
+ * 选项:
+ *   --runs <n>         每关模拟局数（默认 100）
+ *   --levels <ids>     只模拟指定关卡，逗号分隔，如 1,2,3
+ *   --seed <n>         起始随机种子（默认 1）
+ *   --accuracy <0-1>   策略选对垃圾桶的概率（默认 1）
+ *   --reaction <ms>    策略反应时间（默认 500）
+ *   --step <ms>        逻辑步长（默认 1000/60）
+ *   --config <path>    从 JSON 文件读取关卡配置数组（或关卡编辑器导出的关卡文件），代替 GameConfig.levels
+ *   --json             以 JSON 输出报告
+ */
+import { readFileSync } from 'fs';
+import { GameConfig } from '../src/js/config/GameConfig.js';
+import { LevelSystem } from '../src/js/systems/LevelSystem.js';
+import { HeadlessSimulation } from '../src/js/simulation/HeadlessSimulation.js';
+import { JustInTimeStrategy } from '../src/js/simulation/PlacementStrategy.js';
+
+function parseArgs(argv) {
+    const options = {
+        runs: 100,
+        levels: null,
+        seed: 1,
+        accuracy: 1,
+        reaction: 500,
+        step: 1000 / 60,
+        config: null,
+        json: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = argv[i + 1];
+        
+        switch (arg) {
+            case '--runs': options.runs = parseInt(value); i++; break;
+            case '--levels': options.levels = value.split(',').map(id => parseInt(id)); i++; break;
+            case '--seed': options.seed = parseInt(value); i++; break;
+            case '--accuracy': options.accuracy = parseFloat(value); i++; break;
+            case '--reaction': options.reaction = parseFloat(value); i++; break;
+            case '--step': options.step = parseFloat(value); i++; break;
+            case '--config': options.config = value; i++; break;
+            case '--json': options.json = true; break;
+            default:
+                console.error(`未知参数: ${arg}`);
+                process.exit(1);
+        }
+    }
+
+    return options;
+}
+
+function loadLevelConfigs(options) {
+    let levelConfigs = GameConfig.levels;
+
+    if (options.config) {
+        levelConfigs = JSON.parse(readFileSync(options.config, 'utf8'));
+        if (!Array.isArray(levelConfigs)) {
+            levelConfigs = [levelConfigs];
+        }
+        // 关卡编辑器导出的文件带有版本信息
+        levelConfigs = levelConfigs
+            .map(levelConfig => (levelConfig.version !== undefined ? LevelSystem.importLevel(levelConfig) : levelConfig))
+            .filter(Boolean);
+    }
+
+    if (options.levels) {
+        levelConfigs = levelConfigs.filter(levelConfig => options.levels.includes(levelConfig.id));
+    }
+
+    return levelConfigs;
+}
+
+function formatPercent(value) {
+    return `${(value * 100).toFixed(1)}%`;
+}
+
+// 中文字符在终端中占两列
+function displayWidth(text) {
+    let width = 0;
+    for (const char of text) {
+        width += char.charCodeAt(0) > 0xff ? 2 : 1;
+    }
+    return width;
+}
+
+function padCell(text, width) {
+    return text + ' '.repeat(Math.max(0, width - displayWidth(text)));
+}
+
+function printReport(report, options) {
+    const header = ['关卡', '局数', '胜率', '平均逃脱', '准确率', '平均收集', '平均分数', '结局(胜/逃/超时)'];
+    const rows = report.map(summary => [
+        String(summary.levelId),
+        String(summary.runs),
+        formatPercent(summary.winRate),
+        summary.avgEscapes.toFixed(2),
+        `${summary.avgAccuracy.toFixed(1)}%`,
+        summary.avgCollected.toFixed(1),
+        summary.avgScore.toFixed(0),
+        `${summary.outcomes.won}/${summary.outcomes.escaped}/${summary.outcomes.timeout}`
+    ]);
+
+    const widths = header.map((title, column) => Math.max(
+        displayWidth(title),
+        ...rows.map(row => displayWidth(row[column]))
+    ));
+    const formatRow = (row) => row.map((cell, column) => padCell(cell, widths[column])).join('  ');
+
+    console.log(`平衡报告  策略: 准确率 ${options.accuracy}, 反应 ${options.reaction}ms  起始种子: ${options.seed}`);
+    console.log(formatRow(header));
+    for (const row of rows) {
+        console.log(formatRow(row));
+    }
+}
+
+const options = parseArgs(process.argv.slice(2));
+const levelConfigs = loadLevelConfigs(options);
+
+if (levelConfigs.length === 0) {
+    console.error('没有可模拟的关卡配置');
+    process.exit(1);
+}
+
+const simulation = new HeadlessSimulation({
+    timeStep: options.step,
+    createStrategy: () => new JustInTimeStrategy({
+        accuracy: options.accuracy,
+        reactionTime: options.reaction
+    })
+});
+
+const report = simulation.runBalanceReport(levelConfigs, { runs: options.runs, seed: options.seed });
+
+if (options.json) {
+    console.log(JSON.stringify(report, null, 2));
+} else {
+    printReport(report, options);
+}
\ No newline at end of file
@@ -124,7 +124,11 @@ export class TrashBinAnimation {
 }
 
 export class TrashBinAnimator {
-    constructor(trashBin) {
+    /**
+     * @param {TrashBin} trashBin - 垃圾桶
+     * @param {Object} options - { idle: 是否播放待机呼吸和随机眨眼，默认 true }
+     */
+    constructor(trashBin, options = {}) {
         this.trashBin = trashBin;
         this.animations = [];
         this.currentExpression = 'normal';
@@ -166,7 +170,10 @@ export class TrashBinAnimator {
             ]
         };
         
-        this.startIdleAnimation();
+        this.idleEnabled = options.idle !== false;
+        if (this.idleEnabled) {
+            this.startIdleAnimation();
+        }
     }
 
     /**
@@ -262,6 +269,67 @@ export class TrashBinAnimator {
         }, 300);
     }
 
+    /**
+     * 播放清空动画：垃圾桶向一侧倾倒再扶正，持续整个停工时间
+     * @param {number} duration - 持续时间（毫秒）
+     * @param {Function} onComplete - 完成回调
+     */
+    playEmptyAnimation(duration, onComplete = null) {
+        this.clearAnimations();
+        
+        const tipAnimation = new TrashBinAnimation('empty', duration, { onComplete });
+        
+        // 倾倒角度和抬起高度随进度先增后减
+        tipAnimation.update = (deltaTime) => {
+            if (!tipAnimation.isActive) return;
+            
+            tipAnimation.elapsed += deltaTime;
+            const progress = Math.min(tipAnimation.elapsed / tipAnimation.duration, 1);
+            const tilt = Math.sin(progress * Math.PI);
+            
+            tipAnimation.currentRotation = -tilt * 1.2;
+            tipAnimation.currentOffset = new Vector2(-tilt * 6, -tilt * 8);
+            
+            if (progress >= 1) {
+                tipAnimation.isActive = false;
+                tipAnimation.currentRotation = 0;
+                tipAnimation.currentOffset = new Vector2(0, 0);
+                if (tipAnimation.onComplete) {
+                    tipAnimation.onComplete();
+                }
+            }
+        };
+        
+        this.addAnimation(tipAnimation);
+        this.setExpression('sleepy', duration);
+    }
+
+    /**
+     * 是否正在播放指定类型的动画
+     * @param {string} type - 动画类型
+     */
+    isPlaying(type) {
+        return this.animations.some(animation => animation.type === type && animation.isActive);
+    }
+
+    /**
+     * 获取所有动画叠加后的变换
+     * @returns {{scale: number, rotation: number, offset: Vector2}}
+     */
+    getTransform() {
+        let scale = 1;
+        let rotation = 0;
+        const offset = new Vector2(0, 0);
+        
+        for (const animation of this.animations) {
+            scale *= animation.currentScale;
+            rotation += animation.currentRotation;
+            offset.add(animation.currentOffset);
+        }
+        
+        return { scale, rotation, offset };
+    }
+
     /**
      * 播放待机动画
      */
@@ -392,22 +460,14 @@ export class TrashBinAnimator {
         ctx.save();
         
         // 计算最终变换
-        let finalScale = 1;
-        let finalRotation = 0;
-        let finalOffset = new Vector2(0, 0);
-        
-        for (const animation of this.animations) {
-            finalScale *= animation.currentScale;
-            finalRotation += animation.currentRotation;
-            finalOffset.add(animation.currentOffset);
-        }
+        const { scale, rotation, offset } = this.getTransform();
         
         // 应用变换
-        const renderPos = Vector2.add(position, finalOffset);
+        const renderPos = Vector2.add(position, offset);
         
         ctx.translate(renderPos.x, renderPos.y);
-        ctx.rotate(finalRotation);
-        ctx.scale(finalScale, finalScale);
+        ctx.rotate(rotation);
+        ctx.scale(scale, scale);
         
         // 渲染垃圾桶主体
         this.renderBinBody(ctx, size);
@@ -500,7 +560,9 @@ export class TrashBinAnimator {
         this.currentExpression = 'normal';
         this.expressionTimer = 0;
         this.idleTimer = 0;
-        this.startIdleAnimation();
+        if (this.idleEnabled) {
+            this.startIdleAnimation();
+        }
     }
 
     /**
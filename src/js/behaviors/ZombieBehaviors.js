@@ -0,0 +1,339 @@
+/**
+ * 垃圾行为
+ * 可插拔的垃圾行为原型（冲刺、装甲、拆分、伪装），由波次脚本分配给垃圾，
+ * 垃圾在移动、被接住和渲染时依次询问身上的行为
+ */
+import { GameConfig } from '../config/GameConfig.js';
+import { trashCatalog } from '../config/TrashCatalog.js';
+
+// 行为类型
+export const ZombieBehaviorType = {
+    SPRINTER: 'sprinter',
+    ARMORED: 'armored',
+    SPLITTER: 'splitter',
+    DISGUISED: 'disguised'
+};
+
+/**
+ * 行为基类，各钩子的默认实现不改变垃圾的表现
+ */
+export class ZombieBehavior {
+    /**
+     * @param {string} id - 行为类型
+     * @param {Object} options - 行为参数
+     */
+    constructor(id, options = {}) {
+        this.id = id;
+        this.options = options;
+    }
+
+    /**
+     * 挂到垃圾上时调用
+     * @param {TrashZombie} zombie - 垃圾
+     */
+    attach(zombie) {}
+
+    /**
+     * 每帧更新
+     * @param {TrashZombie} zombie - 垃圾
+     * @param {number} deltaTime - 时间间隔
+     */
+    update(zombie, deltaTime) {}
+
+    /**
+     * 行为造成的速度倍数
+     * @param {TrashZombie} zombie - 垃圾
+     */
+    getSpeedMultiplier(zombie) {
+        return 1;
+    }
+
+    /**
+     * 垃圾桶当前能否接住这件垃圾
+     * @param {TrashZombie} zombie - 垃圾
+     * @param {TrashBin} bin - 垃圾桶
+     */
+    canBeCaughtBy(zombie, bin) {
+        return true;
+    }
+
+    /**
+     * 被垃圾桶接住时调用，返回非空结果表示由行为接管这次收集
+     * @param {TrashZombie} zombie - 垃圾
+     * @param {TrashBin} bin - 垃圾桶
+     * @param {boolean} isCorrect - 是否投对了垃圾桶
+     * @returns {Object|null} { action: 'armor' | 'split', ... }
+     */
+    onCatch(zombie, bin, isCorrect) {
+        return null;
+    }
+
+    /**
+     * 是否隐藏垃圾的真实身份
+     * @param {TrashZombie} zombie - 垃圾
+     */
+    isDisguised(zombie) {
+        return false;
+    }
+
+    /**
+     * 在垃圾的局部坐标系中绘制行为标识
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {TrashZombie} zombie - 垃圾
+     */
+    render(ctx, zombie) {}
+
+    /**
+     * 获取行为信息
+     */
+    getInfo() {
+        return { id: this.id };
+    }
+}
+
+/**
+ * 冲刺：移动中不断加速，直到达到最高倍速
+ */
+export class SprinterBehavior extends ZombieBehavior {
+    constructor(options = {}) {
+        super(ZombieBehaviorType.SPRINTER, options);
+        this.runTime = 0;
+    }
+
+    update(zombie, deltaTime) {
+        // 重试停顿时不积累冲刺
+        if (!zombie.isInRetryMode) {
+            this.runTime += deltaTime;
+        }
+    }
+
+    getSpeedMultiplier(zombie) {
+        return Math.min(this.options.maxSpeedMultiplier, 1 + this.options.acceleration * this.runTime / 1000);
+    }
+
+    render(ctx, zombie) {
+        // 身后的速度线，越快越长
+        const movement = zombie.getComponent('Movement');
+        if (!movement) return;
+        
+        const length = 6 + 6 * (this.getSpeedMultiplier(zombie) - 1);
+        ctx.save();
+        ctx.rotate(Math.atan2(-movement.direction.y, -movement.direction.x) - (zombie.getComponent('Transform')?.rotation || 0));
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.8)';
+        ctx.lineWidth = 2;
+        for (const offset of [-6, 0, 6]) {
+            ctx.beginPath();
+            ctx.moveTo(14, offset);
+            ctx.lineTo(14 + length, offset);
+            ctx.stroke();
+        }
+        ctx.restore();
+    }
+
+    getInfo() {
+        return { id: this.id, speedMultiplier: this.getSpeedMultiplier() };
+    }
+}
+
+/**
+ * 装甲：需要多次正确收集，每次打掉一层护甲后短暂无法被接住
+ */
+export class ArmoredBehavior extends ZombieBehavior {
+    constructor(options = {}) {
+        super(ZombieBehaviorType.ARMORED, options);
+        this.armor = Math.max(0, options.hits - 1);
+        this.immunityTime = 0;
+    }
+
+    update(zombie, deltaTime) {
+        this.immunityTime = Math.max(0, this.immunityTime - deltaTime);
+    }
+
+    canBeCaughtBy(zombie, bin) {
+        return this.immunityTime <= 0;
+    }
+
+    onCatch(zombie, bin, isCorrect) {
+        if (!isCorrect || this.armor <= 0) return null;
+        
+        this.armor--;
+        this.immunityTime = this.options.immunity;
+        return { action: 'armor', remaining: this.armor };
+    }
+
+    render(ctx, zombie) {
+        if (this.armor <= 0) return;
+        
+        // 钢圈外壳，闪烁表示刚被打破一层
+        ctx.save();
+        ctx.globalAlpha = this.immunityTime > 0 ? 0.4 : 1;
+        ctx.strokeStyle = '#90A4AE';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(0, 0, 16, 0, Math.PI * 2);
+        ctx.stroke();
+        
+        ctx.fillStyle = '#CFD8DC';
+        ctx.font = 'bold 9px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('🛡'.repeat(this.armor), 0, 26);
+        ctx.restore();
+    }
+
+    getInfo() {
+        return { id: this.id, armor: this.armor };
+    }
+}
+
+/**
+ * 拆分：被任意垃圾桶接住时拆成几件物品继续前进（如吃剩的外卖拆成剩饭和餐盒）
+ */
+export class SplitterBehavior extends ZombieBehavior {
+    constructor(options = {}) {
+        super(ZombieBehaviorType.SPLITTER, options);
+    }
+
+    /**
+     * 获取拆分出的物品，未指定时使用物品目录中的 splitsInto
+     * @param {TrashZombie} zombie - 垃圾
+     */
+    getPieces(zombie) {
+        if (this.options.pieces) return [...this.options.pieces];
+        return zombie.item && zombie.item.splitsInto ? [...zombie.item.splitsInto] : [];
+    }
+
+    onCatch(zombie, bin, isCorrect) {
+        const pieces = this.getPieces(zombie);
+        if (pieces.length === 0) return null;
+        return { action: 'split', pieces: pieces };
+    }
+
+    render(ctx, zombie) {
+        // 虚线外框表示可以拆开
+        ctx.save();
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 1.5;
+        ctx.setLineDash([3, 3]);
+        ctx.strokeRect(-15, -15, 30, 30);
+        ctx.restore();
+    }
+}
+
+/**
+ * 伪装：隐藏名称和外观，靠近垃圾桶时才露出真面目
+ */
+export class DisguisedBehavior extends ZombieBehavior {
+    constructor(options = {}) {
+        super(ZombieBehaviorType.DISGUISED, options);
+        this.revealed = false;
+        this.revealTime = 0; // 揭晓后的高亮时间
+    }
+
+    update(zombie, deltaTime) {
+        if (!this.revealed && zombie.nearestBinDistance <= this.options.revealRadius) {
+            this.revealed = true;
+            this.revealTime = 500;
+            console.log(`伪装的垃圾露出了真面目: ${zombie.labelText}`);
+        }
+        this.revealTime = Math.max(0, this.revealTime - deltaTime);
+    }
+
+    isDisguised(zombie) {
+        return !this.revealed;
+    }
+
+    render(ctx, zombie) {
+        if (this.revealTime <= 0) return;
+        
+        ctx.save();
+        ctx.globalAlpha = this.revealTime / 500;
+        ctx.strokeStyle = '#FFEB3B';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(0, 0, 14 + (1 - this.revealTime / 500) * 10, 0, Math.PI * 2);
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    getInfo() {
+        return { id: this.id, revealed: this.revealed };
+    }
+}
+
+/**
+ * 行为注册表，按类型创建行为实例，参数默认取自 GameConfig.zombieBehaviors
+ */
+export class ZombieBehaviorRegistry {
+    constructor() {
+        this.behaviorClasses = new Map();
+        
+        this.register(ZombieBehaviorType.SPRINTER, SprinterBehavior);
+        this.register(ZombieBehaviorType.ARMORED, ArmoredBehavior);
+        this.register(ZombieBehaviorType.SPLITTER, SplitterBehavior);
+        this.register(ZombieBehaviorType.DISGUISED, DisguisedBehavior);
+    }
+
+    /**
+     * 注册行为
+     * @param {string} id - 行为类型
+     * @param {Function} BehaviorClass - 继承 ZombieBehavior 的类，构造参数为 (options)
+     */
+    register(id, BehaviorClass) {
+        this.behaviorClasses.set(id, BehaviorClass);
+    }
+
+    /**
+     * 行为类型是否已注册
+     * @param {string} id - 行为类型
+     */
+    has(id) {
+        return this.behaviorClasses.has(id);
+    }
+
+    /**
+     * 获取所有已注册的行为类型
+     */
+    getTypes() {
+        return Array.from(this.behaviorClasses.keys());
+    }
+
+    /**
+     * 创建行为实例
+     * @param {string} id - 行为类型
+     * @param {Object} options - 覆盖默认配置的参数
+     * @returns {ZombieBehavior|null}
+     */
+    create(id, options = {}) {
+        const BehaviorClass = this.behaviorClasses.get(id);
+        if (!BehaviorClass) {
+            console.warn(`未知的垃圾行为: ${id}`);
+            return null;
+        }
+        return new BehaviorClass({ ...(GameConfig.zombieBehaviors[id] || {}), ...options });
+    }
+
+    /**
+     * 获取行为名称
+     * @param {string} id - 行为类型
+     */
+    getName(id) {
+        const config = GameConfig.zombieBehaviors[id];
+        return config ? config.name : id;
+    }
+
+    /**
+     * 为物品补上它天生具有的行为（组合物品总是会拆分）
+     * @param {string} itemId - 物品ID
+     * @param {Array<string>} behaviorIds - 分配的行为
+     */
+    resolveBehaviorIds(itemId, behaviorIds = []) {
+        const ids = [...behaviorIds];
+        if (trashCatalog.isSplittable(itemId) && !ids.includes(ZombieBehaviorType.SPLITTER)) {
+            ids.push(ZombieBehaviorType.SPLITTER);
+        }
+        return ids;
+    }
+}
+
+// 创建全局行为注册表实例
+export const zombieBehaviorRegistry = new ZombieBehaviorRegistry();
\ No newline at end of file
@@ -0,0 +1,266 @@
+/**
+ * 分类规则集
+ * 不同城市/国家的垃圾分类规则：垃圾桶列表、颜色以及物品到垃圾桶的对应关系
+ */
+import { TrashBinType, TrashType, GameConfig } from './GameConfig.js';
+import { trashCatalog } from './TrashCatalog.js';
+
+// 规则集定义
+// bins:     垃圾桶类型 -> { name, shortName, color, dialogue, categories: 默认接收的垃圾类别 }
+// itemBins: 物品ID -> 垃圾桶类型，用于覆盖按类别的默认对应关系
+export const ClassificationRulesets = {
+    standard: {
+        id: 'standard',
+        name: '国家标准',
+        region: '全国',
+        bins: {
+            [TrashBinType.KITCHEN_WASTE]: { ...GameConfig.trashBins[TrashBinType.KITCHEN_WASTE], shortName: '厨余', categories: [TrashType.KITCHEN_WASTE] },
+            [TrashBinType.RECYCLABLE]: { ...GameConfig.trashBins[TrashBinType.RECYCLABLE], shortName: '可回收', categories: [TrashType.RECYCLABLE] },
+            [TrashBinType.HAZARDOUS]: { ...GameConfig.trashBins[TrashBinType.HAZARDOUS], shortName: '有害', categories: [TrashType.HAZARDOUS] },
+            [TrashBinType.OTHER]: { ...GameConfig.trashBins[TrashBinType.OTHER], shortName: '其他', categories: [TrashType.OTHER] }
+        },
+        itemBins: {}
+    },
+    shanghai: {
+        id: 'shanghai',
+        name: '上海',
+        region: '中国·上海',
+        bins: {
+            [TrashBinType.KITCHEN_WASTE]: { name: '湿垃圾桶', shortName: '湿垃圾', color: '#8B4513', dialogue: '易腐烂的湿垃圾，统统交给我！', categories: [TrashType.KITCHEN_WASTE] },
+            [TrashBinType.RECYCLABLE]: { name: '可回收物桶', shortName: '可回收', color: '#1E90FF', dialogue: '玻金塑纸衣，回收变宝贝！', categories: [TrashType.RECYCLABLE] },
+            [TrashBinType.HAZARDOUS]: { name: '有害垃圾桶', shortName: '有害', color: '#E53935', dialogue: '电池灯管药品，一个都别想跑！', categories: [TrashType.HAZARDOUS] },
+            [TrashBinType.OTHER]: { name: '干垃圾桶', shortName: '干垃圾', color: '#333333', dialogue: '分不清的干垃圾，放心交给我！', categories: [TrashType.OTHER] }
+        },
+        itemBins: {
+            plastic_bag: TrashBinType.OTHER // 上海将塑料袋归为干垃圾
+        }
+    },
+    beijing: {
+        id: 'beijing',
+        name: '北京',
+        region: '中国·北京',
+        bins: {
+            [TrashBinType.KITCHEN_WASTE]: { name: '厨余垃圾桶', shortName: '厨余', color: '#2E7D32', dialogue: '菜帮菜叶剩饭剩菜，都是我的！', categories: [TrashType.KITCHEN_WASTE] },
+            [TrashBinType.RECYCLABLE]: { name: '可回收物桶', shortName: '可回收', color: '#1565C0', dialogue: '纸张塑料金属玻璃，回收再利用！', categories: [TrashType.RECYCLABLE] },
+            [TrashBinType.HAZARDOUS]: { name: '有害垃圾桶', shortName: '有害', color: '#C62828', dialogue: '有害垃圾请交给我安全处理！', categories: [TrashType.HAZARDOUS] },
+            [TrashBinType.OTHER]: { name: '其他垃圾桶', shortName: '其他', color: '#616161', dialogue: '其他垃圾，我来兜底！', categories: [TrashType.OTHER] }
+        },
+        itemBins: {
+            big_bone: TrashBinType.KITCHEN_WASTE // 北京将骨骼内脏（含大骨头）都归为厨余垃圾
+        }
+    },
+    shenzhen: {
+        id: 'shenzhen',
+        name: '深圳',
+        region: '中国·深圳',
+        bins: {
+            [TrashBinType.KITCHEN_WASTE]: { name: '厨余垃圾桶', shortName: '厨余', color: '#43A047', dialogue: '厨余垃圾要沥干水分再投放哦！', categories: [TrashType.KITCHEN_WASTE] },
+            [TrashBinType.RECYCLABLE]: { name: '可回收物桶', shortName: '可回收', color: '#1E88E5', dialogue: '玻金塑纸，统统可回收！', categories: [TrashType.RECYCLABLE] },
+            [TrashBinType.HAZARDOUS]: { name: '有害垃圾桶', shortName: '有害', color: '#E53935', dialogue: '有害垃圾轻放，别打碎了！', categories: [TrashType.HAZARDOUS] },
+            [TrashBinType.OTHER]: { name: '其他垃圾桶', shortName: '其他', color: '#757575', dialogue: '剩下的都交给我吧！', categories: [TrashType.OTHER] }
+        },
+        itemBins: {
+            big_bone: TrashBinType.OTHER // 深圳要求难以粉碎的大骨头投入其他垃圾
+        }
+    },
+    germany: {
+        id: 'germany',
+        name: '德国',
+        region: '德国',
+        bins: {
+            [TrashBinType.KITCHEN_WASTE]: { name: '生物垃圾桶', shortName: '生物', color: '#8D6E63', dialogue: 'Biotonne：果皮菜叶来堆肥！', categories: [TrashType.KITCHEN_WASTE] },
+            [TrashBinType.RECYCLABLE]: { name: '废纸桶', shortName: '废纸', color: '#1565C0', dialogue: 'Papiertonne：纸和纸板都给我！', categories: [] },
+            [TrashBinType.HAZARDOUS]: { name: '有害物回收', shortName: '有害', color: '#C62828', dialogue: 'Schadstoff：有害物质专门收集！', categories: [TrashType.HAZARDOUS] },
+            [TrashBinType.OTHER]: { name: '剩余垃圾桶', shortName: '剩余', color: '#424242', dialogue: 'Restmüll：无法回收的都来这里！', categories: [TrashType.OTHER] },
+            5: { name: '黄色包装桶', shortName: '包装', color: '#FBC02D', dialogue: 'Gelbe Tonne：塑料和金属包装！', categories: [TrashType.RECYCLABLE] },
+            6: { name: '玻璃回收箱', shortName: '玻璃', color: '#2E7D32', dialogue: 'Altglas：玻璃瓶请投这里！', categories: [] }
+        },
+        itemBins: {
+            waste_paper: TrashBinType.RECYCLABLE,
+            cardboard_box: TrashBinType.RECYCLABLE,
+            newspaper: TrashBinType.RECYCLABLE,
+            glass_bottle: 6,
+            expired_medicine: TrashBinType.OTHER // 多数德国城市允许过期药品随剩余垃圾焚烧
+        }
+    },
+    japan: {
+        id: 'japan',
+        name: '日本',
+        region: '日本',
+        bins: {
+            [TrashBinType.KITCHEN_WASTE]: { name: '可燃垃圾桶', shortName: '可燃', color: '#EF6C00', dialogue: '燃えるごみ：能烧的都交给我！', categories: [TrashType.KITCHEN_WASTE, TrashType.OTHER] },
+            [TrashBinType.RECYCLABLE]: { name: '资源垃圾桶', shortName: '资源', color: '#1565C0', dialogue: '資源ごみ：瓶罐纸张再生资源！', categories: [TrashType.RECYCLABLE] },
+            [TrashBinType.HAZARDOUS]: { name: '有害垃圾桶', shortName: '有害', color: '#C62828', dialogue: '有害ごみ：电池灯管单独投放！', categories: [TrashType.HAZARDOUS] },
+            [TrashBinType.OTHER]: { name: '不可燃垃圾桶', shortName: '不燃', color: '#616161', dialogue: '燃えないごみ：陶瓷金属烧不掉！', categories: [] }
+        },
+        itemBins: {
+            plastic_bag: TrashBinType.KITCHEN_WASTE,
+            broken_porcelain: TrashBinType.OTHER,
+            ceramic_shards: TrashBinType.OTHER,
+            scrap_iron: TrashBinType.OTHER
+        }
+    }
+};
+
+export class ClassificationRuleset {
+    /**
+     * @param {Object} definition - 规则集定义
+     */
+    constructor(definition) {
+        this.id = definition.id;
+        this.name = definition.name;
+        this.region = definition.region || definition.name;
+        this.bins = new Map();
+        this.itemBins = { ...(definition.itemBins || {}) };
+        
+        for (const [binType, binDefinition] of Object.entries(definition.bins)) {
+            this.bins.set(parseInt(binType), binDefinition);
+        }
+        
+        // 找不到对应关系时投入的垃圾桶
+        this.fallbackBinType = definition.fallbackBin || TrashBinType.OTHER;
+    }
+
+    /**
+     * 获取所有垃圾桶类型（按编号排序）
+     */
+    getBinTypes() {
+        return Array.from(this.bins.keys()).sort((a, b) => a - b);
+    }
+
+    /**
+     * 检查垃圾桶类型是否存在
+     * @param {number} binType - 垃圾桶类型
+     */
+    hasBin(binType) {
+        return this.bins.has(binType);
+    }
+
+    /**
+     * 获取垃圾桶配置（与 GameConfig.trashBins 的字段保持一致）
+     * @param {number} binType - 垃圾桶类型
+     */
+    getBinConfig(binType) {
+        const bin = this.bins.get(binType);
+        if (!bin) return null;
+        
+        const baseConfig = GameConfig.trashBins[binType] || GameConfig.trashBins[TrashBinType.OTHER];
+        return {
+            ...baseConfig,
+            ...bin,
+            collectTypes: [...bin.categories],
+            collectRadius: bin.collectRadius || baseConfig.collectRadius
+        };
+    }
+
+    /**
+     * 获取物品（或垃圾类别）对应的正确垃圾桶
+     * @param {string} itemId - 物品ID或垃圾类别
+     */
+    getCorrectBinType(itemId) {
+        if (this.itemBins[itemId] !== undefined) {
+            return this.itemBins[itemId];
+        }
+        
+        const category = trashCatalog.getCategory(itemId);
+        for (const [binType, bin] of this.bins) {
+            if (bin.categories.includes(category)) {
+                return binType;
+            }
+        }
+        
+        return this.fallbackBinType;
+    }
+
+    /**
+     * 检查垃圾桶能否收集该物品
+     * @param {number} binType - 垃圾桶类型
+     * @param {string} itemId - 物品ID或垃圾类别
+     */
+    canBinCollect(binType, itemId) {
+        return this.getCorrectBinType(itemId) === binType;
+    }
+}
+
+export class RulesetManager {
+    constructor() {
+        this.rulesets = new Map();
+        this.defaultRulesetId = 'standard';
+        
+        for (const definition of Object.values(ClassificationRulesets)) {
+            this.registerRuleset(definition);
+        }
+        
+        this.activeRuleset = this.rulesets.get(this.defaultRulesetId);
+        
+        // 事件回调
+        this.onRulesetChanged = null;
+    }
+
+    /**
+     * 注册规则集
+     * @param {Object} definition - 规则集定义
+     */
+    registerRuleset(definition) {
+        if (!definition || !definition.id || !definition.bins) {
+            console.warn('无效的分类规则集定义:', definition);
+            return null;
+        }
+        
+        const ruleset = new ClassificationRuleset(definition);
+        this.rulesets.set(ruleset.id, ruleset);
+        return ruleset;
+    }
+
+    /**
+     * 获取规则集
+     * @param {string} rulesetId - 规则集ID
+     */
+    getRuleset(rulesetId) {
+        return this.rulesets.get(rulesetId) || null;
+    }
+
+    /**
+     * 获取所有规则集信息
+     */
+    getAllRulesets() {
+        return Array.from(this.rulesets.values()).map(ruleset => ({
+            id: ruleset.id,
+            name: ruleset.name,
+            region: ruleset.region,
+            binCount: ruleset.bins.size
+        }));
+    }
+
+    /**
+     * 设置当前规则集
+     * @param {string} rulesetId - 规则集ID
+     */
+    setActiveRuleset(rulesetId) {
+        const ruleset = this.rulesets.get(rulesetId);
+        if (!ruleset) {
+            console.warn(`分类规则集 ${rulesetId} 不存在，使用${this.activeRuleset.name}`);
+            return false;
+        }
+        
+        if (ruleset !== this.activeRuleset) {
+            this.activeRuleset = ruleset;
+            console.log(`切换分类规则: ${ruleset.name}`);
+            
+            if (this.onRulesetChanged) {
+                this.onRulesetChanged(ruleset);
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 获取当前规则集
+     */
+    getActiveRuleset() {
+        return this.activeRuleset;
+    }
+}
+
+// 创建全局规则集管理器实例
+export const rulesetManager = new RulesetManager();
\ No newline at end of file
@@ -84,7 +84,8 @@ export const GameConfig = {
             timeLimit: 120,
             spawnPattern: "medium",
             zombieCount: 20,
-            spawnInterval: 2500
+            spawnInterval: 2500,
+            events: [{ type: 'recyclingDay', at: 30000 }]
         },
         {
             id: 3,
@@ -92,8 +93,9 @@ export const GameConfig = {
             trashTypes: [TrashType.KITCHEN_WASTE, TrashType.RECYCLABLE, TrashType.HAZARDOUS, TrashType.OTHER],
             timeLimit: 120,
             spawnPattern: "hard",
-            zombieCount: 25,
-            spawnInterval: 2000
+            zombieCount: 28,
+            spawnInterval: 2000,
+            events: [{ type: 'typhoon', at: 35000 }]
         },
         {
             id: 4,
@@ -101,8 +103,9 @@ export const GameConfig = {
             trashTypes: [TrashType.KITCHEN_WASTE, TrashType.RECYCLABLE, TrashType.HAZARDOUS, TrashType.OTHER],
             timeLimit: 120,
             spawnPattern: "expert",
-            zombieCount: 30,
-            spawnInterval: 1800
+            zombieCount: 34,
+            spawnInterval: 1800,
+            events: [{ type: 'festivalRush', at: 25000 }, { type: 'typhoon', at: 60000 }]
         },
         {
             id: 5,
@@ -110,10 +113,211 @@ export const GameConfig = {
             trashTypes: [TrashType.KITCHEN_WASTE, TrashType.RECYCLABLE, TrashType.HAZARDOUS, TrashType.OTHER],
             timeLimit: 120,
             spawnPattern: "master",
-            zombieCount: 35,
-            spawnInterval: 1500
+            zombieCount: 40,
+            spawnInterval: 1500,
+            events: [{ type: 'recyclingDay', at: 20000 }, { type: 'festivalRush', at: 45000 }, { type: 'typhoon', at: 70000 }]
         }
     ],
+
+    // 波次脚本（关卡通过 spawnPattern 选用，也可在关卡中用 waves 字段内联覆盖）
+    // 波次字段：
+    //   count      - 常规生成数量
+    //   interval   - 生成间隔（毫秒）
+    //   mix        - 垃圾类型权重，未列出或关卡不包含的类型不会生成
+    //   tracks     - 轨道选择：'random' 随机 | 'cycle' 轮流 | 轨道ID数组
+    //   speed      - 速度倍率，数字或 { from, to } 表示波次内逐渐加速
+    //   bursts     - 突发生成 [{ at: 第几个常规生成之后, count: 数量, spacing: 间隔毫秒 }]
+    //   pauseAfter - 波次结束后的停顿（毫秒）
+    //   behaviors  - 垃圾行为的出现概率 { sprinter: 0.2, ... }（见 zombieBehaviors）
+    //   boss       - 波次开始时生成的 Boss（见 bosses），其余生成在一个间隔之后开始
+    waveScripts: {
+        basic: {
+            startDelay: 2000,
+            waves: [
+                {
+                    name: "热身",
+                    count: 4,
+                    interval: 3500,
+                    mix: { [TrashType.KITCHEN_WASTE]: 1, [TrashType.RECYCLABLE]: 1, [TrashType.HAZARDOUS]: 1 },
+                    speed: 0.9,
+                    pauseAfter: 3000
+                },
+                {
+                    name: "认识分类",
+                    count: 5,
+                    interval: 3000,
+                    mix: { [TrashType.KITCHEN_WASTE]: 2, [TrashType.RECYCLABLE]: 2, [TrashType.HAZARDOUS]: 1 },
+                    speed: 1.0,
+                    pauseAfter: 3000
+                },
+                {
+                    name: "小试牛刀",
+                    count: 4,
+                    interval: 2800,
+                    mix: { [TrashType.KITCHEN_WASTE]: 1, [TrashType.RECYCLABLE]: 1, [TrashType.HAZARDOUS]: 1 },
+                    speed: { from: 1.0, to: 1.15 },
+                    bursts: [{ at: 2, count: 2, spacing: 600 }]
+                }
+            ]
+        },
+        medium: {
+            startDelay: 2000,
+            waves: [
+                {
+                    name: "双线开局",
+                    count: 5,
+                    interval: 3000,
+                    mix: { [TrashType.KITCHEN_WASTE]: 2, [TrashType.RECYCLABLE]: 2, [TrashType.HAZARDOUS]: 1, [TrashType.OTHER]: 1 },
+                    tracks: "cycle",
+                    speed: 1.0,
+                    pauseAfter: 3000
+                },
+                {
+                    name: "回收高峰",
+                    count: 6,
+                    interval: 2500,
+                    mix: { [TrashType.RECYCLABLE]: 3, [TrashType.KITCHEN_WASTE]: 1, [TrashType.OTHER]: 1 },
+                    tracks: [1],
+                    speed: 1.0,
+                    pauseAfter: 2500
+                },
+                {
+                    name: "全线混合",
+                    count: 6,
+                    interval: 2300,
+                    mix: { [TrashType.KITCHEN_WASTE]: 1, [TrashType.RECYCLABLE]: 1, [TrashType.HAZARDOUS]: 1, [TrashType.OTHER]: 1 },
+                    speed: { from: 1.0, to: 1.2 },
+                    bursts: [{ at: 3, count: 3, spacing: 500 }]
+                }
+            ]
+        },
+        hard: {
+            startDelay: 1500,
+            waves: [
+                {
+                    name: "三线轮转",
+                    count: 6,
+                    interval: 2500,
+                    mix: { [TrashType.KITCHEN_WASTE]: 1, [TrashType.RECYCLABLE]: 1, [TrashType.HAZARDOUS]: 1, [TrashType.OTHER]: 1 },
+                    tracks: "cycle",
+                    speed: 1.0,
+                    pauseAfter: 2500
+                },
+                {
+                    name: "危险来袭",
+                    count: 7,
+                    interval: 2200,
+                    mix: { [TrashType.HAZARDOUS]: 2, [TrashType.OTHER]: 2, [TrashType.KITCHEN_WASTE]: 1, [TrashType.RECYCLABLE]: 1 },
+                    tracks: [2, 3],
+                    speed: 1.05,
+                    bursts: [{ at: 3, count: 2, spacing: 400 }],
+                    pauseAfter: 3000
+                },
+                {
+                    name: "加速冲刺",
+                    count: 8,
+                    interval: 2000,
+                    mix: { [TrashType.KITCHEN_WASTE]: 1, [TrashType.RECYCLABLE]: 1, [TrashType.HAZARDOUS]: 1, [TrashType.OTHER]: 1 },
+                    speed: { from: 1.05, to: 1.25 },
+                    bursts: [{ at: 5, count: 2, spacing: 400 }],
+                    pauseAfter: 3000
+                },
+                {
+                    name: "Boss：快递包裹",
+                    boss: "delivery_package",
+                    count: 0,
+                    tracks: [2]
+                }
+            ]
+        },
+        expert: {
+            startDelay: 1500,
+            waves: [
+                {
+                    name: "四线轮转",
+                    count: 7,
+                    interval: 2200,
+                    mix: { [TrashType.KITCHEN_WASTE]: 1, [TrashType.RECYCLABLE]: 1, [TrashType.HAZARDOUS]: 1, [TrashType.OTHER]: 1 },
+                    tracks: "cycle",
+                    speed: 1.0,
+                    pauseAfter: 2000
+                },
+                {
+                    name: "边路夹击",
+                    count: 8,
+                    interval: 1900,
+                    mix: { [TrashType.RECYCLABLE]: 2, [TrashType.OTHER]: 2, [TrashType.KITCHEN_WASTE]: 1, [TrashType.HAZARDOUS]: 1 },
+                    tracks: [1, 4],
+                    speed: 1.1,
+                    bursts: [
+                        { at: 2, count: 2, spacing: 350 },
+                        { at: 6, count: 2, spacing: 350 }
+                    ],
+                    pauseAfter: 3000
+                },
+                {
+                    name: "垃圾潮",
+                    count: 9,
+                    interval: 1800,
+                    mix: { [TrashType.KITCHEN_WASTE]: 1, [TrashType.RECYCLABLE]: 1, [TrashType.HAZARDOUS]: 1, [TrashType.OTHER]: 1 },
+                    speed: { from: 1.1, to: 1.35 },
+                    bursts: [{ at: 4, count: 2, spacing: 300 }],
+                    behaviors: { sprinter: 0.2, disguised: 0.15 },
+                    pauseAfter: 3000
+                },
+                {
+                    name: "Boss：坏掉的电视",
+                    boss: "broken_tv",
+                    count: 0,
+                    tracks: [2, 3]
+                }
+            ]
+        },
+        master: {
+            startDelay: 1000,
+            waves: [
+                {
+                    name: "五线轮转",
+                    count: 8,
+                    interval: 2000,
+                    mix: { [TrashType.KITCHEN_WASTE]: 1, [TrashType.RECYCLABLE]: 1, [TrashType.HAZARDOUS]: 1, [TrashType.OTHER]: 1 },
+                    tracks: "cycle",
+                    speed: 1.0,
+                    pauseAfter: 2000
+                },
+                {
+                    name: "中路突破",
+                    count: 8,
+                    interval: 1700,
+                    mix: { [TrashType.HAZARDOUS]: 2, [TrashType.KITCHEN_WASTE]: 2, [TrashType.RECYCLABLE]: 1, [TrashType.OTHER]: 1 },
+                    tracks: [2, 4],
+                    speed: 1.1,
+                    bursts: [{ at: 3, count: 3, spacing: 300 }],
+                    behaviors: { armored: 0.25, splitter: 0.15 },
+                    pauseAfter: 2500
+                },
+                {
+                    name: "终极挑战",
+                    count: 10,
+                    interval: 1500,
+                    mix: { [TrashType.KITCHEN_WASTE]: 1, [TrashType.RECYCLABLE]: 1, [TrashType.HAZARDOUS]: 1, [TrashType.OTHER]: 1 },
+                    speed: { from: 1.15, to: 1.4 },
+                    bursts: [
+                        { at: 4, count: 3, spacing: 250 },
+                        { at: 8, count: 3, spacing: 250 }
+                    ],
+                    behaviors: { sprinter: 0.2, armored: 0.15, splitter: 0.1, disguised: 0.15 },
+                    pauseAfter: 3000
+                },
+                {
+                    name: "Boss：旧冰箱",
+                    boss: "old_fridge",
+                    count: 0,
+                    tracks: [3]
+                }
+            ]
+        }
+    },
     
     // 游戏机制配置
     gameplay: {
@@ -123,6 +327,215 @@ export const GameConfig = {
         binPlacementCost: 0
     },
     
+    // 连击配置：连续正确分类达到 combo 次后分数乘以 multiplier，分类错误或垃圾逃脱时连击清零
+    combo: {
+        tiers: [
+            { combo: 5, multiplier: 1.5, name: '手感火热' },
+            { combo: 10, multiplier: 2, name: '分类达人' },
+            { combo: 20, multiplier: 3, name: '环保大师' }
+        ]
+    },
+    
+    // 道具配置：沿轨道漂过的道具，点击后生效，持续时间按真实时间计算
+    powerUps: {
+        spawnInterval: { min: 15000, max: 25000 }, // 生成间隔（毫秒）
+        speed: 70, // 移动速度（像素/秒）
+        radius: 18,
+        types: {
+            slowTime: { name: '时间减缓', icon: '⏳', color: '#7E57C2', duration: 5000, timeScale: 0.5 },
+            freezeTrack: { name: '冰冻轨道', icon: '❄️', color: '#4FC3F7', duration: 4000 },
+            doublePoints: { name: '双倍积分', icon: '✨', color: '#FFB300', duration: 8000, scoreMultiplier: 2 }
+        }
+    },
+    
+    // 环境事件（关卡通过 events 字段声明 [{ type, at: 开始时间（毫秒）, duration, tracks }]，省略的字段取这里的默认值）
+    //   trackSpeedMultiplier - 受影响轨道上的垃圾速度倍数，trackRatio 为随机选中的轨道比例（关卡可用 tracks 指定轨道ID）
+    //   spawnRateMultiplier  - 生成节奏倍数
+    //   spawnItems           - 事件期间生成的垃圾全部替换为这些物品
+    //   binScoreMultipliers  - 垃圾桶类型 -> 正确分类的分数倍数
+    environmentEvents: {
+        typhoon: {
+            name: '台风',
+            icon: '🌀',
+            description: '部分轨道上的垃圾被吹得更快了',
+            duration: 12000,
+            trackSpeedMultiplier: 1.6,
+            trackRatio: 0.5
+        },
+        festivalRush: {
+            name: '春节快递潮',
+            icon: '🧧',
+            description: '大量包装垃圾涌来',
+            duration: 10000,
+            spawnRateMultiplier: 2,
+            spawnItems: ['cardboard_box', 'plastic_bottle', 'aluminum_can', 'plastic_bag']
+        },
+        recyclingDay: {
+            name: '回收日',
+            icon: '♻️',
+            description: '可回收物得分翻倍',
+            duration: 15000,
+            binScoreMultipliers: { [TrashBinType.RECYCLABLE]: 2 }
+        }
+    },
+    
+    // 垃圾桶容量配置
+    binCapacity: {
+        capacity: 8, // 装满后停止收集，需要玩家点击清空
+        emptyDuration: 1500 // 清空期间的停工时间（毫秒）
+    },
+    
+    // 垃圾行为配置（由波次脚本的 behaviors 按概率分配）
+    zombieBehaviors: {
+        sprinter: {
+            name: '冲刺',
+            acceleration: 0.3, // 每秒增加的速度倍数
+            maxSpeedMultiplier: 2.5
+        },
+        armored: {
+            name: '装甲',
+            hits: 2, // 需要正确收集的次数
+            immunity: 600 // 护甲被打破后不能被接住的时间（毫秒）
+        },
+        splitter: {
+            name: '拆分',
+            spread: 12 // 拆分出的物品之间的横向间距
+        },
+        disguised: {
+            name: '伪装',
+            revealRadius: 90 // 离垃圾桶这么近时露出真面目
+        }
+    },
+    
+    // Boss 配置（由波次脚本的 boss 字段引用）：由多个不同类别的部件组成，每个部件要投进对应的垃圾桶
+    // 部件偏移相对 Boss 中心，x 沿前进方向，y 垂直于前进方向
+    bosses: {
+        delivery_package: {
+            name: '快递包裹',
+            icon: '📦',
+            color: '#A1887F',
+            size: 64,
+            speed: 0.6, // 相对普通垃圾的速度倍数
+            parts: [
+                { itemId: 'cardboard_box', offset: { x: 14, y: -16 } },
+                { itemId: 'fruit_peel', offset: { x: 14, y: 16 } },
+                { itemId: 'expired_medicine', offset: { x: -16, y: 0 } }
+            ]
+        },
+        broken_tv: {
+            name: '坏掉的电视',
+            icon: '📺',
+            color: '#455A64',
+            size: 72,
+            speed: 0.5,
+            parts: [
+                { itemId: 'scrap_iron', offset: { x: 16, y: -18 } },
+                { itemId: 'fluorescent_tube', offset: { x: 16, y: 18 } },
+                { itemId: 'waste_battery', offset: { x: -16, y: -18 } },
+                { itemId: 'dust', offset: { x: -16, y: 18 } }
+            ]
+        },
+        old_fridge: {
+            name: '旧冰箱',
+            icon: '🧊',
+            color: '#B0BEC5',
+            size: 80,
+            speed: 0.45,
+            parts: [
+                { itemId: 'scrap_iron', offset: { x: 20, y: -18 } },
+                { itemId: 'glass_bottle', offset: { x: 20, y: 18 } },
+                { itemId: 'chemicals', offset: { x: 0, y: 0 } },
+                { itemId: 'leftover_rice', offset: { x: -20, y: -18 } },
+                { itemId: 'takeout_container', offset: { x: -20, y: 18 } }
+            ]
+        }
+    },
+    
+    // 垃圾桶升级配置（金币为局内货币，每局重新开始）
+    binUpgrades: {
+        coinsPerCorrect: 5, // 每次正确分类获得的金币
+        startingCoins: 0,
+        baseChewCooldown: 800, // 垃圾桶吞下垃圾后"咀嚼"的冷却时间（毫秒）
+        options: {
+            radius: {
+                name: '大胃口',
+                description: '扩大收集范围',
+                key: 'q',
+                costs: [10, 20, 30],
+                radiusBonus: 10 // 每级增加的收集半径
+            },
+            speed: {
+                name: '快速咀嚼',
+                description: '缩短咀嚼冷却',
+                key: 'w',
+                costs: [10, 20, 30],
+                cooldownFactor: 0.7 // 每级冷却时间乘以该系数
+            },
+            multiCatch: {
+                name: '双口吞',
+                description: '同时咀嚼两件垃圾',
+                key: 'e',
+                costs: [40],
+                requires: { speed: 1 }
+            },
+            slow: {
+                name: '减速光环',
+                description: '减慢附近经过的垃圾',
+                key: 'r',
+                costs: [25, 40],
+                slowFactors: [0.7, 0.5], // 各等级光环内的速度倍数
+                auraScale: 2, // 光环半径相对收集半径的倍数
+                requires: { radius: 1 }
+            }
+        }
+    },
+    
+    // 垃圾桶主动技能（按垃圾桶类型，场上所有该类型的垃圾桶同时释放）
+    binAbilities: {
+        [TrashBinType.KITCHEN_WASTE]: {
+            id: 'compostBurst',
+            name: '堆肥爆发',
+            key: 'a',
+            cooldown: 12000,
+            radius: 150,
+            slowFactor: 0.4, // 范围内所有垃圾的速度倍数
+            duration: 3000
+        },
+        [TrashBinType.RECYCLABLE]: {
+            id: 'magnet',
+            name: '回收磁铁',
+            key: 's',
+            cooldown: 15000,
+            radius: 220 // 把范围内其他轨道上的可回收物吸到自己的轨道
+        },
+        [TrashBinType.HAZARDOUS]: {
+            id: 'purificationWave',
+            name: '净化波',
+            key: 'd',
+            cooldown: 10000,
+            radius: 160,
+            pushDistance: 120 // 有害垃圾沿轨道被推回的距离
+        }
+    },
+    
+    // 无尽模式配置
+    endless: {
+        startTracks: 1, // 开局开放的轨道数
+        trackUnlockInterval: 45000, // 每隔45秒开放一条新轨道
+        difficultyRampTime: 60000, // 难度等级每分钟提升1
+        difficultyUpdateInterval: 5000, // 每5秒同步一次难度
+        maxDifficulty: 10,
+        spawnInterval: 3000,
+        highScoreCount: 10 // 高分榜保留条数
+    },
+    
+    // 结算界面配置：分数从 0 滚动到最终得分后，星星逐颗点亮
+    results: {
+        tallyDuration: 1500, // 分数滚动时长（毫秒）
+        starInterval: 300, // 每颗星点亮的间隔（毫秒）
+        maxStars: 5
+    },
+    
     // 颜色主题
     colors: {
         background: '#98FB98',      // 薄荷绿
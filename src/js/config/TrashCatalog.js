@@ -0,0 +1,528 @@
+/**
+ * 垃圾物品目录
+ * 统一定义所有具体垃圾物品（名称、图标、类别、别名、难度、环保知识），供两个游戏入口共用
+ */
+import { TrashType } from './GameConfig.js';
+
+// 垃圾类别信息
+export const TrashCategories = {
+    [TrashType.KITCHEN_WASTE]: { name: '厨余垃圾', names: { zh: '厨余垃圾', en: 'Kitchen waste' }, color: '#8B4513' },
+    [TrashType.RECYCLABLE]: { name: '可回收垃圾', names: { zh: '可回收垃圾', en: 'Recyclable' }, color: '#1E90FF' },
+    [TrashType.HAZARDOUS]: { name: '有害垃圾', names: { zh: '有害垃圾', en: 'Hazardous waste' }, color: '#8B0000' },
+    [TrashType.OTHER]: { name: '其他垃圾', names: { zh: '其他垃圾', en: 'Residual waste' }, color: '#696969' }
+};
+
+// 垃圾物品列表
+// difficulty: 1 常见易分 | 2 需要思考 | 3 容易混淆
+export const TrashItems = [
+    // 厨余垃圾
+    {
+        id: 'banana_peel',
+        names: { zh: '香蕉皮', en: 'Banana peel' },
+        icon: '🍌',
+        color: '#FFD700',
+        category: TrashType.KITCHEN_WASTE,
+        aliases: ['香蕉', 'banana'],
+        difficulty: 1,
+        ecoFact: '香蕉皮堆肥后可以变成优质的有机肥料'
+    },
+    {
+        id: 'apple_core',
+        names: { zh: '苹果核', en: 'Apple core' },
+        icon: '🍎',
+        color: '#FF6B6B',
+        category: TrashType.KITCHEN_WASTE,
+        aliases: ['苹果', 'apple'],
+        difficulty: 1,
+        ecoFact: '果核在堆肥中几周就能分解'
+    },
+    {
+        id: 'bagged_food_waste',
+        names: { zh: '袋装厨余', en: 'Bagged food waste' },
+        icon: '🥬',
+        color: '#90EE90',
+        category: TrashType.KITCHEN_WASTE,
+        aliases: ['厨余袋'],
+        difficulty: 2,
+        ecoFact: '厨余垃圾要破袋投放，塑料袋应投入其他垃圾'
+    },
+    {
+        id: 'fish_bone',
+        names: { zh: '鱼骨头', en: 'Fish bone' },
+        icon: '🐟',
+        color: '#C0C0C0',
+        category: TrashType.KITCHEN_WASTE,
+        aliases: ['鱼刺', '鱼骨'],
+        difficulty: 2,
+        ecoFact: '鱼骨等小骨头容易粉碎，属于厨余垃圾'
+    },
+    {
+        id: 'eggshell',
+        names: { zh: '蛋壳', en: 'Eggshell' },
+        icon: '🥚',
+        color: '#F5F5DC',
+        category: TrashType.KITCHEN_WASTE,
+        aliases: ['鸡蛋壳'],
+        difficulty: 2,
+        ecoFact: '蛋壳富含钙质，是很好的堆肥原料'
+    },
+    {
+        id: 'vegetable_leaves',
+        names: { zh: '菜叶', en: 'Vegetable leaves' },
+        icon: '🥬',
+        color: '#228B22',
+        category: TrashType.KITCHEN_WASTE,
+        aliases: ['烂菜叶', '蔬菜'],
+        difficulty: 1,
+        ecoFact: '厨余垃圾占生活垃圾的40-60%'
+    },
+    {
+        id: 'leftover_rice',
+        names: { zh: '剩饭', en: 'Leftover rice' },
+        icon: '🍚',
+        color: '#FFFACD',
+        category: TrashType.KITCHEN_WASTE,
+        aliases: ['剩菜剩饭', '米饭'],
+        difficulty: 1,
+        ecoFact: '光盘行动是减少厨余垃圾最有效的方法'
+    },
+    {
+        id: 'fruit_peel',
+        names: { zh: '果皮', en: 'Fruit peel' },
+        icon: '🍊',
+        color: '#FFA500',
+        category: TrashType.KITCHEN_WASTE,
+        aliases: ['橘子皮', '橙子皮'],
+        difficulty: 1,
+        ecoFact: '果皮可以发酵制成环保酵素'
+    },
+
+    // 可回收垃圾
+    {
+        id: 'waste_paper',
+        names: { zh: '废纸', en: 'Waste paper' },
+        icon: '📄',
+        color: '#F5F5F5',
+        category: TrashType.RECYCLABLE,
+        aliases: ['纸张', 'paper'],
+        difficulty: 1,
+        ecoFact: '1吨废纸可生产800公斤新纸'
+    },
+    {
+        id: 'plastic_bottle',
+        names: { zh: '塑料瓶', en: 'Plastic bottle' },
+        icon: '🍼',
+        color: '#87CEEB',
+        category: TrashType.RECYCLABLE,
+        aliases: ['饮料瓶', '矿泉水瓶'],
+        difficulty: 1,
+        ecoFact: '塑料瓶需要450年才能完全分解'
+    },
+    {
+        id: 'glass_bottle',
+        names: { zh: '玻璃瓶', en: 'Glass bottle' },
+        icon: '🍾',
+        color: '#98FB98',
+        category: TrashType.RECYCLABLE,
+        aliases: ['酒瓶'],
+        difficulty: 1,
+        ecoFact: '玻璃可以无限次回收而不降低品质'
+    },
+    {
+        id: 'scrap_iron',
+        names: { zh: '废铁', en: 'Scrap iron' },
+        icon: '🔩',
+        color: '#708090',
+        category: TrashType.RECYCLABLE,
+        aliases: ['螺丝', '金属'],
+        difficulty: 2,
+        ecoFact: '回收1吨废钢铁可炼出0.9吨好钢'
+    },
+    {
+        id: 'cardboard_box',
+        names: { zh: '纸箱', en: 'Cardboard box' },
+        icon: '📦',
+        color: '#D2691E',
+        category: TrashType.RECYCLABLE,
+        aliases: ['快递箱', '纸盒'],
+        difficulty: 1,
+        ecoFact: '快递纸箱压平后回收更节省运输空间'
+    },
+    {
+        id: 'aluminum_can',
+        names: { zh: '易拉罐', en: 'Aluminum can' },
+        icon: '🥤',
+        color: '#C0C0C0',
+        category: TrashType.RECYCLABLE,
+        aliases: ['铝罐', 'can'],
+        difficulty: 1,
+        ecoFact: '回收铝罐比用原矿炼铝节省95%的能源'
+    },
+    {
+        id: 'newspaper',
+        names: { zh: '报纸', en: 'Newspaper' },
+        icon: '📰',
+        color: '#DCDCDC',
+        category: TrashType.RECYCLABLE,
+        aliases: ['旧报纸'],
+        difficulty: 1,
+        ecoFact: '回收一叠1米高的报纸可以少砍一棵树'
+    },
+    {
+        id: 'plastic_bag',
+        names: { zh: '塑料袋', en: 'Plastic bag' },
+        icon: '🛍️',
+        color: '#FFB6C1',
+        category: TrashType.RECYCLABLE,
+        aliases: ['购物袋'],
+        difficulty: 3,
+        ecoFact: '回收1吨塑料可节省2000升石油'
+    },
+
+    // 有害垃圾
+    {
+        id: 'waste_battery',
+        names: { zh: '废电池', en: 'Used battery' },
+        icon: '🔋',
+        color: '#2F4F4F',
+        category: TrashType.HAZARDOUS,
+        aliases: ['电池', 'battery'],
+        difficulty: 1,
+        ecoFact: '1节电池污染1㎡土地50年'
+    },
+    {
+        id: 'chemicals',
+        names: { zh: '化学药品', en: 'Chemicals' },
+        icon: '🧪',
+        color: '#9400D3',
+        category: TrashType.HAZARDOUS,
+        aliases: ['试剂'],
+        difficulty: 2,
+        ecoFact: '化学试剂渗入地下会长期污染地下水'
+    },
+    {
+        id: 'expired_medicine',
+        names: { zh: '过期药品', en: 'Expired medicine' },
+        icon: '💊',
+        color: '#FF1493',
+        category: TrashType.HAZARDOUS,
+        aliases: ['药片', '胶囊'],
+        difficulty: 2,
+        ecoFact: '过期药品需要专业高温焚烧处理'
+    },
+    {
+        id: 'fluorescent_tube',
+        names: { zh: '废灯管', en: 'Fluorescent tube' },
+        icon: '💡',
+        color: '#FFFF00',
+        category: TrashType.HAZARDOUS,
+        aliases: ['灯管', '节能灯'],
+        difficulty: 2,
+        ecoFact: '荧光灯管含汞，破碎后会挥发到空气中'
+    },
+    {
+        id: 'insecticide',
+        names: { zh: '杀虫剂', en: 'Insecticide' },
+        icon: '🪲',
+        color: '#8B0000',
+        category: TrashType.HAZARDOUS,
+        aliases: ['杀虫喷雾'],
+        difficulty: 2,
+        ecoFact: '杀虫剂罐即使用完也残留有毒物质'
+    },
+    {
+        id: 'paint_bucket',
+        names: { zh: '油漆桶', en: 'Paint bucket' },
+        icon: '🎨',
+        color: '#FF4500',
+        category: TrashType.HAZARDOUS,
+        aliases: ['油漆'],
+        difficulty: 2,
+        ecoFact: '油漆中的有机溶剂会污染土壤和水源'
+    },
+    {
+        id: 'thermometer',
+        names: { zh: '温度计', en: 'Mercury thermometer' },
+        icon: '🌡️',
+        color: '#C0C0C0',
+        category: TrashType.HAZARDOUS,
+        aliases: ['水银温度计', '体温计'],
+        difficulty: 3,
+        ecoFact: '一支水银温度计约含1克汞，足以污染大量水体'
+    },
+    {
+        id: 'x_ray_film',
+        names: { zh: 'X光片', en: 'X-ray film' },
+        icon: '🩻',
+        color: '#2F2F2F',
+        category: TrashType.HAZARDOUS,
+        aliases: ['胶片'],
+        difficulty: 3,
+        ecoFact: 'X光片含有银等重金属，需要专门回收处理'
+    },
+
+    // 其他垃圾
+    {
+        id: 'cigarette_butt',
+        names: { zh: '烟头', en: 'Cigarette butt' },
+        icon: '🚬',
+        color: '#8B4513',
+        category: TrashType.OTHER,
+        aliases: ['烟蒂'],
+        difficulty: 1,
+        ecoFact: '一个烟头可以污染数升水'
+    },
+    {
+        id: 'dust',
+        names: { zh: '尘土', en: 'Dust' },
+        icon: '💨',
+        color: '#A9A9A9',
+        category: TrashType.OTHER,
+        aliases: ['灰尘', '扫地垃圾'],
+        difficulty: 1,
+        ecoFact: '其他垃圾主要通过卫生填埋或焚烧发电处理'
+    },
+    {
+        id: 'broken_porcelain',
+        names: { zh: '碎瓷器', en: 'Broken porcelain' },
+        icon: '🏺',
+        color: '#F0E68C',
+        category: TrashType.OTHER,
+        aliases: ['碎碗'],
+        difficulty: 2,
+        ecoFact: '瓷器不能回炉再造，应包好后投放避免划伤'
+    },
+    {
+        id: 'hair',
+        names: { zh: '毛发', en: 'Hair' },
+        icon: '💇',
+        color: '#654321',
+        category: TrashType.OTHER,
+        aliases: ['头发'],
+        difficulty: 2,
+        ecoFact: '毛发难以降解，不能作为厨余垃圾堆肥'
+    },
+    {
+        id: 'cat_litter',
+        names: { zh: '猫砂', en: 'Cat litter' },
+        icon: '🐱',
+        color: '#D2B48C',
+        category: TrashType.OTHER,
+        aliases: ['宠物粪便'],
+        difficulty: 3,
+        ecoFact: '猫砂不能冲进马桶，会堵塞下水道'
+    },
+    {
+        id: 'big_bone',
+        names: { zh: '大骨头', en: 'Large bone' },
+        icon: '🦴',
+        color: '#FFF8DC',
+        category: TrashType.OTHER,
+        aliases: ['猪骨', '牛骨', '筒骨'],
+        difficulty: 3,
+        ecoFact: '大骨头质地坚硬难以粉碎，国内多数城市要求投入其他垃圾'
+    },
+    {
+        id: 'chewing_gum',
+        names: { zh: '口香糖', en: 'Chewing gum' },
+        icon: '🍬',
+        color: '#FFB6C1',
+        category: TrashType.OTHER,
+        aliases: ['泡泡糖'],
+        difficulty: 2,
+        ecoFact: '口香糖在自然环境中需要数十年才能分解'
+    },
+    {
+        id: 'diaper',
+        names: { zh: '纸尿裤', en: 'Diaper' },
+        icon: '👶',
+        color: '#F0F8FF',
+        category: TrashType.OTHER,
+        aliases: ['尿不湿'],
+        difficulty: 2,
+        ecoFact: '一片纸尿裤需要约500年才能降解'
+    },
+    {
+        id: 'ceramic_shards',
+        names: { zh: '陶瓷碎片', en: 'Ceramic shards' },
+        icon: '🏺',
+        color: '#CD853F',
+        category: TrashType.OTHER,
+        aliases: ['陶片'],
+        difficulty: 2,
+        ecoFact: '正确分类可减少80%的垃圾处理成本'
+    },
+    {
+        id: 'takeout_container',
+        names: { zh: '外卖餐盒', en: 'Takeout container' },
+        icon: '🥡',
+        color: '#FFFAF0',
+        category: TrashType.OTHER,
+        aliases: ['一次性餐盒', '饭盒'],
+        difficulty: 2,
+        ecoFact: '沾满油污的一次性餐盒难以回收，属于其他垃圾'
+    },
+
+    // 组合物品：被垃圾桶接住时拆分成 splitsInto 中的物品，只在明确指定时出现
+    {
+        id: 'takeout_box',
+        names: { zh: '吃剩的外卖', en: 'Leftover takeout' },
+        icon: '🍱',
+        color: '#FFE4B5',
+        category: TrashType.OTHER,
+        aliases: ['外卖', '剩外卖'],
+        difficulty: 2,
+        splitsInto: ['leftover_rice', 'takeout_container'],
+        ecoFact: '吃剩的外卖要先把饭菜倒进厨余垃圾，餐盒再投入其他垃圾'
+    }
+];
+
+export class TrashCatalog {
+    /**
+     * @param {Array} items - 垃圾物品定义
+     */
+    constructor(items = TrashItems) {
+        this.items = new Map();
+        this.nameIndex = new Map();
+        this.defaultLocale = 'zh';
+        
+        for (const item of items) {
+            this.registerItem(item);
+        }
+    }
+
+    /**
+     * 注册垃圾物品
+     * @param {Object} item - 物品定义
+     */
+    registerItem(item) {
+        if (!item || !item.id || !TrashCategories[item.category]) {
+            console.warn('无效的垃圾物品定义:', item);
+            return false;
+        }
+        
+        this.items.set(item.id, item);
+        
+        // 建立名称和别名索引，用于按名称查找
+        const keys = [item.id, ...Object.values(item.names || {}), ...(item.aliases || [])];
+        for (const key of keys) {
+            this.nameIndex.set(String(key).toLowerCase(), item.id);
+        }
+        return true;
+    }
+
+    /**
+     * 获取垃圾物品
+     * @param {string} id - 物品ID
+     */
+    getItem(id) {
+        return this.items.get(id) || null;
+    }
+
+    /**
+     * 检查物品是否存在
+     * @param {string} id - 物品ID
+     */
+    hasItem(id) {
+        return this.items.has(id);
+    }
+
+    /**
+     * 获取所有物品
+     */
+    getAllItems() {
+        return Array.from(this.items.values());
+    }
+
+    /**
+     * 按名称或别名查找物品
+     * @param {string} name - 名称、别名或ID
+     */
+    findItem(name) {
+        if (!name) return null;
+        const id = this.nameIndex.get(String(name).toLowerCase());
+        return id ? this.getItem(id) : null;
+    }
+
+    /**
+     * 获取某类别的物品
+     * @param {string} category - 垃圾类别
+     * @param {Object} options - 筛选选项 { maxDifficulty, itemIds: 只在这些物品中选择 }
+     */
+    getItemsByCategory(category, options = {}) {
+        const maxDifficulty = options.maxDifficulty || Infinity;
+        return this.getAllItems().filter(item =>
+            item.category === category && item.difficulty <= maxDifficulty &&
+            (options.itemIds ? options.itemIds.includes(item.id) : !this.isSplittable(item.id))
+        );
+    }
+
+    /**
+     * 物品是否为被接住时会拆分的组合物品
+     * @param {string} id - 物品ID
+     */
+    isSplittable(id) {
+        const item = this.getItem(id);
+        return Boolean(item && item.splitsInto && item.splitsInto.length > 0);
+    }
+
+    /**
+     * 获取所有组合物品
+     */
+    getSplittableItems() {
+        return this.getAllItems().filter(item => this.isSplittable(item.id));
+    }
+
+    /**
+     * 随机选择某类别的物品
+     * @param {string} category - 垃圾类别
+     * @param {Object} options - 筛选选项 { maxDifficulty, itemIds, rng: 随机数生成器 }
+     */
+    getRandomItem(category, options = {}) {
+        let candidates = this.getItemsByCategory(category, options);
+        
+        // 筛选后没有物品时依次放宽难度和物品限制
+        if (candidates.length === 0) {
+            candidates = this.getItemsByCategory(category, { itemIds: options.itemIds });
+        }
+        if (candidates.length === 0) {
+            candidates = this.getItemsByCategory(category);
+        }
+        if (candidates.length === 0) return null;
+        
+        const random = options.rng ? options.rng.next() : Math.random();
+        return candidates[Math.floor(random * candidates.length)];
+    }
+
+    /**
+     * 获取物品所属类别，传入类别时原样返回
+     * @param {string} idOrCategory - 物品ID或垃圾类别
+     */
+    getCategory(idOrCategory) {
+        const item = this.getItem(idOrCategory);
+        if (item) return item.category;
+        return TrashCategories[idOrCategory] ? idOrCategory : null;
+    }
+
+    /**
+     * 获取物品的本地化名称，传入类别时返回类别名称
+     * @param {string} idOrCategory - 物品ID或垃圾类别
+     * @param {string} locale - 语言
+     */
+    getItemName(idOrCategory, locale = this.defaultLocale) {
+        const entry = this.getItem(idOrCategory) || TrashCategories[idOrCategory];
+        if (!entry) return '未知垃圾';
+        return entry.names[locale] || entry.names[this.defaultLocale];
+    }
+
+    /**
+     * 获取类别信息
+     * @param {string} category - 垃圾类别
+     */
+    getCategoryInfo(category) {
+        return TrashCategories[category] || null;
+    }
+}
+
+// 创建全局垃圾物品目录实例
+export const trashCatalog = new TrashCatalog();
\ No newline at end of file
@@ -0,0 +1,77 @@
+/**
+ * 游戏时钟
+ * 只随模拟步进前进的游戏时间，替代 Date.now() 和 setTimeout，
+ * 暂停时不走动，使同样的输入得到同样的结果
+ */
+export class GameClock {
+    constructor() {
+        this.time = 0; // 游戏时间（毫秒）
+        this.timers = [];
+        this.nextTimerId = 1;
+    }
+
+    /**
+     * 获取当前游戏时间
+     */
+    now() {
+        return this.time;
+    }
+
+    /**
+     * 推进游戏时间并触发到期的定时器
+     * @param {number} deltaTime - 时间间隔
+     */
+    advance(deltaTime) {
+        this.time += deltaTime;
+        
+        // 按到期时间和创建顺序依次触发，回调中新建的定时器同样参与本次检查
+        while (this.timers.length > 0 && this.timers[0].time <= this.time) {
+            const timer = this.timers.shift();
+            timer.callback();
+        }
+    }
+
+    /**
+     * 在指定游戏时间后执行回调
+     * @param {number} delay - 延迟（毫秒）
+     * @param {Function} callback - 回调函数
+     * @returns {number} 定时器ID
+     */
+    schedule(delay, callback) {
+        const timer = {
+            id: this.nextTimerId++,
+            time: this.time + Math.max(0, delay),
+            callback: callback
+        };
+        
+        // 保持按时间排序，同一时间按创建顺序
+        let index = this.timers.length;
+        while (index > 0 && this.timers[index - 1].time > timer.time) {
+            index--;
+        }
+        this.timers.splice(index, 0, timer);
+        
+        return timer.id;
+    }
+
+    /**
+     * 取消定时器
+     * @param {number} timerId - 定时器ID
+     */
+    cancel(timerId) {
+        const index = this.timers.findIndex(timer => timer.id === timerId);
+        if (index > -1) {
+            this.timers.splice(index, 1);
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * 重置时钟并清除所有定时器
+     */
+    reset() {
+        this.time = 0;
+        this.timers = [];
+    }
+}
\ No newline at end of file
@@ -4,7 +4,13 @@
  */
 import { SceneManager } from './SceneManager.js';
 import { MenuScene } from '../scenes/MenuScene.js';
+import { LevelSelectScene } from '../scenes/LevelSelectScene.js';
+import { LevelEditorScene } from '../scenes/LevelEditorScene.js';
+import { AchievementsScene } from '../scenes/AchievementsScene.js';
 import { RenderSystem } from '../rendering/RenderSystem.js';
+import { InputRecorder, ReplayInputType } from './InputRecorder.js';
+import { ReplayPlayer } from './ReplayPlayer.js';
+import { timeScale } from './TimeScale.js';
 
 export class GameEngine {
     constructor() {
@@ -15,6 +21,17 @@ export class GameEngine {
         this.targetFPS = 60;
         this.frameTime = 1000 / this.targetFPS;
         
+        // 固定步长更新：逻辑始终以 fixedTimeStep 推进，渲染按剩余时间插值
+        this.fixedTimeStep = this.frameTime;
+        this.maxFrameTime = 250; // 单帧最多补算的时间，避免卡顿后无限追帧
+        this.accumulator = 0;
+        this.interpolationAlpha = 0;
+        this.frameCount = 0; // 已执行的逻辑帧数，录像中的输入以此定位
+        
+        // 录制与回放
+        this.inputRecorder = new InputRecorder();
+        this.replayPlayer = null;
+        
         // 核心系统
         this.sceneManager = null;
         this.renderSystem = null;
@@ -57,6 +74,21 @@ export class GameEngine {
         menuScene.setSceneManager(this.sceneManager);
         this.sceneManager.registerScene('menu', menuScene);
         
+        // 注册关卡选择场景
+        const levelSelectScene = new LevelSelectScene();
+        levelSelectScene.setSceneManager(this.sceneManager);
+        this.sceneManager.registerScene('levelSelect', levelSelectScene);
+        
+        // 注册关卡编辑器场景
+        const levelEditorScene = new LevelEditorScene();
+        levelEditorScene.setSceneManager(this.sceneManager);
+        this.sceneManager.registerScene('editor', levelEditorScene);
+        
+        // 注册成就画廊场景
+        const achievementsScene = new AchievementsScene();
+        achievementsScene.setSceneManager(this.sceneManager);
+        this.sceneManager.registerScene('achievements', achievementsScene);
+        
         // 导入并注册测试场景
         const { TestScene } = await import('../scenes/TestScene.js');
         const testScene = new TestScene();
@@ -66,6 +98,7 @@ export class GameEngine {
         try {
             const { GameScene } = await import('../scenes/GameScene.js');
             const gameScene = new GameScene();
+            gameScene.setSceneManager(this.sceneManager);
             this.sceneManager.registerScene('game', gameScene);
         } catch (error) {
             console.warn('游戏场景加载失败，使用测试场景:', error);
@@ -85,6 +118,7 @@ export class GameEngine {
         
         this.isRunning = true;
         this.lastTime = performance.now();
+        this.accumulator = 0;
         this.gameLoop();
         
         console.log('游戏开始运行');
@@ -105,31 +139,72 @@ export class GameEngine {
         if (!this.isRunning) return;
 
         const currentTime = performance.now();
-        const deltaTime = currentTime - this.lastTime;
+        const frameTime = currentTime - this.lastTime;
+        this.lastTime = currentTime;
 
-        if (deltaTime >= this.frameTime) {
-            this.update(deltaTime);
-            this.render();
-            this.lastTime = currentTime;
-        }
+        this.advanceFrame(frameTime);
+        this.render(this.interpolationAlpha);
 
         requestAnimationFrame(() => this.gameLoop());
     }
 
+    /**
+     * 按固定步长推进逻辑
+     * @param {number} frameTime - 距上一帧的真实时间
+     * @returns {number} 本帧执行的更新步数
+     */
+    advanceFrame(frameTime) {
+        this.accumulator += Math.min(Math.max(0, frameTime), this.maxFrameTime) * this.getTimeScale();
+
+        let steps = 0;
+        while (this.accumulator >= this.fixedTimeStep) {
+            this.update(this.fixedTimeStep);
+            this.accumulator -= this.fixedTimeStep;
+            steps++;
+        }
+
+        // 剩余不足一步的时间用于渲染插值（0-1）
+        this.interpolationAlpha = this.accumulator / this.fixedTimeStep;
+        return steps;
+    }
+
+    /**
+     * 获取逻辑时间缩放（回放暂停为0，快进时大于1）
+     * 与道具的慢动作效果（timeScale）不同：这里缩放的是整个逻辑步进，包括界面和倒计时
+     */
+    getTimeScale() {
+        return this.replayPlayer ? this.replayPlayer.getTimeScale() : 1;
+    }
+
     /**
      * 更新游戏逻辑
      * @param {number} deltaTime - 时间间隔
      */
     update(deltaTime) {
+        // 回放时在本帧更新前重新分发录制的输入
+        if (this.replayPlayer) {
+            for (const input of this.replayPlayer.takeInputsForFrame(this.frameCount)) {
+                this.dispatchInput(input);
+            }
+        }
+        
         if (this.sceneManager) {
-            this.sceneManager.update(deltaTime);
+            // 模拟系统使用道具缩放后的时间，界面和倒计时仍使用真实时间
+            this.sceneManager.update(deltaTime, timeScale.apply(deltaTime));
+        }
+        this.frameCount++;
+        
+        if (this.replayPlayer && this.replayPlayer.isFinished(this.frameCount)) {
+            console.log('回放结束');
+            this.stopReplay();
         }
     }
 
     /**
      * 渲染游戏画面
+     * @param {number} alpha - 插值系数（0-1），表示处于上一步与当前步之间的位置
      */
-    render() {
+    render(alpha = 1) {
         if (!this.renderSystem) return;
         
         // 开始渲染帧
@@ -140,7 +215,14 @@ export class GameEngine {
         
         // 渲染当前场景
         if (this.sceneManager) {
-            this.sceneManager.render(this.renderSystem);
+            this.sceneManager.render(this.renderSystem, alpha);
+        }
+        
+        // 渲染录制/回放状态
+        if (this.inputRecorder.isRecording || this.replayPlayer) {
+            this.renderSystem.add2DRender((ctx) => {
+                this.renderReplayStatus(ctx);
+            }, this.renderSystem.layers.UI);
         }
         
         // 结束渲染帧
@@ -182,6 +264,69 @@ export class GameEngine {
      * @param {string} key - 按键
      */
     handleKeyInput(key) {
+        // 回放期间玩家按键只用于控制回放
+        if (this.replayPlayer) {
+            this.handleReplayControl(key);
+            return;
+        }
+        
+        this.inputRecorder.recordKey(this.frameCount, key);
+        this.dispatchKeyInput(key);
+    }
+
+    /**
+     * 处理鼠标点击
+     * @param {number} x - 鼠标X坐标
+     * @param {number} y - 鼠标Y坐标
+     */
+    handleMouseClick(x, y) {
+        if (this.replayPlayer) return;
+        
+        this.inputRecorder.recordClick(this.frameCount, x, y);
+        this.dispatchMouseClick(x, y);
+    }
+
+    /**
+     * 处理鼠标移动
+     * @param {number} x - 鼠标X坐标
+     * @param {number} y - 鼠标Y坐标
+     */
+    handleMouseMove(x, y) {
+        if (this.replayPlayer) return;
+        
+        this.inputRecorder.recordMove(this.frameCount, x, y);
+        this.dispatchMouseMove(x, y);
+    }
+
+    /**
+     * 处理鼠标按下
+     * @param {number} x - 鼠标X坐标
+     * @param {number} y - 鼠标Y坐标
+     */
+    handleMouseDown(x, y) {
+        if (this.replayPlayer) return;
+        
+        this.inputRecorder.recordDown(this.frameCount, x, y);
+        this.dispatchMouseDown(x, y);
+    }
+
+    /**
+     * 处理鼠标松开
+     * @param {number} x - 鼠标X坐标
+     * @param {number} y - 鼠标Y坐标
+     */
+    handleMouseUp(x, y) {
+        if (this.replayPlayer) return;
+        
+        this.inputRecorder.recordUp(this.frameCount, x, y);
+        this.dispatchMouseUp(x, y);
+    }
+
+    /**
+     * 将键盘输入分发给当前场景
+     * @param {string} key - 按键
+     */
+    dispatchKeyInput(key) {
         const currentScene = this.sceneManager.getCurrentScene();
         if (currentScene && currentScene.handleKeyInput) {
             currentScene.handleKeyInput(key);
@@ -189,11 +334,11 @@ export class GameEngine {
     }
 
     /**
-     * 处理鼠标点击
+     * 将鼠标点击分发给当前场景
      * @param {number} x - 鼠标X坐标
      * @param {number} y - 鼠标Y坐标
      */
-    handleMouseClick(x, y) {
+    dispatchMouseClick(x, y) {
         const currentScene = this.sceneManager.getCurrentScene();
         if (currentScene && currentScene.handleMouseClick) {
             currentScene.handleMouseClick(x, y);
@@ -201,14 +346,224 @@ export class GameEngine {
     }
 
     /**
-     * 处理鼠标移动
+     * 将鼠标移动分发给当前场景
      * @param {number} x - 鼠标X坐标
      * @param {number} y - 鼠标Y坐标
      */
-    handleMouseMove(x, y) {
+    dispatchMouseMove(x, y) {
         const currentScene = this.sceneManager.getCurrentScene();
         if (currentScene && currentScene.handleMouseMove) {
             currentScene.handleMouseMove(x, y);
         }
     }
+
+    /**
+     * 将鼠标按下分发给当前场景
+     * @param {number} x - 鼠标X坐标
+     * @param {number} y - 鼠标Y坐标
+     */
+    dispatchMouseDown(x, y) {
+        const currentScene = this.sceneManager.getCurrentScene();
+        if (currentScene && currentScene.handleMouseDown) {
+            currentScene.handleMouseDown(x, y);
+        }
+    }
+
+    /**
+     * 将鼠标松开分发给当前场景
+     * @param {number} x - 鼠标X坐标
+     * @param {number} y - 鼠标Y坐标
+     */
+    dispatchMouseUp(x, y) {
+        const currentScene = this.sceneManager.getCurrentScene();
+        if (currentScene && currentScene.handleMouseUp) {
+            currentScene.handleMouseUp(x, y);
+        }
+    }
+
+    /**
+     * 分发一条录制的输入
+     * @param {Object} input - 录制的输入
+     */
+    dispatchInput(input) {
+        switch (input.type) {
+            case ReplayInputType.KEY:
+                this.dispatchKeyInput(input.key);
+                break;
+            case ReplayInputType.CLICK:
+                this.dispatchMouseClick(input.x, input.y);
+                break;
+            case ReplayInputType.MOVE:
+                this.dispatchMouseMove(input.x, input.y);
+                break;
+            case ReplayInputType.DOWN:
+                this.dispatchMouseDown(input.x, input.y);
+                break;
+            case ReplayInputType.UP:
+                this.dispatchMouseUp(input.x, input.y);
+                break;
+        }
+    }
+
+    /**
+     * 开始录制当前场景：以新种子重新开始当前关卡
+     * @returns {boolean} 是否成功
+     */
+    startRecording() {
+        if (this.replayPlayer) {
+            console.warn('回放中无法录制');
+            return false;
+        }
+        
+        const currentScene = this.sceneManager.getCurrentScene();
+        if (!currentScene || !currentScene.startRun) {
+            console.warn('当前场景不支持录制');
+            return false;
+        }
+        
+        const runState = currentScene.startRun();
+        if (!runState) return false;
+        
+        this.resetFrameCounter();
+        this.inputRecorder.start(runState, { fixedTimeStep: this.fixedTimeStep });
+        return true;
+    }
+
+    /**
+     * 停止录制
+     * @returns {Object|null} 录像数据
+     */
+    stopRecording() {
+        if (!this.inputRecorder.isRecording) return null;
+        
+        const recording = this.inputRecorder.stop(this.frameCount);
+        const currentScene = this.sceneManager.getCurrentScene();
+        if (currentScene && currentScene.endRun) {
+            currentScene.endRun();
+        }
+        return recording;
+    }
+
+    /**
+     * 导出最近一次录像为JSON
+     */
+    exportRecording() {
+        if (this.inputRecorder.isRecording) {
+            this.stopRecording();
+        }
+        
+        const recording = this.inputRecorder.getRecording();
+        return recording ? InputRecorder.exportRecording(recording) : null;
+    }
+
+    /**
+     * 开始回放录像
+     * @param {Object|string} recordingData - 录像数据或导出的JSON
+     * @returns {Promise<Object>} { success, reason }
+     */
+    async startReplay(recordingData) {
+        const recording = InputRecorder.importRecording(recordingData);
+        if (!recording) {
+            return { success: false, reason: '录像文件无效' };
+        }
+        
+        if (recording.fixedTimeStep && recording.fixedTimeStep !== this.fixedTimeStep) {
+            console.warn(`录像的逻辑步长 ${recording.fixedTimeStep}ms 与当前 ${this.fixedTimeStep}ms 不同，回放可能不一致`);
+        }
+        
+        if (this.inputRecorder.isRecording) {
+            this.stopRecording();
+        }
+        
+        // 回放总在游戏场景中进行
+        const gameScene = this.sceneManager.scenes.get('game');
+        if (!gameScene) {
+            return { success: false, reason: '游戏场景不存在' };
+        }
+        if (this.sceneManager.getCurrentScene() !== gameScene) {
+            const loaded = await this.sceneManager.loadScene('game');
+            if (!loaded) {
+                return { success: false, reason: '游戏场景加载失败' };
+            }
+        }
+        
+        const runState = gameScene.startRun({
+            levelId: recording.levelId,
+            seed: recording.seed,
+            ruleset: recording.ruleset,
+            ignoreLock: true
+        });
+        if (!runState) {
+            return { success: false, reason: `无法加载关卡 ${recording.levelId}` };
+        }
+        
+        this.resetFrameCounter();
+        this.replayPlayer = new ReplayPlayer(recording);
+        
+        console.log(`开始回放: 关卡 ${recording.levelId}, 种子 ${recording.seed}, 共 ${recording.frameCount} 帧`);
+        return { success: true };
+    }
+
+    /**
+     * 停止回放
+     */
+    stopReplay() {
+        if (!this.replayPlayer) return;
+        
+        this.replayPlayer = null;
+        const currentScene = this.sceneManager.getCurrentScene();
+        if (currentScene && currentScene.endRun) {
+            currentScene.endRun();
+        }
+    }
+
+    /**
+     * 处理回放控制按键
+     * @param {string} key - 按键
+     */
+    handleReplayControl(key) {
+        switch (key) {
+            case ' ':
+                this.replayPlayer.togglePause();
+                break;
+            case 'f':
+            case 'F':
+                console.log(`回放倍速: ${this.replayPlayer.cycleSpeed()}x`);
+                break;
+            case 'Escape':
+                console.log('退出回放');
+                this.stopReplay();
+                break;
+        }
+    }
+
+    /**
+     * 重置帧计数和时间累积
+     */
+    resetFrameCounter() {
+        this.frameCount = 0;
+        this.accumulator = 0;
+    }
+
+    /**
+     * 渲染录制/回放状态标识
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     */
+    renderReplayStatus(ctx) {
+        let text;
+        if (this.replayPlayer) {
+            const progress = Math.floor(this.replayPlayer.getProgress(this.frameCount) * 100);
+            const state = this.replayPlayer.isPaused ? '⏸ 暂停' : `▶ ${this.replayPlayer.speed}x`;
+            text = `回放 ${state} ${progress}%  (空格 暂停 / F 快进 / Esc 退出)`;
+        } else {
+            text = `● 录制中 ${Math.floor(this.frameCount * this.fixedTimeStep / 1000)}s`;
+        }
+        
+        ctx.save();
+        ctx.font = '14px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillStyle = this.replayPlayer ? '#FFD23F' : '#FF4444';
+        ctx.fillText(text, ctx.canvas.width - 10, ctx.canvas.height - 10);
+        ctx.restore();
+    }
 }
\ No newline at end of file
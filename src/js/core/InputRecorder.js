@@ -0,0 +1,185 @@
+/**
+ * 输入录制器
+ * 记录一局游戏的随机种子和经由 GameEngine 分发的每个输入（附带帧号），
+ * 配合固定步长和种子随机数即可完整复现这一局
+ */
+
+// 录像文件格式版本
+export const REPLAY_FORMAT_VERSION = 1;
+
+// 输入类型
+export const ReplayInputType = {
+    KEY: 'key',
+    CLICK: 'click',
+    MOVE: 'move',
+    DOWN: 'down',
+    UP: 'up'
+};
+
+export class InputRecorder {
+    constructor() {
+        this.isRecording = false;
+        this.recording = null;
+    }
+
+    /**
+     * 开始录制
+     * @param {Object} runState - 本局初始状态 { levelId, seed, ruleset }
+     * @param {Object} options - 录制选项 { fixedTimeStep }
+     */
+    start(runState, options = {}) {
+        this.recording = {
+            version: REPLAY_FORMAT_VERSION,
+            levelId: runState.levelId,
+            seed: runState.seed,
+            ruleset: runState.ruleset,
+            fixedTimeStep: options.fixedTimeStep || null,
+            recordedAt: new Date().toISOString(),
+            frameCount: 0,
+            inputs: []
+        };
+        this.isRecording = true;
+        
+        console.log(`开始录制: 关卡 ${runState.levelId}, 种子 ${runState.seed}`);
+    }
+
+    /**
+     * 记录一个输入
+     * @param {number} frame - 输入生效的帧号（下一次逻辑更新的帧）
+     * @param {string} type - 输入类型
+     * @param {Object} data - 输入数据
+     */
+    record(frame, type, data) {
+        if (!this.isRecording) return;
+        
+        const inputs = this.recording.inputs;
+        const last = inputs[inputs.length - 1];
+        
+        // 同一帧内连续的鼠标移动只有最后一次有效，合并以减小文件
+        if (type === ReplayInputType.MOVE && last && last.type === ReplayInputType.MOVE && last.frame === frame) {
+            last.x = data.x;
+            last.y = data.y;
+            return;
+        }
+        
+        inputs.push({ frame, type, ...data });
+    }
+
+    /**
+     * 记录键盘输入
+     * @param {number} frame - 帧号
+     * @param {string} key - 按键
+     */
+    recordKey(frame, key) {
+        this.record(frame, ReplayInputType.KEY, { key });
+    }
+
+    /**
+     * 记录鼠标点击
+     * @param {number} frame - 帧号
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     */
+    recordClick(frame, x, y) {
+        this.record(frame, ReplayInputType.CLICK, { x, y });
+    }
+
+    /**
+     * 记录鼠标移动
+     * @param {number} frame - 帧号
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     */
+    recordMove(frame, x, y) {
+        this.record(frame, ReplayInputType.MOVE, { x, y });
+    }
+
+    /**
+     * 记录鼠标按下
+     * @param {number} frame - 帧号
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     */
+    recordDown(frame, x, y) {
+        this.record(frame, ReplayInputType.DOWN, { x, y });
+    }
+
+    /**
+     * 记录鼠标松开
+     * @param {number} frame - 帧号
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     */
+    recordUp(frame, x, y) {
+        this.record(frame, ReplayInputType.UP, { x, y });
+    }
+
+    /**
+     * 停止录制
+     * @param {number} frameCount - 录制期间执行的总帧数
+     * @returns {Object|null} 录像数据
+     */
+    stop(frameCount) {
+        if (!this.isRecording) return this.recording;
+        
+        this.recording.frameCount = frameCount;
+        this.isRecording = false;
+        
+        console.log(`录制结束: ${frameCount} 帧, ${this.recording.inputs.length} 个输入`);
+        return this.recording;
+    }
+
+    /**
+     * 获取最近一次录像
+     */
+    getRecording() {
+        return this.recording;
+    }
+
+    /**
+     * 导出录像为JSON
+     * @param {Object} recording - 录像数据
+     */
+    static exportRecording(recording) {
+        return JSON.stringify(recording);
+    }
+
+    /**
+     * 从JSON导入录像
+     * @param {string} json - 录像JSON
+     * @returns {Object|null} 录像数据，格式无效时返回null
+     */
+    static importRecording(json) {
+        let recording;
+        try {
+            recording = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            console.error('录像文件解析失败:', error);
+            return null;
+        }
+        
+        if (!recording || typeof recording !== 'object') {
+            console.warn('录像文件格式无效');
+            return null;
+        }
+        
+        if (recording.version !== REPLAY_FORMAT_VERSION) {
+            console.warn(`不支持的录像版本: ${recording.version}`);
+            return null;
+        }
+        
+        if (recording.seed === undefined || !recording.levelId || !Array.isArray(recording.inputs)) {
+            console.warn('录像文件缺少种子、关卡或输入数据');
+            return null;
+        }
+        
+        const validTypes = Object.values(ReplayInputType);
+        const isValidInput = (input) => input && Number.isInteger(input.frame) && input.frame >= 0 && validTypes.includes(input.type);
+        if (!recording.inputs.every(isValidInput)) {
+            console.warn('录像文件包含无效的输入记录');
+            return null;
+        }
+        
+        return recording;
+    }
+}
\ No newline at end of file
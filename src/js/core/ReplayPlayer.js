@@ -0,0 +1,112 @@
+/**
+ * 录像播放器
+ * 按帧号取出录制的输入交给 GameEngine 重新分发，并提供播放/暂停/快进控制
+ */
+
+// 可选的快进倍速
+export const ReplaySpeeds = [1, 2, 4, 8];
+
+export class ReplayPlayer {
+    /**
+     * @param {Object} recording - 录像数据（见 InputRecorder）
+     */
+    constructor(recording) {
+        this.recording = recording;
+        this.nextInputIndex = 0;
+        this.isPaused = false;
+        this.speed = 1;
+    }
+
+    /**
+     * 播放
+     */
+    play() {
+        this.isPaused = false;
+    }
+
+    /**
+     * 暂停
+     */
+    pause() {
+        this.isPaused = true;
+    }
+
+    /**
+     * 切换播放/暂停
+     */
+    togglePause() {
+        this.isPaused = !this.isPaused;
+        return this.isPaused;
+    }
+
+    /**
+     * 设置播放倍速
+     * @param {number} speed - 倍速
+     */
+    setSpeed(speed) {
+        if (!ReplaySpeeds.includes(speed)) {
+            console.warn(`不支持的回放倍速: ${speed}`);
+            return false;
+        }
+        this.speed = speed;
+        return true;
+    }
+
+    /**
+     * 切换到下一档倍速（循环）
+     */
+    cycleSpeed() {
+        const index = ReplaySpeeds.indexOf(this.speed);
+        this.speed = ReplaySpeeds[(index + 1) % ReplaySpeeds.length];
+        return this.speed;
+    }
+
+    /**
+     * 获取时间缩放（暂停时为0）
+     */
+    getTimeScale() {
+        return this.isPaused ? 0 : this.speed;
+    }
+
+    /**
+     * 取出在指定帧（及之前）生效的输入
+     * @param {number} frame - 帧号
+     */
+    takeInputsForFrame(frame) {
+        const inputs = [];
+        const recorded = this.recording.inputs;
+        
+        while (this.nextInputIndex < recorded.length && recorded[this.nextInputIndex].frame <= frame) {
+            inputs.push(recorded[this.nextInputIndex]);
+            this.nextInputIndex++;
+        }
+        
+        return inputs;
+    }
+
+    /**
+     * 是否已播放完毕
+     * @param {number} frame - 已执行的帧数
+     */
+    isFinished(frame) {
+        return frame >= this.recording.frameCount && this.nextInputIndex >= this.recording.inputs.length;
+    }
+
+    /**
+     * 获取播放进度（0-1）
+     * @param {number} frame - 已执行的帧数
+     */
+    getProgress(frame) {
+        if (!this.recording.frameCount) return 1;
+        return Math.min(1, frame / this.recording.frameCount);
+    }
+
+    /**
+     * 重置到开头
+     */
+    reset() {
+        this.nextInputIndex = 0;
+        this.isPaused = false;
+        this.speed = 1;
+    }
+}
\ No newline at end of file
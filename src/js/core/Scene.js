@@ -105,6 +105,24 @@ export class Scene {
         // 子类重写此方法
     }
 
+    /**
+     * 处理鼠标按下
+     * @param {number} x - 鼠标X坐标
+     * @param {number} y - 鼠标Y坐标
+     */
+    handleMouseDown(x, y) {
+        // 子类重写此方法
+    }
+
+    /**
+     * 处理鼠标松开
+     * @param {number} x - 鼠标X坐标
+     * @param {number} y - 鼠标Y坐标
+     */
+    handleMouseUp(x, y) {
+        // 子类重写此方法
+    }
+
     /**
      * 添加实体
      * @param {Object} entity - 实体对象
@@ -20,6 +20,14 @@ export class SceneManager {
         console.log(`场景 ${name} 已注册`);
     }
 
+    /**
+     * 获取已注册的场景
+     * @param {string} name - 场景名称
+     */
+    getScene(name) {
+        return this.scenes.get(name) || null;
+    }
+
     /**
      * 加载场景
      * @param {string} sceneName - 场景名称
@@ -84,20 +92,22 @@ export class SceneManager {
     /**
      * 更新当前场景
      * @param {number} deltaTime - 时间间隔
+     * @param {number} simulationDeltaTime - 经过时间缩放的模拟时间间隔
      */
-    update(deltaTime) {
+    update(deltaTime, simulationDeltaTime = deltaTime) {
         if (this.currentScene && !this.isTransitioning) {
-            this.currentScene.update(deltaTime);
+            this.currentScene.update(deltaTime, simulationDeltaTime);
         }
     }
 
     /**
      * 渲染当前场景
      * @param {RenderSystem} renderSystem - 渲染系统
+     * @param {number} alpha - 插值系数
      */
-    render(renderSystem) {
+    render(renderSystem, alpha = 1) {
         if (this.currentScene && !this.isTransitioning) {
-            this.currentScene.render(renderSystem);
+            this.currentScene.render(renderSystem, alpha);
         }
 
         // 如果正在切换场景，显示过渡效果
@@ -0,0 +1,103 @@
+/**
+ * 可设定种子的随机数生成器
+ * 基于 mulberry32 算法，相同种子产生相同的随机序列，用于可复现的游戏模拟
+ */
+export class SeededRandom {
+    /**
+     * @param {number|string} seed - 随机种子，不传时随机生成
+     */
+    constructor(seed = SeededRandom.createSeed()) {
+        this.seed = 0;
+        this.state = 0;
+        this.setSeed(seed);
+    }
+
+    /**
+     * 生成一个新的随机种子
+     */
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    /**
+     * 将字符串转换为32位种子（FNV-1a 哈希）
+     * @param {string} text - 字符串
+     */
+    static hashString(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * 设置种子并重置序列
+     * @param {number|string} seed - 随机种子
+     */
+    setSeed(seed) {
+        this.seed = typeof seed === 'string' ? SeededRandom.hashString(seed) : (Math.floor(seed) >>> 0);
+        this.state = this.seed;
+    }
+
+    /**
+     * 生成 [0, 1) 区间的随机数，可直接替代 Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * 生成 [min, max) 区间的随机数
+     * @param {number} min - 最小值
+     * @param {number} max - 最大值
+     */
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    /**
+     * 生成 [0, max) 区间的随机整数
+     * @param {number} max - 上限（不含）
+     */
+    nextInt(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * 从数组中随机选择一个元素
+     * @param {Array} array - 候选数组
+     */
+    pick(array) {
+        if (!array || array.length === 0) return null;
+        return array[this.nextInt(array.length)];
+    }
+
+    /**
+     * 按概率返回是否命中
+     * @param {number} probability - 概率（0-1）
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * 获取当前内部状态，用于存档或回放
+     */
+    getState() {
+        return this.state;
+    }
+
+    /**
+     * 恢复内部状态
+     * @param {number} state - 内部状态
+     */
+    setState(state) {
+        this.state = state >>> 0;
+    }
+}
\ No newline at end of file
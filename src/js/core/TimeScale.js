@@ -0,0 +1,56 @@
+/**
+ * 模拟时间缩放
+ * 全局的慢动作/快动作倍率，只作用于模拟系统（垃圾移动、生成、游戏时钟等），
+ * 界面动画和关卡倒计时仍按真实时间推进；多个效果同时生效时倍率相乘
+ */
+export class TimeScale {
+    constructor() {
+        this.modifiers = new Map(); // 效果ID -> 倍率
+    }
+
+    /**
+     * 设置（或替换）一个时间缩放效果
+     * @param {string} id - 效果ID
+     * @param {number} scale - 倍率，小于1为慢动作
+     */
+    setModifier(id, scale) {
+        this.modifiers.set(id, Math.max(0, scale));
+    }
+
+    /**
+     * 移除时间缩放效果
+     * @param {string} id - 效果ID
+     * @returns {boolean} 是否移除
+     */
+    removeModifier(id) {
+        return this.modifiers.delete(id);
+    }
+
+    /**
+     * 获取当前的总倍率
+     */
+    getScale() {
+        let scale = 1;
+        for (const modifier of this.modifiers.values()) {
+            scale *= modifier;
+        }
+        return scale;
+    }
+
+    /**
+     * 将真实时间间隔换算为模拟时间间隔
+     * @param {number} deltaTime - 真实时间间隔（毫秒）
+     */
+    apply(deltaTime) {
+        return deltaTime * this.getScale();
+    }
+
+    /**
+     * 清除所有效果
+     */
+    reset() {
+        this.modifiers.clear();
+    }
+}
+
+export const timeScale = new TimeScale();
\ No newline at end of file
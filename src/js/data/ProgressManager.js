@@ -3,6 +3,8 @@
  * 管理玩家进度、解锁内容和成就系统
  */
 import { GameConfig } from '../config/GameConfig.js';
+import { DailyChallenge } from '../systems/DailyChallenge.js';
+import { saveStorage, SaveSection } from './SaveStorage.js';
 
 export class PlayerProgress {
     constructor() {
@@ -11,6 +13,9 @@ export class PlayerProgress {
         this.unlockedContent = new Set();
         this.initializeAchievements();
         this.initializeUnlocks();
+        
+        // 事件回调
+        this.onAchievementUnlocked = null;
     }
 
     /**
@@ -49,7 +54,7 @@ export class PlayerProgress {
             // 成就系统
             achievements: {
                 unlocked: [],
-                progress: {},
+                progress: this.createAchievementProgress(), // 由游戏事件累计的成就进度
                 totalPoints: 0
             },
             
@@ -68,7 +73,8 @@ export class PlayerProgress {
                 soundVolume: 0.8,
                 musicVolume: 0.6,
                 difficulty: 'normal',
-                language: 'zh-CN'
+                language: 'zh-CN',
+                ruleset: 'standard' // 分类规则集（地区）
             },
             
             // 历史记录
@@ -76,11 +82,37 @@ export class PlayerProgress {
                 bestTimes: {},
                 accuracyHistory: [],
                 scoreHistory: [],
-                playDates: []
+                playDates: [],
+                dailyChallenges: {}, // 日期键 -> 每日挑战成绩（每天只记录第一次）
+                dailyStreak: 0, // 连续参加每日挑战的天数
+                bestDailyStreak: 0,
+                lastDailyDate: null
+            },
+            
+            // 无尽模式
+            endless: {
+                highScores: [], // 按分数降序
+                runsPlayed: 0,
+                bestSurvivalTime: 0
             }
         };
     }
 
+    /**
+     * 创建成就进度的默认值
+     */
+    createAchievementProgress() {
+        return {
+            trashTypeCounts: {}, // 垃圾类别 -> 正确分类数量
+            fastestLevelTime: null, // 通关最短用时（秒）
+            flawlessLevels: 0, // 零错误分类的通关次数
+            ecoFactsViewed: [], // 看过的环保知识序号
+            playStreak: 0, // 连续游戏天数
+            bestPlayStreak: 0,
+            lastPlayDate: null
+        };
+    }
+
     /**
      * 生成玩家ID
      */
@@ -251,6 +283,7 @@ export class PlayerProgress {
      * 更新关卡进度
      * @param {number} levelId - 关卡ID
      * @param {Object} result - 关卡结果
+     * @returns {Array<Object>} 新解锁的成就
      */
     updateLevelProgress(levelId, result) {
         const progress = this.playerData.levelProgress;
@@ -275,13 +308,16 @@ export class PlayerProgress {
         
         // 更新统计数据
         this.updateGameStats(result);
+        this.applyAchievementEvent('level_completed', result);
+        this.applyAchievementEvent('game_played');
         
         // 检查成就和解锁
-        this.checkAchievements();
+        const unlockedAchievements = this.checkAchievements();
         this.checkUnlocks();
         
         // 保存进度
         this.savePlayerData();
+        return unlockedAchievements;
     }
 
     /**
@@ -301,7 +337,10 @@ export class PlayerProgress {
         // 无错误奖励星级
         if (result.errors === 0) stars++;
         
-        return Math.min(stars, 5); // 最多5星
+        // 每丢失一条生命扣一星
+        stars -= result.livesLost || 0;
+        
+        return Math.max(1, Math.min(stars, 5)); // 1-5星
     }
 
     /**
@@ -398,6 +437,7 @@ export class PlayerProgress {
     checkAchievementCondition(condition) {
         const stats = this.playerData.gameStats;
         const progress = this.playerData.levelProgress;
+        const tracked = this.playerData.achievements.progress;
         
         switch (condition.type) {
             case 'level_complete':
@@ -424,11 +464,134 @@ export class PlayerProgress {
             case 'achievements_count':
                 return this.playerData.achievements.unlocked.length >= condition.value;
                 
+            case 'daily_streak':
+                return this.getBestStreak() >= condition.value;
+                
+            case 'trash_type_count':
+                return this.getTrashTypeCount(condition.trashType) >= condition.value;
+                
+            case 'time_limit': {
+                const fastest = tracked.fastestLevelTime;
+                return fastest !== null && fastest <= condition.value;
+            }
+                
+            case 'eco_facts_viewed':
+                return tracked.ecoFactsViewed.length >= condition.value;
+                
+            case 'flawless_level':
+                return tracked.flawlessLevels >= condition.value;
+                
             default:
                 return false;
         }
     }
 
+    /**
+     * 记录影响成就进度的游戏事件并检查成就
+     * @param {string} eventType - trash_classified、level_completed、eco_fact_viewed 或 game_played
+     * @param {Object} data - 事件数据
+     * @returns {Array<Object>} 新解锁的成就
+     */
+    recordAchievementEvent(eventType, data = {}) {
+        if (!this.applyAchievementEvent(eventType, data)) {
+            return [];
+        }
+        
+        const unlockedAchievements = this.checkAchievements();
+        
+        // 分类事件很频繁，平时随关卡结算一起保存
+        if (eventType !== 'trash_classified' || unlockedAchievements.length > 0) {
+            this.savePlayerData();
+        }
+        return unlockedAchievements;
+    }
+
+    /**
+     * 按事件累计成就进度（不检查成就）
+     * @param {string} eventType - 事件类型
+     * @param {Object} data - 事件数据
+     * @returns {boolean} 进度是否有变化
+     */
+    applyAchievementEvent(eventType, data = {}) {
+        const tracked = this.playerData.achievements.progress;
+        
+        switch (eventType) {
+            case 'trash_classified':
+                // data: { trashType, isCorrect }
+                if (!data.isCorrect) return false;
+                tracked.trashTypeCounts[data.trashType] = (tracked.trashTypeCounts[data.trashType] || 0) + 1;
+                return true;
+                
+            case 'level_completed':
+                // data: 关卡结果 { timeUsed, errors }
+                if (typeof data.timeUsed === 'number') {
+                    tracked.fastestLevelTime = tracked.fastestLevelTime === null
+                        ? data.timeUsed
+                        : Math.min(tracked.fastestLevelTime, data.timeUsed);
+                }
+                if (data.errors === 0) {
+                    tracked.flawlessLevels++;
+                }
+                return true;
+                
+            case 'eco_fact_viewed':
+                // data: { factIndex }
+                if (tracked.ecoFactsViewed.includes(data.factIndex)) return false;
+                tracked.ecoFactsViewed.push(data.factIndex);
+                return true;
+                
+            case 'game_played':
+                // data: { dateKey }，默认今天
+                return this.updatePlayStreak(tracked, data.dateKey || DailyChallenge.getDateKey());
+                
+            default:
+                console.warn(`未知的成就事件: ${eventType}`);
+                return false;
+        }
+    }
+
+    /**
+     * 更新连续游戏天数，同一天只计一次
+     * @param {Object} tracked - 成就进度
+     * @param {string} dateKey - 日期键
+     * @returns {boolean} 是否有变化
+     */
+    updatePlayStreak(tracked, dateKey) {
+        if (tracked.lastPlayDate && dateKey <= tracked.lastPlayDate) return false;
+        
+        const continued = tracked.lastPlayDate === DailyChallenge.getPreviousDateKey(dateKey);
+        tracked.playStreak = continued ? tracked.playStreak + 1 : 1;
+        tracked.bestPlayStreak = Math.max(tracked.bestPlayStreak, tracked.playStreak);
+        tracked.lastPlayDate = dateKey;
+        return true;
+    }
+
+    /**
+     * 最长连续天数：连续游戏和连续参加每日挑战取较大者
+     */
+    getBestStreak() {
+        return Math.max(this.playerData.history.bestDailyStreak, this.playerData.achievements.progress.bestPlayStreak);
+    }
+
+    /**
+     * 获取某类垃圾的累计正确分类数量
+     * @param {string} trashType - 垃圾类别
+     */
+    getTrashTypeCount(trashType) {
+        return this.playerData.achievements.progress.trashTypeCounts[trashType] || 0;
+    }
+
+    /**
+     * 下一条要展示的环保知识：优先没看过的，全部看过后随机
+     * @param {SeededRandom} rng - 全部看过后用来选择的随机数生成器，传入本局的生成器保证回放和模拟可复现
+     * @returns {number} 环保知识序号
+     */
+    getNextEcoFactIndex(rng) {
+        const viewed = this.playerData.achievements.progress.ecoFactsViewed;
+        const unviewed = GameConfig.ecoFacts.findIndex((fact, index) => !viewed.includes(index));
+        return unviewed !== -1 ? unviewed : rng.nextInt(GameConfig.ecoFacts.length);
+    }
+
     /**
      * 解锁成就
      * @param {string} achievementId - 成就ID
@@ -604,6 +767,7 @@ export class PlayerProgress {
     getAchievementProgressValue(condition) {
         const stats = this.playerData.gameStats;
         const progress = this.playerData.levelProgress;
+        const tracked = this.playerData.achievements.progress;
         
         switch (condition.type) {
             case 'levels_completed':
@@ -615,47 +779,204 @@ export class PlayerProgress {
             case 'streak':
                 return Math.min(stats.longestStreak / condition.value, 1);
                 
+            case 'level_complete':
+                return progress.completedLevels.includes(condition.value) ? 1 : 0;
+                
+            case 'all_levels_complete':
+                return Math.min(progress.completedLevels.length / GameConfig.levels.length, 1);
+                
+            case 'perfect_accuracy':
+                return Math.min(stats.overallAccuracy / condition.value, 1);
+                
+            case 'play_time':
+                return Math.min(stats.totalPlayTime / condition.value, 1);
+                
+            case 'achievements_count':
+                return Math.min(this.playerData.achievements.unlocked.length / condition.value, 1);
+                
+            case 'daily_streak':
+                return Math.min(this.getBestStreak() / condition.value, 1);
+                
+            case 'trash_type_count':
+                return Math.min(this.getTrashTypeCount(condition.trashType) / condition.value, 1);
+                
+            case 'time_limit': {
+                // 最快用时越接近时限进度越高
+                const fastest = tracked.fastestLevelTime;
+                return fastest === null ? 0 : Math.min(condition.value / Math.max(fastest, 1), 1);
+            }
+                
+            case 'eco_facts_viewed':
+                return Math.min(tracked.ecoFactsViewed.length / condition.value, 1);
+                
+            case 'flawless_level':
+                return Math.min(tracked.flawlessLevels / condition.value, 1);
+                
             default:
                 return 0;
         }
     }
 
     /**
-     * 保存玩家数据
+     * 获取全部成就及其解锁状态和进度，供成就画廊显示
+     * @returns {Array<Object>} [{ ...成就定义, unlocked, progress }]
      */
-    savePlayerData() {
-        try {
-            this.playerData.lastPlayedAt = Date.now();
-            localStorage.setItem('ecoDefenseProgress', JSON.stringify(this.playerData));
-        } catch (error) {
-            console.warn('保存玩家数据失败:', error);
+    getAchievementList() {
+        const unlocked = this.playerData.achievements.unlocked;
+        
+        return [...this.achievements.values()].map(achievement => ({
+            ...achievement,
+            unlocked: unlocked.includes(achievement.id),
+            progress: unlocked.includes(achievement.id) ? 1 : this.getAchievementProgressValue(achievement.condition)
+        }));
+    }
+
+    /**
+     * 获取玩家选择的分类规则集
+     */
+    getPreferredRuleset() {
+        return this.playerData.settings.ruleset || 'standard';
+    }
+
+    /**
+     * 设置玩家选择的分类规则集
+     * @param {string} rulesetId - 规则集ID
+     */
+    setPreferredRuleset(rulesetId) {
+        this.playerData.settings.ruleset = rulesetId;
+        this.savePlayerData();
+    }
+
+    /**
+     * 记录无尽模式成绩
+     * @param {Object} result - 无尽模式结果 { score, survivalTime, zombiesCollected, zombiesEscaped, difficulty }
+     * @returns {number} 在高分榜中的名次（从1开始），未上榜返回0
+     */
+    recordEndlessScore(result) {
+        const endless = this.playerData.endless;
+        const entry = {
+            score: result.score,
+            survivalTime: Math.round(result.survivalTime),
+            zombiesCollected: result.zombiesCollected,
+            difficulty: Math.round(result.difficulty * 10) / 10,
+            date: Date.now()
+        };
+        
+        endless.runsPlayed++;
+        endless.bestSurvivalTime = Math.max(endless.bestSurvivalTime, entry.survivalTime);
+        
+        // 同分时坚持更久的排在前面
+        endless.highScores.push(entry);
+        endless.highScores.sort((a, b) => b.score - a.score || b.survivalTime - a.survivalTime);
+        endless.highScores = endless.highScores.slice(0, GameConfig.endless.highScoreCount);
+        
+        this.applyAchievementEvent('game_played');
+        this.checkAchievements();
+        this.savePlayerData();
+        return endless.highScores.indexOf(entry) + 1;
+    }
+
+    /**
+     * 获取无尽模式高分榜
+     */
+    getEndlessHighScores() {
+        return [...this.playerData.endless.highScores];
+    }
+
+    /**
+     * 今天（或指定日期）的每日挑战是否已经计过分
+     * @param {string} dateKey - 日期键
+     */
+    hasPlayedDaily(dateKey = DailyChallenge.getDateKey()) {
+        return this.playerData.history.dailyChallenges[dateKey] !== undefined;
+    }
+
+    /**
+     * 记录每日挑战成绩，并更新连续挑战天数
+     * @param {Object} result - { dateKey, won, score, accuracy, timeRemaining }
+     * @returns {boolean} 是否记录（同一天只记录第一次）
+     */
+    recordDailyResult(result) {
+        const history = this.playerData.history;
+        if (this.hasPlayedDaily(result.dateKey)) {
+            return false;
         }
+        
+        history.dailyChallenges[result.dateKey] = {
+            won: result.won,
+            score: result.score,
+            accuracy: result.accuracy,
+            timeRemaining: result.timeRemaining,
+            playedAt: Date.now()
+        };
+        
+        // 前一天也参加了则连续天数+1，否则重新计算
+        const continued = history.lastDailyDate === DailyChallenge.getPreviousDateKey(result.dateKey);
+        history.dailyStreak = continued ? history.dailyStreak + 1 : 1;
+        history.bestDailyStreak = Math.max(history.bestDailyStreak, history.dailyStreak);
+        history.lastDailyDate = result.dateKey;
+        this.applyAchievementEvent('game_played', { dateKey: result.dateKey });
+        
+        this.checkAchievements();
+        this.savePlayerData();
+        return true;
     }
 
     /**
-     * 加载玩家数据
+     * 设置事件回调
+     * @param {Object} callbacks - 回调函数对象
+     */
+    setCallbacks(callbacks) {
+        this.onAchievementUnlocked = callbacks.onAchievementUnlocked;
+    }
+
+    /**
+     * 保存玩家数据到存档的玩家分区
+     */
+    savePlayerData() {
+        this.playerData.lastPlayedAt = Date.now();
+        saveStorage.saveSection(SaveSection.PLAYER, this.playerData);
+    }
+
+    /**
+     * 从存档的玩家分区加载玩家数据
      */
     loadPlayerData() {
-        try {
-            const saved = localStorage.getItem('ecoDefenseProgress');
-            if (saved) {
-                const data = JSON.parse(saved);
-                // 合并默认数据以确保新字段存在
-                return { ...this.createDefaultPlayerData(), ...data };
+        const data = saveStorage.loadSection(SaveSection.PLAYER);
+        
+        // 合并默认数据以确保新字段存在
+        return data ? this.mergeWithDefaults(data) : this.createDefaultPlayerData();
+    }
+
+    /**
+     * 将保存的数据与默认数据合并，各分组内新增的字段也会补上默认值
+     * @param {Object} data - 保存的玩家数据
+     */
+    mergeWithDefaults(data) {
+        const merged = { ...this.createDefaultPlayerData(), ...data };
+        
+        for (const [key, defaults] of Object.entries(this.createDefaultPlayerData())) {
+            if (defaults && typeof defaults === 'object' && !Array.isArray(defaults)) {
+                merged[key] = { ...defaults, ...(data[key] || {}) };
             }
-        } catch (error) {
-            console.warn('加载玩家数据失败:', error);
         }
         
-        return this.createDefaultPlayerData();
+        // 成就进度是分组内的分组，同样补上新增的字段
+        merged.achievements.progress = {
+            ...this.createAchievementProgress(),
+            ...(merged.achievements.progress || {})
+        };
+        
+        return merged;
     }
 
     /**
-     * 重置玩家数据
+     * 重置玩家数据，同时清空存档中的关卡分区，关卡解锁进度与玩家数据中的关卡进度一起回到第一关
      */
     resetProgress() {
         this.playerData = this.createDefaultPlayerData();
-        localStorage.removeItem('ecoDefenseProgress');
+        saveStorage.clearSection(SaveSection.PLAYER);
+        saveStorage.clearSection(SaveSection.LEVELS);
     }
 
     /**
@@ -677,7 +998,7 @@ export class PlayerProgress {
         try {
             const imported = JSON.parse(jsonData);
             if (imported.playerData) {
-                this.playerData = { ...this.createDefaultPlayerData(), ...imported.playerData };
+                this.playerData = this.mergeWithDefaults(imported.playerData);
                 this.savePlayerData();
                 return true;
             }
@@ -0,0 +1,208 @@
+/**
+ * 存档存储
+ * 关卡系统和进度管理器共用本地存储中的同一个存档，各自读写其中的一个分区；
+ * 存档带有版本号，读取旧版本存档时按顺序执行迁移
+ */
+
+export const SAVE_STORAGE_KEY = 'ecoDefenseProgress';
+
+// 当前存档格式版本，未带版本号的旧存档视为版本 0
+export const SAVE_SCHEMA_VERSION = 1;
+
+// 存档分区
+export const SaveSection = {
+    PLAYER: 'player', // 进度管理器的玩家数据
+    LEVELS: 'levels' // 关卡系统的解锁和关卡成绩
+};
+
+/**
+ * 创建当前版本的空存档
+ */
+export function createEmptySave() {
+    return {
+        version: SAVE_SCHEMA_VERSION,
+        [SaveSection.PLAYER]: null,
+        [SaveSection.LEVELS]: null
+    };
+}
+
+/**
+ * 迁移关卡系统旧存档：{ unlockedLevels, levelStats }
+ * 同时根据通关记录补出玩家数据中的关卡进度
+ * @param {Object} data - 旧存档
+ */
+export function migrateLevelSystemSave(data) {
+    const unlockedLevels = Array.isArray(data.unlockedLevels) && data.unlockedLevels.length > 0
+        ? [...data.unlockedLevels]
+        : [1];
+    const levelStats = data.levelStats || {};
+    const completedLevels = Object.keys(levelStats)
+        .filter(levelId => levelStats[levelId] && levelStats[levelId].completed)
+        .map(levelId => parseInt(levelId))
+        .sort((a, b) => a - b);
+    
+    return {
+        ...createEmptySave(),
+        player: {
+            levelProgress: {
+                maxUnlockedLevel: Math.max(...unlockedLevels),
+                completedLevels
+            }
+        },
+        levels: { unlockedLevels, levelStats }
+    };
+}
+
+/**
+ * 迁移进度管理器旧存档：整个玩家数据对象
+ * 同时根据关卡进度补出关卡系统的解锁列表，旧存档没有记录每关成绩
+ * @param {Object} data - 旧存档
+ */
+export function migratePlayerProgressSave(data) {
+    const progress = data.levelProgress || {};
+    const completedLevels = Array.isArray(progress.completedLevels) ? progress.completedLevels : [];
+    const maxUnlockedLevel = Math.max(1, progress.maxUnlockedLevel || 1, ...completedLevels);
+    
+    const unlockedLevels = [];
+    for (let levelId = 1; levelId <= maxUnlockedLevel; levelId++) {
+        unlockedLevels.push(levelId);
+    }
+    
+    const levelStats = {};
+    for (const levelId of completedLevels) {
+        levelStats[levelId] = { completed: true, bestScore: 0, bestAccuracy: 0 };
+    }
+    
+    return {
+        ...createEmptySave(),
+        player: data,
+        levels: { unlockedLevels, levelStats }
+    };
+}
+
+/**
+ * 版本 0 -> 1：按字段判断旧存档是哪个系统写入的
+ * @param {Object} data - 旧存档
+ */
+function migrateLegacySave(data) {
+    if (data.playerId || data.levelProgress) {
+        return migratePlayerProgressSave(data);
+    }
+    if (data.unlockedLevels || data.levelStats) {
+        return migrateLevelSystemSave(data);
+    }
+    
+    console.warn('无法识别的旧存档，已忽略');
+    return createEmptySave();
+}
+
+// 迁移函数：源版本 -> 迁移到下一版本的函数
+const SAVE_MIGRATIONS = {
+    0: migrateLegacySave
+};
+
+/**
+ * 将任意版本的存档迁移到当前版本
+ * @param {Object} data - 从本地存储读出的存档
+ * @returns {Object|null} 当前版本的存档，无效数据返回null
+ */
+export function migrateSave(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+    
+    let save = data;
+    let version = Number.isInteger(data.version) ? data.version : 0;
+    
+    if (version > SAVE_SCHEMA_VERSION) {
+        console.warn(`存档版本 ${version} 高于当前版本 ${SAVE_SCHEMA_VERSION}，按当前版本读取`);
+        return save;
+    }
+    
+    while (version < SAVE_SCHEMA_VERSION) {
+        save = SAVE_MIGRATIONS[version](save);
+        version = save.version;
+    }
+    
+    return save;
+}
+
+export class SaveStorage {
+    /**
+     * @param {string} storageKey - 本地存储键名
+     */
+    constructor(storageKey = SAVE_STORAGE_KEY) {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * 是否有本地存储（Node 中的无界面模拟没有）
+     */
+    isAvailable() {
+        return typeof localStorage !== 'undefined';
+    }
+
+    /**
+     * 读取整个存档，旧版本存档会先迁移到当前版本
+     * @returns {Object} 当前版本的存档
+     */
+    load() {
+        if (!this.isAvailable()) return createEmptySave();
+        
+        try {
+            const saved = localStorage.getItem(this.storageKey);
+            const save = saved ? migrateSave(JSON.parse(saved)) : null;
+            if (save) {
+                return { ...createEmptySave(), ...save };
+            }
+        } catch (error) {
+            console.warn('读取存档失败:', error);
+        }
+        
+        return createEmptySave();
+    }
+
+    /**
+     * 读取存档分区
+     * @param {string} section - 分区名
+     * @returns {Object|null} 分区数据，没有保存过时返回null
+     */
+    loadSection(section) {
+        return this.load()[section] || null;
+    }
+
+    /**
+     * 写入存档分区，其它分区保持不变
+     * @param {string} section - 分区名
+     * @param {Object} data - 分区数据
+     * @returns {boolean} 是否写入
+     */
+    saveSection(section, data) {
+        if (!Object.values(SaveSection).includes(section)) {
+            console.warn(`未知的存档分区: ${section}`);
+            return false;
+        }
+        if (!this.isAvailable()) return false;
+        
+        try {
+            const save = this.load();
+            save.version = SAVE_SCHEMA_VERSION;
+            save[section] = data;
+            localStorage.setItem(this.storageKey, JSON.stringify(save));
+            return true;
+        } catch (error) {
+            console.warn('保存存档失败:', error);
+            return false;
+        }
+    }
+
+    /**
+     * 清空存档分区，其它分区保持不变
+     * @param {string} section - 分区名
+     * @returns {boolean} 是否写入
+     */
+    clearSection(section) {
+        return this.saveSection(section, null);
+    }
+}
+
+// 创建全局存档存储实例
+export const saveStorage = new SaveStorage();
\ No newline at end of file
@@ -2,7 +2,8 @@
  * 统计数据管理器
  * 管理游戏中的各种统计数据和成就
  */
-import { GameConfig } from '../config/GameConfig.js';
+import { TrashType, TrashBinType } from '../config/GameConfig.js';
+import { trashCatalog } from '../config/TrashCatalog.js';
 
 export class GameStatistics {
     constructor() {
@@ -26,16 +27,17 @@ export class GameStatistics {
             timeSpent: 0,
             levelsCompleted: 0,
             trashCollected: {
-                [GameConfig.TrashType.KITCHEN_WASTE]: 0,
-                [GameConfig.TrashType.RECYCLABLE]: 0,
-                [GameConfig.TrashType.HAZARDOUS]: 0,
-                [GameConfig.TrashType.OTHER]: 0
+                [TrashType.KITCHEN_WASTE]: 0,
+                [TrashType.RECYCLABLE]: 0,
+                [TrashType.HAZARDOUS]: 0,
+                [TrashType.OTHER]: 0
             },
+            itemsCollected: {}, // 按物品ID统计
             binUsage: {
-                [GameConfig.TrashBinType.KITCHEN_WASTE]: 0,
-                [GameConfig.TrashBinType.RECYCLABLE]: 0,
-                [GameConfig.TrashBinType.HAZARDOUS]: 0,
-                [GameConfig.TrashBinType.OTHER]: 0
+                [TrashBinType.KITCHEN_WASTE]: 0,
+                [TrashBinType.RECYCLABLE]: 0,
+                [TrashBinType.HAZARDOUS]: 0,
+                [TrashBinType.OTHER]: 0
             },
             streaks: {
                 current: 0,
@@ -73,21 +75,36 @@ export class GameStatistics {
         levelData.attempts++;
         levelData.lastPlayedAt = Date.now();
         levelData.currentAttemptStart = Date.now();
+        levelData.currentAttempt = this.createAttemptStats();
+    }
+
+    /**
+     * 创建单次挑战的分类统计（按垃圾类别记录分对和分错的数量）
+     */
+    createAttemptStats() {
+        const attempt = {};
+        for (const trashType of Object.values(TrashType)) {
+            attempt[trashType] = { correct: 0, incorrect: 0 };
+        }
+        return attempt;
     }
 
     /**
      * 记录正确分类
-     * @param {string} trashType - 垃圾类型
+     * @param {string} itemId - 物品ID（也接受垃圾类型）
      * @param {number} binType - 垃圾桶类型
      * @param {number} points - 获得分数
      */
-    recordCorrectClassification(trashType, binType, points = 10) {
+    recordCorrectClassification(itemId, binType, points = 10) {
+        const trashType = trashCatalog.getCategory(itemId) || itemId;
+        
         // 更新会话统计
         this.sessionStats.correctClassifications++;
         this.sessionStats.totalAttempts++;
         this.sessionStats.score += points;
         this.sessionStats.trashCollected[trashType]++;
-        this.sessionStats.binUsage[binType]++;
+        this.incrementItemCount(this.sessionStats, itemId);
+        this.incrementBinUsage(this.sessionStats, binType);
         this.sessionStats.streaks.current++;
         
         // 更新最佳连击
@@ -102,7 +119,9 @@ export class GameStatistics {
             levelData.stats.totalAttempts++;
             levelData.stats.score += points;
             levelData.stats.trashCollected[trashType]++;
-            levelData.stats.binUsage[binType]++;
+            this.incrementItemCount(levelData.stats, itemId);
+            this.incrementBinUsage(levelData.stats, binType);
+            this.recordAttempt(levelData, trashType, 'correct');
         }
         
         // 更新准确率
@@ -112,13 +131,50 @@ export class GameStatistics {
         this.checkAchievements();
     }
 
+    /**
+     * 记入本次挑战的分类统计
+     * @param {Object} levelData - 关卡统计数据
+     * @param {string} trashType - 垃圾类别
+     * @param {string} outcome - 'correct' 或 'incorrect'
+     */
+    recordAttempt(levelData, trashType, outcome) {
+        const category = levelData.currentAttempt && levelData.currentAttempt[trashType];
+        if (category) {
+            category[outcome]++;
+        }
+    }
+
+    /**
+     * 按物品ID累计收集数量
+     * @param {Object} stats - 统计数据
+     * @param {string} itemId - 物品ID
+     */
+    incrementItemCount(stats, itemId) {
+        if (!trashCatalog.hasItem(itemId)) return;
+        
+        // 兼容没有物品统计的旧存档
+        if (!stats.itemsCollected) {
+            stats.itemsCollected = {};
+        }
+        stats.itemsCollected[itemId] = (stats.itemsCollected[itemId] || 0) + 1;
+    }
+
+    /**
+     * 累计垃圾桶使用次数，规则集额外的垃圾桶类型（如德国的 5、6）首次使用时才加入统计
+     * @param {Object} stats - 统计数据
+     * @param {number} binType - 垃圾桶类型
+     */
+    incrementBinUsage(stats, binType) {
+        stats.binUsage[binType] = (stats.binUsage[binType] || 0) + 1;
+    }
+
     /**
      * 记录错误分类
-     * @param {string} trashType - 垃圾类型
+     * @param {string} itemId - 物品ID（也接受垃圾类型）
      * @param {number} wrongBinType - 错误的垃圾桶类型
      * @param {number} correctBinType - 正确的垃圾桶类型
      */
-    recordIncorrectClassification(trashType, wrongBinType, correctBinType) {
+    recordIncorrectClassification(itemId, wrongBinType, correctBinType) {
         // 更新会话统计
         this.sessionStats.incorrectClassifications++;
         this.sessionStats.totalAttempts++;
@@ -129,28 +185,30 @@ export class GameStatistics {
         if (levelData) {
             levelData.stats.incorrectClassifications++;
             levelData.stats.totalAttempts++;
+            this.recordAttempt(levelData, trashCatalog.getCategory(itemId) || itemId, 'incorrect');
         }
         
         // 更新准确率
         this.updateAccuracy();
         
         // 记录错误类型用于分析
-        this.recordClassificationError(trashType, wrongBinType, correctBinType);
+        this.recordClassificationError(itemId, wrongBinType, correctBinType);
     }
 
     /**
      * 记录分类错误
-     * @param {string} trashType - 垃圾类型
+     * @param {string} itemId - 物品ID（也接受垃圾类型）
      * @param {number} wrongBinType - 错误的垃圾桶类型
      * @param {number} correctBinType - 正确的垃圾桶类型
      */
-    recordClassificationError(trashType, wrongBinType, correctBinType) {
+    recordClassificationError(itemId, wrongBinType, correctBinType) {
         if (!this.sessionStats.errors) {
             this.sessionStats.errors = [];
         }
         
         this.sessionStats.errors.push({
-            trashType,
+            itemId,
+            trashType: trashCatalog.getCategory(itemId) || itemId,
             wrongBinType,
             correctBinType,
             timestamp: Date.now()
@@ -226,6 +284,22 @@ export class GameStatistics {
         return this.levelStats.get(levelId) || null;
     }
 
+    /**
+     * 获取关卡本次挑战的分类明细
+     * @param {number} levelId - 关卡ID
+     * @returns {Array<Object>} [{ trashType, correct, incorrect }]，没有记录时为空数组
+     */
+    getAttemptBreakdown(levelId) {
+        const levelData = this.levelStats.get(levelId);
+        if (!levelData || !levelData.currentAttempt) return [];
+        
+        return Object.entries(levelData.currentAttempt).map(([trashType, counts]) => ({
+            trashType,
+            correct: counts.correct,
+            incorrect: counts.incorrect
+        }));
+    }
+
     /**
      * 获取会话统计数据
      */
@@ -249,6 +323,7 @@ export class GameStatistics {
             totalLevelsCompleted: this.countCompletedLevels(),
             averageAccuracy: this.calculateOverallAccuracy(),
             favoriteTrashType: this.getFavoriteTrashType(),
+            favoriteItem: this.getFavoriteItem(),
             mostUsedBin: this.getMostUsedBin()
         };
     }
@@ -309,6 +384,44 @@ export class GameStatistics {
         return favoriteType;
     }
 
+    /**
+     * 获取收集最多的具体物品
+     */
+    getFavoriteItem() {
+        let maxCount = 0;
+        let favoriteItem = null;
+        
+        for (const [itemId, count] of Object.entries(this.sessionStats.itemsCollected)) {
+            if (count > maxCount) {
+                maxCount = count;
+                favoriteItem = itemId;
+            }
+        }
+        
+        return favoriteItem;
+    }
+
+    /**
+     * 按物品统计收集和错误次数
+     */
+    getItemStats() {
+        const itemStats = {};
+        
+        for (const [itemId, count] of Object.entries(this.sessionStats.itemsCollected)) {
+            itemStats[itemId] = { itemId, name: trashCatalog.getItemName(itemId), collected: count, mistakes: 0 };
+        }
+        
+        for (const error of this.sessionStats.errors || []) {
+            if (!trashCatalog.hasItem(error.itemId)) continue;
+            if (!itemStats[error.itemId]) {
+                itemStats[error.itemId] = { itemId: error.itemId, name: trashCatalog.getItemName(error.itemId), collected: 0, mistakes: 0 };
+            }
+            itemStats[error.itemId].mistakes++;
+        }
+        
+        return itemStats;
+    }
+
     /**
      * 获取最常用的垃圾桶
      */
@@ -349,7 +462,7 @@ export class GameStatistics {
         }
         
         // 环保成就
-        if (this.sessionStats.trashCollected[GameConfig.TrashType.RECYCLABLE] >= 20) {
+        if (this.sessionStats.trashCollected[TrashType.RECYCLABLE] >= 20) {
             achievements.push('recycling_hero'); // 回收英雄
         }
         
@@ -460,7 +573,7 @@ export class GameStatistics {
             if (errorAnalysis.mostCommonError) {
                 recommendations.push({
                     type: 'error_pattern',
-                    message: `注意区分${errorAnalysis.mostCommonError.trashType}的正确分类`,
+                    message: `注意区分${trashCatalog.getItemName(errorAnalysis.mostCommonError.itemId)}的正确分类`,
                     priority: 'medium'
                 });
             }
@@ -492,9 +605,14 @@ export class GameStatistics {
         
         const errorCounts = {};
         
+        const firstErrorByPattern = {};
+        
         this.sessionStats.errors.forEach(error => {
-            const key = `${error.trashType}->${error.wrongBinType}`;
+            const key = `${error.itemId}->${error.wrongBinType}`;
             errorCounts[key] = (errorCounts[key] || 0) + 1;
+            if (!firstErrorByPattern[key]) {
+                firstErrorByPattern[key] = error;
+            }
         });
         
         const sortedErrors = Object.entries(errorCounts)
@@ -502,7 +620,7 @@ export class GameStatistics {
             .map(([pattern, count]) => ({ pattern, count }));
         
         return {
-            mostCommonError: this.sessionStats.errors[0],
+            mostCommonError: firstErrorByPattern[sortedErrors[0].pattern],
             errorPatterns: sortedErrors
         };
     }
@@ -511,6 +629,9 @@ export class GameStatistics {
      * 保存统计数据
      */
     saveStats() {
+        // 无本地存储的环境（如 Node 中的无界面模拟）不保存
+        if (typeof localStorage === 'undefined') return;
+        
         try {
             const dataToSave = {
                 levelStats: Array.from(this.levelStats.entries()),
@@ -528,6 +649,10 @@ export class GameStatistics {
      * 加载总体统计数据
      */
     loadOverallStats() {
+        if (typeof localStorage === 'undefined') {
+            return this.createEmptyStats();
+        }
+        
         try {
             const saved = localStorage.getItem('ecoDefenseStats');
             if (saved) {
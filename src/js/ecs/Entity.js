@@ -9,6 +9,52 @@ export class Entity {
         this.id = Entity.nextId++;
         this.components = new Map();
         this.active = true;
+        this.parent = null;
+        this.children = [];
+    }
+
+    /**
+     * 添加子实体，子实体已有父实体时先从原父实体移除
+     * @param {Entity} child - 子实体
+     */
+    addChild(child) {
+        if (child.parent) {
+            child.parent.removeChild(child);
+        }
+        child.parent = this;
+        this.children.push(child);
+        return this;
+    }
+
+    /**
+     * 移除子实体
+     * @param {Entity} child - 子实体
+     */
+    removeChild(child) {
+        const index = this.children.indexOf(child);
+        if (index > -1) {
+            this.children.splice(index, 1);
+            child.parent = null;
+        }
+        return this;
+    }
+
+    /**
+     * 获取所有子实体
+     */
+    getChildren() {
+        return [...this.children];
+    }
+
+    /**
+     * 获取最顶层的父实体，没有父实体时返回自身
+     */
+    getRoot() {
+        let root = this;
+        while (root.parent) {
+            root = root.parent;
+        }
+        return root;
     }
 
     /**
@@ -84,6 +130,14 @@ export class Entity {
      * 销毁实体
      */
     destroy() {
+        // 子实体随父实体一起销毁
+        for (const child of this.getChildren()) {
+            child.destroy();
+        }
+        if (this.parent) {
+            this.parent.removeChild(this);
+        }
+        
         this.components.clear();
         this.active = false;
     }
@@ -24,6 +24,9 @@ export class Movement extends Component {
     setSpeed(speed) {
         this.speed = speed;
         this.maxSpeed = speed;
+        if (this.isMoving) {
+            this.updateVelocity();
+        }
     }
 
     /**
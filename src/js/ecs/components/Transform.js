@@ -13,6 +13,7 @@ export class Transform extends Component {
         this.scale = scale;
         this.localPosition = new Vector2(x, y);
         this.worldPosition = new Vector2(x, y);
+        this.previousPosition = new Vector2(x, y); // 上一个模拟步的位置，用于渲染插值
     }
 
     /**
@@ -68,6 +69,21 @@ export class Transform extends Component {
         // 这里可以添加父子关系的坐标变换逻辑
     }
 
+    /**
+     * 记录当前位置作为上一步位置，在每个模拟步开始时调用
+     */
+    savePreviousPosition() {
+        this.previousPosition.copy(this.position);
+    }
+
+    /**
+     * 获取插值后的渲染位置
+     * @param {number} alpha - 插值系数（0-1）
+     */
+    getInterpolatedPosition(alpha = 1) {
+        return Vector2.lerp(this.previousPosition, this.position, alpha);
+    }
+
     /**
      * 获取前方向量
      */
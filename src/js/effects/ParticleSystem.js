@@ -3,11 +3,13 @@
  * 管理游戏中的各种粒子效果
  */
 import { Vector2 } from '../core/Vector2.js';
+import { SeededRandom } from '../core/SeededRandom.js';
 
 export class Particle {
     constructor(position, velocity, options = {}) {
         this.position = position.clone();
         this.velocity = velocity.clone();
+        this.previousPosition = position.clone(); // 上一步位置，用于渲染插值
         this.acceleration = options.acceleration || new Vector2(0, 0);
         
         this.life = options.life || 1000; // 生命周期（毫秒）
@@ -31,6 +33,7 @@ export class Particle {
         if (!this.isAlive) return;
         
         const dt = deltaTime / 1000; // 转换为秒
+        this.previousPosition.copy(this.position);
         
         // 应用重力
         if (this.gravity) {
@@ -72,16 +75,19 @@ export class Particle {
     /**
      * 渲染粒子
      * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {number} alpha - 插值系数
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
         if (!this.isAlive) return;
         
+        const position = Vector2.lerp(this.previousPosition, this.position, alpha);
+        
         ctx.save();
         ctx.globalAlpha = this.alpha;
         ctx.fillStyle = this.color;
         
         ctx.beginPath();
-        ctx.arc(this.position.x, this.position.y, this.size, 0, Math.PI * 2);
+        ctx.arc(position.x, position.y, this.size, 0, Math.PI * 2);
         ctx.fill();
         
         ctx.restore();
@@ -89,7 +95,11 @@ export class Particle {
 }
 
 export class ParticleSystem {
-    constructor() {
+    /**
+     * @param {Object} options - 选项 { rng: 随机数生成器 }
+     */
+    constructor(options = {}) {
+        this.rng = options.rng || new SeededRandom();
         this.particles = [];
         this.emitters = [];
     }
@@ -124,9 +134,9 @@ export class ParticleSystem {
             );
             
             this.createParticle(position, velocity, {
-                life: 800 + Math.random() * 400,
-                size: 2 + Math.random() * 3,
-                color: colors[Math.floor(Math.random() * colors.length)],
+                life: 800 + this.rng.next() * 400,
+                size: 2 + this.rng.next() * 3,
+                color: this.rng.pick(colors),
                 gravity: 20,
                 friction: 0.95
             });
@@ -144,13 +154,13 @@ export class ParticleSystem {
         
         for (let i = 0; i < dropCount; i++) {
             const velocity = new Vector2(
-                (Math.random() - 0.5) * 10,
-                Math.random() * 20 + 10
+                (this.rng.next() - 0.5) * 10,
+                this.rng.next() * 20 + 10
             );
             
             this.createParticle(position, velocity, {
-                life: 1000 + Math.random() * 500,
-                size: 1 + Math.random(),
+                life: 1000 + this.rng.next() * 500,
+                size: 1 + this.rng.next(),
                 color: color,
                 gravity: 50,
                 friction: 0.99
@@ -168,17 +178,17 @@ export class ParticleSystem {
         const colors = options.colors || ['#87CEEB', '#1E90FF', '#FFFFFF'];
         
         for (let i = 0; i < sparkleCount; i++) {
-            const angle = Math.random() * Math.PI * 2;
-            const speed = 20 + Math.random() * 30;
+            const angle = this.rng.next() * Math.PI * 2;
+            const speed = 20 + this.rng.next() * 30;
             const velocity = new Vector2(
                 Math.cos(angle) * speed,
                 Math.sin(angle) * speed
             );
             
             this.createParticle(position, velocity, {
-                life: 600 + Math.random() * 400,
-                size: 1 + Math.random() * 2,
-                color: colors[Math.floor(Math.random() * colors.length)],
+                life: 600 + this.rng.next() * 400,
+                size: 1 + this.rng.next() * 2,
+                color: this.rng.pick(colors),
                 friction: 0.96,
                 fadeOut: true
             });
@@ -196,13 +206,13 @@ export class ParticleSystem {
         
         for (let i = 0; i < smokeCount; i++) {
             const velocity = new Vector2(
-                (Math.random() - 0.5) * 15,
-                -Math.random() * 25 - 10
+                (this.rng.next() - 0.5) * 15,
+                -this.rng.next() * 25 - 10
             );
             
             this.createParticle(position, velocity, {
-                life: 1500 + Math.random() * 1000,
-                size: 3 + Math.random() * 4,
+                life: 1500 + this.rng.next() * 1000,
+                size: 3 + this.rng.next() * 4,
                 color: color,
                 friction: 0.98,
                 fadeOut: true
@@ -227,15 +237,15 @@ export class ParticleSystem {
                 targetPosition.y - startPosition.y
             ).normalize();
             
-            const speed = 80 + Math.random() * 40;
+            const speed = 80 + this.rng.next() * 40;
             const velocity = new Vector2(
-                direction.x * speed + (Math.random() - 0.5) * 20,
-                direction.y * speed + (Math.random() - 0.5) * 20
+                direction.x * speed + (this.rng.next() - 0.5) * 20,
+                direction.y * speed + (this.rng.next() - 0.5) * 20
             );
             
             this.createParticle(startPosition, velocity, {
-                life: 800 + Math.random() * 400,
-                size: 2 + Math.random() * 2,
+                life: 800 + this.rng.next() * 400,
+                size: 2 + this.rng.next() * 2,
                 color: color,
                 friction: 0.97
             });
@@ -259,10 +269,11 @@ export class ParticleSystem {
     /**
      * 渲染粒子系统
      * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {number} alpha - 插值系数
      */
-    render(ctx) {
+    render(ctx, alpha = 1) {
         for (const particle of this.particles) {
-            particle.render(ctx);
+            particle.render(ctx, alpha);
         }
     }
 
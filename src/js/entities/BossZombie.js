@@ -0,0 +1,202 @@
+/**
+ * Boss 垃圾实体类
+ * 由多个不同类别部件组成的大件垃圾（如坏掉的电视），部件是挂在 Boss 上的子实体，
+ * 随 Boss 沿轨道移动，各自需要被对应的垃圾桶接住；部件全部拆下即击败 Boss
+ */
+import { TrashZombie } from './TrashZombie.js';
+import { Vector2 } from '../core/Vector2.js';
+import { GameConfig } from '../config/GameConfig.js';
+
+export class BossZombie extends TrashZombie {
+    /**
+     * @param {string} bossId - Boss ID（见 GameConfig.bosses）
+     * @param {number} trackId - 轨道ID
+     * @param {Vector2} startPosition - 起始位置
+     * @param {Object} options - 模拟选项 { rng: 随机数生成器, clock: 游戏时钟 }
+     */
+    constructor(bossId, trackId, startPosition, options = {}) {
+        super(bossId, trackId, startPosition, options);
+        
+        this.bossId = bossId;
+        this.bossConfig = GameConfig.bosses[bossId];
+        this.isBoss = true;
+        this.isDefeated = false;
+        this.labelText = this.bossConfig.name;
+        
+        const renderer = this.getComponent('Renderer');
+        renderer.setColor(this.bossConfig.color);
+        renderer.setSize(this.bossConfig.size, this.bossConfig.size);
+        
+        // 创建部件
+        for (const part of this.bossConfig.parts) {
+            const zombie = new TrashZombie(part.itemId, trackId, startPosition, options);
+            zombie.partOffset = new Vector2(part.offset.x, part.offset.y);
+            this.addChild(zombie);
+        }
+        this.maxHealth = this.children.length;
+        this.layoutParts();
+    }
+
+    /**
+     * 获取剩余部件数量
+     */
+    getHealth() {
+        return this.children.filter(part => !part.isCollected).length;
+    }
+
+    /**
+     * 按前进方向摆放部件
+     */
+    layoutParts() {
+        const transform = this.getComponent('Transform');
+        const movement = this.getComponent('Movement');
+        if (!transform) return;
+        
+        const direction = movement ? movement.direction : new Vector2(-1, 0);
+        for (const part of this.children) {
+            const partTransform = part.getComponent('Transform');
+            if (!partTransform) continue;
+            
+            const offset = part.partOffset;
+            partTransform.setPosition(
+                transform.position.x + direction.x * offset.x - direction.y * offset.y,
+                transform.position.y + direction.y * offset.x + direction.x * offset.y
+            );
+        }
+    }
+
+    /**
+     * 设置轨道引用，部件随之摆放
+     * @param {Track} track - 轨道对象
+     */
+    setTrack(track) {
+        super.setTrack(track);
+        this.layoutParts();
+    }
+
+    /**
+     * 按走过的距离把 Boss 和部件放到轨道上
+     */
+    snapToTrack() {
+        super.snapToTrack();
+        this.layoutParts();
+    }
+
+    /**
+     * 更新 Boss
+     * @param {number} deltaTime - 时间间隔
+     */
+    update(deltaTime) {
+        if (this.isCollected) return;
+        
+        // 先更新部件（记录插值用的上一步位置、重试计时），被收集的部件从 Boss 上拆下
+        for (const part of this.getChildren()) {
+            if (part.isCollected) {
+                this.removeChild(part);
+            } else {
+                part.update(deltaTime);
+            }
+        }
+        
+        if (this.children.length === 0) {
+            this.defeat();
+            return;
+        }
+        
+        // 再移动 Boss，部件随之摆放
+        super.update(deltaTime);
+    }
+
+    /**
+     * 部件全部拆下，Boss 被击败
+     */
+    defeat() {
+        this.isDefeated = true;
+        this.isCollected = true;
+        
+        const movement = this.getComponent('Movement');
+        if (movement) {
+            movement.stopMoving();
+        }
+        
+        console.log(`Boss ${this.labelText}被拆解了！`);
+    }
+
+    /**
+     * 到达轨道终点，由垃圾僵尸系统通知部件离场后再销毁
+     */
+    reachEnd() {
+        console.log(`Boss ${this.labelText}冲到了终点，游戏失败！`);
+    }
+
+    /**
+     * 渲染 Boss 和部件
+     * @param {RenderSystem} renderSystem - 渲染系统
+     * @param {number} alpha - 插值系数
+     */
+    render(renderSystem, alpha = 1) {
+        super.render(renderSystem, alpha);
+        
+        for (const part of this.children) {
+            part.render(renderSystem, alpha);
+        }
+    }
+
+    /**
+     * 绘制 Boss 主体：承载部件的大箱体
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {Renderer} renderer - 渲染组件
+     */
+    drawTrashBody(ctx, renderer) {
+        const size = renderer.width;
+        
+        ctx.fillStyle = renderer.color;
+        ctx.strokeStyle = '#263238';
+        ctx.lineWidth = 3;
+        ctx.fillRect(-size / 2, -size / 2, size, size);
+        ctx.strokeRect(-size / 2, -size / 2, size, size);
+        
+        // 淡淡的图标表示是什么大件垃圾
+        ctx.save();
+        ctx.globalAlpha *= 0.35;
+        ctx.font = `${Math.round(size * 0.6)}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.bossConfig.icon, 0, 0);
+        ctx.restore();
+    }
+
+    /**
+     * 绘制 Boss 名称
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {string} text - 标签文字
+     */
+    drawTypeLabel(ctx, text = this.labelText) {
+        ctx.fillStyle = '#FFFFFF';
+        ctx.strokeStyle = '#000000';
+        ctx.lineWidth = 3;
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.strokeText(text, 0, -this.bossConfig.size / 2 - 8);
+        ctx.fillText(text, 0, -this.bossConfig.size / 2 - 8);
+    }
+
+    /**
+     * Boss 没有类别特效
+     */
+    drawEffects(ctx) {}
+
+    /**
+     * 获取 Boss 信息
+     */
+    getInfo() {
+        return {
+            ...super.getInfo(),
+            bossId: this.bossId,
+            health: this.getHealth(),
+            maxHealth: this.maxHealth,
+            isDefeated: this.isDefeated,
+            parts: this.children.map(part => part.itemId)
+        };
+    }
+}
\ No newline at end of file
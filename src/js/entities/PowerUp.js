@@ -0,0 +1,141 @@
+/**
+ * 道具实体类
+ * 沿轨道漂向终点的道具，玩家点击后触发效果；不会被垃圾桶收集，漂到终点即消失
+ */
+import { Entity } from '../ecs/Entity.js';
+import { Transform } from '../ecs/components/Transform.js';
+import { Renderer } from '../ecs/components/Renderer.js';
+import { Vector2 } from '../core/Vector2.js';
+import { GameConfig } from '../config/GameConfig.js';
+
+// 道具类型
+export const PowerUpType = {
+    SLOW_TIME: 'slowTime', // 全局慢动作
+    FREEZE_TRACK: 'freezeTrack', // 冻结所在轨道
+    DOUBLE_POINTS: 'doublePoints' // 双倍积分
+};
+
+export class PowerUp extends Entity {
+    /**
+     * @param {string} powerUpType - 道具类型（见 GameConfig.powerUps.types）
+     * @param {Track} track - 所在轨道
+     * @param {number} speed - 移动速度（像素/秒）
+     */
+    constructor(powerUpType, track, speed = GameConfig.powerUps.speed) {
+        super();
+        
+        this.powerUpType = powerUpType;
+        this.config = GameConfig.powerUps.types[powerUpType];
+        this.track = track;
+        this.trackId = track.id;
+        this.speed = speed;
+        this.trackDistance = 0;
+        this.radius = GameConfig.powerUps.radius;
+        this.isActivated = false;
+        this.effectTime = 0;
+        
+        const transform = new Transform(track.startPoint.x, track.startPoint.y);
+        this.addComponent(transform);
+        
+        const renderer = new Renderer();
+        renderer.setColor(this.config.color);
+        renderer.setSize(this.radius * 2, this.radius * 2);
+        this.addComponent(renderer);
+    }
+
+    /**
+     * 更新道具：沿轨道前进，冻结的轨道上停住
+     * @param {number} deltaTime - 时间间隔
+     */
+    update(deltaTime) {
+        if (this.isActivated) return;
+        
+        this.effectTime += deltaTime;
+        
+        const transform = this.getComponent('Transform');
+        transform.savePreviousPosition();
+        
+        if (!this.track.isFrozen) {
+            this.trackDistance = Math.min(this.track.length, this.trackDistance + this.speed * deltaTime / 1000);
+        }
+        const position = this.track.path.getPointAtDistance(this.trackDistance);
+        transform.setPosition(position.x, position.y);
+    }
+
+    /**
+     * 是否漂到了轨道终点
+     */
+    isAtEnd() {
+        return this.trackDistance >= this.track.length;
+    }
+
+    /**
+     * 点击位置是否落在道具上
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     */
+    containsPoint(x, y) {
+        const position = this.getComponent('Transform').position;
+        return Vector2.distance(position, new Vector2(x, y)) <= this.radius;
+    }
+
+    /**
+     * 标记为已激活，之后由垃圾僵尸系统移除
+     */
+    activate() {
+        this.isActivated = true;
+    }
+
+    /**
+     * 渲染道具
+     * @param {RenderSystem} renderSystem - 渲染系统
+     * @param {number} alpha - 插值系数
+     */
+    render(renderSystem, alpha = 1) {
+        if (this.isActivated) return;
+        
+        const transform = this.getComponent('Transform');
+        renderSystem.add2DRender((ctx) => {
+            const position = transform.getInterpolatedPosition(alpha);
+            const pulse = 1 + Math.sin(this.effectTime / 150) * 0.1;
+            
+            ctx.save();
+            ctx.translate(position.x, position.y);
+            
+            // 闪烁的光圈提示可以点击
+            ctx.fillStyle = this.config.color;
+            ctx.globalAlpha = 0.35;
+            ctx.beginPath();
+            ctx.arc(0, 0, this.radius * 1.4 * pulse, 0, Math.PI * 2);
+            ctx.fill();
+            
+            ctx.globalAlpha = 1;
+            ctx.strokeStyle = '#FFFFFF';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(0, 0, this.radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+            
+            ctx.font = `${this.radius}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(this.config.icon, 0, 1);
+            
+            ctx.restore();
+        }, renderSystem.layers.ENTITIES);
+    }
+
+    /**
+     * 获取道具信息
+     */
+    getInfo() {
+        return {
+            id: this.id,
+            powerUpType: this.powerUpType,
+            trackId: this.trackId,
+            trackDistance: this.trackDistance,
+            isActivated: this.isActivated
+        };
+    }
+}
\ No newline at end of file
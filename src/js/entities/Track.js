@@ -4,28 +4,65 @@
  */
 import { Vector2 } from '../core/Vector2.js';
 import { CollisionUtils } from '../utils/CollisionUtils.js';
+import { TrackPath } from '../utils/TrackPath.js';
 
 export class Track {
-    constructor(id, startPoint, endPoint, width) {
+    /**
+     * @param {number} id - 轨道ID
+     * @param {Vector2} startPoint - 起点
+     * @param {Vector2} endPoint - 终点
+     * @param {number} width - 轨道宽度
+     * @param {Object} options - 曲线几何 { waypoints: 折线拐点, smooth: 平滑穿过拐点, controls: 贝塞尔控制点 }，不传时为直线
+     */
+    constructor(id, startPoint, endPoint, width, options = {}) {
         this.id = id;
         this.startPoint = startPoint.clone();
         this.endPoint = endPoint.clone();
         this.width = width;
-        this.length = Vector2.distance(startPoint, endPoint);
+        this.waypoints = (options.waypoints || []).map(point => new Vector2(point.x, point.y));
+        this.controls = (options.controls || []).map(point => new Vector2(point.x, point.y));
+        this.smooth = !!options.smooth;
+        this.path = TrackPath.fromGeometry(this.startPoint, this.endPoint, {
+            waypoints: this.waypoints,
+            controls: this.controls,
+            smooth: this.smooth
+        });
+        this.length = this.path.length;
         this.direction = this.calculateDirection();
         this.placedBins = [];
         this.active = true;
+        this.junction = null; // 终点处的道岔，为空时终点通往生态核心区
+        this.isFrozen = false; // 冰冻道具生效时轨道上的物体停止前进
     }
 
     /**
-     * 计算轨道方向
+     * 根据几何描述创建轨道
+     * @param {number} id - 轨道ID
+     * @param {Object} geometry - { start: {x, y}, end: {x, y}, width, waypoints, smooth, controls }
+     * @param {number} defaultWidth - 未指定宽度时的默认宽度
      */
-    calculateDirection() {
-        const direction = new Vector2(
-            this.endPoint.x - this.startPoint.x,
-            this.endPoint.y - this.startPoint.y
+    static fromGeometry(id, geometry, defaultWidth = 80) {
+        return new Track(
+            id,
+            new Vector2(geometry.start.x, geometry.start.y),
+            new Vector2(geometry.end.x, geometry.end.y),
+            geometry.width || defaultWidth,
+            geometry
         );
-        return direction.normalize();
+    }
+
+    /**
+     * 计算轨道方向（起点处的切线方向）
+     */
+    calculateDirection() {
+        return this.path.getTangentAtDistance(0);
+    }
+
+    /**
+     * 是否为弯曲或多段轨道
+     */
+    isCurved() {
+        return !this.path.isStraight();
     }
 
     /**
@@ -36,8 +73,8 @@ export class Track {
     isPointOnTrack(x, y) {
         const point = new Vector2(x, y);
         
-        // 使用更精确的点到线段距离计算
-        const distance = CollisionUtils.pointToLineDistance(point, this.startPoint, this.endPoint);
+        // 计算点到轨道中心线（折线或曲线）的最短距离
+        const distance = this.path.getDistanceToPoint(point);
         
         // 检查是否在轨道宽度范围内
         return distance <= this.width / 2;
@@ -51,7 +88,7 @@ export class Track {
      */
     isPointInPlacementArea(x, y, margin = 0) {
         const point = new Vector2(x, y);
-        const distance = CollisionUtils.pointToLineDistance(point, this.startPoint, this.endPoint);
+        const distance = this.path.getDistanceToPoint(point);
         
         // 检查是否在轨道宽度加边距的范围内
         return distance <= (this.width / 2 - margin);
@@ -63,7 +100,7 @@ export class Track {
      * @param {number} radius - 半径
      */
     isCircleOverlapping(center, radius) {
-        const distance = CollisionUtils.pointToLineDistance(center, this.startPoint, this.endPoint);
+        const distance = this.path.getDistanceToPoint(center);
         return distance <= (this.width / 2 + radius);
     }
 
@@ -72,13 +109,7 @@ export class Track {
      * @param {Vector2} position - 位置
      */
     getProgressAlongTrack(position) {
-        const toPosition = new Vector2(
-            position.x - this.startPoint.x,
-            position.y - this.startPoint.y
-        );
-        
-        const projection = Vector2.dot(toPosition, this.direction);
-        return Math.max(0, Math.min(1, projection / this.length));
+        return this.path.project(position).progress;
     }
 
     /**
@@ -86,12 +117,15 @@ export class Track {
      * @param {number} progress - 进度（0-1）
      */
     getPositionAtProgress(progress) {
-        progress = Math.max(0, Math.min(1, progress));
-        
-        return new Vector2(
-            this.startPoint.x + this.direction.x * this.length * progress,
-            this.startPoint.y + this.direction.y * this.length * progress
-        );
+        return this.path.getPointAtProgress(progress);
+    }
+
+    /**
+     * 根据进度获取轨道的前进方向
+     * @param {number} progress - 进度（0-1）
+     */
+    getDirectionAtProgress(progress) {
+        return this.path.getTangentAtProgress(progress);
     }
 
     /**
@@ -100,7 +134,8 @@ export class Track {
     getCenterLine() {
         return {
             start: this.startPoint.clone(),
-            end: this.endPoint.clone()
+            end: this.endPoint.clone(),
+            points: this.path.getVertices()
         };
     }
 
@@ -108,40 +143,21 @@ export class Track {
      * 获取轨道边界
      */
     getBounds() {
-        // 计算垂直于轨道方向的向量
-        const perpendicular = new Vector2(-this.direction.y, this.direction.x);
-        const halfWidth = this.width / 2;
-        
-        // 计算四个角点
-        const topLeft = new Vector2(
-            this.startPoint.x + perpendicular.x * halfWidth,
-            this.startPoint.y + perpendicular.y * halfWidth
-        );
-        
-        const topRight = new Vector2(
-            this.endPoint.x + perpendicular.x * halfWidth,
-            this.endPoint.y + perpendicular.y * halfWidth
-        );
-        
-        const bottomLeft = new Vector2(
-            this.startPoint.x - perpendicular.x * halfWidth,
-            this.startPoint.y - perpendicular.y * halfWidth
-        );
-        
-        const bottomRight = new Vector2(
-            this.endPoint.x - perpendicular.x * halfWidth,
-            this.endPoint.y - perpendicular.y * halfWidth
-        );
+        const outline = this.path.getOutline(this.width / 2);
+        const last = outline.left.length - 1;
+        const xs = [...outline.left, ...outline.right].map(point => point.x);
+        const ys = [...outline.left, ...outline.right].map(point => point.y);
         
         return {
-            topLeft,
-            topRight,
-            bottomLeft,
-            bottomRight,
-            minX: Math.min(topLeft.x, topRight.x, bottomLeft.x, bottomRight.x),
-            maxX: Math.max(topLeft.x, topRight.x, bottomLeft.x, bottomRight.x),
-            minY: Math.min(topLeft.y, topRight.y, bottomLeft.y, bottomRight.y),
-            maxY: Math.max(topLeft.y, topRight.y, bottomLeft.y, bottomRight.y)
+            topLeft: outline.left[0],
+            topRight: outline.left[last],
+            bottomLeft: outline.right[0],
+            bottomRight: outline.right[last],
+            outline,
+            minX: Math.min(...xs),
+            maxX: Math.max(...xs),
+            minY: Math.min(...ys),
+            maxY: Math.max(...ys)
         };
     }
 
@@ -149,8 +165,14 @@ export class Track {
      * 检查是否可以在指定位置放置垃圾桶
      * @param {Vector2} position - 位置
      * @param {number} binRadius - 垃圾桶半径
+     * @param {TrashBin} ignoreBin - 不参与间距检查的垃圾桶（移动时为被移动的垃圾桶）
      */
-    canPlaceBin(position, binRadius = 20) {
+    canPlaceBin(position, binRadius = 20, ignoreBin = null) {
+        // 未开放的轨道不能放置
+        if (!this.active) {
+            return false;
+        }
+        
         // 检查位置是否在轨道的有效放置区域内
         if (!this.isPointInPlacementArea(position.x, position.y, binRadius)) {
             return false;
@@ -158,6 +180,7 @@ export class Track {
         
         // 检查与已放置垃圾桶的距离
         for (const bin of this.placedBins) {
+            if (bin === ignoreBin) continue;
             const distance = Vector2.distance(position, bin.position);
             if (distance < binRadius * 2.2) { // 稍微增加间距
                 return false;
@@ -182,12 +205,8 @@ export class Track {
      * @param {number} binRadius - 垃圾桶半径
      */
     getBestPlacementPosition(targetPosition, binRadius = 20) {
-        // 将目标位置投影到轨道上
-        const projectedPosition = CollisionUtils.projectPointOnLine(
-            targetPosition, 
-            this.startPoint, 
-            this.endPoint
-        );
+        // 将目标位置投影到轨道中心线上
+        const projectedPosition = this.path.project(targetPosition).position;
         
         // 检查投影位置是否可用
         if (this.canPlaceBin(projectedPosition, binRadius)) {
@@ -251,6 +270,28 @@ export class Track {
         }
     }
 
+    /**
+     * 冻结或解冻轨道
+     * @param {boolean} frozen - 是否冻结
+     */
+    setFrozen(frozen) {
+        this.isFrozen = frozen;
+    }
+
+    /**
+     * 沿轨道中心线创建画布路径
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     */
+    tracePath(ctx) {
+        const points = this.path.points;
+        
+        ctx.beginPath();
+        ctx.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; i++) {
+            ctx.lineTo(points[i].x, points[i].y);
+        }
+    }
+
     /**
      * 渲染轨道
      * @param {CanvasRenderingContext2D} ctx - 渲染上下文
@@ -259,44 +300,40 @@ export class Track {
         if (!this.active) return;
         
         ctx.save();
+        ctx.lineJoin = 'round';
         
-        // 绘制轨道背景
-        const bounds = this.getBounds();
-        
-        // 创建轨道路径
-        ctx.beginPath();
-        ctx.moveTo(bounds.topLeft.x, bounds.topLeft.y);
-        ctx.lineTo(bounds.topRight.x, bounds.topRight.y);
-        ctx.lineTo(bounds.bottomRight.x, bounds.bottomRight.y);
-        ctx.lineTo(bounds.bottomLeft.x, bounds.bottomLeft.y);
-        ctx.closePath();
-        
-        // 填充轨道背景
-        ctx.fillStyle = '#87CEEB'; // 天空蓝
-        ctx.fill();
-        
-        // 绘制轨道边框
+        // 沿中心线描宽线绘制轨道：先画略宽的边框，再画轨道背景
+        this.tracePath(ctx);
         ctx.strokeStyle = '#4682B4';
-        ctx.lineWidth = 2;
+        ctx.lineWidth = this.width + 4;
+        ctx.stroke();
+        
+        ctx.strokeStyle = '#87CEEB'; // 天空蓝
+        ctx.lineWidth = this.width;
         ctx.stroke();
         
         // 绘制轨道中心线
-        ctx.beginPath();
-        ctx.moveTo(this.startPoint.x, this.startPoint.y);
-        ctx.lineTo(this.endPoint.x, this.endPoint.y);
+        this.tracePath(ctx);
         ctx.strokeStyle = '#FFFFFF';
         ctx.lineWidth = 1;
         ctx.setLineDash([5, 5]);
         ctx.stroke();
         ctx.setLineDash([]);
         
+        // 冻结时覆盖一层冰面
+        if (this.isFrozen) {
+            this.tracePath(ctx);
+            ctx.strokeStyle = 'rgba(225, 245, 254, 0.6)';
+            ctx.lineWidth = this.width;
+            ctx.stroke();
+        }
+        
         // 绘制轨道ID（调试用）
         ctx.fillStyle = '#2E7D32';
         ctx.font = '14px Arial';
         ctx.textAlign = 'center';
-        const centerX = (this.startPoint.x + this.endPoint.x) / 2;
-        const centerY = (this.startPoint.y + this.endPoint.y) / 2;
-        ctx.fillText(`轨道 ${this.id}`, centerX, centerY - this.width / 2 - 10);
+        const center = this.getPositionAtProgress(0.5);
+        ctx.fillText(`轨道 ${this.id}`, center.x, center.y - this.width / 2 - 10);
         
         ctx.restore();
     }
@@ -314,6 +351,34 @@ export class Track {
         ctx.lineWidth = 1;
         ctx.strokeRect(bounds.minX, bounds.minY, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY);
         
+        // 弯曲轨道额外绘制两侧轮廓、采样顶点和沿途切线方向
+        if (this.isCurved()) {
+            ctx.strokeStyle = 'rgba(255, 0, 0, 0.5)';
+            for (const side of [bounds.outline.left, bounds.outline.right]) {
+                ctx.beginPath();
+                ctx.moveTo(side[0].x, side[0].y);
+                for (let i = 1; i < side.length; i++) {
+                    ctx.lineTo(side[i].x, side[i].y);
+                }
+                ctx.stroke();
+            }
+            
+            ctx.fillStyle = '#FFA500';
+            for (const point of this.path.points) {
+                ctx.fillRect(point.x - 1.5, point.y - 1.5, 3, 3);
+            }
+            
+            ctx.strokeStyle = '#8A2BE2';
+            for (let i = 1; i < 10; i++) {
+                const position = this.getPositionAtProgress(i / 10);
+                const direction = this.getDirectionAtProgress(i / 10);
+                ctx.beginPath();
+                ctx.moveTo(position.x, position.y);
+                ctx.lineTo(position.x + direction.x * 15, position.y + direction.y * 15);
+                ctx.stroke();
+            }
+        }
+        
         // 绘制起点和终点
         ctx.fillStyle = '#00FF00';
         ctx.beginPath();
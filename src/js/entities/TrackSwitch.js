@@ -0,0 +1,146 @@
+/**
+ * 道岔类
+ * 位于轨道分岔处，决定从上游轨道终点驶出的垃圾进入哪条分支，玩家点击切换
+ */
+import { Vector2 } from '../core/Vector2.js';
+
+export class TrackSwitch {
+    /**
+     * @param {number} id - 道岔ID
+     * @param {Track} incomingTrack - 上游轨道（道岔位于其终点）
+     * @param {Array<Track>} outgoingTracks - 分支轨道
+     * @param {Object} options - { initial: 初始分支索引, radius: 点击半径 }
+     */
+    constructor(id, incomingTrack, outgoingTracks, options = {}) {
+        this.id = id;
+        this.incomingTrack = incomingTrack;
+        this.outgoingTracks = [...outgoingTracks];
+        this.position = incomingTrack.endPoint.clone();
+        this.radius = options.radius || 22;
+        this.initialIndex = Math.max(0, Math.min(this.outgoingTracks.length - 1, options.initial || 0));
+        this.activeIndex = this.initialIndex;
+        this.toggleCount = 0;
+        this.flashTime = 0; // 切换后的高亮剩余时间
+    }
+
+    /**
+     * 获取当前接通的分支轨道
+     */
+    getActiveTrack() {
+        return this.outgoingTracks[this.activeIndex] || null;
+    }
+
+    /**
+     * 切换到下一条开放的分支
+     * @returns {Track|null} 切换后接通的轨道
+     */
+    toggle() {
+        for (let step = 1; step <= this.outgoingTracks.length; step++) {
+            const index = (this.activeIndex + step) % this.outgoingTracks.length;
+            if (this.outgoingTracks[index].active) {
+                this.activeIndex = index;
+                break;
+            }
+        }
+        
+        this.toggleCount++;
+        this.flashTime = 300;
+        return this.getActiveTrack();
+    }
+
+    /**
+     * 直接接通指定分支
+     * @param {number} trackId - 分支轨道ID
+     * @returns {boolean} 是否切换
+     */
+    setActiveTrack(trackId) {
+        const index = this.outgoingTracks.findIndex(track => track.id === trackId);
+        if (index === -1) {
+            console.warn(`道岔 ${this.id} 没有通往轨道 ${trackId} 的分支`);
+            return false;
+        }
+        
+        this.activeIndex = index;
+        return true;
+    }
+
+    /**
+     * 恢复到关卡开始时的分支
+     */
+    reset() {
+        this.activeIndex = this.initialIndex;
+        this.toggleCount = 0;
+        this.flashTime = 0;
+    }
+
+    /**
+     * 检查点是否在道岔的点击范围内
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     */
+    containsPoint(x, y) {
+        return Vector2.distance(this.position, new Vector2(x, y)) <= this.radius;
+    }
+
+    /**
+     * 更新道岔
+     * @param {number} deltaTime - 时间间隔
+     */
+    update(deltaTime) {
+        this.flashTime = Math.max(0, this.flashTime - deltaTime);
+    }
+
+    /**
+     * 渲染道岔
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     */
+    render(ctx) {
+        ctx.save();
+        
+        // 各分支的入口方向：接通的分支为绿色粗箭头，其余为灰色细线
+        const activeTrack = this.getActiveTrack();
+        for (const track of this.outgoingTracks) {
+            const isActive = track === activeTrack;
+            const tip = new Vector2(
+                this.position.x + track.direction.x * (this.radius + 18),
+                this.position.y + track.direction.y * (this.radius + 18)
+            );
+            
+            ctx.strokeStyle = isActive ? '#43A047' : 'rgba(120, 120, 120, 0.6)';
+            ctx.lineWidth = isActive ? 6 : 2;
+            ctx.beginPath();
+            ctx.moveTo(this.position.x, this.position.y);
+            ctx.lineTo(tip.x, tip.y);
+            ctx.stroke();
+            
+            if (isActive) {
+                const angle = Math.atan2(track.direction.y, track.direction.x);
+                ctx.fillStyle = '#43A047';
+                ctx.beginPath();
+                ctx.moveTo(tip.x + Math.cos(angle) * 8, tip.y + Math.sin(angle) * 8);
+                ctx.lineTo(tip.x + Math.cos(angle + 2.5) * 8, tip.y + Math.sin(angle + 2.5) * 8);
+                ctx.lineTo(tip.x + Math.cos(angle - 2.5) * 8, tip.y + Math.sin(angle - 2.5) * 8);
+                ctx.closePath();
+                ctx.fill();
+            }
+        }
+        
+        // 道岔本体
+        ctx.fillStyle = this.flashTime > 0 ? '#FFEB3B' : '#37474F';
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(this.position.x, this.position.y, this.radius, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+        
+        // 当前接通的轨道编号
+        ctx.fillStyle = this.flashTime > 0 ? '#37474F' : '#FFFFFF';
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`→${activeTrack ? activeTrack.id : '-'}`, this.position.x, this.position.y);
+        
+        ctx.restore();
+    }
+}
\ No newline at end of file
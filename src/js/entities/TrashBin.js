@@ -8,16 +8,45 @@ import { Renderer } from '../ecs/components/Renderer.js';
 import { Collider, ColliderType } from '../ecs/components/Collider.js';
 import { Vector2 } from '../core/Vector2.js';
 import { TrashBinType, TrashType, GameConfig } from '../config/GameConfig.js';
+import { rulesetManager } from '../config/ClassificationRulesets.js';
+import { TrashBinAnimator } from '../animation/TrashBinAnimator.js';
 
 export class TrashBin extends Entity {
-    constructor(type, position) {
+    /**
+     * @param {number} type - 垃圾桶类型
+     * @param {Vector2} position - 位置
+     * @param {ClassificationRuleset} ruleset - 分类规则集，默认使用当前规则集
+     */
+    constructor(type, position, ruleset = rulesetManager.getActiveRuleset()) {
         super();
         
         this.type = type;
-        this.config = GameConfig.trashBins[type];
-        this.collectRadius = this.config.collectRadius;
+        this.ruleset = ruleset;
+        this.config = ruleset.getBinConfig(type) || GameConfig.trashBins[type];
+        this.baseCollectRadius = this.config.collectRadius;
+        this.collectRadius = this.baseCollectRadius;
         this.collectTypes = [...this.config.collectTypes];
         
+        // 升级等级与由此得出的属性
+        this.upgrades = {};
+        for (const upgradeId of Object.keys(GameConfig.binUpgrades.options)) {
+            this.upgrades[upgradeId] = 0;
+        }
+        this.upgradeCoinsSpent = 0; // 升级累计花费的金币，撤销放置时一并退还
+        this.chewCooldown = GameConfig.binUpgrades.baseChewCooldown;
+        this.catchSlots = 1; // 可同时咀嚼的垃圾数
+        this.slowFactor = 1; // 光环内垃圾的速度倍数，1 表示没有光环
+        this.auraRadius = 0;
+        this.chewTimers = []; // 每件正在咀嚼的垃圾剩余的冷却时间
+        this.isSelected = false;
+        
+        // 容量：装满后停止收集，点击清空并停工一段时间
+        this.capacity = this.config.capacity || GameConfig.binCapacity.capacity;
+        this.fillLevel = 0;
+        this.isEmptying = false;
+        this.emptyTimer = 0;
+        this.animator = new TrashBinAnimator(this, { idle: false });
+        
         // 动画状态
         this.animationState = 'idle'; // idle, collecting, celebrating, angry
         this.animationTime = 0;
@@ -32,6 +61,14 @@ export class TrashBin extends Entity {
         this.initializeComponents(position);
     }
 
+    /**
+     * 垃圾桶位置（轨道据此检查放置间距）
+     */
+    get position() {
+        const transform = this.getComponent('Transform');
+        return transform ? transform.position : null;
+    }
+
     /**
      * 初始化实体组件
      * @param {Vector2} position - 初始位置
@@ -59,11 +96,191 @@ export class TrashBin extends Entity {
     }
 
     /**
-     * 检查是否可以收集指定类型的垃圾
-     * @param {string} trashType - 垃圾类型
+     * 检查是否可以收集指定垃圾（按规则集的物品对应关系判断）
+     * @param {string} itemId - 物品ID或垃圾类型
+     */
+    canCollect(itemId) {
+        return this.ruleset.canBinCollect(this.type, itemId);
+    }
+
+    /**
+     * 是否还有空闲的嘴可以吞下垃圾
+     */
+    canCatch() {
+        return !this.isEmptying && !this.isFull() && this.chewTimers.length < this.catchSlots;
+    }
+
+    /**
+     * 是否已装满
+     */
+    isFull() {
+        return this.fillLevel >= this.capacity;
+    }
+
+    /**
+     * 开始清空垃圾桶，停工期间不收集
+     * @returns {boolean} 是否开始清空
+     */
+    startEmptying() {
+        if (this.isEmptying || this.fillLevel === 0) return false;
+        
+        const duration = GameConfig.binCapacity.emptyDuration;
+        this.isEmptying = true;
+        this.emptyTimer = duration;
+        this.animator.playEmptyAnimation(duration);
+        console.log(`${this.config.name} 开始清空`);
+        return true;
+    }
+
+    /**
+     * 完成清空
+     */
+    finishEmptying() {
+        this.isEmptying = false;
+        this.emptyTimer = 0;
+        this.fillLevel = 0;
+        this.animator.clearAnimations();
+        this.setExpression('happy');
+    }
+
+    /**
+     * 是否正在咀嚼
+     */
+    isChewing() {
+        return this.chewTimers.length > 0;
+    }
+
+    /**
+     * 占用一张嘴咀嚼一段时间（接住垃圾时调用）
+     */
+    startChewing() {
+        this.chewTimers.push(this.chewCooldown);
+    }
+
+    /**
+     * 检查点是否在减速光环内
+     * @param {Vector2} position - 位置
+     */
+    isInSlowAura(position) {
+        if (this.slowFactor >= 1) return false;
+        
+        const transform = this.getComponent('Transform');
+        return Vector2.distance(transform.position, position) <= this.auraRadius;
+    }
+
+    /**
+     * 获取升级等级
+     * @param {string} upgradeId - 升级ID
+     */
+    getUpgradeLevel(upgradeId) {
+        return this.upgrades[upgradeId] || 0;
+    }
+
+    /**
+     * 获取下一级升级的价格，已满级时返回null
+     * @param {string} upgradeId - 升级ID
+     */
+    getUpgradeCost(upgradeId) {
+        const option = GameConfig.binUpgrades.options[upgradeId];
+        if (!option) return null;
+        
+        const cost = option.costs[this.getUpgradeLevel(upgradeId)];
+        return cost !== undefined ? cost : null;
+    }
+
+    /**
+     * 检查能否进行升级（不检查金币）
+     * @param {string} upgradeId - 升级ID
+     * @returns {{canUpgrade: boolean, reason: string, cost: number|null}}
      */
-    canCollect(trashType) {
-        return this.collectTypes.includes(trashType);
+    checkUpgrade(upgradeId) {
+        const option = GameConfig.binUpgrades.options[upgradeId];
+        if (!option) {
+            return { canUpgrade: false, reason: '未知的升级', cost: null };
+        }
+        
+        const cost = this.getUpgradeCost(upgradeId);
+        if (cost === null) {
+            return { canUpgrade: false, reason: '已达最高等级', cost: null };
+        }
+        
+        // 升级树：前置升级达到要求等级后才能解锁
+        for (const [requiredId, requiredLevel] of Object.entries(option.requires || {})) {
+            if (this.getUpgradeLevel(requiredId) < requiredLevel) {
+                const requiredName = GameConfig.binUpgrades.options[requiredId].name;
+                return { canUpgrade: false, reason: `需要先将${requiredName}升到 ${requiredLevel} 级`, cost: cost };
+            }
+        }
+        
+        return { canUpgrade: true, reason: '', cost: cost };
+    }
+
+    /**
+     * 升级一级（金币由垃圾桶系统扣除）
+     * @param {string} upgradeId - 升级ID
+     * @returns {boolean} 是否升级成功
+     */
+    applyUpgrade(upgradeId) {
+        const check = this.checkUpgrade(upgradeId);
+        if (!check.canUpgrade) {
+            console.warn(`${this.config.name} 无法升级: ${check.reason}`);
+            return false;
+        }
+        
+        this.upgrades[upgradeId]++;
+        this.upgradeCoinsSpent += check.cost;
+        this.updateUpgradeStats();
+        this.playAnimation('celebrating');
+        return true;
+    }
+
+    /**
+     * 获取升级状态（撤销放置时存入历史记录）
+     * @returns {{upgrades: Object, coinsSpent: number}}
+     */
+    getUpgradeState() {
+        return { upgrades: { ...this.upgrades }, coinsSpent: this.upgradeCoinsSpent };
+    }
+
+    /**
+     * 恢复升级状态
+     * @param {Object} state - getUpgradeState 返回的升级状态
+     */
+    restoreUpgradeState(state) {
+        this.upgrades = { ...state.upgrades };
+        this.upgradeCoinsSpent = state.coinsSpent;
+        this.updateUpgradeStats();
+    }
+
+    /**
+     * 清除全部升级
+     */
+    resetUpgrades() {
+        for (const upgradeId of Object.keys(this.upgrades)) {
+            this.upgrades[upgradeId] = 0;
+        }
+        this.upgradeCoinsSpent = 0;
+        this.updateUpgradeStats();
+    }
+
+    /**
+     * 根据升级等级重新计算收集半径、咀嚼冷却、同时咀嚼数和减速光环
+     */
+    updateUpgradeStats() {
+        const options = GameConfig.binUpgrades.options;
+        
+        this.collectRadius = this.baseCollectRadius + options.radius.radiusBonus * this.upgrades.radius;
+        const collider = this.getComponent('Collider');
+        if (collider) {
+            collider.bounds.radius = this.collectRadius;
+        }
+        
+        this.chewCooldown = GameConfig.binUpgrades.baseChewCooldown * Math.pow(options.speed.cooldownFactor, this.upgrades.speed);
+        this.catchSlots = 1 + this.upgrades.multiCatch;
+        
+        const slowLevel = this.upgrades.slow;
+        this.slowFactor = slowLevel > 0 ? options.slow.slowFactors[slowLevel - 1] : 1;
+        this.auraRadius = slowLevel > 0 ? this.collectRadius * options.slow.auraScale : 0;
     }
 
     /**
@@ -71,22 +288,33 @@ export class TrashBin extends Entity {
      * @param {TrashZombie} trash - 垃圾僵尸
      */
     collect(trash) {
-        const isCorrect = this.canCollect(trash.type);
+        const isCorrect = this.canCollect(trash.itemId || trash.type);
         
         this.collectCount++;
+        this.startChewing();
+        
+        // 被吐出重试的垃圾不占容量
+        if (isCorrect || !trash.canRetry()) {
+            this.fillLevel = Math.min(this.capacity, this.fillLevel + 1);
+        }
         
         if (isCorrect) {
             this.correctCollections++;
             this.playAnimation('celebrating');
             this.setExpression('happy');
             console.log(`${this.config.name} 正确收集了 ${trash.type}`);
-            return { success: true, correct: true, points: GameConfig.gameplay.correctScore };
+            return {
+                success: true,
+                correct: true,
+                points: GameConfig.gameplay.correctScore,
+                coins: GameConfig.binUpgrades.coinsPerCorrect
+            };
         } else {
             this.incorrectCollections++;
             this.playAnimation('angry');
             this.setExpression('angry');
             console.log(`${this.config.name} 错误收集了 ${trash.type}`);
-            return { success: true, correct: false, points: 0 };
+            return { success: true, correct: false, points: 0, coins: 0 };
         }
     }
 
@@ -137,6 +365,20 @@ export class TrashBin extends Entity {
     update(deltaTime) {
         this.animationTime += deltaTime;
         
+        // 咀嚼冷却
+        this.chewTimers = this.chewTimers
+            .map(remaining => remaining - deltaTime)
+            .filter(remaining => remaining > 0);
+        
+        // 清空停工
+        if (this.isEmptying) {
+            this.animator.update(deltaTime);
+            this.emptyTimer -= deltaTime;
+            if (this.emptyTimer <= 0) {
+                this.finishEmptying();
+            }
+        }
+        
         // 更新动画
         this.updateAnimation(deltaTime);
         
@@ -231,10 +473,14 @@ export class TrashBin extends Entity {
     renderBin(ctx, transform, renderer) {
         ctx.save();
         
-        // 应用变换
-        ctx.translate(transform.position.x, transform.position.y);
-        ctx.rotate(transform.rotation);
-        ctx.scale(transform.scale, transform.scale);
+        // 减速光环和选中圈不随动画缩放旋转
+        this.drawUpgradeAura(ctx, transform.position);
+        
+        // 应用变换（清空时叠加动画器的倾倒动画）
+        const animation = this.animator.getTransform();
+        ctx.translate(transform.position.x + animation.offset.x, transform.position.y + animation.offset.y);
+        ctx.rotate(transform.rotation + animation.rotation);
+        ctx.scale(transform.scale * animation.scale, transform.scale * animation.scale);
         
         // 绘制垃圾桶主体
         this.drawBinBody(ctx, renderer);
@@ -242,8 +488,14 @@ export class TrashBin extends Entity {
         // 绘制表情
         this.drawExpression(ctx);
         
-        // 绘制收集范围（调试模式）
-        if (this.showCollectionRange) {
+        // 绘制升级标记
+        this.drawUpgradeBadges(ctx, renderer);
+        
+        // 绘制容量
+        this.drawCapacityGauge(ctx, renderer);
+        
+        // 绘制收集范围（调试模式或升级过范围时）
+        if (this.showCollectionRange || this.upgrades.radius > 0) {
             this.drawCollectionRange(ctx);
         }
         
@@ -330,6 +582,97 @@ export class TrashBin extends Entity {
         ctx.stroke();
     }
 
+    /**
+     * 绘制减速光环和选中圈
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {Vector2} position - 垃圾桶位置
+     */
+    drawUpgradeAura(ctx, position) {
+        if (this.slowFactor < 1) {
+            ctx.fillStyle = 'rgba(100, 181, 246, 0.15)';
+            ctx.strokeStyle = 'rgba(100, 181, 246, 0.6)';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(position.x, position.y, this.auraRadius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.stroke();
+        }
+        
+        if (this.isSelected) {
+            ctx.strokeStyle = '#FFD700';
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(position.x, position.y, this.collectRadius + 4, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+
+    /**
+     * 绘制升级标记：底部每级一颗星点，双口吞画出第二张嘴，咀嚼中显示冷却进度
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {Renderer} renderer - 渲染组件
+     */
+    drawUpgradeBadges(ctx, renderer) {
+        const colors = { radius: '#FFD700', speed: '#FF7043', multiCatch: '#AB47BC', slow: '#64B5F6' };
+        const pips = [];
+        for (const [upgradeId, level] of Object.entries(this.upgrades)) {
+            for (let i = 0; i < level; i++) {
+                pips.push(colors[upgradeId] || '#FFFFFF');
+            }
+        }
+        
+        const pipY = renderer.height * 0.3 + 6;
+        const startX = -(pips.length - 1) * 4;
+        pips.forEach((color, index) => {
+            ctx.fillStyle = color;
+            ctx.beginPath();
+            ctx.arc(startX + index * 8, pipY, 3, 0, Math.PI * 2);
+            ctx.fill();
+        });
+        
+        // 第二张嘴
+        if (this.catchSlots > 1) {
+            ctx.strokeStyle = '#000000';
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(0, 13, 5, 0, Math.PI);
+            ctx.stroke();
+        }
+        
+        // 咀嚼冷却：盖子上方的进度条
+        if (this.isChewing()) {
+            const remaining = Math.max(...this.chewTimers) / this.chewCooldown;
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+            ctx.fillRect(-renderer.width * 0.5, -renderer.height * 0.5 - 8, renderer.width, 4);
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillRect(-renderer.width * 0.5, -renderer.height * 0.5 - 8, renderer.width * Math.min(1, remaining), 4);
+        }
+    }
+
+    /**
+     * 绘制容量槽：桶身右侧的竖条，装满时显示"满"提示点击清空
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {Renderer} renderer - 渲染组件
+     */
+    drawCapacityGauge(ctx, renderer) {
+        const x = renderer.width * 0.5 + 4;
+        const top = -renderer.height * 0.5;
+        const height = renderer.height * 0.8;
+        const ratio = this.fillLevel / this.capacity;
+        
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.4)';
+        ctx.fillRect(x, top, 5, height);
+        ctx.fillStyle = ratio >= 1 ? '#F44336' : (ratio >= 0.75 ? '#FFC107' : '#8BC34A');
+        ctx.fillRect(x, top + height * (1 - ratio), 5, height * ratio);
+        
+        if (this.isFull() && !this.isEmptying) {
+            ctx.fillStyle = '#F44336';
+            ctx.font = 'bold 12px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText('满！点击清空', 0, -renderer.height * 0.5 - 14);
+        }
+    }
+
     /**
      * 绘制收集范围
      * @param {CanvasRenderingContext2D} ctx - 渲染上下文
@@ -368,7 +711,12 @@ export class TrashBin extends Entity {
             collectCount: this.collectCount,
             correctCollections: this.correctCollections,
             incorrectCollections: this.incorrectCollections,
-            accuracy: this.collectCount > 0 ? (this.correctCollections / this.collectCount) * 100 : 0
+            accuracy: this.collectCount > 0 ? (this.correctCollections / this.collectCount) * 100 : 0,
+            upgrades: { ...this.upgrades },
+            capacity: this.capacity,
+            fillLevel: this.fillLevel,
+            isFull: this.isFull(),
+            isEmptying: this.isEmptying
         };
     }
 
@@ -9,16 +9,42 @@ import { Movement } from '../ecs/components/Movement.js';
 import { Collider, ColliderType } from '../ecs/components/Collider.js';
 import { Vector2 } from '../core/Vector2.js';
 import { TrashType, GameConfig } from '../config/GameConfig.js';
+import { trashCatalog } from '../config/TrashCatalog.js';
+import { SeededRandom } from '../core/SeededRandom.js';
 
 export class TrashZombie extends Entity {
-    constructor(type, trackId, startPosition) {
+    /**
+     * @param {string} type - 物品ID（见垃圾物品目录）或垃圾类别
+     * @param {number} trackId - 轨道ID
+     * @param {Vector2} startPosition - 起始位置
+     * @param {Object} options - 模拟选项 { rng: 随机数生成器, clock: 游戏时钟 }
+     */
+    constructor(type, trackId, startPosition, options = {}) {
         super();
         
-        this.type = type;
+        // 注入的随机数生成器和游戏时钟，保证模拟可复现
+        this.rng = options.rng || new SeededRandom();
+        this.clock = options.clock || null;
+        
+        // 传入物品ID时从目录解析具体物品，传入类别时为通用垃圾
+        this.item = trashCatalog.getItem(type);
+        this.itemId = this.item ? this.item.id : null;
+        this.type = this.item ? this.item.category : type;
         this.trackId = trackId;
         this.speed = 50; // 像素/秒
         this.isCollected = false;
         this.progress = 0; // 沿轨道的进度 (0-1)
+        this.trackDistance = 0; // 沿轨道中心线走过的距离（像素）
+        this.laneOffset = 0; // 相对轨道中心线的横向偏移，弯道上保持不变
+        this.speedFactor = 1; // 减速光环等外部效果造成的速度倍数
+        this.environmentSpeedFactor = 1; // 环境事件（如台风）造成的速度倍数，由垃圾僵尸系统每帧设置
+        this.slowEffectFactor = 1; // 技能造成的限时减速
+        this.slowEffectTime = 0;
+        
+        // 行为原型（冲刺、装甲、拆分、伪装等）
+        this.behaviors = [];
+        this.ignoredBins = new Set(); // 不会接住这件垃圾的垃圾桶（如拆分它的垃圾桶）
+        this.nearestBinDistance = Infinity; // 由收集系统每帧更新
         
         // 补救机制相关
         this.hasBeenMisclassified = false;
@@ -30,13 +56,69 @@ export class TrashZombie extends Entity {
         
         // 视觉效果
         this.hasLabel = true;
-        this.labelText = this.getTypeLabel(type);
+        this.labelText = this.item ? trashCatalog.getItemName(this.itemId) : this.getTypeLabel(this.type);
         this.effectTime = 0;
+        this.effectOffset = new Vector2(0, 0); // 特效产生的渲染偏移，不影响模拟位置
         
         // 初始化组件
         this.initializeComponents(startPosition);
     }
 
+    /**
+     * 添加行为
+     * @param {ZombieBehavior} behavior - 行为实例
+     */
+    addBehavior(behavior) {
+        if (!behavior) return;
+        this.behaviors.push(behavior);
+        behavior.attach(this);
+    }
+
+    /**
+     * 获取指定类型的行为
+     * @param {string} id - 行为类型
+     */
+    getBehavior(id) {
+        return this.behaviors.find(behavior => behavior.id === id) || null;
+    }
+
+    /**
+     * 是否具有指定类型的行为
+     * @param {string} id - 行为类型
+     */
+    hasBehavior(id) {
+        return this.getBehavior(id) !== null;
+    }
+
+    /**
+     * 垃圾桶当前能否接住这件垃圾
+     * @param {TrashBin} bin - 垃圾桶
+     */
+    canBeCaughtBy(bin) {
+        return !this.ignoredBins.has(bin) && this.behaviors.every(behavior => behavior.canBeCaughtBy(this, bin));
+    }
+
+    /**
+     * 被接住时交给行为处理，第一个返回结果的行为接管这次收集
+     * @param {TrashBin} bin - 垃圾桶
+     * @param {boolean} isCorrect - 是否投对了垃圾桶
+     * @returns {Object|null} 行为结果，为 null 时按普通收集处理
+     */
+    handleCatch(bin, isCorrect) {
+        for (const behavior of this.behaviors) {
+            const result = behavior.onCatch(this, bin, isCorrect);
+            if (result) return result;
+        }
+        return null;
+    }
+
+    /**
+     * 是否仍处于伪装状态（隐藏名称和外观）
+     */
+    isDisguised() {
+        return this.behaviors.some(behavior => behavior.isDisguised(this));
+    }
+
     /**
      * 获取垃圾类型标签
      * @param {string} type - 垃圾类型
@@ -76,12 +158,13 @@ export class TrashZombie extends Entity {
         
         // 渲染组件
         const renderer = new Renderer();
-        renderer.setColor(this.getTypeColor(this.type));
+        renderer.setColor(this.item ? this.item.color : this.getTypeColor(this.type));
         renderer.setSize(24, 24);
         this.addComponent(renderer);
         
         // 移动组件
         const movement = new Movement(this.speed, new Vector2(-1, 0)); // 向左移动
+        movement.friction = 1; // 沿轨道匀速移动
         movement.startMoving();
         this.addComponent(movement);
         
@@ -213,10 +296,14 @@ export class TrashZombie extends Entity {
             transform.setScale(0.5);
         }
         
-        // 设置销毁定时器
-        setTimeout(() => {
-            this.destroy();
-        }, 500);
+        // 设置销毁定时器，有游戏时钟时按游戏时间计时
+        if (this.clock) {
+            this.clock.schedule(500, () => this.destroy());
+        } else {
+            setTimeout(() => {
+                this.destroy();
+            }, 500);
+        }
     }
 
     /**
@@ -232,6 +319,18 @@ export class TrashZombie extends Entity {
      */
     setTrack(track) {
         this.track = track;
+        
+        // 将当前位置投影到轨道路径上，记录走过的距离和横向偏移
+        const transform = this.getComponent('Transform');
+        if (transform) {
+            const projection = track.path.project(transform.position);
+            const tangent = track.path.getTangentAtDistance(projection.distance);
+            this.trackDistance = projection.distance;
+            this.laneOffset = (transform.position.x - projection.position.x) * -tangent.y +
+                              (transform.position.y - projection.position.y) * tangent.x;
+            this.progress = projection.progress;
+        }
+        
         this.updateMovementDirection();
     }
 
@@ -242,11 +341,104 @@ export class TrashZombie extends Entity {
         if (this.track) {
             const movement = this.getComponent('Movement');
             if (movement) {
-                movement.setDirection(this.track.direction);
+                movement.setDirection(this.track.getDirectionAtProgress(this.progress));
             }
         }
     }
 
+    /**
+     * 沿轨道路径前进，到达道岔时按道岔当前方向驶入分支
+     * @param {number} deltaTime - 时间间隔
+     */
+    followTrack(deltaTime) {
+        const transform = this.getComponent('Transform');
+        const movement = this.getComponent('Movement');
+        if (!transform || !movement || !movement.isMoving) return;
+        
+        this.trackDistance += movement.speed * this.getSpeedMultiplier() * deltaTime / 1000;
+        
+        // 超出当前轨道的距离带入下一条轨道，终点没有道岔时停在终点
+        while (this.trackDistance >= this.track.length && this.track.junction) {
+            const nextTrack = this.track.junction.getActiveTrack();
+            if (!nextTrack) break;
+            
+            this.trackDistance -= this.track.length;
+            this.track = nextTrack;
+            this.trackId = nextTrack.id;
+        }
+        
+        this.trackDistance = Math.min(this.track.path.length, this.trackDistance);
+        this.snapToTrack();
+    }
+
+    /**
+     * 按走过的距离把位置和朝向放到轨道上
+     */
+    snapToTrack() {
+        const transform = this.getComponent('Transform');
+        const movement = this.getComponent('Movement');
+        if (!this.track || !transform) return;
+        
+        // 位置 = 中心线上的点 + 法线方向的横向偏移，朝向随切线转动
+        const path = this.track.path;
+        const center = path.getPointAtDistance(this.trackDistance);
+        const tangent = path.getTangentAtDistance(this.trackDistance);
+        transform.setPosition(
+            center.x - tangent.y * this.laneOffset,
+            center.y + tangent.x * this.laneOffset
+        );
+        if (movement) {
+            movement.setDirection(tangent);
+        }
+    }
+
+    /**
+     * 沿当前轨道前后移动（负数为后退），不会越过轨道两端
+     * @param {number} distance - 移动距离（像素）
+     */
+    shiftAlongTrack(distance) {
+        if (!this.track) return;
+        
+        this.trackDistance = Math.max(0, Math.min(this.track.length, this.trackDistance + distance));
+        this.progress = this.track.length > 0 ? this.trackDistance / this.track.length : 1;
+        this.snapToTrack();
+    }
+
+    /**
+     * 移到另一条轨道的指定距离处，回到轨道中心线
+     * @param {Track} track - 目标轨道
+     * @param {number} distance - 沿目标轨道的距离
+     */
+    moveToTrack(track, distance) {
+        this.track = track;
+        this.trackId = track.id;
+        this.laneOffset = 0;
+        this.trackDistance = Math.max(0, Math.min(track.length, distance));
+        this.progress = track.length > 0 ? this.trackDistance / track.length : 1;
+        this.snapToTrack();
+    }
+
+    /**
+     * 施加限时减速，多次减速时取更慢的倍数和更长的时间
+     * @param {number} factor - 速度倍数
+     * @param {number} duration - 持续时间（毫秒）
+     */
+    applySlow(factor, duration) {
+        this.slowEffectFactor = this.slowEffectTime > 0 ? Math.min(this.slowEffectFactor, factor) : factor;
+        this.slowEffectTime = Math.max(this.slowEffectTime, duration);
+    }
+
+    /**
+     * 获取当前的速度倍数（光环、环境事件与限时减速叠乘）
+     */
+    getSpeedMultiplier() {
+        // 所在轨道被冰冻时原地停住
+        if (this.track && this.track.isFrozen) return 0;
+        
+        const behaviorFactor = this.behaviors.reduce((factor, behavior) => factor * behavior.getSpeedMultiplier(this), 1);
+        return this.speedFactor * this.environmentSpeedFactor * behaviorFactor * (this.slowEffectTime > 0 ? this.slowEffectFactor : 1);
+    }
+
     /**
      * 更新沿轨道的进度
      * @param {number} deltaTime - 时间间隔
@@ -258,7 +450,7 @@ export class TrashZombie extends Entity {
         if (!transform) return;
         
         // 计算当前在轨道上的进度
-        this.progress = this.track.getProgressAlongTrack(transform.position);
+        this.progress = this.track.length > 0 ? this.trackDistance / this.track.length : 1;
         
         // 如果到达终点，停止移动
         if (this.progress >= 1.0) {
@@ -277,12 +469,31 @@ export class TrashZombie extends Entity {
         if (this.isCollected) return;
         
         this.effectTime += deltaTime;
+        this.slowEffectTime = Math.max(0, this.slowEffectTime - deltaTime);
+        
+        for (const behavior of this.behaviors) {
+            behavior.update(this, deltaTime);
+        }
+        
+        // 记录上一步位置用于渲染插值
+        const transform = this.getComponent('Transform');
+        if (transform) {
+            transform.savePreviousPosition();
+        }
         
         // 处理重试模式
         if (this.isInRetryMode) {
             this.updateRetryMode(deltaTime);
-        } else {
-            // 正常更新
+        } else if (!this.parent) {
+            // 正常更新：有轨道时沿路径前进，否则按移动组件直线移动（挂在 Boss 上的部件由 Boss 摆放位置）
+            if (this.track) {
+                this.followTrack(deltaTime);
+            } else {
+                const movement = this.getComponent('Movement');
+                if (movement) {
+                    movement.update(deltaTime);
+                }
+            }
             this.updateTrackProgress(deltaTime);
         }
         
@@ -328,18 +539,16 @@ export class TrashZombie extends Entity {
                 
                 // 轻微震动
                 const shake = Math.sin(time * 15) * 1;
-                this.basePosition = this.basePosition || transform.position.clone();
-                transform.position.x = this.basePosition.x + shake;
+                this.effectOffset.set(shake, 0);
                 break;
                 
             case TrashType.KITCHEN_WASTE:
                 // 厨余垃圾摇摆和滴落效果
                 const sway = Math.sin(time * 3) * 3;
-                this.basePosition = this.basePosition || transform.position.clone();
-                transform.position.y = this.basePosition.y + sway;
+                this.effectOffset.set(0, sway);
                 
                 // 随机生成滴落粒子
-                if (Math.random() < 0.02) {
+                if (this.rng.chance(0.02)) {
                     this.createDropParticle();
                 }
                 break;
@@ -356,8 +565,7 @@ export class TrashZombie extends Entity {
             case TrashType.OTHER:
                 // 其他垃圾轻微浮动
                 const float = Math.sin(time * 2) * 1.5;
-                this.basePosition = this.basePosition || transform.position.clone();
-                transform.position.y = this.basePosition.y + float;
+                this.effectOffset.set(0, float);
                 break;
         }
     }
@@ -367,7 +575,7 @@ export class TrashZombie extends Entity {
      */
     createDropParticle() {
         // 这里可以创建粒子效果，暂时用控制台输出模拟
-        if (Math.random() < 0.1) { // 降低频率
+        if (this.rng.chance(0.1)) { // 降低频率
             console.log('💧 厨余垃圾滴落效果');
         }
     }
@@ -397,8 +605,9 @@ export class TrashZombie extends Entity {
     /**
      * 渲染垃圾僵尸
      * @param {RenderSystem} renderSystem - 渲染系统
+     * @param {number} alpha - 插值系数
      */
-    render(renderSystem) {
+    render(renderSystem, alpha = 1) {
         if (this.isCollected) return;
         
         const transform = this.getComponent('Transform');
@@ -408,14 +617,15 @@ export class TrashZombie extends Entity {
         
         // 渲染垃圾主体
         renderSystem.add2DRender((ctx) => {
-            this.renderTrash(ctx, transform, renderer);
+            this.renderTrash(ctx, transform, renderer, alpha);
         }, renderSystem.layers.ENTITIES);
         
         // 如果支持3D，创建3D模型
         if (renderSystem.renderer3D) {
             const trashModel = renderSystem.createTrashZombie3D(this.type);
             if (trashModel) {
-                trashModel.position.set(transform.position.x, 0, -transform.position.y);
+                const position = transform.getInterpolatedPosition(alpha);
+                trashModel.position.set(position.x, 0, -position.y);
                 renderSystem.add3DObject(trashModel);
             }
         }
@@ -426,22 +636,29 @@ export class TrashZombie extends Entity {
      * @param {CanvasRenderingContext2D} ctx - 渲染上下文
      * @param {Transform} transform - 变换组件
      * @param {Renderer} renderer - 渲染组件
+     * @param {number} alpha - 插值系数
      */
-    renderTrash(ctx, transform, renderer) {
+    renderTrash(ctx, transform, renderer, alpha = 1) {
         ctx.save();
         
-        // 应用变换
-        ctx.translate(transform.position.x, transform.position.y);
+        // 应用变换（在上一步与当前步之间插值，再叠加特效偏移）
+        const position = transform.getInterpolatedPosition(alpha);
+        ctx.translate(position.x + this.effectOffset.x, position.y + this.effectOffset.y);
         ctx.rotate(transform.rotation);
         ctx.scale(transform.scale, transform.scale);
         ctx.globalAlpha = renderer.alpha;
         
-        // 绘制垃圾主体
-        this.drawTrashBody(ctx, renderer);
+        // 绘制垃圾主体，伪装时只显示问号包裹
+        const disguised = this.isDisguised();
+        if (disguised) {
+            this.drawDisguise(ctx, renderer);
+        } else {
+            this.drawTrashBody(ctx, renderer);
+        }
         
         // 绘制类型标签
         if (this.hasLabel) {
-            this.drawTypeLabel(ctx);
+            this.drawTypeLabel(ctx, disguised ? '？？？' : this.labelText);
         }
         
         // 绘制重试状态
@@ -449,8 +666,15 @@ export class TrashZombie extends Entity {
             this.drawRetryStatus(ctx);
         }
         
-        // 绘制特效
-        this.drawEffects(ctx);
+        // 绘制特效（伪装时不显示，避免暴露类别）
+        if (!disguised) {
+            this.drawEffects(ctx);
+        }
+        
+        // 绘制行为标识
+        for (const behavior of this.behaviors) {
+            behavior.render(ctx, this);
+        }
         
         ctx.restore();
     }
@@ -504,13 +728,45 @@ export class TrashZombie extends Entity {
         ctx.strokeStyle = '#333333';
         ctx.lineWidth = 1;
         ctx.stroke();
+        
+        // 具体物品图标
+        if (this.item) {
+            ctx.font = `${Math.round(size * 0.75)}px Arial`;
+            ctx.textAlign = 'center';
+            ctx.textBaseline = 'middle';
+            ctx.fillText(this.item.icon, 0, 1);
+            ctx.textBaseline = 'alphabetic';
+        }
+    }
+
+    /**
+     * 绘制伪装外观
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {Renderer} renderer - 渲染组件
+     */
+    drawDisguise(ctx, renderer) {
+        const size = renderer.width;
+        
+        ctx.fillStyle = '#9E9E9E';
+        ctx.fillRect(-size/2, -size/2, size, size);
+        ctx.strokeStyle = '#333333';
+        ctx.lineWidth = 1;
+        ctx.strokeRect(-size/2, -size/2, size, size);
+        
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = `bold ${Math.round(size * 0.7)}px Arial`;
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText('?', 0, 1);
+        ctx.textBaseline = 'alphabetic';
     }
 
     /**
      * 绘制类型标签
      * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {string} text - 标签文字
      */
-    drawTypeLabel(ctx) {
+    drawTypeLabel(ctx, text = this.labelText) {
         ctx.fillStyle = '#FFFFFF';
         ctx.strokeStyle = '#000000';
         ctx.font = '10px Arial';
@@ -518,9 +774,9 @@ export class TrashZombie extends Entity {
         ctx.lineWidth = 2;
         
         // 绘制文字描边
-        ctx.strokeText(this.labelText, 0, -18);
+        ctx.strokeText(text, 0, -18);
         // 绘制文字
-        ctx.fillText(this.labelText, 0, -18);
+        ctx.fillText(text, 0, -18);
     }
 
     /**
@@ -676,6 +932,7 @@ export class TrashZombie extends Entity {
     getInfo() {
         return {
             type: this.type,
+            itemId: this.itemId,
             label: this.labelText,
             trackId: this.trackId,
             progress: this.progress,
@@ -683,7 +940,9 @@ export class TrashZombie extends Entity {
             retryCount: this.retryCount,
             maxRetries: this.maxRetries,
             isInRetryMode: this.isInRetryMode,
-            hasBeenMisclassified: this.hasBeenMisclassified
+            hasBeenMisclassified: this.hasBeenMisclassified,
+            behaviors: this.behaviors.map(behavior => behavior.getInfo()),
+            isDisguised: this.isDisguised()
         };
     }
 
@@ -721,5 +980,4 @@ export class TrashZombie extends Entity {
             ctx.fillText(`剩余重试: ${retriesLeft}`, 0, -25);
         }
     }
-    }
 }
\ No newline at end of file
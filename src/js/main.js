@@ -37,6 +37,7 @@ class EcoDefenseGame {
             
             // 设置事件监听
             this.setupEventListeners();
+            this.setupLevelEditor();
             
             // 开始性能监控
             performanceManager.startMonitoring();
@@ -133,6 +134,14 @@ class EcoDefenseGame {
         this.canvas.addEventListener('mousemove', (event) => {
             this.handleMouseMove(event);
         });
+        
+        this.canvas.addEventListener('mousedown', (event) => {
+            this.handleMouseDown(event);
+        });
+        
+        this.canvas.addEventListener('mouseup', (event) => {
+            this.handleMouseUp(event);
+        });
 
         // 窗口大小变化监听
         window.addEventListener('resize', () => {
@@ -152,7 +161,32 @@ class EcoDefenseGame {
      * 处理键盘按下事件
      */
     handleKeyDown(event) {
-        const key = event.key;
+        let key = event.key;
+        
+        // Ctrl/Cmd 组合键统一为 'Ctrl+z'、'Ctrl+Shift+z' 这样的形式；撤销/重做不交给浏览器
+        if ((event.ctrlKey || event.metaKey) && key.length === 1) {
+            key = `Ctrl+${event.shiftKey ? 'Shift+' : ''}${key.toLowerCase()}`;
+            if (['Ctrl+z', 'Ctrl+y', 'Ctrl+Shift+z'].includes(key)) {
+                event.preventDefault();
+            }
+        }
+        
+        // F8 开始/停止录制，F9 载入录像回放（不作为游戏输入录制）
+        if (key === 'F8') {
+            this.toggleRecording();
+            event.preventDefault();
+            return;
+        }
+        if (key === 'F9') {
+            this.openReplayFile();
+            event.preventDefault();
+            return;
+        }
+        
+        // Tab 用于切换编辑器面板，不切换页面焦点
+        if (key === 'Tab') {
+            event.preventDefault();
+        }
         
         // 将输入传递给游戏引擎
         this.engine.handleKeyInput(key);
@@ -165,6 +199,83 @@ class EcoDefenseGame {
         }
     }
 
+    /**
+     * 开始录制，或停止录制并下载录像文件
+     */
+    toggleRecording() {
+        if (!this.engine.inputRecorder.isRecording) {
+            this.engine.startRecording();
+            return;
+        }
+        
+        const json = this.engine.exportRecording();
+        const recording = this.engine.inputRecorder.getRecording();
+        if (!json || !recording) return;
+        
+        this.downloadJson(json, `replay-level${recording.levelId}-${recording.seed}.json`);
+    }
+
+    /**
+     * 选择录像文件并开始回放
+     */
+    openReplayFile() {
+        this.openJsonFile(async (text) => {
+            const result = await this.engine.startReplay(text);
+            if (!result.success) {
+                console.warn(`回放失败: ${result.reason}`);
+            }
+        });
+    }
+
+    /**
+     * 关卡编辑器的导出和导入使用浏览器的文件下载和选择
+     */
+    setupLevelEditor() {
+        const editorScene = this.engine.sceneManager.getScene('editor');
+        if (!editorScene) return;
+        
+        editorScene.setCallbacks({
+            onExportRequested: (json, config) => {
+                this.downloadJson(json, `level-${config.id}.json`);
+            },
+            onImportRequested: () => {
+                this.openJsonFile((text) => editorScene.importLevel(text));
+            }
+        });
+    }
+
+    /**
+     * 将JSON下载为文件
+     * @param {string} json - JSON内容
+     * @param {string} filename - 文件名
+     */
+    downloadJson(json, filename) {
+        const blob = new Blob([json], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * 选择本地JSON文件并读取内容
+     * @param {Function} onLoaded - 读取完成回调，参数为文件文本
+     */
+    openJsonFile(onLoaded) {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = '.json,application/json';
+        input.addEventListener('change', async () => {
+            const file = input.files[0];
+            if (!file) return;
+            
+            onLoaded(await file.text());
+        });
+        input.click();
+    }
+
     /**
      * 处理鼠标点击事件
      */
@@ -189,6 +300,22 @@ class EcoDefenseGame {
         this.engine.handleMouseMove(x, y);
     }
 
+    /**
+     * 处理鼠标按下事件
+     */
+    handleMouseDown(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.engine.handleMouseDown(event.clientX - rect.left, event.clientY - rect.top);
+    }
+
+    /**
+     * 处理鼠标松开事件
+     */
+    handleMouseUp(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        this.engine.handleMouseUp(event.clientX - rect.left, event.clientY - rect.top);
+    }
+
     /**
      * 处理窗口大小变化
      */
@@ -110,25 +110,21 @@ export class RenderSystem {
     renderTracks(tracks) {
         this.ctx2D.save();
         
+        this.ctx2D.lineJoin = 'round';
+        
         for (const track of tracks) {
-            // 轨道背景
-            this.ctx2D.fillStyle = '#87CEEB'; // 天空蓝
-            this.ctx2D.fillRect(
-                track.startPoint.x - track.width / 2,
-                track.startPoint.y - track.width / 2,
-                track.endPoint.x - track.startPoint.x + track.width,
-                track.width
-            );
+            // 沿中心线描宽线，直线、折线和曲线轨道统一处理
+            track.tracePath(this.ctx2D);
             
             // 轨道边框
             this.ctx2D.strokeStyle = '#4682B4';
-            this.ctx2D.lineWidth = 2;
-            this.ctx2D.strokeRect(
-                track.startPoint.x - track.width / 2,
-                track.startPoint.y - track.width / 2,
-                track.endPoint.x - track.startPoint.x + track.width,
-                track.width
-            );
+            this.ctx2D.lineWidth = track.width + 4;
+            this.ctx2D.stroke();
+            
+            // 轨道背景
+            this.ctx2D.strokeStyle = '#87CEEB'; // 天空蓝
+            this.ctx2D.lineWidth = track.width;
+            this.ctx2D.stroke();
         }
         
         this.ctx2D.restore();
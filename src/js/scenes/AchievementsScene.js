@@ -0,0 +1,240 @@
+/**
+ * 成就画廊场景
+ * 列出所有成就的解锁状态和进度条，未解锁的成就显示当前进度
+ */
+import { Scene } from '../core/Scene.js';
+import { progressManager } from '../data/ProgressManager.js';
+
+export class AchievementsScene extends Scene {
+    /**
+     * @param {Object} options - 场景选项
+     * @param {PlayerProgress} options.progress - 玩家进度，默认使用全局进度管理器
+     */
+    constructor(options = {}) {
+        super('AchievementsScene');
+        this.title = '成就';
+        this.progress = options.progress || progressManager;
+        this.sceneManager = null;
+        
+        this.achievements = [];
+        this.selectedIndex = 0;
+        
+        // 卡片布局
+        this.columns = 4;
+        this.cardWidth = 265;
+        this.cardHeight = 115;
+        this.cardSpacing = 20;
+        this.startY = 160;
+        this.backButton = { text: '返回', x: 40, y: 40, width: 120, height: 44 };
+    }
+
+    /**
+     * 初始化成就画廊，每次进入时刷新进度
+     */
+    init() {
+        super.init();
+        this.refreshAchievements();
+    }
+
+    /**
+     * 设置场景管理器引用
+     * @param {SceneManager} sceneManager - 场景管理器
+     */
+    setSceneManager(sceneManager) {
+        this.sceneManager = sceneManager;
+    }
+
+    /**
+     * 从玩家进度汇总成就列表，已解锁的排在前面
+     */
+    refreshAchievements() {
+        const list = this.progress.getAchievementList();
+        const sorted = [...list.filter(achievement => achievement.unlocked), ...list.filter(achievement => !achievement.unlocked)];
+        
+        this.achievements = sorted.map((achievement, index) => ({
+            ...achievement,
+            ...this.getCardPosition(index)
+        }));
+        this.selectedIndex = Math.min(this.selectedIndex, Math.max(0, this.achievements.length - 1));
+    }
+
+    /**
+     * 计算成就卡片位置
+     * @param {number} index - 成就索引
+     */
+    getCardPosition(index) {
+        const rowWidth = this.columns * this.cardWidth + (this.columns - 1) * this.cardSpacing;
+        const startX = 600 - rowWidth / 2; // 画布宽度的一半
+        const column = index % this.columns;
+        const row = Math.floor(index / this.columns);
+        
+        return {
+            x: startX + column * (this.cardWidth + this.cardSpacing),
+            y: this.startY + row * (this.cardHeight + this.cardSpacing),
+            width: this.cardWidth,
+            height: this.cardHeight
+        };
+    }
+
+    /**
+     * 渲染成就画廊
+     * @param {RenderSystem} renderSystem - 渲染系统
+     */
+    render(renderSystem) {
+        renderSystem.add2DRender((ctx) => {
+            this.drawTitle(ctx);
+            this.drawBackButton(ctx);
+            this.achievements.forEach((achievement, index) => {
+                this.drawAchievementCard(ctx, achievement, index === this.selectedIndex);
+            });
+            this.drawFooter(ctx);
+        }, renderSystem.layers.UI);
+        
+        super.render(renderSystem);
+    }
+
+    /**
+     * 绘制标题、解锁数量和成就点数
+     */
+    drawTitle(ctx) {
+        const summary = this.progress.getAchievementProgress();
+        
+        ctx.fillStyle = '#2E7D32';
+        ctx.font = 'bold 40px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.title, ctx.canvas.width / 2, 80);
+        
+        ctx.font = '18px Arial';
+        ctx.fillText(
+            `已解锁 ${summary.unlocked} / ${summary.total} · 成就点数 ${this.progress.playerData.achievements.totalPoints}`,
+            ctx.canvas.width / 2,
+            115
+        );
+    }
+
+    /**
+     * 绘制返回按钮
+     */
+    drawBackButton(ctx) {
+        const button = this.backButton;
+        
+        ctx.fillStyle = '#2E7D32';
+        ctx.fillRect(button.x, button.y, button.width, button.height);
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(button.x, button.y, button.width, button.height);
+        
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 18px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(button.text, button.x + button.width / 2, button.y + button.height / 2 + 6);
+    }
+
+    /**
+     * 绘制成就卡片
+     * @param {Object} achievement - 成就信息
+     * @param {boolean} isSelected - 是否选中
+     */
+    drawAchievementCard(ctx, achievement, isSelected) {
+        const centerX = achievement.x + achievement.width / 2;
+        
+        // 卡片背景，未解锁的成就置灰
+        ctx.fillStyle = achievement.unlocked ? '#2E7D32' : '#757575';
+        ctx.fillRect(achievement.x, achievement.y, achievement.width, achievement.height);
+        
+        ctx.strokeStyle = isSelected ? '#FFD700' : '#FFFFFF';
+        ctx.lineWidth = isSelected ? 4 : 2;
+        ctx.strokeRect(achievement.x, achievement.y, achievement.width, achievement.height);
+        
+        // 图标和名称
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 20px Arial';
+        ctx.fillText(`${achievement.unlocked ? achievement.icon : '🔒'} ${achievement.name}`, centerX, achievement.y + 32);
+        
+        ctx.font = '13px Arial';
+        ctx.fillText(achievement.description, centerX, achievement.y + 56);
+        
+        // 进度条
+        const barX = achievement.x + 20;
+        const barY = achievement.y + 72;
+        const barWidth = achievement.width - 40;
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+        ctx.fillRect(barX, barY, barWidth, 10);
+        ctx.fillStyle = achievement.unlocked ? '#FFD700' : '#81C784';
+        ctx.fillRect(barX, barY, barWidth * achievement.progress, 10);
+        
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = '13px Arial';
+        const statusText = achievement.unlocked
+            ? `已解锁 · ${achievement.points} 点`
+            : `${Math.floor(achievement.progress * 100)}% · ${achievement.points} 点`;
+        ctx.fillText(statusText, centerX, achievement.y + 102);
+    }
+
+    /**
+     * 绘制操作提示
+     */
+    drawFooter(ctx) {
+        ctx.fillStyle = '#2E7D32';
+        ctx.font = '16px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('方向键浏览成就，ESC 返回菜单', ctx.canvas.width / 2, ctx.canvas.height - 40);
+    }
+
+    /**
+     * 处理键盘输入
+     * @param {string} key - 按键
+     */
+    handleKeyInput(key) {
+        const lastIndex = this.achievements.length - 1;
+        
+        switch (key) {
+            case 'ArrowLeft':
+                this.selectedIndex = Math.max(0, this.selectedIndex - 1);
+                break;
+            case 'ArrowRight':
+                this.selectedIndex = Math.min(lastIndex, this.selectedIndex + 1);
+                break;
+            case 'ArrowUp':
+                this.selectedIndex = Math.max(0, this.selectedIndex - this.columns);
+                break;
+            case 'ArrowDown':
+                this.selectedIndex = Math.min(lastIndex, this.selectedIndex + this.columns);
+                break;
+            case 'Escape':
+                this.backToMenu();
+                break;
+        }
+    }
+
+    /**
+     * 处理鼠标点击
+     * @param {number} x - 鼠标X坐标
+     * @param {number} y - 鼠标Y坐标
+     */
+    handleMouseClick(x, y) {
+        const button = this.backButton;
+        if (x >= button.x && x <= button.x + button.width &&
+            y >= button.y && y <= button.y + button.height) {
+            this.backToMenu();
+            return;
+        }
+        
+        this.achievements.forEach((achievement, index) => {
+            if (x >= achievement.x && x <= achievement.x + achievement.width &&
+                y >= achievement.y && y <= achievement.y + achievement.height) {
+                this.selectedIndex = index;
+            }
+        });
+    }
+
+    /**
+     * 返回主菜单
+     */
+    backToMenu() {
+        if (this.sceneManager) {
+            this.sceneManager.transitionTo('menu');
+        }
+    }
+}
\ No newline at end of file
@@ -8,11 +8,25 @@ import { TrashBinSystem } from '../systems/TrashBinSystem.js';
 import { CollectionSystem } from '../systems/CollectionSystem.js';
 import { TrashZombieSystem } from '../systems/TrashZombieSystem.js';
 import { LevelSystem } from '../systems/LevelSystem.js';
+import { EndlessModeSystem } from '../systems/EndlessModeSystem.js';
+import { DailyChallenge } from '../systems/DailyChallenge.js';
+import { BinAbilitySystem } from '../systems/BinAbilitySystem.js';
+import { PowerUpSystem } from '../systems/PowerUpSystem.js';
+import { EnvironmentEventSystem } from '../systems/EnvironmentEventSystem.js';
 import { TimerSystem } from '../ui/TimerSystem.js';
+import { HUDSystem } from '../ui/HUDSystem.js';
+import { ModalSystem } from '../ui/ModalSystem.js';
+import { ResultsScreen } from '../ui/ResultsScreen.js';
 import { ParticleSystem } from '../effects/ParticleSystem.js';
 import { TrashZombie } from '../entities/TrashZombie.js';
 import { Vector2 } from '../core/Vector2.js';
+import { SeededRandom } from '../core/SeededRandom.js';
+import { GameClock } from '../core/GameClock.js';
+import { timeScale } from '../core/TimeScale.js';
 import { GameConfig, TrashType } from '../config/GameConfig.js';
+import { rulesetManager } from '../config/ClassificationRulesets.js';
+import { progressManager } from '../data/ProgressManager.js';
+import { statisticsManager } from '../data/StatisticsManager.js';
 
 export class GameScene extends Scene {
     constructor() {
@@ -21,13 +35,40 @@ export class GameScene extends Scene {
         this.trashBinSystem = null; // 将在初始化时创建
         this.collectionSystem = null; // 将在初始化时创建
         this.trashZombieSystem = null; // 将在初始化时创建
+        this.binAbilitySystem = null; // 将在初始化时创建
+        this.powerUpSystem = null; // 将在初始化时创建
+        this.environmentEventSystem = null; // 将在初始化时创建
         this.levelSystem = new LevelSystem();
         this.timerSystem = new TimerSystem();
-        this.particleSystem = new ParticleSystem();
+        this.hudSystem = new HUDSystem(); // 目前只用于 Boss 血条和道具效果
+        this.modalSystem = typeof document !== 'undefined' ? new ModalSystem() : null; // 无界面运行时没有弹窗
+        this.resultsScreen = new ResultsScreen(); // 通关结算界面
+        this.recentAchievements = []; // 本局解锁的成就，显示在结算界面
+        this.sceneManager = null;
+        
+        // 可复现模拟：生成和特效的随机数、计时都来自同一个种子和游戏时钟
+        this.seed = null; // 固定种子，为 null 时每次开局重新生成
+        this.currentSeed = 0;
+        this.rng = new SeededRandom();
+        this.powerUpRng = new SeededRandom(); // 道具单独取随机数，不影响垃圾生成序列
+        this.eventRng = new SeededRandom(); // 环境事件选择轨道用
+        this.gameClock = new GameClock();
+        this.particleSystem = new ParticleSystem({ rng: this.rng });
+        this.isInRun = false; // 是否处于录制/回放的一局中
+        this.seedBeforeRun = null;
+        this.recordProgress = true; // 记录分类统计，通关时写入玩家进度（星级、解锁）
+        
+        this.mode = 'level'; // level: 关卡模式, endless: 无尽模式, daily: 每日挑战
+        this.endlessSystem = null; // 将在初始化时创建
+        this.endlessResult = null; // 最近一局无尽模式的结果
+        this.dailyChallenge = null; // 当前每日挑战
+        this.dailyScored = false; // 本次每日挑战是否计分（每天只有第一次计分）
+        this.dailyResult = null; // 每日挑战结算
         
         this.currentLevel = 1;
-        this.gameState = 'playing'; // playing, paused, gameOver, victory
+        this.gameState = 'playing'; // playing, paused, lifeLost, gameOver, victory
         this.selectedBinType = 1;
+        this.suppressClickAt = null; // 拖拽松开后浏览器补发的点击位置，需忽略
         
         // UI状态
         this.showDialogue = false;
@@ -46,20 +87,83 @@ export class GameScene extends Scene {
         this.setupTrashBinCallbacks();
         
         // 初始化垃圾僵尸系统
-        this.trashZombieSystem = new TrashZombieSystem(this.trackSystem);
+        this.trashZombieSystem = new TrashZombieSystem(this.trackSystem, {
+            rng: this.rng,
+            clock: this.gameClock,
+            powerUpRng: this.powerUpRng
+        });
         this.setupTrashZombieCallbacks();
         
+        // 初始化垃圾桶技能系统，技能快捷键经由垃圾桶系统触发
+        this.binAbilitySystem = new BinAbilitySystem(this.trashBinSystem, this.trashZombieSystem);
+        this.trashBinSystem.setAbilitySystem(this.binAbilitySystem);
+        this.setupAbilityCallbacks();
+        
+        // 初始化无尽模式系统
+        this.endlessSystem = new EndlessModeSystem(this.trackSystem, this.trashZombieSystem);
+        this.setupEndlessCallbacks();
+        
         // 初始化收集系统
         this.collectionSystem = new CollectionSystem(this.trashBinSystem);
         this.setupCollectionCallbacks();
         
+        // 初始化道具系统
+        this.powerUpSystem = new PowerUpSystem(this.collectionSystem);
+        this.setupPowerUpCallbacks();
+        
+        // 初始化环境事件系统
+        this.environmentEventSystem = new EnvironmentEventSystem(this.trashZombieSystem, this.collectionSystem, {
+            rng: this.eventRng
+        });
+        
         // 设置关卡系统回调
         this.setupLevelCallbacks();
         
+        // 结算界面的下一关、重玩和返回菜单
+        this.resultsScreen.setCallbacks({
+            onAction: (action) => this.handleResultsAction(action)
+        });
+        
+        // 局内解锁的成就即时提示
+        if (this.recordProgress) {
+            progressManager.setCallbacks({
+                onAchievementUnlocked: (achievement) => this.announceAchievement(achievement)
+            });
+        }
+        
         // 加载游戏进度
         this.levelSystem.loadProgress();
         
-        this.loadLevel(this.currentLevel);
+        // 结束上次进入场景时的固定种子对局（如每日挑战）
+        this.endRun();
+        
+        if (this.mode === 'endless') {
+            this.startEndless();
+        } else if (this.mode === 'daily') {
+            this.startDailyChallenge();
+        } else {
+            this.loadLevel(this.currentLevel);
+        }
+    }
+
+    /**
+     * 设置场景管理器引用
+     * @param {SceneManager} sceneManager - 场景管理器
+     */
+    setSceneManager(sceneManager) {
+        this.sceneManager = sceneManager;
+    }
+
+    /**
+     * 设置下次初始化（进入场景）时的开局方式
+     * @param {string} mode - 'level'、'endless' 或 'daily'
+     * @param {number} levelId - 关卡模式下的关卡ID，不传时沿用当前关卡
+     */
+    prepareStart(mode, levelId = null) {
+        this.mode = mode;
+        if (levelId !== null) {
+            this.currentLevel = levelId;
+        }
     }
 
     /**
@@ -74,11 +178,19 @@ export class GameScene extends Scene {
             onBinRemoved: (bin) => {
                 console.log(`垃圾桶已移除: ${bin.config.name}`);
             },
+            onBinMoved: (bin, track) => {
+                console.log(`垃圾桶已移动: ${bin.config.name} 到轨道 ${track.id}`);
+            },
             onSelectionChanged: (binType, config) => {
                 this.selectedBinType = binType;
                 this.showDialogue = true;
                 this.dialogueText = config.dialogue;
                 this.dialogueTime = 0;
+            },
+            onBinUpgraded: (bin, upgradeId, level) => {
+                this.showDialogue = true;
+                this.dialogueText = `${bin.config.name}的${GameConfig.binUpgrades.options[upgradeId].name}升到了 ${level} 级！`;
+                this.dialogueTime = 0;
             }
         });
     }
@@ -90,21 +202,99 @@ export class GameScene extends Scene {
         this.trashZombieSystem.setCallbacks({
             onZombieSpawned: (zombie, track) => {
                 // 记录到关卡系统
-                this.levelSystem.recordEvent('zombieSpawned');
+                if (this.mode !== 'endless') {
+                    this.levelSystem.recordEvent('zombieSpawned');
+                }
                 
                 // 将僵尸添加到收集系统
                 this.collectionSystem.addTrashZombie(zombie);
                 console.log(`生成垃圾僵尸: ${zombie.labelText} 在轨道 ${track.id}`);
             },
             onZombieReachedEnd: (zombie) => {
-                // 记录到关卡系统
-                this.levelSystem.recordEvent('zombieEscaped');
+                this.collectionSystem.breakCombo();
                 
-                console.log('垃圾逃脱！游戏失败');
+                // 无尽模式和关卡模式都扣除生命
+                if (this.mode === 'endless') {
+                    this.endlessSystem.recordEscaped();
+                    return;
+                }
+                
+                this.handleLevelEscape(zombie);
             },
             onZombieDestroyed: (zombie) => {
                 // 从收集系统移除
                 this.collectionSystem.removeTrashZombie(zombie);
+            },
+            onWaveStarted: (wave, waveIndex) => {
+                this.showDialogue = true;
+                this.dialogueText = `第 ${waveIndex + 1} 波：${wave.name || ''}`;
+                this.dialogueTime = 0;
+                console.log(`波次开始: ${waveIndex + 1} ${wave.name || ''}`);
+            },
+            onBossSpawned: (boss) => {
+                this.showDialogue = true;
+                this.dialogueText = `${boss.bossConfig.icon} ${boss.labelText}来了！把它的每个部件投进对应的垃圾桶`;
+                this.dialogueTime = 0;
+            },
+            onBossDefeated: (boss) => {
+                this.showDialogue = true;
+                this.dialogueText = `${boss.labelText}被拆解完毕！`;
+                this.dialogueTime = 0;
+            }
+        });
+    }
+
+    /**
+     * 设置垃圾桶技能回调
+     */
+    setupAbilityCallbacks() {
+        this.binAbilitySystem.setCallbacks({
+            onAbilityUsed: (binType, ability, affectedCount) => {
+                const binConfig = rulesetManager.getActiveRuleset().getBinConfig(binType);
+                this.showDialogue = true;
+                this.dialogueText = `${binConfig.name}释放了${ability.name}！影响 ${affectedCount} 件垃圾`;
+                this.dialogueTime = 0;
+            }
+        });
+    }
+
+    /**
+     * 设置道具回调
+     */
+    setupPowerUpCallbacks() {
+        this.powerUpSystem.setCallbacks({
+            onEffectStarted: (effect, powerUp) => {
+                this.showDialogue = true;
+                this.dialogueText = `${effect.config.icon} ${effect.config.name}！`;
+                this.dialogueTime = 0;
+                
+                const position = powerUp.getComponent('Transform').position;
+                this.particleSystem.createExplosion(position, { colors: [effect.config.color, '#FFFFFF'], count: 12 });
+            },
+            onEffectEnded: (effect) => {
+                console.log(`道具效果结束: ${effect.config.name}`);
+            }
+        });
+    }
+
+    /**
+     * 设置无尽模式回调
+     */
+    setupEndlessCallbacks() {
+        this.endlessSystem.setCallbacks({
+            onTrackActivated: (track) => {
+                this.showDialogue = true;
+                this.dialogueText = `新轨道开放：轨道 ${track.id}`;
+                this.dialogueTime = 0;
+            },
+            onLifeLost: (lives) => {
+                console.log(`垃圾逃脱！剩余生命 ${lives}`);
+            },
+            onRunEnded: (result) => {
+                // 记录到高分榜
+                const rank = this.recordProgress ? progressManager.recordEndlessScore(result) : 0;
+                this.endlessResult = { ...result, rank: rank };
+                this.gameOver('生命耗尽');
             }
         });
     }
@@ -115,11 +305,12 @@ export class GameScene extends Scene {
     setupCollectionCallbacks() {
         this.collectionSystem.setCallbacks({
             onCorrectCollection: (trash, bin, result) => {
-                // 记录到关卡系统
-                this.levelSystem.recordEvent('zombieCollected', {
-                    isCorrect: true,
-                    points: result.points
-                });
+                // 记录到关卡系统或无尽模式
+                this.recordCollection(true, result.points);
+                this.recordClassification(trash, bin, true, result.points);
+                
+                // 正确分类获得局内金币
+                this.trashBinSystem.addCoins(result.coins || 0);
                 
                 // 创建收集特效
                 const trashTransform = trash.getComponent('Transform');
@@ -135,11 +326,9 @@ export class GameScene extends Scene {
                 console.log(`正确收集！获得 ${result.points} 分`);
             },
             onIncorrectCollection: (trash, bin, result) => {
-                // 记录到关卡系统
-                this.levelSystem.recordEvent('zombieCollected', {
-                    isCorrect: false,
-                    points: 0
-                });
+                // 记录到关卡系统或无尽模式
+                this.recordCollection(false, 0, result.discarded);
+                this.recordClassification(trash, bin, false, 0);
                 
                 // 创建错误特效
                 const binTransform = bin.getComponent('Transform');
@@ -153,14 +342,127 @@ export class GameScene extends Scene {
                 console.log('错误收集！');
             },
             onTrashEscaped: (trash) => {
-                // 记录到关卡系统
-                this.levelSystem.recordEvent('zombieEscaped');
+                // 无尽模式的逃脱由垃圾僵尸系统统一扣除生命
+                if (this.mode === 'endless') return;
                 
-                console.log('垃圾逃脱！游戏失败');
+                this.handleLevelEscape(trash);
+            },
+            onComboMilestone: (combo, tier, bin) => {
+                // 连击档位越高，金色粒子越多
+                const binTransform = bin.getComponent('Transform');
+                if (binTransform) {
+                    this.particleSystem.createExplosion(binTransform.position, {
+                        colors: ['#FFD700', '#FFC107', '#FFFFFF'],
+                        count: 8 + tier.multiplier * 4,
+                        speed: 80
+                    });
+                }
+            },
+            onTrashSplit: (trash, bin, pieces) => {
+                // 拆出的垃圾由垃圾僵尸系统生成，关卡需要多收集相应数量
+                const created = this.trashZombieSystem.splitZombie(trash, pieces, bin);
+                if (this.mode !== 'endless') {
+                    this.levelSystem.recordEvent('zombieSplit', { pieceCount: created.length });
+                }
+            }
+        });
+    }
+
+    /**
+     * 处理关卡模式的垃圾逃脱：扣除一条生命，还有生命时暂停并询问继续还是重新开始
+     * @param {TrashZombie} zombie - 逃脱的垃圾
+     */
+    handleLevelEscape(zombie) {
+        // 垃圾僵尸系统和收集系统可能报告同一次逃脱
+        if (zombie.hasEscaped) return;
+        zombie.hasEscaped = true;
+        
+        // Boss 逃脱时带走剩余的全部部件
+        const itemCount = zombie.isBoss ? zombie.getHealth() : 1;
+        this.levelSystem.recordEvent('zombieEscaped', { itemCount: itemCount });
+        
+        const livesRemaining = this.levelSystem.currentLevel.getLivesRemaining();
+        console.log(`垃圾逃脱！剩余生命 ${livesRemaining}`);
+        
+        // 生命耗尽时由关卡失败回调结束游戏
+        if (livesRemaining > 0 && this.modalSystem) {
+            this.gameState = 'lifeLost';
+            this.pauseAllSystems();
+            this.showFailureModal(livesRemaining);
+        }
+    }
+
+    /**
+     * 显示失败弹窗：还有生命时可以继续，否则只能重新开始
+     * @param {number} livesRemaining - 剩余生命
+     */
+    showFailureModal(livesRemaining) {
+        if (!this.modalSystem) return;
+        
+        this.modalSystem.showFailureModal(livesRemaining, (action) => {
+            this.modalSystem.closeModal('failure');
+            if (action === 'continue') {
+                this.resumeGame();
+            } else if (action === 'restart') {
+                this.restartLevel();
             }
         });
     }
 
+    /**
+     * 记录一次收集结果
+     * @param {boolean} isCorrect - 是否正确分类
+     * @param {number} points - 获得分数
+     */
+    recordCollection(isCorrect, points, discarded = false) {
+        if (this.mode === 'endless') {
+            this.endlessSystem.recordCollected(isCorrect, points);
+        } else {
+            this.levelSystem.recordEvent('zombieCollected', {
+                isCorrect: isCorrect,
+                points: points,
+                discarded: discarded
+            });
+        }
+    }
+
+    /**
+     * 将分类结果计入成就进度和统计管理器，结算界面据此显示各类垃圾的分类明细（无尽模式不按关卡统计）
+     * @param {TrashZombie} trash - 垃圾僵尸
+     * @param {TrashBin} bin - 垃圾桶
+     * @param {boolean} isCorrect - 是否正确分类
+     * @param {number} points - 获得分数
+     */
+    recordClassification(trash, bin, isCorrect, points) {
+        if (!this.recordProgress) return;
+        
+        progressManager.recordAchievementEvent('trash_classified', { trashType: trash.type, isCorrect });
+        if (this.mode === 'endless') return;
+        
+        const itemId = trash.itemId || trash.type;
+        if (isCorrect) {
+            statisticsManager.recordCorrectClassification(itemId, bin.type, points);
+        } else {
+            statisticsManager.recordIncorrectClassification(itemId, bin.type, this.collectionSystem.getCorrectBinType(itemId));
+        }
+    }
+
+    /**
+     * 提示成就解锁，并记下来显示在结算界面
+     * @param {Object} achievement - 成就定义
+     */
+    announceAchievement(achievement) {
+        this.recentAchievements.push(achievement);
+        
+        if (this.collectionSystem) {
+            this.collectionSystem.feedbackSystem.showInfo(
+                new Vector2(GameConfig.canvas.width / 2, 180),
+                `${achievement.icon} 成就解锁：${achievement.name}`,
+                { color: '#FFD700', fontSize: 20, duration: 3000 }
+            );
+        }
+    }
+
     /**
      * 设置关卡系统回调
      */
@@ -168,6 +470,9 @@ export class GameScene extends Scene {
         this.levelSystem.setCallbacks({
             onLevelStart: (level) => {
                 console.log(`关卡 ${level.id} 开始`);
+                if (this.recordProgress) {
+                    statisticsManager.startLevel(level.id);
+                }
                 
                 // 创建并启动计时器
                 this.timerSystem.createTimer('levelTimer', level.timeLimit, {
@@ -188,11 +493,24 @@ export class GameScene extends Scene {
             },
             onLevelComplete: (level) => {
                 console.log(`关卡 ${level.id} 完成！分数: ${level.score}`);
+                if (this.mode === 'daily') {
+                    this.recordDailyResult(level, true);
+                } else {
+                    this.recordLevelProgress(level);
+                }
                 this.victory();
             },
             onLevelFailed: (level) => {
                 console.log(`关卡 ${level.id} 失败`);
+                if (this.mode === 'daily') {
+                    this.recordDailyResult(level, false);
+                }
                 this.gameOver('关卡失败');
+                
+                // 生命耗尽时只能重新开始
+                if (level.getLivesRemaining() === 0) {
+                    this.showFailureModal(0);
+                }
             },
             onProgressUpdate: (stats) => {
                 // 可以在这里更新UI显示
@@ -203,22 +521,45 @@ export class GameScene extends Scene {
     /**
      * 加载关卡
      * @param {number} levelId - 关卡ID
+     * @param {Object} options - 加载选项 { ruleset: 指定分类规则集, ignoreLock: 忽略解锁状态 }
+     * @returns {boolean} 是否加载成功
      */
-    loadLevel(levelId) {
+    loadLevel(levelId, options = {}) {
         // 使用关卡系统加载关卡
-        const levelData = this.levelSystem.loadLevel(levelId);
+        const levelData = this.levelSystem.loadLevel(levelId, { ignoreLock: options.ignoreLock });
         if (!levelData) {
             console.error(`无法加载关卡 ${levelId}`);
-            return;
+            return false;
+        }
+        
+        // 切回关卡模式
+        this.mode = 'level';
+        this.dailyChallenge = null;
+        if (this.endlessSystem) {
+            this.endlessSystem.isActive = false;
         }
+        
+        this.resetSimulation();
 
-        // 初始化轨道
-        this.trackSystem.initializeTracks(levelData.trackCount);
+        // 应用分类规则集：显式指定的优先，其次是关卡指定的，否则使用玩家选择的地区
+        rulesetManager.setActiveRuleset(options.ruleset || levelData.ruleset || progressManager.getPreferredRuleset());
+        if (this.trashBinSystem) {
+            // 按规则集校正选中的垃圾桶
+            this.trashBinSystem.applyRuleset();
+            this.selectedBinType = this.trashBinSystem.getSelectedBinType();
+        }
+        
+        // 初始化轨道并放置关卡预置的垃圾桶
+        this.trackSystem.initializeTracks(levelData.trackCount, levelData.tracks, levelData.junctions);
+        if (this.trashBinSystem) {
+            this.trashBinSystem.resetCoins();
+            this.applyLevelLayout(levelData);
+        }
         
         // 设置垃圾僵尸系统难度
         if (this.trashZombieSystem) {
-            this.trashZombieSystem.setDifficulty(levelId, levelData);
-            this.trashZombieSystem.setAutoSpawn(true);
+            this.trashZombieSystem.setDifficulty(levelData.difficulty, levelData);
+            this.setupLevelSpawning(levelData);
         }
         
         // 重置游戏状态
@@ -229,28 +570,248 @@ export class GameScene extends Scene {
         this.levelSystem.startCurrentLevel();
         
         console.log(`加载关卡 ${levelId}，轨道数: ${levelData.trackCount}`);
+        return true;
+    }
+
+    /**
+     * 开始每日挑战
+     * @param {string} dateKey - 日期键，默认今天
+     * @returns {boolean} 是否开始成功
+     */
+    startDailyChallenge(dateKey = DailyChallenge.getDateKey()) {
+        const challenge = DailyChallenge.generate(dateKey);
+        this.levelSystem.registerLevel(challenge.level);
+        
+        // 以日期种子开局，所有玩家的生成顺序一致
+        const runState = this.startRun({
+            levelId: challenge.level.id,
+            seed: challenge.seed,
+            ruleset: challenge.level.ruleset,
+            ignoreLock: true
+        });
+        if (!runState) return false;
+        
+        this.mode = 'daily';
+        this.dailyChallenge = challenge;
+        this.dailyScored = !progressManager.hasPlayedDaily(dateKey);
+        this.dailyResult = null;
+        
+        console.log(`每日挑战 ${dateKey}${this.dailyScored ? '' : '（练习，不计分）'}`);
+        return true;
+    }
+
+    /**
+     * 应用关卡的禁用垃圾桶和预置垃圾桶
+     * @param {LevelData} levelData - 关卡数据
+     */
+    applyLevelLayout(levelData) {
+        this.trashBinSystem.setBannedBinTypes(levelData.bannedBinTypes);
+        this.selectedBinType = this.trashBinSystem.getSelectedBinType();
+        
+        for (const preset of levelData.prePlacedBins) {
+            this.trashBinSystem.placeFixedBin(preset.binType, preset.trackId, preset.progress);
+        }
+    }
+
+    /**
+     * 记录每日挑战结果，每天只有第一次挑战计分
+     * @param {LevelData} level - 挑战关卡
+     * @param {boolean} won - 是否通关
+     */
+    recordDailyResult(level, won) {
+        if (!this.dailyScored) return;
+        
+        this.dailyScored = false;
+        this.dailyResult = {
+            dateKey: this.dailyChallenge.dateKey,
+            won: won,
+            score: level.score,
+            accuracy: this.trashBinSystem.getSystemStats().overallAccuracy,
+            timeRemaining: level.getRemainingTime()
+        };
+        
+        if (this.recordProgress) {
+            progressManager.recordDailyResult(this.dailyResult);
+        }
+    }
+
+    /**
+     * 每日挑战未结束就重来或返回菜单，视为放弃计分的那一次
+     */
+    abandonDailyAttempt() {
+        if (this.mode === 'daily' && ['playing', 'paused', 'lifeLost'].includes(this.gameState)) {
+            this.recordDailyResult(this.levelSystem.currentLevel, false);
+            this.dailyResult = null;
+        }
+    }
+
+    /**
+     * 开始无尽模式
+     */
+    startEndless() {
+        this.mode = 'endless';
+        this.resetSimulation();
+        this.clearLevelState();
+        
+        // 停止关卡模式的关卡和倒计时
+        if (this.levelSystem.currentLevel) {
+            this.levelSystem.currentLevel.isActive = false;
+        }
+        this.timerSystem.removeTimer('levelTimer');
+        
+        rulesetManager.setActiveRuleset(progressManager.getPreferredRuleset());
+        if (this.trashBinSystem) {
+            this.trashBinSystem.applyRuleset();
+            this.selectedBinType = this.trashBinSystem.getSelectedBinType();
+        }
+        
+        this.endlessResult = null;
+        this.trashZombieSystem.setPowerUpsEnabled(true);
+        this.endlessSystem.start();
+        this.gameState = 'playing';
+    }
+
+    /**
+     * 设置固定随机种子，相同种子和相同输入会得到相同的对局
+     * @param {number|string|null} seed - 随机种子，null 表示每次开局随机
+     */
+    setSeed(seed) {
+        this.seed = seed;
+    }
+
+    /**
+     * 重置模拟状态：重新设定随机种子并归零游戏时钟
+     */
+    resetSimulation() {
+        this.currentSeed = this.seed !== null ? this.seed : SeededRandom.createSeed();
+        this.rng.setSeed(this.currentSeed);
+        this.powerUpRng.setSeed(`${this.currentSeed}:powerUps`);
+        this.eventRng.setSeed(`${this.currentSeed}:events`);
+        this.gameClock.reset();
+        
+        // 道具效果和结算界面不带入新的一局
+        if (this.powerUpSystem) {
+            this.powerUpSystem.reset();
+        }
+        timeScale.reset();
+        this.resultsScreen.hide();
+        this.recentAchievements = [];
+    }
+
+    /**
+     * 以确定的种子从头开始一局，用于录制和回放
+     * @param {Object} options - { levelId, seed, ruleset, ignoreLock }，未指定种子时生成新种子
+     * @returns {Object|null} 本局初始状态，加载失败时返回null
+     */
+    startRun(options = {}) {
+        if (!this.isInRun) {
+            this.seedBeforeRun = this.seed;
+        }
+        this.isInRun = true;
+        this.setSeed(options.seed !== undefined ? options.seed : SeededRandom.createSeed());
+        
+        // 清空场上状态并把垃圾桶选择恢复为默认，保证录制与回放的起点一致
+        this.clearLevelState();
+        const loaded = this.loadLevel(options.levelId || this.currentLevel, {
+            ruleset: options.ruleset,
+            ignoreLock: options.ignoreLock
+        });
+        if (!loaded) {
+            this.endRun();
+            return null;
+        }
+        
+        if (this.trashBinSystem) {
+            this.trashBinSystem.selectBin(this.trashBinSystem.getSelectableBinTypes()[0]);
+            this.selectedBinType = this.trashBinSystem.getSelectedBinType();
+        }
+        
+        return this.getRunState();
+    }
+
+    /**
+     * 结束录制/回放的一局，恢复原来的种子设置
+     */
+    endRun() {
+        if (!this.isInRun) return;
+        
+        this.isInRun = false;
+        this.setSeed(this.seedBeforeRun);
+    }
+
+    /**
+     * 获取本局初始状态
+     */
+    getRunState() {
+        return {
+            levelId: this.currentLevel,
+            seed: this.currentSeed,
+            ruleset: rulesetManager.getActiveRuleset().id
+        };
+    }
+
+    /**
+     * 按关卡的波次脚本设置垃圾生成，没有脚本时使用随机自动生成
+     * @param {LevelData} levelData - 关卡数据
+     */
+    setupLevelSpawning(levelData) {
+        const waveScript = levelData.getWaveScript();
+        if (waveScript) {
+            this.trashZombieSystem.loadWaveScript(waveScript, {
+                trashTypes: levelData.trashTypes
+            });
+        } else {
+            this.trashZombieSystem.clearWaveScript();
+            this.trashZombieSystem.setAutoSpawn(true);
+        }
+        this.trashZombieSystem.setPowerUpsEnabled(true);
+        
+        // 关卡声明的环境事件
+        if (this.environmentEventSystem) {
+            this.environmentEventSystem.loadEvents(levelData.events);
+        }
     }
 
     /**
      * 更新游戏场景
+     * 关卡倒计时、界面和道具效果按真实时间推进，垃圾生成和移动等模拟系统按缩放后的时间推进
      * @param {number} deltaTime - 时间间隔
+     * @param {number} simulationDeltaTime - 经过道具时间缩放的模拟时间间隔，不传时按全局时间缩放换算
      */
-    update(deltaTime) {
+    update(deltaTime, simulationDeltaTime = timeScale.apply(deltaTime)) {
         super.update(deltaTime);
         
         if (this.gameState === 'playing') {
-            // 更新关卡系统
-            this.levelSystem.update(deltaTime);
+            // 推进游戏时钟（暂停时不走）
+            this.gameClock.advance(simulationDeltaTime);
+            
+            // 更新关卡系统或无尽模式
+            if (this.mode === 'endless') {
+                this.endlessSystem.update(simulationDeltaTime);
+            } else {
+                this.levelSystem.update(deltaTime);
+            }
             
             // 更新计时器系统
             this.timerSystem.update(deltaTime);
             
+            // 更新道具效果倒计时
+            if (this.powerUpSystem) {
+                this.powerUpSystem.update(deltaTime);
+                this.hudSystem.updatePowerUpEffects(this.powerUpSystem.getActiveEffects());
+            }
+            
             // 更新轨道系统
-            this.trackSystem.update(deltaTime);
+            this.trackSystem.update(simulationDeltaTime);
             
             // 更新垃圾桶系统
             if (this.trashBinSystem) {
-                this.trashBinSystem.update(deltaTime);
+                this.trashBinSystem.update(simulationDeltaTime);
+            }
+            
+            // 更新垃圾桶技能冷却
+            if (this.binAbilitySystem) {
+                this.binAbilitySystem.update(simulationDeltaTime);
             }
             
             // 更新收集系统
@@ -266,21 +827,31 @@ export class GameScene extends Scene {
                 }
             }
             
+            // 推进环境事件
+            if (this.environmentEventSystem) {
+                this.environmentEventSystem.update(simulationDeltaTime);
+            }
+            
             // 更新垃圾僵尸系统
             if (this.trashZombieSystem) {
-                this.trashZombieSystem.update(deltaTime);
+                this.trashZombieSystem.update(simulationDeltaTime);
+                this.hudSystem.updateBossHealth(this.trashZombieSystem.getActiveBosses()[0] || null);
             }
             
             // 更新粒子系统
-            this.particleSystem.update(deltaTime);
+            this.particleSystem.update(simulationDeltaTime);
         }
+        
+        // 结算界面的计分动画
+        this.resultsScreen.update(deltaTime);
     }
 
     /**
      * 渲染游戏场景
      * @param {RenderSystem} renderSystem - 渲染系统
+     * @param {number} alpha - 插值系数（固定步长之间的渲染进度）
      */
-    render(renderSystem) {
+    render(renderSystem, alpha = 1) {
         // 渲染轨道
         renderSystem.add2DRender((ctx) => {
             this.trackSystem.render(ctx);
@@ -293,7 +864,7 @@ export class GameScene extends Scene {
         
         // 渲染垃圾僵尸
         if (this.trashZombieSystem) {
-            this.trashZombieSystem.render(renderSystem);
+            this.trashZombieSystem.render(renderSystem, alpha);
         }
         
         // 渲染收集系统反馈
@@ -301,9 +872,12 @@ export class GameScene extends Scene {
             this.collectionSystem.render(renderSystem);
         }
         
-        // 渲染粒子效果
+        // 渲染粒子效果和技能特效
         renderSystem.add2DRender((ctx) => {
-            this.particleSystem.render(ctx);
+            this.particleSystem.render(ctx, alpha);
+            if (this.binAbilitySystem) {
+                this.binAbilitySystem.render(ctx);
+            }
         }, renderSystem.layers.EFFECTS);
         
         // 渲染UI
@@ -327,30 +901,18 @@ export class GameScene extends Scene {
         ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
         ctx.fillRect(0, 0, ctx.canvas.width, 60);
         
-        // 渲染分数
+        // 渲染分数等模式信息
         ctx.fillStyle = '#FFFFFF';
         ctx.font = 'bold 18px Arial';
-        const levelStats = this.levelSystem.getCurrentLevelStats();
-        const score = levelStats ? levelStats.score : 0;
-        ctx.fillText(`分数: ${score}`, 20, 30);
         
-        // 渲染关卡信息
-        const levelStats = this.levelSystem.getCurrentLevelStats();
-        if (levelStats) {
-            const minutes = Math.floor(levelStats.remainingTime / 60);
-            const seconds = Math.floor(levelStats.remainingTime % 60);
-            const timeText = `时间: ${minutes}:${seconds.toString().padStart(2, '0')}`;
-            ctx.fillText(timeText, 200, 30);
-            
-            // 渲染进度
-            ctx.fillText(`进度: ${Math.round(levelStats.progress)}%`, 350, 30);
+        if (this.mode === 'endless') {
+            this.renderEndlessInfo(ctx);
+        } else {
+            this.renderLevelInfo(ctx);
         }
         
-        // 渲染关卡
-        ctx.fillText(`关卡: ${this.currentLevel}`, 400, 30);
-        
         // 渲染选中的垃圾桶类型
-        const binConfig = GameConfig.trashBins[this.selectedBinType];
+        const binConfig = rulesetManager.getActiveRuleset().getBinConfig(this.selectedBinType);
         if (binConfig) {
             ctx.fillText(`选中: ${binConfig.name}`, 600, 30);
         }
@@ -358,13 +920,22 @@ export class GameScene extends Scene {
         // 渲染垃圾桶统计
         if (this.trashBinSystem) {
             const stats = this.trashBinSystem.getSystemStats();
-            ctx.fillText(`垃圾桶: ${stats.totalBins}`, 800, 30);
+            ctx.fillText(`垃圾桶: ${stats.totalBins}${stats.fullBins > 0 ? `（满 ${stats.fullBins}）` : ''}`, 800, 30);
+            ctx.fillText(`金币: ${this.trashBinSystem.coins}`, 800, 50);
         }
         
         // 渲染收集统计
         if (this.collectionSystem) {
             const collectionStats = this.collectionSystem.getCollectionStats();
             ctx.fillText(`准确率: ${Math.round(collectionStats.accuracy)}%`, 950, 30);
+            
+            // 渲染连击和分数倍率
+            const comboStats = this.collectionSystem.comboSystem.getStats();
+            if (comboStats.combo > 0) {
+                ctx.fillStyle = comboStats.multiplier > 1 ? '#FFD700' : '#FFFFFF';
+                ctx.fillText(`连击: ${comboStats.combo} ×${comboStats.multiplier}`, 950, 50);
+                ctx.fillStyle = '#FFFFFF';
+            }
         }
         
         // 渲染垃圾僵尸统计
@@ -373,19 +944,91 @@ export class GameScene extends Scene {
             ctx.fillText(`活跃垃圾: ${zombieStats.activeZombies}`, 20, 50);
         }
         
+        // 渲染进行中的环境事件
+        if (this.environmentEventSystem) {
+            this.environmentEventSystem.getActiveEvents().forEach((event, index) => {
+                ctx.fillStyle = '#FF9800';
+                ctx.fillText(`${event.config.icon} ${event.config.name} ${Math.ceil(event.remaining / 1000)}s`, 20, 85 + index * 22);
+            });
+            ctx.fillStyle = '#FFFFFF';
+        }
+        
+        // 渲染技能冷却
+        if (this.binAbilitySystem) {
+            this.binAbilitySystem.renderHUD(ctx);
+        }
+        
+        // 渲染 Boss 血条
+        this.hudSystem.render(ctx);
+        
         // 渲染对话框
         if (this.showDialogue) {
             this.renderDialogue(ctx);
         }
         
-        // 渲染游戏状态
-        if (this.gameState !== 'playing') {
+        // 渲染游戏状态，通关结算由结算界面绘制
+        if (this.resultsScreen.isVisible) {
+            this.resultsScreen.render(ctx);
+        } else if (this.gameState !== 'playing') {
             this.renderGameStateOverlay(ctx);
         }
         
         ctx.restore();
     }
 
+    /**
+     * 渲染关卡模式的分数、时间和进度
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     */
+    renderLevelInfo(ctx) {
+        // 渲染分数
+        const levelStats = this.levelSystem.getCurrentLevelStats();
+        const score = levelStats ? levelStats.score : 0;
+        ctx.fillText(`分数: ${score}`, 20, 30);
+        
+        // 渲染关卡信息
+        if (levelStats) {
+            const minutes = Math.floor(levelStats.remainingTime / 60);
+            const seconds = Math.floor(levelStats.remainingTime % 60);
+            const timeText = `时间: ${minutes}:${seconds.toString().padStart(2, '0')}`;
+            ctx.fillText(timeText, 200, 30);
+            
+            // 渲染进度
+            ctx.fillText(`进度: ${Math.round(levelStats.progress)}%`, 350, 30);
+        }
+        
+        // 渲染关卡
+        if (this.mode === 'daily') {
+            ctx.fillText('每日挑战', 400, 30);
+            
+            const bannedNames = this.dailyChallenge.bannedBinTypes
+                .map(binType => rulesetManager.getActiveRuleset().getBinConfig(binType).name);
+            ctx.fillText(`禁用: ${bannedNames.join('、')}`, 200, 50);
+        } else {
+            ctx.fillText(`关卡: ${this.currentLevel}`, 400, 30);
+        }
+        
+        // 渲染生命
+        if (levelStats) {
+            ctx.fillText(`生命: ${'❤'.repeat(levelStats.lives)}${'♡'.repeat(levelStats.livesLost)}`, 500, 50);
+        }
+    }
+
+    /**
+     * 渲染无尽模式的分数、生命、坚持时间和难度
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     */
+    renderEndlessInfo(ctx) {
+        const stats = this.endlessSystem.getStats();
+        const minutes = Math.floor(stats.survivalTime / 60);
+        const seconds = Math.floor(stats.survivalTime % 60);
+        
+        ctx.fillText(`分数: ${stats.score}`, 20, 30);
+        ctx.fillText(`生命: ${'❤'.repeat(stats.lives)}${'♡'.repeat(stats.maxLives - stats.lives)}`, 150, 30);
+        ctx.fillText(`坚持: ${minutes}:${seconds.toString().padStart(2, '0')}`, 300, 30);
+        ctx.fillText(`难度: ${stats.difficulty.toFixed(1)}`, 450, 30);
+    }
+
     /**
      * 渲染游戏状态覆盖层
      * @param {CanvasRenderingContext2D} ctx - 渲染上下文
@@ -405,6 +1048,9 @@ export class GameScene extends Scene {
             case 'paused':
                 statusText = '游戏暂停';
                 break;
+            case 'lifeLost':
+                statusText = '垃圾逃脱！';
+                break;
             case 'gameOver':
                 statusText = '游戏结束';
                 break;
@@ -415,9 +1061,37 @@ export class GameScene extends Scene {
         
         ctx.fillText(statusText, ctx.canvas.width / 2, ctx.canvas.height / 2);
         
+        // 无尽模式结算
+        let hintOffset = 50;
+        if (this.gameState === 'gameOver' && this.endlessResult) {
+            const result = this.endlessResult;
+            ctx.font = '20px Arial';
+            ctx.fillText(
+                `坚持 ${Math.floor(result.survivalTime)} 秒 · 分数 ${result.score} · 难度 ${result.difficulty.toFixed(1)}`,
+                ctx.canvas.width / 2,
+                ctx.canvas.height / 2 + 45
+            );
+            if (result.rank > 0) {
+                ctx.fillStyle = '#FFD700';
+                ctx.fillText(`进入高分榜第 ${result.rank} 名！`, ctx.canvas.width / 2, ctx.canvas.height / 2 + 75);
+                ctx.fillStyle = '#FFFFFF';
+            }
+            hintOffset = 110;
+        }
+        
+        // 每日挑战结算
+        if (this.mode === 'daily' && (this.gameState === 'gameOver' || this.gameState === 'victory')) {
+            ctx.font = '20px Arial';
+            const dailyText = this.dailyResult
+                ? `每日挑战成绩已记录：分数 ${this.dailyResult.score}`
+                : '今日挑战已完成，本次为练习，不计分';
+            ctx.fillText(dailyText, ctx.canvas.width / 2, ctx.canvas.height / 2 + 45);
+            hintOffset = 80;
+        }
+        
         // 提示文字
         ctx.font = '18px Arial';
-        ctx.fillText('按 ESC 返回菜单', ctx.canvas.width / 2, ctx.canvas.height / 2 + 50);
+        ctx.fillText('按 ESC 返回菜单', ctx.canvas.width / 2, ctx.canvas.height / 2 + hintOffset);
         
         ctx.textAlign = 'left';
     }
@@ -502,8 +1176,14 @@ export class GameScene extends Scene {
      * @param {string} key - 按键
      */
     handleKeyInput(key) {
-        // 将输入传递给垃圾桶系统
-        if (this.trashBinSystem) {
+        // 结算界面显示时按键只用于结算操作
+        if (this.resultsScreen.isVisible) {
+            this.resultsScreen.handleKeyInput(key);
+            return;
+        }
+        
+        // 将输入传递给垃圾桶系统（选桶、技能和升级只在游戏进行中响应）
+        if (this.gameState === 'playing' && this.trashBinSystem) {
             this.trashBinSystem.handleKeyInput(key);
         }
         
@@ -518,8 +1198,7 @@ export class GameScene extends Scene {
                 if (this.gameState === 'playing') {
                     this.pauseGame();
                 } else {
-                    // 返回菜单的逻辑将在后续实现
-                    console.log('返回菜单');
+                    this.returnToMenu();
                 }
                 break;
             case ' ':
@@ -527,6 +1206,26 @@ export class GameScene extends Scene {
                     this.resumeGame();
                 }
                 break;
+            case 'Ctrl+z':
+                if (this.gameState === 'playing' && this.trashBinSystem) {
+                    this.trashBinSystem.undo();
+                }
+                break;
+            case 'Ctrl+y':
+            case 'Ctrl+Shift+z':
+                if (this.gameState === 'playing' && this.trashBinSystem) {
+                    this.trashBinSystem.redo();
+                }
+                break;
+            case 'Delete':
+            case 'Backspace': {
+                // 移除选中的垃圾桶（关卡预置的除外），可撤销
+                const selectedBin = this.trashBinSystem ? this.trashBinSystem.selectedBin : null;
+                if (this.gameState === 'playing' && selectedBin && !selectedBin.isFixed) {
+                    this.trashBinSystem.removeBin(selectedBin);
+                }
+                break;
+            }
             case 'F1':
                 this.trackSystem.toggleDebugMode();
                 break;
@@ -547,8 +1246,31 @@ export class GameScene extends Scene {
      * @param {number} y - 鼠标Y坐标
      */
     handleMouseClick(x, y) {
+        if (this.resultsScreen.isVisible) {
+            this.resultsScreen.handleMouseClick(x, y);
+            return;
+        }
         if (this.gameState !== 'playing' || !this.trashBinSystem) return;
         
+        // 拖拽移动垃圾桶后松开鼠标产生的点击不再处理
+        const suppressed = this.suppressClickAt;
+        this.suppressClickAt = null;
+        if (suppressed && suppressed.x === x && suppressed.y === y) return;
+        
+        // 点击道具立即激活，优先于其他操作
+        const powerUp = this.trashZombieSystem ? this.trashZombieSystem.getPowerUpAtPosition(x, y) : null;
+        if (powerUp) {
+            this.powerUpSystem.activate(powerUp);
+            return;
+        }
+        
+        // 点击道岔切换分支，优先于垃圾桶放置
+        const trackSwitch = this.trackSystem.getSwitchAtPosition(x, y);
+        if (trackSwitch) {
+            this.trackSystem.toggleSwitch(trackSwitch.id);
+            return;
+        }
+        
         // 将点击事件传递给垃圾桶系统
         const result = this.trashBinSystem.handleMouseClick(x, y);
         
@@ -560,9 +1282,13 @@ export class GameScene extends Scene {
                 // 放置失败，显示错误信息
                 console.log(`放置失败: ${result.result.reason}`);
             }
+        } else if (result.action === 'empty') {
+            console.log(`清空垃圾桶: ${result.bin.config.name}`);
         } else if (result.action === 'select') {
-            // 选中了现有垃圾桶
+            // 选中了现有垃圾桶，打开升级面板
             console.log(`选中了垃圾桶: ${result.bin.config.name}`);
+        } else if (result.action === 'upgrade' && result.result && !result.result.success) {
+            console.log(`升级失败: ${result.result.reason}`);
         }
     }
 
@@ -578,6 +1304,35 @@ export class GameScene extends Scene {
         this.trashBinSystem.handleMouseMove(x, y);
     }
 
+    /**
+     * 处理鼠标按下：按在自己放置的垃圾桶上开始拖拽
+     * @param {number} x - 鼠标X坐标
+     * @param {number} y - 鼠标Y坐标
+     */
+    handleMouseDown(x, y) {
+        if (this.gameState !== 'playing' || !this.trashBinSystem) return;
+        if (this.trashBinSystem.isInUpgradePanel(x, y)) return;
+        
+        this.trashBinSystem.startDrag(x, y);
+    }
+
+    /**
+     * 处理鼠标松开：结束拖拽并尝试移动垃圾桶
+     * @param {number} x - 鼠标X坐标
+     * @param {number} y - 鼠标Y坐标
+     */
+    handleMouseUp(x, y) {
+        if (!this.trashBinSystem) return;
+        
+        const result = this.trashBinSystem.endDrag(x, y);
+        if (result.action === 'move') {
+            this.suppressClickAt = { x, y };
+            if (!result.result.success) {
+                console.log(`移动失败: ${result.result.reason}`);
+            }
+        }
+    }
+
     /**
      * 选择垃圾桶类型
      * @param {number} binType - 垃圾桶类型
@@ -621,27 +1376,160 @@ export class GameScene extends Scene {
     victory() {
         this.gameState = 'victory';
         console.log('关卡完成！');
+        
+        // 每日挑战沿用自己的结算
+        const level = this.levelSystem.currentLevel;
+        if (this.mode === 'level' && level) {
+            this.showLevelResults(level);
+        }
+    }
+
+    /**
+     * 汇总关卡结果，与玩家进度的星级计算使用同一份数据
+     * @param {LevelData} level - 完成的关卡
+     */
+    getLevelResult(level) {
+        const binStats = this.trashBinSystem.getSystemStats();
+        const errorCount = binStats.totalCollections - binStats.totalCorrectCollections;
+        
+        return {
+            score: level.score,
+            accuracy: binStats.overallAccuracy,
+            timeRemaining: level.getRemainingTime(),
+            timeUsed: level.elapsedTime / 1000,
+            errors: errorCount,
+            livesLost: level.livesLost,
+            correctCount: binStats.totalCorrectCollections,
+            errorCount: errorCount,
+            longestStreak: this.collectionSystem.comboSystem.bestCombo
+        };
+    }
+
+    /**
+     * 显示通关结算：星级按准确率、剩余时间和失去的生命计算，明细来自统计管理器
+     * @param {LevelData} level - 完成的关卡
+     */
+    showLevelResults(level) {
+        const result = this.getLevelResult(level);
+        
+        // 每次结算展示一条环保知识，优先没看过的
+        const factIndex = progressManager.getNextEcoFactIndex(this.rng);
+        if (this.recordProgress) {
+            progressManager.recordAchievementEvent('eco_fact_viewed', { factIndex });
+        }
+        
+        this.resultsScreen.show({
+            ...result,
+            levelId: level.id,
+            isCustom: level.isCustom,
+            stars: progressManager.calculateLevelStars(result),
+            breakdown: this.recordProgress ? statisticsManager.getAttemptBreakdown(level.id) : [],
+            hasNextLevel: this.levelSystem.getNextLevelId() !== null,
+            ecoFact: GameConfig.ecoFacts[factIndex],
+            achievements: [...this.recentAchievements]
+        });
+    }
+
+    /**
+     * 处理结算界面的操作
+     * @param {string} action - next、replay 或 menu
+     */
+    handleResultsAction(action) {
+        switch (action) {
+            case 'next':
+                this.nextLevel();
+                break;
+            case 'replay':
+                this.restartLevel();
+                break;
+            case 'menu':
+                this.returnToMenu();
+                break;
+        }
+    }
+
+    /**
+     * 返回主菜单
+     */
+    returnToMenu() {
+        this.abandonDailyAttempt();
+        this.resultsScreen.hide();
+        if (this.modalSystem) {
+            this.modalSystem.closeAll();
+        }
+        if (this.sceneManager) {
+            this.sceneManager.transitionTo('menu');
+        }
+    }
+
+    /**
+     * 将通关结果写入玩家进度和统计数据
+     * @param {LevelData} level - 完成的关卡
+     */
+    recordLevelProgress(level) {
+        // 自定义关卡不计入闯关进度
+        if (!this.recordProgress || level.isCustom) return;
+        
+        const result = this.getLevelResult(level);
+        progressManager.updateLevelProgress(level.id, result);
+        statisticsManager.completeLevel(result);
     }
 
     /**
      * 重新开始当前关卡
      */
     restartLevel() {
+        if (this.mode === 'endless') {
+            this.startEndless();
+            return;
+        }
+        
+        this.abandonDailyAttempt();
+        
         this.levelSystem.restartCurrentLevel();
+        this.resetSimulation();
         
         // 清理所有系统
+        this.clearLevelState();
+        this.trackSystem.resetSwitches();
+        if (this.trashZombieSystem) {
+            this.setupLevelSpawning(this.levelSystem.currentLevel);
+        }
+        if (this.trashBinSystem) {
+            this.applyLevelLayout(this.levelSystem.currentLevel);
+        }
+        
+        this.gameState = 'playing';
+    }
+
+    /**
+     * 清空场上的垃圾僵尸、垃圾桶和特效
+     */
+    clearLevelState() {
         if (this.trashZombieSystem) {
             this.trashZombieSystem.clearAllZombies();
         }
         if (this.trashBinSystem) {
             this.trashBinSystem.clearAllBins();
+            this.trashBinSystem.resetCoins();
         }
         if (this.collectionSystem) {
             this.collectionSystem.clearAllTrash();
+            this.collectionSystem.comboSystem.reset();
         }
+        if (this.binAbilitySystem) {
+            this.binAbilitySystem.reset();
+        }
+        if (this.powerUpSystem) {
+            this.powerUpSystem.reset();
+        }
+        if (this.environmentEventSystem) {
+            this.environmentEventSystem.reset();
+        }
+        timeScale.reset();
+        this.hudSystem.hideBossHealth();
+        this.hudSystem.hidePowerUpEffects();
         this.particleSystem.clear();
-        
-        this.gameState = 'playing';
     }
 
     /**
@@ -0,0 +1,1398 @@
+/**
+ * 关卡编辑器场景
+ * 编辑轨道数量与几何、限定物品、时间限制、波次脚本和预置垃圾桶，可直接试玩并导出/导入关卡JSON
+ */
+import { Scene } from '../core/Scene.js';
+import { Vector2 } from '../core/Vector2.js';
+import { Track } from '../entities/Track.js';
+import { LevelSystem, CUSTOM_LEVEL_ID_START } from '../systems/LevelSystem.js';
+import { TrackSystem } from '../systems/TrackSystem.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { trashCatalog, TrashCategories } from '../config/TrashCatalog.js';
+import { rulesetManager } from '../config/ClassificationRulesets.js';
+
+export class LevelEditorScene extends Scene {
+    /**
+     * @param {Object} options - 场景选项
+     * @param {LevelSystem} options.levelSystem - 关卡系统，默认新建（自动加载本地保存的自定义关卡）
+     */
+    constructor(options = {}) {
+        super('LevelEditorScene');
+        this.title = '关卡编辑器';
+        this.levelSystem = options.levelSystem || new LevelSystem();
+        this.sceneManager = null;
+        
+        // 正在编辑的关卡配置
+        this.draft = null;
+        
+        // 编辑面板
+        this.panels = ['basic', 'tracks', 'items', 'waves', 'bins'];
+        this.panelNames = { basic: '基本', tracks: '轨道', items: '物品', waves: '波次', bins: '预置垃圾桶' };
+        this.activePanel = 'basic';
+        
+        // 各面板的选择状态
+        this.basicFields = ['timeLimit', 'difficulty', 'ruleset'];
+        this.selectedField = 0;
+        this.selectedTrack = 0;
+        this.pendingTrackPoint = 'start'; // 下一次点击设置的端点，'waypoint' 时点击添加拐点
+        this.selectedItem = 0;
+        this.selectedWave = 0;
+        this.selectedBinType = 1;
+        
+        // 编辑限制
+        this.gridSize = 10;
+        this.minTrackWidth = 40;
+        this.maxTrackWidth = 120;
+        this.maxWaypoints = 8;
+        this.speedPresets = [0.8, 1.0, 1.2, 1.5, 2.0];
+        this.trackSelectors = ['random', 'cycle'];
+        this.itemColumns = 4;
+        
+        // 物品列表（按类别排列）
+        const categoryOrder = Object.keys(TrashCategories);
+        this.items = trashCatalog.getAllItems()
+            .sort((a, b) => categoryOrder.indexOf(a.category) - categoryOrder.indexOf(b.category));
+        
+        // 操作按钮
+        this.buttons = [
+            { text: '试玩', action: 'preview' },
+            { text: '保存', action: 'save' },
+            { text: '导出', action: 'export' },
+            { text: '导入', action: 'import' },
+            { text: '新建', action: 'new' },
+            { text: '返回', action: 'back' }
+        ].map((button, index) => ({ ...button, x: 150 + index * 160, y: 730, width: 140, height: 44 }));
+        
+        // 提示信息
+        this.notice = '';
+        this.noticeTime = 0;
+        this.noticeDuration = 2500;
+        
+        // 事件回调（文件读写由页面负责）
+        this.onExportRequested = null;
+        this.onImportRequested = null;
+    }
+
+    /**
+     * 初始化编辑器，首次进入时新建关卡
+     */
+    init() {
+        super.init();
+        this.levelSystem.loadCustomLevels();
+        if (!this.draft) {
+            this.newLevel();
+        }
+    }
+
+    /**
+     * 设置场景管理器引用
+     * @param {SceneManager} sceneManager - 场景管理器
+     */
+    setSceneManager(sceneManager) {
+        this.sceneManager = sceneManager;
+    }
+
+    /**
+     * 设置事件回调
+     * @param {Object} callbacks - { onExportRequested(json, config), onImportRequested() }
+     */
+    setCallbacks(callbacks) {
+        this.onExportRequested = callbacks.onExportRequested;
+        this.onImportRequested = callbacks.onImportRequested;
+    }
+
+    /**
+     * 新建关卡：三条默认轨道、常见物品、一波垃圾
+     */
+    newLevel() {
+        const id = this.levelSystem.getNextCustomLevelId();
+        
+        this.loadDraft({
+            id: id,
+            name: `自定义关卡 ${id - CUSTOM_LEVEL_ID_START + 1}`,
+            difficulty: 1,
+            trackCount: 3,
+            trashItems: this.items.filter(item => item.difficulty === 1).map(item => item.id),
+            timeLimit: 120,
+            waves: [{ name: '第一波', count: 6, interval: 3000, tracks: 'random', speed: 1.0 }]
+        });
+    }
+
+    /**
+     * 以已有关卡为模板开始编辑，内置关卡会另存为新的自定义关卡
+     * @param {number} levelId - 关卡ID
+     * @returns {boolean} 是否载入
+     */
+    editLevel(levelId) {
+        const level = this.levelSystem.levels.get(levelId);
+        if (!level) {
+            console.warn(`关卡 ${levelId} 不存在`);
+            return false;
+        }
+        
+        const config = level.toConfig();
+        if (!level.isCustom) {
+            config.id = this.levelSystem.getNextCustomLevelId();
+            config.name = `${level.name}（副本）`;
+        }
+        
+        this.loadDraft(config);
+        return true;
+    }
+
+    /**
+     * 将关卡配置展开为可编辑的草稿：轨道几何、物品和波次都显式列出
+     * @param {Object} config - 关卡配置
+     */
+    loadDraft(config) {
+        const trackCount = config.tracks ? config.tracks.length : config.trackCount;
+        const tracks = config.tracks
+            ? config.tracks.map(track => this.cloneGeometry(track))
+            : Array.from({ length: trackCount }, (_, index) => TrackSystem.getDefaultGeometry(index));
+        
+        // 按类别指定的关卡展开为该类别的全部物品
+        const trashItems = config.trashItems
+            ? [...config.trashItems]
+            : this.items.filter(item => config.trashTypes.includes(item.category)).map(item => item.id);
+        
+        // 波次模板或自动生成展开为内联波次
+        let waves;
+        if (config.waves) {
+            waves = config.waves;
+        } else if (GameConfig.waveScripts[config.spawnPattern]) {
+            waves = GameConfig.waveScripts[config.spawnPattern].waves;
+        } else {
+            waves = [{ name: '第一波', count: config.zombieCount || 1, interval: config.spawnInterval || 2000 }];
+        }
+        
+        this.draft = {
+            id: config.id,
+            name: config.name || `自定义关卡 ${config.id}`,
+            difficulty: config.difficulty || 1,
+            ruleset: config.ruleset || null,
+            timeLimit: config.timeLimit,
+            tracks: tracks,
+            trashItems: trashItems,
+            waves: JSON.parse(JSON.stringify(waves)),
+            prePlacedBins: (config.prePlacedBins || []).map(preset => ({ ...preset })),
+            bannedBinTypes: [...(config.bannedBinTypes || [])],
+            junctions: (config.junctions || []).map(junction => ({ ...junction, to: [...junction.to] })),
+            events: (config.events || []).map(event => ({ ...event })) // 编辑器暂不提供事件面板，导入的事件原样保留
+        };
+        
+        this.selectedTrack = 0;
+        this.selectedWave = 0;
+        this.pendingTrackPoint = 'start';
+        this.selectedBinType = this.getRuleset().getBinTypes()[0];
+    }
+
+    /**
+     * 复制轨道几何
+     * @param {Object} geometry - { start, end, width, waypoints, smooth, controls }
+     */
+    cloneGeometry(geometry) {
+        const clone = {
+            start: { x: geometry.start.x, y: geometry.start.y },
+            end: { x: geometry.end.x, y: geometry.end.y },
+            width: geometry.width || GameConfig.tracks.width
+        };
+        
+        // 直线轨道不写入曲线字段，保持导出文件简洁
+        if (geometry.waypoints && geometry.waypoints.length > 0) {
+            clone.waypoints = geometry.waypoints.map(point => ({ x: point.x, y: point.y }));
+            if (geometry.smooth) clone.smooth = true;
+        }
+        if (geometry.controls && geometry.controls.length > 0) {
+            clone.controls = geometry.controls.map(point => ({ x: point.x, y: point.y }));
+        }
+        
+        return clone;
+    }
+
+    /**
+     * 由草稿生成关卡配置（可被 LevelSystem 注册、保存和导出）
+     */
+    getLevelConfig() {
+        const draft = this.draft;
+        const trashTypes = [...new Set(draft.trashItems.map(itemId => trashCatalog.getCategory(itemId)))];
+        
+        const config = {
+            id: draft.id,
+            name: draft.name,
+            difficulty: draft.difficulty,
+            trackCount: draft.tracks.length,
+            tracks: draft.tracks.map(track => this.cloneGeometry(track)),
+            trashTypes: trashTypes,
+            trashItems: [...draft.trashItems],
+            timeLimit: draft.timeLimit,
+            waves: JSON.parse(JSON.stringify(draft.waves))
+        };
+        
+        if (draft.ruleset) config.ruleset = draft.ruleset;
+        if (draft.prePlacedBins.length > 0) config.prePlacedBins = draft.prePlacedBins.map(preset => ({ ...preset }));
+        if (draft.bannedBinTypes.length > 0) config.bannedBinTypes = [...draft.bannedBinTypes];
+        if (draft.junctions.length > 0) config.junctions = draft.junctions.map(junction => ({ ...junction, to: [...junction.to] }));
+        if (draft.events.length > 0) config.events = draft.events.map(event => ({ ...event }));
+        
+        return config;
+    }
+
+    /**
+     * 校验当前草稿
+     * @returns {Array<string>} 错误信息
+     */
+    validate() {
+        return LevelSystem.validateLevelConfig(this.getLevelConfig());
+    }
+
+    /**
+     * 获取草稿使用的分类规则集（未指定时按标准规则编辑）
+     */
+    getRuleset() {
+        return rulesetManager.getRuleset(this.draft && this.draft.ruleset ? this.draft.ruleset : 'standard');
+    }
+
+    /**
+     * 由草稿构建轨道实体，用于点击检测和绘制
+     */
+    buildTracks() {
+        return this.draft.tracks.map((geometry, index) => Track.fromGeometry(index + 1, geometry));
+    }
+
+    /**
+     * 更新编辑器
+     * @param {number} deltaTime - 时间间隔
+     */
+    update(deltaTime) {
+        super.update(deltaTime);
+        
+        if (this.notice) {
+            this.noticeTime += deltaTime;
+            if (this.noticeTime >= this.noticeDuration) {
+                this.notice = '';
+            }
+        }
+    }
+
+    /**
+     * 显示提示信息
+     * @param {string} text - 提示内容
+     */
+    showNotice(text) {
+        this.notice = text;
+        this.noticeTime = 0;
+    }
+
+    // ---------- 基本信息 ----------
+
+    /**
+     * 调整基本信息中选中的字段
+     * @param {number} direction - 1 增加，-1 减少
+     */
+    adjustBasicField(direction) {
+        const draft = this.draft;
+        
+        switch (this.basicFields[this.selectedField]) {
+            case 'timeLimit':
+                draft.timeLimit = Math.max(30, Math.min(600, draft.timeLimit + direction * 10));
+                break;
+            case 'difficulty':
+                draft.difficulty = Math.max(1, Math.min(10, draft.difficulty + direction));
+                break;
+            case 'ruleset': {
+                // null 表示使用玩家选择的地区规则
+                const options = [null, ...rulesetManager.getAllRulesets().map(ruleset => ruleset.id)];
+                const index = options.indexOf(draft.ruleset);
+                draft.ruleset = options[(index + direction + options.length) % options.length];
+                
+                // 规则集中不存在的垃圾桶类型不能继续使用
+                const ruleset = this.getRuleset();
+                draft.prePlacedBins = draft.prePlacedBins.filter(preset => ruleset.hasBin(preset.binType));
+                draft.bannedBinTypes = draft.bannedBinTypes.filter(binType => ruleset.hasBin(binType));
+                if (!ruleset.hasBin(this.selectedBinType)) {
+                    this.selectedBinType = ruleset.getBinTypes()[0];
+                }
+                break;
+            }
+        }
+    }
+
+    /**
+     * 重命名关卡
+     * @param {string} name - 新名称
+     */
+    renameLevel(name) {
+        const trimmed = (name || '').trim();
+        if (trimmed) {
+            this.draft.name = trimmed.slice(0, 20);
+        }
+    }
+
+    // ---------- 轨道 ----------
+
+    /**
+     * 添加一条默认位置的轨道
+     * @returns {boolean} 是否添加
+     */
+    addTrack() {
+        if (this.draft.tracks.length >= GameConfig.tracks.maxCount) {
+            this.showNotice(`最多 ${GameConfig.tracks.maxCount} 条轨道`);
+            return false;
+        }
+        
+        this.draft.tracks.push(TrackSystem.getDefaultGeometry(this.draft.tracks.length));
+        this.selectedTrack = this.draft.tracks.length - 1;
+        this.pendingTrackPoint = 'start';
+        return true;
+    }
+
+    /**
+     * 删除选中的轨道，并移除或重新编号其上的预置垃圾桶
+     * @returns {boolean} 是否删除
+     */
+    removeTrack() {
+        if (this.draft.tracks.length <= 1) {
+            this.showNotice('至少需要一条轨道');
+            return false;
+        }
+        
+        const removedId = this.selectedTrack + 1;
+        this.draft.tracks.splice(this.selectedTrack, 1);
+        this.draft.prePlacedBins = this.draft.prePlacedBins
+            .filter(preset => preset.trackId !== removedId)
+            .map(preset => ({ ...preset, trackId: preset.trackId > removedId ? preset.trackId - 1 : preset.trackId }));
+        
+        // 删除以该轨道为上游的道岔，并从其他道岔的分支中移除
+        const renumber = (trackId) => (trackId > removedId ? trackId - 1 : trackId);
+        this.draft.junctions = this.draft.junctions
+            .filter(junction => junction.from !== removedId)
+            .map(junction => ({ ...junction, from: renumber(junction.from), to: junction.to.filter(id => id !== removedId).map(renumber) }))
+            .filter(junction => junction.to.length > 0);
+        this.draft.junctions.forEach(junction => {
+            if (junction.initial >= junction.to.length) delete junction.initial;
+        });
+        
+        // 指定了轨道的环境事件同样重新编号，轨道全被删除时改为随机选择
+        this.draft.events = this.draft.events.map(event => {
+            if (!event.tracks) return event;
+            const updated = { ...event, tracks: event.tracks.filter(id => id !== removedId).map(renumber) };
+            if (updated.tracks.length === 0) delete updated.tracks;
+            return updated;
+        });
+        
+        this.selectedTrack = Math.min(this.selectedTrack, this.draft.tracks.length - 1);
+        return true;
+    }
+
+    /**
+     * 设置选中轨道的端点（对齐网格并限制在画布内）
+     * 移动分支的起点会断开分岔，移动上游的终点会带着分支起点一起移动
+     * @param {string} point - 'start' 或 'end'
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {boolean} 是否设置
+     */
+    setTrackPoint(point, x, y) {
+        const track = this.draft.tracks[this.selectedTrack];
+        const position = this.snapToGrid(x, y);
+        
+        const other = point === 'start' ? track.end : track.start;
+        if (Vector2.distance(new Vector2(position.x, position.y), new Vector2(other.x, other.y)) < track.width) {
+            this.showNotice('轨道太短');
+            return false;
+        }
+        
+        track[point] = position;
+        
+        const trackId = this.selectedTrack + 1;
+        if (point === 'start') {
+            this.detachBranch(trackId);
+        } else {
+            const junction = this.draft.junctions.find(candidate => candidate.from === trackId);
+            for (const branchId of junction ? junction.to : []) {
+                this.draft.tracks[branchId - 1].start = { ...position };
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 获取轨道的上游轨道ID
+     * @param {number} trackId - 轨道ID
+     * @returns {number|null} 不是分支时返回 null
+     */
+    getBranchParent(trackId) {
+        const junction = this.draft.junctions.find(candidate => candidate.to.includes(trackId));
+        return junction ? junction.from : null;
+    }
+
+    /**
+     * 将轨道从所在的道岔分支中移除
+     * @param {number} trackId - 轨道ID
+     */
+    detachBranch(trackId) {
+        for (const junction of this.draft.junctions) {
+            junction.to = junction.to.filter(id => id !== trackId);
+            if (junction.initial >= junction.to.length) delete junction.initial;
+        }
+        this.draft.junctions = this.draft.junctions.filter(junction => junction.to.length > 0);
+    }
+
+    /**
+     * 切换选中轨道从哪条轨道的终点分岔：依次尝试编号更大的轨道，跳过会成环或无法连接的，最后回到不分岔
+     * @returns {number|null} 新的上游轨道ID
+     */
+    cycleTrackBranch() {
+        const trackId = this.selectedTrack + 1;
+        const track = this.draft.tracks[this.selectedTrack];
+        const originalStart = { ...track.start };
+        const previousParent = this.getBranchParent(trackId) || 0;
+        this.detachBranch(trackId);
+        
+        for (let parentId = previousParent + 1; parentId <= this.draft.tracks.length; parentId++) {
+            const parent = this.draft.tracks[parentId - 1];
+            if (parentId === trackId || (parent.end.x === track.end.x && parent.end.y === track.end.y)) continue;
+            
+            // 试接到上游终点，校验不通过时撤销
+            let junction = this.draft.junctions.find(candidate => candidate.from === parentId);
+            const created = !junction;
+            if (created) {
+                junction = { from: parentId, to: [] };
+                this.draft.junctions.push(junction);
+            }
+            junction.to.push(trackId);
+            track.start = { ...parent.end };
+            
+            if (LevelSystem.validateJunctions(this.draft.junctions, this.draft.tracks, this.draft.tracks.length).length === 0) {
+                return parentId;
+            }
+            
+            junction.to.pop();
+            if (created) this.draft.junctions.pop();
+        }
+        
+        track.start = originalStart;
+        return null;
+    }
+
+    /**
+     * 对齐网格并限制在画布内
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     */
+    snapToGrid(x, y) {
+        const snap = (value, max) => Math.max(0, Math.min(max, Math.round(value / this.gridSize) * this.gridSize));
+        return { x: snap(x, GameConfig.canvas.width), y: snap(y, GameConfig.canvas.height) };
+    }
+
+    /**
+     * 在选中轨道终点前追加一个拐点（替换原有的贝塞尔控制点）
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {boolean} 是否添加
+     */
+    addTrackWaypoint(x, y) {
+        const track = this.draft.tracks[this.selectedTrack];
+        const waypoints = track.waypoints || [];
+        if (waypoints.length >= this.maxWaypoints) {
+            this.showNotice(`每条轨道最多 ${this.maxWaypoints} 个拐点`);
+            return false;
+        }
+        
+        const position = this.snapToGrid(x, y);
+        const previous = waypoints.length > 0 ? waypoints[waypoints.length - 1] : track.start;
+        if (position.x === previous.x && position.y === previous.y) {
+            return false;
+        }
+        
+        track.waypoints = [...waypoints, position];
+        delete track.controls;
+        return true;
+    }
+
+    /**
+     * 清除选中轨道的拐点和控制点，恢复为直线
+     */
+    clearTrackWaypoints() {
+        const track = this.draft.tracks[this.selectedTrack];
+        delete track.waypoints;
+        delete track.controls;
+        delete track.smooth;
+    }
+
+    /**
+     * 切换选中轨道经过拐点时是折线还是平滑曲线
+     */
+    toggleTrackSmooth() {
+        const track = this.draft.tracks[this.selectedTrack];
+        if (!track.waypoints || track.waypoints.length === 0) {
+            this.showNotice('请先按 W 添加拐点');
+            return;
+        }
+        track.smooth = !track.smooth;
+    }
+
+    /**
+     * 调整选中轨道的宽度
+     * @param {number} direction - 1 加宽，-1 变窄
+     */
+    adjustTrackWidth(direction) {
+        const track = this.draft.tracks[this.selectedTrack];
+        track.width = Math.max(this.minTrackWidth, Math.min(this.maxTrackWidth, track.width + direction * 10));
+    }
+
+    /**
+     * 将选中轨道恢复为默认位置
+     */
+    resetTrack() {
+        this.draft.tracks[this.selectedTrack] = TrackSystem.getDefaultGeometry(this.selectedTrack);
+        this.pendingTrackPoint = 'start';
+    }
+
+    // ---------- 物品 ----------
+
+    /**
+     * 切换物品是否出现在关卡中
+     * @param {string} itemId - 物品ID
+     * @returns {boolean} 是否切换
+     */
+    toggleItem(itemId) {
+        const items = this.draft.trashItems;
+        const index = items.indexOf(itemId);
+        
+        if (index === -1) {
+            items.push(itemId);
+            return true;
+        }
+        
+        if (items.length <= 1) {
+            this.showNotice('至少需要一种垃圾');
+            return false;
+        }
+        items.splice(index, 1);
+        return true;
+    }
+
+    /**
+     * 切换整个类别：类别中有未选物品时全选，否则全部取消
+     * @param {string} category - 垃圾类别
+     */
+    toggleCategory(category) {
+        const categoryItems = this.items.filter(item => item.category === category).map(item => item.id);
+        const allSelected = categoryItems.every(itemId => this.draft.trashItems.includes(itemId));
+        
+        if (!allSelected) {
+            this.draft.trashItems = [...new Set([...this.draft.trashItems, ...categoryItems])];
+            return;
+        }
+        
+        const remaining = this.draft.trashItems.filter(itemId => !categoryItems.includes(itemId));
+        if (remaining.length === 0) {
+            this.showNotice('至少需要一种垃圾');
+            return;
+        }
+        this.draft.trashItems = remaining;
+    }
+
+    /**
+     * 获取物品列表中的格子位置
+     * @param {number} index - 物品索引
+     */
+    getItemCell(index) {
+        const cellWidth = 270;
+        const cellHeight = 26;
+        const column = index % this.itemColumns;
+        const row = Math.floor(index / this.itemColumns);
+        
+        return {
+            x: 60 + column * (cellWidth + 10),
+            y: 150 + row * cellHeight,
+            width: cellWidth,
+            height: cellHeight - 4
+        };
+    }
+
+    // ---------- 波次 ----------
+
+    /**
+     * 在选中波次之后添加一波（复制选中波次的设置）
+     */
+    addWave() {
+        const template = this.draft.waves[this.selectedWave];
+        const wave = { ...JSON.parse(JSON.stringify(template)), name: `第 ${this.draft.waves.length + 1} 波` };
+        
+        this.draft.waves.splice(this.selectedWave + 1, 0, wave);
+        this.selectedWave++;
+    }
+
+    /**
+     * 删除选中的波次
+     * @returns {boolean} 是否删除
+     */
+    removeWave() {
+        if (this.draft.waves.length <= 1) {
+            this.showNotice('至少需要一波');
+            return false;
+        }
+        
+        this.draft.waves.splice(this.selectedWave, 1);
+        this.selectedWave = Math.min(this.selectedWave, this.draft.waves.length - 1);
+        return true;
+    }
+
+    /**
+     * 调整选中波次的属性
+     * @param {string} property - 'count'、'interval'、'pauseAfter'、'speed' 或 'tracks'
+     * @param {number} direction - 1 增加，-1 减少
+     */
+    adjustWave(property, direction) {
+        const wave = this.draft.waves[this.selectedWave];
+        
+        switch (property) {
+            case 'count':
+                wave.count = Math.max(1, Math.min(50, (wave.count || 0) + direction));
+                break;
+            case 'interval': {
+                const interval = wave.interval !== undefined ? wave.interval : 2000;
+                wave.interval = Math.max(250, Math.min(10000, interval + direction * 250));
+                break;
+            }
+            case 'pauseAfter':
+                wave.pauseAfter = Math.max(0, Math.min(20000, (wave.pauseAfter || 0) + direction * 500));
+                break;
+            case 'speed': {
+                // 渐变速度按起始速度取预设档位
+                const current = typeof wave.speed === 'number' ? wave.speed : (wave.speed && wave.speed.from) || 1.0;
+                const index = this.speedPresets.findIndex(speed => speed >= current);
+                const nextIndex = Math.max(0, Math.min(this.speedPresets.length - 1, (index === -1 ? 0 : index) + direction));
+                wave.speed = this.speedPresets[nextIndex];
+                break;
+            }
+            case 'tracks': {
+                const index = this.trackSelectors.indexOf(wave.tracks);
+                wave.tracks = this.trackSelectors[(index + 1) % this.trackSelectors.length];
+                break;
+            }
+        }
+    }
+
+    /**
+     * 波次的轨道选择描述
+     * @param {Object} wave - 波次配置
+     */
+    describeWaveTracks(wave) {
+        if (Array.isArray(wave.tracks)) return `轨道 ${wave.tracks.join(',')}`;
+        return wave.tracks === 'cycle' ? '轮流' : '随机';
+    }
+
+    // ---------- 预置垃圾桶 ----------
+
+    /**
+     * 在点击位置添加预置垃圾桶，点中已有的预置垃圾桶时将其移除
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {string|null} 'added'、'removed' 或 null（未点中轨道）
+     */
+    togglePrePlacedBin(x, y) {
+        const track = this.buildTracks().find(candidate => candidate.isPointOnTrack(x, y));
+        if (!track) return null;
+        
+        const progress = Math.round(track.getProgressAlongTrack(new Vector2(x, y)) * 100) / 100;
+        const existing = this.draft.prePlacedBins.findIndex(preset =>
+            preset.trackId === track.id && Math.abs(preset.progress - progress) < 0.05
+        );
+        
+        if (existing !== -1) {
+            this.draft.prePlacedBins.splice(existing, 1);
+            return 'removed';
+        }
+        
+        this.draft.prePlacedBins.push({ trackId: track.id, progress: progress, binType: this.selectedBinType });
+        return 'added';
+    }
+
+    /**
+     * 切换选中垃圾桶类型是否禁止玩家放置
+     */
+    toggleBannedBinType() {
+        const banned = this.draft.bannedBinTypes;
+        const index = banned.indexOf(this.selectedBinType);
+        
+        if (index !== -1) {
+            banned.splice(index, 1);
+        } else if (banned.length + 1 >= this.getRuleset().getBinTypes().length) {
+            this.showNotice('至少保留一种可用的垃圾桶');
+        } else {
+            banned.push(this.selectedBinType);
+        }
+    }
+
+    // ---------- 试玩、保存、导入导出 ----------
+
+    /**
+     * 校验草稿，无效时显示第一条错误
+     * @returns {Object|null} 关卡配置
+     */
+    getValidConfig() {
+        const errors = this.validate();
+        if (errors.length > 0) {
+            this.showNotice(errors[0]);
+            return null;
+        }
+        return this.getLevelConfig();
+    }
+
+    /**
+     * 在游戏场景中试玩当前草稿（不计入闯关进度）
+     * @returns {boolean} 是否开始试玩
+     */
+    previewLevel() {
+        const config = this.getValidConfig();
+        if (!config) return false;
+        
+        const gameScene = this.sceneManager ? this.sceneManager.getScene('game') : null;
+        if (!gameScene) {
+            console.error('游戏场景不存在，无法试玩');
+            return false;
+        }
+        
+        gameScene.levelSystem.registerLevel(config);
+        gameScene.prepareStart('level', config.id);
+        this.sceneManager.transitionTo('game');
+        console.log(`试玩自定义关卡: ${config.name}`);
+        return true;
+    }
+
+    /**
+     * 保存草稿为自定义关卡，之后会出现在关卡选择中
+     * @returns {LevelData|null} 保存的关卡
+     */
+    saveLevel() {
+        const config = this.getValidConfig();
+        if (!config) return null;
+        
+        const level = this.levelSystem.saveCustomLevel(config);
+        if (level) {
+            this.draft.id = level.id;
+            this.showNotice(`已保存：${level.name}`);
+        }
+        return level;
+    }
+
+    /**
+     * 导出草稿为关卡JSON
+     * @returns {string|null} 关卡JSON
+     */
+    exportLevel() {
+        const config = this.getValidConfig();
+        if (!config) return null;
+        
+        const json = LevelSystem.exportLevel(config);
+        if (this.onExportRequested) {
+            this.onExportRequested(json, config);
+        }
+        return json;
+    }
+
+    /**
+     * 导入关卡JSON作为新的草稿，非自定义关卡ID时分配新ID
+     * @param {string|Object} json - 关卡JSON
+     * @returns {boolean} 是否导入
+     */
+    importLevel(json) {
+        const config = LevelSystem.importLevel(json);
+        if (!config) {
+            this.showNotice('关卡文件无效');
+            return false;
+        }
+        
+        this.loadDraft({
+            ...config,
+            id: config.id >= CUSTOM_LEVEL_ID_START ? config.id : this.levelSystem.getNextCustomLevelId()
+        });
+        this.showNotice(`已导入：${this.draft.name}`);
+        return true;
+    }
+
+    /**
+     * 请求页面选择要导入的关卡文件
+     */
+    requestImport() {
+        if (this.onImportRequested) {
+            this.onImportRequested();
+        } else {
+            this.showNotice('当前环境不支持导入文件');
+        }
+    }
+
+    /**
+     * 返回主菜单
+     */
+    backToMenu() {
+        if (this.sceneManager) {
+            this.sceneManager.transitionTo('menu');
+        }
+    }
+
+    /**
+     * 执行按钮动作
+     * @param {string} action - 动作
+     */
+    executeAction(action) {
+        switch (action) {
+            case 'preview':
+                this.previewLevel();
+                break;
+            case 'save':
+                this.saveLevel();
+                break;
+            case 'export':
+                this.exportLevel();
+                break;
+            case 'import':
+                this.requestImport();
+                break;
+            case 'new':
+                this.newLevel();
+                this.showNotice('已新建关卡');
+                break;
+            case 'back':
+                this.backToMenu();
+                break;
+        }
+    }
+
+    // ---------- 输入 ----------
+
+    /**
+     * 处理键盘输入
+     * @param {string} key - 按键
+     */
+    handleKeyInput(key) {
+        if (!this.draft) return;
+        
+        switch (key) {
+            case 'Tab': {
+                const index = this.panels.indexOf(this.activePanel);
+                this.activePanel = this.panels[(index + 1) % this.panels.length];
+                return;
+            }
+            case 'Escape':
+                this.backToMenu();
+                return;
+            case 'p':
+            case 'P':
+                this.previewLevel();
+                return;
+            case 'S':
+                this.saveLevel();
+                return;
+            case 'E':
+                this.exportLevel();
+                return;
+            case 'I':
+                this.requestImport();
+                return;
+        }
+        
+        switch (this.activePanel) {
+            case 'basic':
+                this.handleBasicKey(key);
+                break;
+            case 'tracks':
+                this.handleTracksKey(key);
+                break;
+            case 'items':
+                this.handleItemsKey(key);
+                break;
+            case 'waves':
+                this.handleWavesKey(key);
+                break;
+            case 'bins':
+                this.handleBinsKey(key);
+                break;
+        }
+    }
+
+    /**
+     * 基本信息面板按键
+     * @param {string} key - 按键
+     */
+    handleBasicKey(key) {
+        switch (key) {
+            case 'ArrowUp':
+                this.selectedField = Math.max(0, this.selectedField - 1);
+                break;
+            case 'ArrowDown':
+                this.selectedField = Math.min(this.basicFields.length - 1, this.selectedField + 1);
+                break;
+            case 'ArrowLeft':
+                this.adjustBasicField(-1);
+                break;
+            case 'ArrowRight':
+                this.adjustBasicField(1);
+                break;
+            case 'Enter':
+                if (typeof prompt === 'function') {
+                    this.renameLevel(prompt('关卡名称', this.draft.name));
+                }
+                break;
+        }
+    }
+
+    /**
+     * 轨道面板按键
+     * @param {string} key - 按键
+     */
+    handleTracksKey(key) {
+        switch (key) {
+            case 'ArrowUp':
+                this.selectedTrack = Math.max(0, this.selectedTrack - 1);
+                this.pendingTrackPoint = 'start';
+                break;
+            case 'ArrowDown':
+                this.selectedTrack = Math.min(this.draft.tracks.length - 1, this.selectedTrack + 1);
+                this.pendingTrackPoint = 'start';
+                break;
+            case '+':
+            case '=':
+                this.addTrack();
+                break;
+            case '-':
+            case 'Delete':
+                this.removeTrack();
+                break;
+            case '[':
+                this.adjustTrackWidth(-1);
+                break;
+            case ']':
+                this.adjustTrackWidth(1);
+                break;
+            case 'r':
+                this.resetTrack();
+                break;
+            case 'w':
+                this.pendingTrackPoint = this.pendingTrackPoint === 'waypoint' ? 'start' : 'waypoint';
+                break;
+            case 'x':
+                this.clearTrackWaypoints();
+                break;
+            case 'c':
+                this.toggleTrackSmooth();
+                break;
+            case 'b':
+                this.cycleTrackBranch();
+                break;
+        }
+    }
+
+    /**
+     * 物品面板按键
+     * @param {string} key - 按键
+     */
+    handleItemsKey(key) {
+        const lastIndex = this.items.length - 1;
+        
+        switch (key) {
+            case 'ArrowLeft':
+                this.selectedItem = Math.max(0, this.selectedItem - 1);
+                break;
+            case 'ArrowRight':
+                this.selectedItem = Math.min(lastIndex, this.selectedItem + 1);
+                break;
+            case 'ArrowUp':
+                this.selectedItem = Math.max(0, this.selectedItem - this.itemColumns);
+                break;
+            case 'ArrowDown':
+                this.selectedItem = Math.min(lastIndex, this.selectedItem + this.itemColumns);
+                break;
+            case 'Enter':
+            case ' ':
+                this.toggleItem(this.items[this.selectedItem].id);
+                break;
+            case 'a':
+                this.toggleCategory(this.items[this.selectedItem].category);
+                break;
+        }
+    }
+
+    /**
+     * 波次面板按键
+     * @param {string} key - 按键
+     */
+    handleWavesKey(key) {
+        switch (key) {
+            case 'ArrowUp':
+                this.selectedWave = Math.max(0, this.selectedWave - 1);
+                break;
+            case 'ArrowDown':
+                this.selectedWave = Math.min(this.draft.waves.length - 1, this.selectedWave + 1);
+                break;
+            case 'ArrowLeft':
+                this.adjustWave('count', -1);
+                break;
+            case 'ArrowRight':
+                this.adjustWave('count', 1);
+                break;
+            case '[':
+                this.adjustWave('interval', -1);
+                break;
+            case ']':
+                this.adjustWave('interval', 1);
+                break;
+            case ',':
+                this.adjustWave('pauseAfter', -1);
+                break;
+            case '.':
+                this.adjustWave('pauseAfter', 1);
+                break;
+            case 'v':
+                this.adjustWave('speed', 1);
+                break;
+            case 'V':
+                this.adjustWave('speed', -1);
+                break;
+            case 't':
+                this.adjustWave('tracks', 1);
+                break;
+            case '+':
+            case '=':
+                this.addWave();
+                break;
+            case '-':
+            case 'Delete':
+                this.removeWave();
+                break;
+        }
+    }
+
+    /**
+     * 预置垃圾桶面板按键
+     * @param {string} key - 按键
+     */
+    handleBinsKey(key) {
+        const binTypes = this.getRuleset().getBinTypes();
+        const binType = parseInt(key);
+        
+        if (binTypes.includes(binType)) {
+            this.selectedBinType = binType;
+        } else if (key === 'b') {
+            this.toggleBannedBinType();
+        }
+    }
+
+    /**
+     * 处理鼠标点击
+     * @param {number} x - 鼠标X坐标
+     * @param {number} y - 鼠标Y坐标
+     */
+    handleMouseClick(x, y) {
+        if (!this.draft) return;
+        
+        const button = this.buttons.find(candidate =>
+            x >= candidate.x && x <= candidate.x + candidate.width &&
+            y >= candidate.y && y <= candidate.y + candidate.height
+        );
+        if (button) {
+            this.executeAction(button.action);
+            return;
+        }
+        
+        // 面板标签
+        const tabIndex = this.panels.findIndex((_, index) => {
+            const tab = this.getTabRect(index);
+            return x >= tab.x && x <= tab.x + tab.width && y >= tab.y && y <= tab.y + tab.height;
+        });
+        if (tabIndex !== -1) {
+            this.activePanel = this.panels[tabIndex];
+            return;
+        }
+        
+        switch (this.activePanel) {
+            case 'tracks':
+                // 拐点模式下每次点击追加拐点，否则依次点击设置起点和终点
+                if (this.pendingTrackPoint === 'waypoint') {
+                    this.addTrackWaypoint(x, y);
+                } else if (this.setTrackPoint(this.pendingTrackPoint, x, y)) {
+                    this.pendingTrackPoint = this.pendingTrackPoint === 'start' ? 'end' : 'start';
+                }
+                break;
+            case 'items': {
+                const index = this.items.findIndex((_, itemIndex) => {
+                    const cell = this.getItemCell(itemIndex);
+                    return x >= cell.x && x <= cell.x + cell.width && y >= cell.y && y <= cell.y + cell.height;
+                });
+                if (index !== -1) {
+                    this.selectedItem = index;
+                    this.toggleItem(this.items[index].id);
+                }
+                break;
+            }
+            case 'bins':
+                this.togglePrePlacedBin(x, y);
+                break;
+        }
+    }
+
+    // ---------- 渲染 ----------
+
+    /**
+     * 获取面板标签位置
+     * @param {number} index - 面板索引
+     */
+    getTabRect(index) {
+        return { x: 40 + index * 130, y: 70, width: 120, height: 32 };
+    }
+
+    /**
+     * 渲染编辑器
+     * @param {RenderSystem} renderSystem - 渲染系统
+     */
+    render(renderSystem) {
+        if (!this.draft) return;
+        
+        renderSystem.add2DRender((ctx) => {
+            this.drawHeader(ctx);
+            
+            if (this.activePanel === 'items') {
+                this.drawItems(ctx);
+            } else {
+                this.drawTracks(ctx);
+                this.drawPanelInfo(ctx);
+            }
+            
+            this.drawFooter(ctx);
+        }, renderSystem.layers.UI);
+        
+        super.render(renderSystem);
+    }
+
+    /**
+     * 绘制标题、关卡摘要和面板标签
+     */
+    drawHeader(ctx) {
+        const draft = this.draft;
+        const zombieCount = draft.waves.reduce((sum, wave) => sum + (wave.count || 0), 0);
+        
+        ctx.textAlign = 'left';
+        ctx.fillStyle = '#2E7D32';
+        ctx.font = 'bold 28px Arial';
+        ctx.fillText(`${this.title} · ${draft.name}`, 40, 45);
+        
+        ctx.font = '16px Arial';
+        ctx.textAlign = 'right';
+        ctx.fillText(
+            `${draft.tracks.length} 条轨道 · ${draft.trashItems.length} 种物品 · ${draft.waves.length} 波 ${zombieCount} 个 · ${draft.timeLimit} 秒`,
+            ctx.canvas.width - 40,
+            45
+        );
+        
+        this.panels.forEach((panel, index) => {
+            const tab = this.getTabRect(index);
+            const isActive = panel === this.activePanel;
+            
+            ctx.fillStyle = isActive ? '#4CAF50' : '#2E7D32';
+            ctx.fillRect(tab.x, tab.y, tab.width, tab.height);
+            ctx.fillStyle = '#FFFFFF';
+            ctx.font = isActive ? 'bold 16px Arial' : '16px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(this.panelNames[panel], tab.x + tab.width / 2, tab.y + 22);
+        });
+    }
+
+    /**
+     * 绘制轨道、端点和预置垃圾桶
+     */
+    drawTracks(ctx) {
+        const ruleset = this.getRuleset();
+        const tracks = this.buildTracks();
+        
+        tracks.forEach((track, index) => {
+            const isSelected = this.activePanel === 'tracks' && index === this.selectedTrack;
+            
+            ctx.strokeStyle = isSelected ? 'rgba(76, 175, 80, 0.6)' : 'rgba(139, 69, 19, 0.4)';
+            ctx.lineWidth = track.width;
+            ctx.lineCap = 'butt';
+            ctx.lineJoin = 'round';
+            track.tracePath(ctx);
+            ctx.stroke();
+            
+            // 选中轨道显示拐点和控制点
+            if (isSelected) {
+                ctx.fillStyle = '#FF9800';
+                for (const point of [...track.waypoints, ...track.controls]) {
+                    ctx.beginPath();
+                    ctx.arc(point.x, point.y, 5, 0, Math.PI * 2);
+                    ctx.fill();
+                }
+            }
+            
+            // 入口（垃圾出现）和终点（生态核心区），分岔处由道岔标记代替
+            ctx.font = 'bold 14px Arial';
+            ctx.textAlign = 'center';
+            if (!this.getBranchParent(track.id)) {
+                ctx.fillStyle = '#E53935';
+                ctx.fillText(`起 ${track.id}`, track.startPoint.x, track.startPoint.y + 5);
+            }
+            if (!this.draft.junctions.some(junction => junction.from === track.id)) {
+                ctx.fillStyle = '#2E7D32';
+                ctx.fillText('终', track.endPoint.x, track.endPoint.y + 5);
+            }
+        });
+        
+        // 道岔
+        for (const junction of this.draft.junctions) {
+            const incoming = tracks[junction.from - 1];
+            if (!incoming) continue;
+            
+            ctx.fillStyle = '#37474F';
+            ctx.beginPath();
+            ctx.arc(incoming.endPoint.x, incoming.endPoint.y, 16, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#FFFFFF';
+            ctx.font = 'bold 12px Arial';
+            ctx.fillText(`岔→${junction.to.join('/')}`, incoming.endPoint.x, incoming.endPoint.y + 4);
+        }
+        
+        for (const preset of this.draft.prePlacedBins) {
+            const track = tracks[preset.trackId - 1];
+            const binConfig = ruleset.getBinConfig(preset.binType);
+            if (!track || !binConfig) continue;
+            
+            const position = track.getPositionAtProgress(preset.progress);
+            ctx.fillStyle = binConfig.color;
+            ctx.beginPath();
+            ctx.arc(position.x, position.y, 18, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.fillStyle = '#FFFFFF';
+            ctx.font = '12px Arial';
+            ctx.fillText(binConfig.shortName, position.x, position.y + 4);
+        }
+    }
+
+    /**
+     * 绘制当前面板的说明和数值
+     */
+    drawPanelInfo(ctx) {
+        const draft = this.draft;
+        const lines = [];
+        
+        switch (this.activePanel) {
+            case 'basic': {
+                const ruleset = draft.ruleset ? rulesetManager.getRuleset(draft.ruleset).name : '玩家设置';
+                const values = { timeLimit: `时间限制: ${draft.timeLimit} 秒`, difficulty: `难度: ${draft.difficulty}`, ruleset: `分类规则: ${ruleset}` };
+                this.basicFields.forEach((field, index) => {
+                    lines.push(`${index === this.selectedField ? '▶ ' : '   '}${values[field]}`);
+                });
+                lines.push('↑↓ 选择  ←→ 调整  回车 重命名');
+                break;
+            }
+            case 'tracks': {
+                const track = draft.tracks[this.selectedTrack];
+                lines.push(`轨道 ${this.selectedTrack + 1}/${draft.tracks.length}  宽度 ${track.width}`);
+                const shape = track.controls ? '贝塞尔曲线'
+                    : track.waypoints ? `${track.smooth ? '平滑曲线' : '折线'}（${track.waypoints.length} 个拐点）` : '直线';
+                const pointNames = { start: '起点', end: '终点', waypoint: '拐点' };
+                const parentId = this.getBranchParent(this.selectedTrack + 1);
+                lines.push(`形状 ${shape}${parentId ? `  分岔自轨道 ${parentId}` : ''}  点击画面设置${pointNames[this.pendingTrackPoint]}`);
+                lines.push('↑↓ 选择  +/- 增删  [ ] 宽度  R 复位  W 拐点模式  C 平滑  X 拉直  B 分岔');
+                break;
+            }
+            case 'waves': {
+                draft.waves.forEach((wave, index) => {
+                    const speed = typeof wave.speed === 'number' ? wave.speed : (wave.speed && wave.speed.from) || 1.0;
+                    lines.push(
+                        `${index === this.selectedWave ? '▶ ' : '   '}${wave.name || `第 ${index + 1} 波`}: ` +
+                        `${wave.count} 个 · 间隔 ${(wave.interval !== undefined ? wave.interval : 2000) / 1000}s · ` +
+                        `停顿 ${(wave.pauseAfter || 0) / 1000}s · ${speed}x · ${this.describeWaveTracks(wave)}`
+                    );
+                });
+                lines.push('↑↓ 选择  ←→ 数量  [ ] 间隔  , . 停顿  V 速度  T 轨道  +/- 增删');
+                break;
+            }
+            case 'bins': {
+                const ruleset = this.getRuleset();
+                const binNames = ruleset.getBinTypes().map(binType => {
+                    const name = `${binType}:${ruleset.getBinConfig(binType).shortName}`;
+                    const mark = draft.bannedBinTypes.includes(binType) ? '(禁)' : '';
+                    return binType === this.selectedBinType ? `[${name}${mark}]` : `${name}${mark}`;
+                });
+                lines.push(binNames.join('  '));
+                lines.push('数字键 选择类型  点击轨道 放置/移除  B 禁止玩家使用');
+                break;
+            }
+        }
+        
+        // 半透明底板，避免与轨道重叠时看不清
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        ctx.fillRect(30, 110, 760, lines.length * 22 + 10);
+        
+        ctx.fillStyle = '#333333';
+        ctx.font = '16px Arial';
+        ctx.textAlign = 'left';
+        lines.forEach((line, index) => {
+            ctx.fillText(line, 40, 130 + index * 22);
+        });
+    }
+
+    /**
+     * 绘制物品选择列表
+     */
+    drawItems(ctx) {
+        ctx.textAlign = 'left';
+        ctx.font = '14px Arial';
+        
+        this.items.forEach((item, index) => {
+            const cell = this.getItemCell(index);
+            const isEnabled = this.draft.trashItems.includes(item.id);
+            
+            ctx.fillStyle = isEnabled ? TrashCategories[item.category].color : '#E0E0E0';
+            ctx.fillRect(cell.x, cell.y, cell.width, cell.height);
+            if (index === this.selectedItem) {
+                ctx.strokeStyle = '#FFD700';
+                ctx.lineWidth = 3;
+                ctx.strokeRect(cell.x, cell.y, cell.width, cell.height);
+            }
+            
+            ctx.fillStyle = isEnabled ? '#FFFFFF' : '#757575';
+            ctx.fillText(`${isEnabled ? '✓' : '  '} ${item.icon} ${item.names.zh}  (${'★'.repeat(item.difficulty)})`, cell.x + 8, cell.y + 16);
+        });
+        
+        ctx.fillStyle = '#333333';
+        ctx.fillText('方向键选择  回车/点击 切换  A 切换整类', 60, 135);
+    }
+
+    /**
+     * 绘制按钮、校验结果和提示信息
+     */
+    drawFooter(ctx) {
+        const errors = this.validate();
+        
+        ctx.textAlign = 'left';
+        ctx.font = '16px Arial';
+        ctx.fillStyle = errors.length > 0 ? '#E53935' : '#2E7D32';
+        ctx.fillText(errors.length > 0 ? `⚠ ${errors[0]}` : '✓ 关卡配置有效', 40, 705);
+        
+        for (const button of this.buttons) {
+            ctx.fillStyle = '#2E7D32';
+            ctx.fillRect(button.x, button.y, button.width, button.height);
+            ctx.strokeStyle = '#FFFFFF';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(button.x, button.y, button.width, button.height);
+            
+            ctx.fillStyle = '#FFFFFF';
+            ctx.font = 'bold 18px Arial';
+            ctx.textAlign = 'center';
+            ctx.fillText(button.text, button.x + button.width / 2, button.y + button.height / 2 + 6);
+        }
+        
+        if (this.notice) {
+            ctx.fillStyle = '#E53935';
+            ctx.font = 'bold 18px Arial';
+            ctx.textAlign = 'right';
+            ctx.fillText(this.notice, ctx.canvas.width - 40, 705);
+        }
+        
+        ctx.textAlign = 'left';
+    }
+}
\ No newline at end of file
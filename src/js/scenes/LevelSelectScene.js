@@ -0,0 +1,352 @@
+/**
+ * 关卡选择场景
+ * 列出所有关卡的解锁状态、星级和最佳成绩，选择后进入游戏场景
+ */
+import { Scene } from '../core/Scene.js';
+import { LevelSystem } from '../systems/LevelSystem.js';
+import { progressManager } from '../data/ProgressManager.js';
+import { statisticsManager } from '../data/StatisticsManager.js';
+
+export class LevelSelectScene extends Scene {
+    /**
+     * @param {Object} options - 场景选项
+     * @param {LevelSystem} options.levelSystem - 关卡系统，默认新建并从本地存储加载进度
+     * @param {PlayerProgress} options.progress - 玩家进度，默认使用全局进度管理器
+     * @param {GameStatistics} options.statistics - 统计数据，默认使用全局统计管理器
+     */
+    constructor(options = {}) {
+        super('LevelSelectScene');
+        this.title = '关卡选择';
+        this.levelSystem = options.levelSystem || new LevelSystem();
+        this.progress = options.progress || progressManager;
+        this.statistics = options.statistics || statisticsManager;
+        this.sceneManager = null;
+        
+        this.levels = [];
+        this.selectedIndex = 0;
+        this.maxStars = 5;
+        
+        // 卡片布局
+        this.columns = 3;
+        this.cardWidth = 300;
+        this.cardHeight = 150;
+        this.cardSpacing = 30;
+        this.startY = 160;
+        this.backButton = { text: '返回', x: 40, y: 40, width: 120, height: 44 };
+        
+        // 提示信息
+        this.notice = '';
+        this.noticeTime = 0;
+        this.noticeDuration = 2000;
+    }
+
+    /**
+     * 初始化关卡选择场景，每次进入时刷新进度
+     */
+    init() {
+        super.init();
+        this.levelSystem.loadCustomLevels();
+        this.levelSystem.loadProgress();
+        this.refreshLevels();
+    }
+
+    /**
+     * 设置场景管理器引用
+     * @param {SceneManager} sceneManager - 场景管理器
+     */
+    setSceneManager(sceneManager) {
+        this.sceneManager = sceneManager;
+    }
+
+    /**
+     * 从关卡系统和玩家进度汇总关卡列表
+     */
+    refreshLevels() {
+        const levelStars = this.progress.playerData.levelProgress.levelStars;
+        
+        this.levels = this.levelSystem.getAllLevelsInfo().map((info, index) => ({
+            ...info,
+            ...this.getBestResult(info),
+            stars: levelStars[info.id] || 0,
+            ...this.getCardPosition(index)
+        }));
+        
+        // 默认选中最后一个已解锁的关卡
+        const lastUnlocked = this.levels.reduce((last, level, index) => level.unlocked ? index : last, 0);
+        this.selectedIndex = Math.min(lastUnlocked, Math.max(0, this.levels.length - 1));
+    }
+
+    /**
+     * 汇总关卡的最佳成绩：统计数据记录了每次通关的最高分和最高准确率
+     * @param {Object} info - 关卡系统中的关卡信息
+     */
+    getBestResult(info) {
+        const levelStats = this.statistics.getLevelStats(info.id);
+        if (!levelStats || levelStats.completions === 0) {
+            return { completed: info.completed, bestScore: info.bestScore, bestAccuracy: info.bestAccuracy };
+        }
+        
+        return {
+            completed: true,
+            bestScore: Math.max(info.bestScore, levelStats.bestScore),
+            bestAccuracy: Math.max(info.bestAccuracy, levelStats.bestAccuracy)
+        };
+    }
+
+    /**
+     * 计算关卡卡片位置
+     * @param {number} index - 关卡索引
+     */
+    getCardPosition(index) {
+        const rowWidth = this.columns * this.cardWidth + (this.columns - 1) * this.cardSpacing;
+        const startX = 600 - rowWidth / 2; // 画布宽度的一半
+        const column = index % this.columns;
+        const row = Math.floor(index / this.columns);
+        
+        return {
+            x: startX + column * (this.cardWidth + this.cardSpacing),
+            y: this.startY + row * (this.cardHeight + this.cardSpacing),
+            width: this.cardWidth,
+            height: this.cardHeight
+        };
+    }
+
+    /**
+     * 更新关卡选择场景
+     * @param {number} deltaTime - 时间间隔
+     */
+    update(deltaTime) {
+        super.update(deltaTime);
+        
+        if (this.notice) {
+            this.noticeTime += deltaTime;
+            if (this.noticeTime >= this.noticeDuration) {
+                this.notice = '';
+            }
+        }
+    }
+
+    /**
+     * 渲染关卡选择场景
+     * @param {RenderSystem} renderSystem - 渲染系统
+     */
+    render(renderSystem) {
+        renderSystem.add2DRender((ctx) => {
+            this.drawTitle(ctx);
+            this.drawBackButton(ctx);
+            this.levels.forEach((level, index) => {
+                this.drawLevelCard(ctx, level, index === this.selectedIndex);
+            });
+            this.drawFooter(ctx);
+        }, renderSystem.layers.UI);
+        
+        super.render(renderSystem);
+    }
+
+    /**
+     * 绘制标题和总星数
+     */
+    drawTitle(ctx) {
+        ctx.fillStyle = '#2E7D32';
+        ctx.font = 'bold 40px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.title, ctx.canvas.width / 2, 80);
+        
+        // 自定义关卡不计星级
+        const totalStars = this.progress.playerData.levelProgress.totalStars;
+        const starLevels = this.levels.filter(level => !level.isCustom).length;
+        ctx.font = '18px Arial';
+        ctx.fillText(`已获得 ${totalStars} / ${starLevels * this.maxStars} ★`, ctx.canvas.width / 2, 115);
+    }
+
+    /**
+     * 绘制返回按钮
+     */
+    drawBackButton(ctx) {
+        const button = this.backButton;
+        
+        ctx.fillStyle = '#2E7D32';
+        ctx.fillRect(button.x, button.y, button.width, button.height);
+        ctx.strokeStyle = '#FFFFFF';
+        ctx.lineWidth = 2;
+        ctx.strokeRect(button.x, button.y, button.width, button.height);
+        
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 18px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(button.text, button.x + button.width / 2, button.y + button.height / 2 + 6);
+    }
+
+    /**
+     * 绘制关卡卡片
+     * @param {Object} level - 关卡信息
+     * @param {boolean} isSelected - 是否选中
+     */
+    drawLevelCard(ctx, level, isSelected) {
+        const centerX = level.x + level.width / 2;
+        
+        // 卡片背景
+        if (!level.unlocked) {
+            ctx.fillStyle = '#9E9E9E';
+        } else {
+            ctx.fillStyle = isSelected ? '#4CAF50' : '#2E7D32';
+        }
+        ctx.fillRect(level.x, level.y, level.width, level.height);
+        
+        ctx.strokeStyle = isSelected ? '#FFD700' : '#FFFFFF';
+        ctx.lineWidth = isSelected ? 4 : 2;
+        ctx.strokeRect(level.x, level.y, level.width, level.height);
+        
+        // 关卡编号
+        ctx.fillStyle = '#FFFFFF';
+        ctx.textAlign = 'center';
+        ctx.font = 'bold 24px Arial';
+        ctx.fillText(level.isCustom ? `✎ ${level.name}` : `第 ${level.id} 关`, centerX, level.y + 36);
+        
+        if (!level.unlocked) {
+            ctx.font = '32px Arial';
+            ctx.fillText('🔒', centerX, level.y + 85);
+            ctx.font = '14px Arial';
+            ctx.fillText('完成上一关解锁', centerX, level.y + 125);
+            return;
+        }
+        
+        // 星级（自定义关卡显示标记）
+        ctx.font = '24px Arial';
+        ctx.fillStyle = '#FFD700';
+        const starText = level.isCustom
+            ? '自定义关卡'
+            : '★'.repeat(level.stars) + '☆'.repeat(this.maxStars - level.stars);
+        ctx.fillText(starText, centerX, level.y + 70);
+        
+        // 关卡信息与最佳成绩
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = '14px Arial';
+        ctx.fillText(`${level.trackCount} 条轨道 · ${level.zombieCount} 个垃圾 · ${level.timeLimit} 秒`, centerX, level.y + 100);
+        
+        const bestText = level.completed
+            ? `最佳分数 ${level.bestScore} · 准确率 ${Math.round(level.bestAccuracy)}%`
+            : '尚未通关';
+        ctx.fillText(bestText, centerX, level.y + 125);
+    }
+
+    /**
+     * 绘制操作提示和提示信息
+     */
+    drawFooter(ctx) {
+        ctx.fillStyle = '#2E7D32';
+        ctx.font = '16px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText('方向键选择关卡，回车开始，ESC 返回菜单', ctx.canvas.width / 2, ctx.canvas.height - 40);
+        
+        if (this.notice) {
+            ctx.fillStyle = '#E53935';
+            ctx.font = 'bold 20px Arial';
+            ctx.fillText(this.notice, ctx.canvas.width / 2, ctx.canvas.height - 80);
+        }
+    }
+
+    /**
+     * 显示提示信息
+     * @param {string} text - 提示内容
+     */
+    showNotice(text) {
+        this.notice = text;
+        this.noticeTime = 0;
+    }
+
+    /**
+     * 处理键盘输入
+     * @param {string} key - 按键
+     */
+    handleKeyInput(key) {
+        const lastIndex = this.levels.length - 1;
+        
+        switch (key) {
+            case 'ArrowLeft':
+                this.selectedIndex = Math.max(0, this.selectedIndex - 1);
+                break;
+            case 'ArrowRight':
+                this.selectedIndex = Math.min(lastIndex, this.selectedIndex + 1);
+                break;
+            case 'ArrowUp':
+                this.selectedIndex = Math.max(0, this.selectedIndex - this.columns);
+                break;
+            case 'ArrowDown':
+                this.selectedIndex = Math.min(lastIndex, this.selectedIndex + this.columns);
+                break;
+            case 'Enter':
+            case ' ':
+                this.selectLevel(this.selectedIndex);
+                break;
+            case 'Escape':
+                this.backToMenu();
+                break;
+        }
+    }
+
+    /**
+     * 处理鼠标点击
+     * @param {number} x - 鼠标X坐标
+     * @param {number} y - 鼠标Y坐标
+     */
+    handleMouseClick(x, y) {
+        const button = this.backButton;
+        if (x >= button.x && x <= button.x + button.width &&
+            y >= button.y && y <= button.y + button.height) {
+            this.backToMenu();
+            return;
+        }
+        
+        this.levels.forEach((level, index) => {
+            if (x >= level.x && x <= level.x + level.width &&
+                y >= level.y && y <= level.y + level.height) {
+                this.selectedIndex = index;
+                this.selectLevel(index);
+            }
+        });
+    }
+
+    /**
+     * 选择关卡并进入游戏
+     * @param {number} index - 关卡索引
+     * @returns {boolean} 是否开始关卡
+     */
+    selectLevel(index) {
+        const level = this.levels[index];
+        if (!level) return false;
+        
+        if (!level.unlocked) {
+            this.showNotice(`第 ${level.id} 关尚未解锁`);
+            return false;
+        }
+        
+        return this.startLevel(level.id);
+    }
+
+    /**
+     * 以指定关卡启动游戏场景
+     * @param {number} levelId - 关卡ID
+     */
+    startLevel(levelId) {
+        const gameScene = this.sceneManager ? this.sceneManager.getScene('game') : null;
+        if (!gameScene) {
+            console.error('游戏场景不存在，无法开始关卡');
+            return false;
+        }
+        
+        gameScene.prepareStart('level', levelId);
+        this.sceneManager.transitionTo('game');
+        console.log(`从关卡选择进入第 ${levelId} 关`);
+        return true;
+    }
+
+    /**
+     * 返回主菜单
+     */
+    backToMenu() {
+        if (this.sceneManager) {
+            this.sceneManager.transitionTo('menu');
+        }
+    }
+}
\ No newline at end of file
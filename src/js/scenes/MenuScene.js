@@ -2,6 +2,7 @@
  * 主菜单场景
  */
 import { Scene } from '../core/Scene.js';
+import { progressManager } from '../data/ProgressManager.js';
 
 export class MenuScene extends Scene {
     constructor() {
@@ -9,11 +10,26 @@ export class MenuScene extends Scene {
         this.title = '保卫家园游戏';
         this.subtitle = '2150年，地球因垃圾污染濒临崩溃！\n你作为"环保卫士"，需在虚拟绿色家园中建立分类防线，\n阻止垃圾僵尸军团入侵生态核心区！';
         this.buttons = [
-            { text: '开始游戏', action: 'startGame', x: 0, y: 0, width: 200, height: 60 },
-            { text: '游戏说明', action: 'showInstructions', x: 0, y: 0, width: 200, height: 60 },
-            { text: '关卡选择', action: 'levelSelect', x: 0, y: 0, width: 200, height: 60 }
+            { text: '开始游戏', action: 'startGame', x: 0, y: 0, width: 200, height: 52 },
+            { text: '游戏说明', action: 'showInstructions', x: 0, y: 0, width: 200, height: 52 },
+            { text: '关卡选择', action: 'levelSelect', x: 0, y: 0, width: 200, height: 52 },
+            { text: '无尽模式', action: 'endlessMode', x: 0, y: 0, width: 200, height: 52 },
+            { text: '每日挑战', action: 'dailyChallenge', x: 0, y: 0, width: 200, height: 52 },
+            { text: '成就', action: 'achievements', x: 0, y: 0, width: 200, height: 52 },
+            { text: '关卡编辑器', action: 'levelEditor', x: 0, y: 0, width: 200, height: 52 }
         ];
+        // 需要解锁的按钮：按钮动作 -> PlayerProgress.unlocks 中的功能
+        this.buttonUnlocks = {
+            levelSelect: 'levelSelect',
+            endlessMode: 'freePlayMode'
+        };
         this.selectedButton = 0;
+        this.progress = progressManager;
+        
+        // 提示信息
+        this.notice = '';
+        this.noticeTime = 0;
+        this.noticeDuration = 2000;
     }
 
     /**
@@ -29,8 +45,8 @@ export class MenuScene extends Scene {
      */
     calculateButtonPositions() {
         const centerX = 600; // 画布宽度的一半
-        const startY = 450;
-        const spacing = 80;
+        const startY = 335;
+        const spacing = 62;
 
         this.buttons.forEach((button, index) => {
             button.x = centerX - button.width / 2;
@@ -44,7 +60,13 @@ export class MenuScene extends Scene {
      */
     update(deltaTime) {
         super.update(deltaTime);
-        // 菜单场景通常不需要复杂的更新逻辑
+        
+        if (this.notice) {
+            this.noticeTime += deltaTime;
+            if (this.noticeTime >= this.noticeDuration) {
+                this.notice = '';
+            }
+        }
     }
 
     /**
@@ -62,6 +84,9 @@ export class MenuScene extends Scene {
             
             // 绘制按钮
             this.drawButtons(ctx);
+            
+            // 绘制提示信息
+            this.drawNotice(ctx);
         }, renderSystem.layers.UI);
         
         super.render(renderSystem);
@@ -103,9 +128,14 @@ export class MenuScene extends Scene {
     drawButtons(ctx) {
         this.buttons.forEach((button, index) => {
             const isSelected = index === this.selectedButton;
+            const isLocked = this.isButtonLocked(button);
             
             // 绘制按钮背景
-            ctx.fillStyle = isSelected ? '#4CAF50' : '#2E7D32';
+            if (isLocked) {
+                ctx.fillStyle = isSelected ? '#BDBDBD' : '#9E9E9E';
+            } else {
+                ctx.fillStyle = isSelected ? '#4CAF50' : '#2E7D32';
+            }
             ctx.fillRect(button.x, button.y, button.width, button.height);
             
             // 绘制按钮边框
@@ -118,13 +148,58 @@ export class MenuScene extends Scene {
             ctx.font = 'bold 20px Arial';
             ctx.textAlign = 'center';
             ctx.fillText(
-                button.text,
+                isLocked ? `🔒 ${button.text}` : button.text,
                 button.x + button.width / 2,
                 button.y + button.height / 2 + 7
             );
         });
     }
 
+    /**
+     * 绘制提示信息
+     */
+    drawNotice(ctx) {
+        if (!this.notice) return;
+        
+        ctx.fillStyle = '#E53935';
+        ctx.font = 'bold 20px Arial';
+        ctx.textAlign = 'center';
+        ctx.fillText(this.notice, ctx.canvas.width / 2, 315);
+    }
+
+    /**
+     * 显示提示信息
+     * @param {string} text - 提示内容
+     */
+    showNotice(text) {
+        this.notice = text;
+        this.noticeTime = 0;
+    }
+
+    /**
+     * 检查按钮对应的功能是否未解锁
+     * @param {Object} button - 按钮
+     */
+    isButtonLocked(button) {
+        const feature = this.buttonUnlocks[button.action];
+        return feature !== undefined && !this.progress.playerData.unlocks[feature];
+    }
+
+    /**
+     * 检查功能是否已解锁，未解锁时显示解锁条件
+     * @param {string} feature - 功能名称
+     * @param {string} featureName - 功能显示名称
+     */
+    checkFeatureUnlocked(feature, featureName) {
+        if (this.progress.playerData.unlocks[feature]) {
+            return true;
+        }
+        
+        const required = this.progress.unlockConditions[feature].value;
+        this.showNotice(`完成 ${required} 个关卡后解锁${featureName}`);
+        return false;
+    }
+
     /**
      * 处理键盘输入
      * @param {string} key - 按键
@@ -177,19 +252,101 @@ export class MenuScene extends Scene {
                 this.showInstructions();
                 break;
             case 'levelSelect':
-                console.log('关卡选择');
+                this.openLevelSelect();
+                break;
+            case 'endlessMode':
+                this.startEndless();
+                break;
+            case 'dailyChallenge':
+                this.startDailyChallenge();
+                break;
+            case 'achievements':
+                this.openAchievements();
+                break;
+            case 'levelEditor':
+                this.openLevelEditor();
                 break;
         }
     }
 
+    /**
+     * 打开关卡选择（需要先解锁）
+     */
+    openLevelSelect() {
+        if (!this.checkFeatureUnlocked('levelSelect', '关卡选择')) {
+            return false;
+        }
+        
+        if (this.sceneManager) {
+            this.sceneManager.transitionTo('levelSelect');
+        }
+        return true;
+    }
+
+    /**
+     * 打开成就画廊
+     */
+    openAchievements() {
+        if (!this.sceneManager) return false;
+        
+        this.sceneManager.transitionTo('achievements');
+        return true;
+    }
+
+    /**
+     * 打开关卡编辑器
+     */
+    openLevelEditor() {
+        if (!this.sceneManager) return false;
+        
+        this.sceneManager.transitionTo('editor');
+        return true;
+    }
+
+    /**
+     * 开始无尽模式（需要先解锁）
+     */
+    startEndless() {
+        if (!this.checkFeatureUnlocked('freePlayMode', '无尽模式')) {
+            return false;
+        }
+        
+        return this.launchGame('endless');
+    }
+
     /**
      * 开始游戏
      */
     startGame() {
-        // 通知场景管理器切换到游戏场景
-        if (this.sceneManager) {
-            this.sceneManager.transitionTo('game');
+        return this.launchGame('level');
+    }
+
+    /**
+     * 开始每日挑战，今天已计分时提示本次为练习
+     */
+    startDailyChallenge() {
+        if (this.progress.hasPlayedDaily()) {
+            this.showNotice('今日挑战已完成，本次为练习，不计分');
         }
+        
+        return this.launchGame('daily');
+    }
+
+    /**
+     * 以指定模式进入游戏场景
+     * @param {string} mode - 'level'、'endless' 或 'daily'
+     */
+    launchGame(mode) {
+        if (!this.sceneManager) return false;
+        
+        const gameScene = this.sceneManager.getScene('game');
+        if (gameScene) {
+            gameScene.prepareStart(mode);
+        }
+        
+        // 通知场景管理器切换到游戏场景
+        this.sceneManager.transitionTo('game');
+        return true;
     }
 
     /**
@@ -2,6 +2,8 @@
  * 简化的游戏入口文件 - 用于调试
  */
 
+import { trashCatalog, TrashCategories } from './config/TrashCatalog.js';
+
 console.log('简化游戏启动...');
 
 class SimpleGame {
@@ -27,65 +29,20 @@ class SimpleGame {
             4: { name: '其他', color: '#FF9800', collectTypes: ['other'] }
         };
         
-        // 垃圾类型配置 - 更具体的垃圾物品
-        this.trashConfig = {
-            kitchen_waste: { 
-                name: '厨余垃圾', 
-                color: '#8B4513',
-                items: [
-                    { name: '香蕉皮', icon: '🍌', color: '#FFD700' },
-                    { name: '苹果核', icon: '🍎', color: '#FF6B6B' },
-                    { name: '袋装厨余', icon: '🥬', color: '#90EE90' },
-                    { name: '鱼骨头', icon: '🐟', color: '#C0C0C0' },
-                    { name: '蛋壳', icon: '🥚', color: '#F5F5DC' },
-                    { name: '菜叶', icon: '🥬', color: '#228B22' },
-                    { name: '剩饭', icon: '🍚', color: '#FFFACD' },
-                    { name: '果皮', icon: '🍊', color: '#FFA500' }
-                ]
-            },
-            recyclable: { 
-                name: '可回收垃圾', 
-                color: '#1E90FF',
-                items: [
-                    { name: '废纸', icon: '📄', color: '#F5F5F5' },
-                    { name: '塑料瓶', icon: '🍼', color: '#87CEEB' },
-                    { name: '玻璃瓶', icon: '🍾', color: '#98FB98' },
-                    { name: '废铁', icon: '🔩', color: '#708090' },
-                    { name: '纸箱', icon: '📦', color: '#D2691E' },
-                    { name: '易拉罐', icon: '🥤', color: '#C0C0C0' },
-                    { name: '报纸', icon: '📰', color: '#DCDCDC' },
-                    { name: '塑料袋', icon: '🛍️', color: '#FFB6C1' }
-                ]
-            },
-            hazardous: { 
-                name: '有害垃圾', 
-                color: '#8B0000',
-                items: [
-                    { name: '废电池', icon: '🔋', color: '#2F4F4F' },
-                    { name: '化学药品', icon: '🧪', color: '#9400D3' },
-                    { name: '过期药品', icon: '💊', color: '#FF1493' },
-                    { name: '废灯管', icon: '💡', color: '#FFFF00' },
-                    { name: '杀虫剂', icon: '🪲', color: '#8B0000' },
-                    { name: '油漆桶', icon: '🎨', color: '#FF4500' },
-                    { name: '温度计', icon: '🌡️', color: '#C0C0C0' },
-                    { name: 'X光片', icon: '🩻', color: '#2F2F2F' }
-                ]
-            },
-            other: { 
-                name: '其他垃圾', 
-                color: '#696969',
-                items: [
-                    { name: '烟头', icon: '🚬', color: '#8B4513' },
-                    { name: '尘土', icon: '💨', color: '#A9A9A9' },
-                    { name: '碎瓷器', icon: '🏺', color: '#F0E68C' },
-                    { name: '毛发', icon: '💇', color: '#654321' },
-                    { name: '猫砂', icon: '🐱', color: '#D2B48C' },
-                    { name: '口香糖', icon: '🍬', color: '#FFB6C1' },
-                    { name: '纸尿裤', icon: '👶', color: '#F0F8FF' },
-                    { name: '陶瓷碎片', icon: '🏺', color: '#CD853F' }
-                ]
-            }
-        };
+        // 垃圾类型配置 - 具体垃圾物品来自统一的垃圾物品目录
+        this.trashConfig = {};
+        for (const [type, category] of Object.entries(TrashCategories)) {
+            this.trashConfig[type] = {
+                name: category.name,
+                color: category.color,
+                items: trashCatalog.getItemsByCategory(type).map(item => ({
+                    id: item.id,
+                    name: item.names.zh,
+                    icon: item.icon,
+                    color: item.color
+                }))
+            };
+        }
         
         this.lastTrashSpawn = 0;
         this.trashSpawnInterval = 2000; // 2秒生成一个垃圾
@@ -379,6 +336,7 @@ class SimpleGame {
             const newTrash = {
                 id: Date.now() + Math.random(),
                 type: randomType,
+                itemId: randomItem.id,
                 name: randomItem.name,
                 x: randomTrack.endX + 50, // 从轨道右端开始
                 y: randomTrack.y + randomTrack.height / 2,
@@ -0,0 +1,181 @@
+/**
+ * 无界面模拟器
+ * 在 Node 中以固定步长驱动 GameScene 的各个系统（不创建 RenderSystem，不访问 DOM），
+ * 用脚本化策略代替玩家，批量统计关卡的胜率、逃脱数和分类准确率
+ */
+import { GameScene } from '../scenes/GameScene.js';
+import { SeededRandom } from '../core/SeededRandom.js';
+import { JustInTimeStrategy } from './PlacementStrategy.js';
+
+export class HeadlessSimulation {
+    /**
+     * @param {Object} options - 模拟选项
+     * @param {number} options.timeStep - 逻辑步长（毫秒），默认与游戏一致
+     * @param {boolean} options.quiet - 模拟期间屏蔽系统日志
+     * @param {Function} options.createStrategy - 创建放置策略的工厂函数
+     */
+    constructor(options = {}) {
+        this.timeStep = options.timeStep || 1000 / 60;
+        this.quiet = options.quiet !== false;
+        this.createStrategy = options.createStrategy || (() => new JustInTimeStrategy());
+        this.scene = null;
+    }
+
+    /**
+     * 获取（必要时创建）模拟用的游戏场景
+     */
+    getScene() {
+        if (!this.scene) {
+            this.scene = new GameScene();
+            this.scene.recordProgress = false; // 模拟结果不计入玩家进度
+            this.scene.init();
+        }
+        return this.scene;
+    }
+
+    /**
+     * 模拟一局
+     * @param {Object} levelConfig - 关卡配置（与 GameConfig.levels 的格式相同）
+     * @param {number} seed - 随机种子
+     * @returns {Object} 单局结果
+     */
+    runOnce(levelConfig, seed) {
+        return this.withQuietConsole(() => {
+            const scene = this.getScene();
+            scene.levelSystem.registerLevel(levelConfig);
+            
+            const runState = scene.startRun({ levelId: levelConfig.id, seed, ignoreLock: true });
+            if (!runState) {
+                throw new Error(`无法加载关卡 ${levelConfig.id}`);
+            }
+            
+            // 策略使用独立的随机序列，保证同一种子下结果可复现
+            const strategy = this.createStrategy();
+            strategy.reset(scene, new SeededRandom(`${seed}:strategy`));
+            
+            const level = scene.levelSystem.currentLevel;
+            const maxTime = level.timeLimit * 1000 + this.timeStep;
+            let elapsed = 0;
+            
+            while (scene.gameState === 'playing' && elapsed < maxTime) {
+                strategy.update(scene, this.timeStep);
+                scene.update(this.timeStep);
+                elapsed += this.timeStep;
+            }
+            
+            const result = this.collectResult(scene, seed);
+            scene.endRun();
+            return result;
+        });
+    }
+
+    /**
+     * 汇总单局结果
+     * @param {GameScene} scene - 游戏场景
+     * @param {number} seed - 随机种子
+     */
+    collectResult(scene, seed) {
+        const level = scene.levelSystem.currentLevel;
+        const binStats = scene.trashBinSystem.getSystemStats();
+        
+        let outcome = 'unfinished';
+        if (level.isComplete) {
+            outcome = 'won';
+        } else if (level.zombiesEscaped > 0) {
+            outcome = 'escaped';
+        } else if (level.elapsedTime >= level.timeLimit * 1000) {
+            outcome = 'timeout';
+        }
+        
+        return {
+            seed: seed,
+            levelId: level.id,
+            won: level.isComplete,
+            outcome: outcome,
+            zombieCount: level.zombieCount,
+            spawned: level.zombiesSpawned,
+            collected: level.zombiesCollected,
+            missorted: level.zombiesMissorted,
+            escaped: level.zombiesEscaped,
+            accuracy: scene.collectionSystem.getCollectionStats().accuracy, // 策略会拆掉垃圾桶，按收集系统的累计结果计算
+            binsPlaced: binStats.totalBins,
+            score: level.score,
+            duration: level.elapsedTime / 1000
+        };
+    }
+
+    /**
+     * 批量模拟同一关卡
+     * @param {Object} levelConfig - 关卡配置
+     * @param {Object} options - { runs: 局数, seed: 起始种子 }
+     * @returns {Object} 关卡平衡统计
+     */
+    runBatch(levelConfig, options = {}) {
+        const runs = options.runs || 100;
+        const baseSeed = options.seed !== undefined ? options.seed : 1;
+        const results = [];
+        
+        for (let i = 0; i < runs; i++) {
+            results.push(this.runOnce(levelConfig, baseSeed + i));
+        }
+        
+        return HeadlessSimulation.summarize(levelConfig, results);
+    }
+
+    /**
+     * 对多个关卡配置生成平衡报告
+     * @param {Array<Object>} levelConfigs - 关卡配置列表
+     * @param {Object} options - { runs, seed }
+     */
+    runBalanceReport(levelConfigs, options = {}) {
+        return levelConfigs.map(levelConfig => this.runBatch(levelConfig, options));
+    }
+
+    /**
+     * 统计一组单局结果
+     * @param {Object} levelConfig - 关卡配置
+     * @param {Array<Object>} results - 单局结果
+     */
+    static summarize(levelConfig, results) {
+        const runs = results.length;
+        const wins = results.filter(result => result.won);
+        const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+        
+        const outcomes = { won: 0, escaped: 0, timeout: 0, unfinished: 0 };
+        for (const result of results) {
+            outcomes[result.outcome]++;
+        }
+        
+        return {
+            levelId: levelConfig.id,
+            runs: runs,
+            wins: wins.length,
+            winRate: runs > 0 ? wins.length / runs : 0,
+            totalEscapes: results.reduce((sum, result) => sum + result.escaped, 0),
+            avgEscapes: average(results.map(result => result.escaped)),
+            avgAccuracy: average(results.map(result => result.accuracy)),
+            avgCollected: average(results.map(result => result.collected)),
+            avgScore: average(results.map(result => result.score)),
+            avgWinDuration: average(wins.map(result => result.duration)),
+            outcomes: outcomes
+        };
+    }
+
+    /**
+     * 执行函数期间屏蔽 console.log / console.warn
+     * @param {Function} fn - 要执行的函数
+     */
+    withQuietConsole(fn) {
+        if (!this.quiet) return fn();
+        
+        const { log, warn } = console;
+        console.log = () => {};
+        console.warn = () => {};
+        try {
+            return fn();
+        } finally {
+            console.log = log;
+            console.warn = warn;
+        }
+    }
+}
\ No newline at end of file
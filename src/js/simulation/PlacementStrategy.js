@@ -0,0 +1,308 @@
+/**
+ * 脚本化放置策略
+ * 模拟玩家操作：发现垃圾后经过反应时间，选择垃圾桶，并保证它前方遇到的第一个垃圾桶就是所选类型。
+ * 垃圾桶会接住经过的每一件垃圾，所以新垃圾桶只放在这件垃圾和前方下一件垃圾之间，
+ * 前方类型不对、又没有别的垃圾要用的垃圾桶直接拆掉；轨道上的垃圾桶达到上限时，把用不到的垃圾桶挪过来。
+ * 所有操作都经由 GameScene 的输入处理，与真实玩家走同一条路径
+ */
+import { rulesetManager } from '../config/ClassificationRulesets.js';
+
+export class JustInTimeStrategy {
+    /**
+     * @param {Object} options - 策略参数
+     * @param {number} options.accuracy - 选对垃圾桶的概率（0-1）
+     * @param {number} options.reactionTime - 从垃圾出现到放置的反应时间（毫秒）
+     */
+    constructor(options = {}) {
+        this.accuracy = options.accuracy !== undefined ? options.accuracy : 1;
+        this.reactionTime = options.reactionTime !== undefined ? options.reactionTime : 500;
+        this.searchStep = 10; // 寻找放置位置时的步进（像素）
+        this.lookahead = 300; // 垃圾离它会撞上的垃圾桶（或终点）多近时才处理（像素）
+        this.spawnClearance = 120; // 轨道起点附近不放垃圾桶，刚生成的垃圾来不及反应（像素）
+        
+        this.rng = null;
+        this.time = 0;
+        this.noticedAt = new Map();
+        this.choices = new Map(); // 垃圾 -> { binType, retryCount }
+    }
+
+    /**
+     * 开始新的一局
+     * @param {GameScene} scene - 游戏场景
+     * @param {SeededRandom} rng - 策略使用的随机数生成器
+     */
+    reset(scene, rng) {
+        this.rng = rng;
+        this.time = 0;
+        this.noticedAt.clear();
+        this.choices.clear();
+    }
+
+    /**
+     * 每个模拟步调用一次
+     * 每一步都重新检查所有垃圾：前方的垃圾桶可能已被挪走，或被后放的垃圾桶挡住
+     * @param {GameScene} scene - 游戏场景
+     * @param {number} deltaTime - 时间间隔
+     */
+    update(scene, deltaTime) {
+        this.time += deltaTime;
+        
+        // 像玩家一样及时清空装满的垃圾桶
+        this.emptyFullBins(scene);
+        
+        // Boss 本身接不住，逐个处理它的部件
+        const zombies = scene.trashZombieSystem.activeZombies
+            .flatMap(zombie => zombie.isBoss ? zombie.getChildren() : [zombie])
+            .filter(zombie => !zombie.isCollected);
+        
+        // 每条轨道从下游往上游处理，每件垃圾只能使用它和前方下一件垃圾之间的空间
+        for (const [track, trackZombies] of this.groupByTrack(zombies)) {
+            let ceiling = 1;
+            for (const entry of trackZombies) {
+                if (this.isNoticed(entry.zombie) && !entry.zombie.isInRetryMode) {
+                    this.serveZombie(scene, track, entry, ceiling, trackZombies);
+                }
+                ceiling = entry.progress;
+            }
+        }
+    }
+
+    /**
+     * 按所在轨道分组，组内按进度从下游到上游排序
+     * @param {Array<TrashZombie>} zombies - 垃圾僵尸
+     * @returns {Map<Track, Array<{zombie: TrashZombie, progress: number}>>}
+     */
+    groupByTrack(zombies) {
+        const groups = new Map();
+        
+        for (const zombie of zombies) {
+            // Boss 的部件随 Boss 所在的轨道移动
+            const track = zombie.getRoot().track;
+            const transform = zombie.getComponent('Transform');
+            if (!track || !transform) continue;
+            
+            if (!groups.has(track)) {
+                groups.set(track, []);
+            }
+            groups.get(track).push({ zombie, progress: track.getProgressAlongTrack(transform.position) });
+        }
+        
+        for (const trackZombies of groups.values()) {
+            trackZombies.sort((a, b) => b.progress - a.progress);
+        }
+        return groups;
+    }
+
+    /**
+     * 垃圾出现后是否已过了反应时间
+     * @param {TrashZombie} zombie - 垃圾僵尸
+     */
+    isNoticed(zombie) {
+        if (!this.noticedAt.has(zombie)) {
+            this.noticedAt.set(zombie, this.time);
+        }
+        return this.time - this.noticedAt.get(zombie) >= this.reactionTime;
+    }
+
+    /**
+     * 点击装满的垃圾桶将其清空
+     * @param {GameScene} scene - 游戏场景
+     */
+    emptyFullBins(scene) {
+        for (const bin of scene.trashBinSystem.getAllBins()) {
+            if (bin.isFull() && !bin.isEmptying) {
+                scene.handleMouseClick(bin.position.x, bin.position.y);
+            }
+        }
+    }
+
+    /**
+     * 为垃圾选择垃圾桶类型，按准确率模拟分错
+     * 同一件垃圾只选一次，分错后看到提示会重新选择
+     * @param {TrashZombie} zombie - 垃圾僵尸
+     */
+    chooseBinType(zombie) {
+        const choice = this.choices.get(zombie);
+        if (choice && choice.retryCount === zombie.retryCount) {
+            return choice.binType;
+        }
+        
+        const ruleset = rulesetManager.getActiveRuleset();
+        const correctBinType = ruleset.getCorrectBinType(zombie.itemId || zombie.type);
+        
+        let binType = correctBinType;
+        if (!this.rng.chance(this.accuracy)) {
+            const wrongBinTypes = ruleset.getBinTypes().filter(type => type !== correctBinType);
+            binType = this.rng.pick(wrongBinTypes) || correctBinType;
+        }
+        
+        this.choices.set(zombie, { binType, retryCount: zombie.retryCount });
+        return binType;
+    }
+
+    /**
+     * 保证垃圾前方遇到的第一个垃圾桶是所选类型
+     * @param {GameScene} scene - 游戏场景
+     * @param {Track} track - 垃圾所在轨道
+     * @param {Object} entry - { zombie, progress }
+     * @param {number} ceiling - 前方下一件垃圾的进度，新垃圾桶不能越过它
+     * @param {Array<Object>} trackZombies - 这条轨道上的所有垃圾
+     * @returns {boolean} 是否已有或已放好合适的垃圾桶
+     */
+    serveZombie(scene, track, entry, ceiling, trackZombies) {
+        const trashBinSystem = scene.trashBinSystem;
+        const binType = this.chooseBinType(entry.zombie);
+        
+        // 前方最近的垃圾桶已是所选类型时不需要操作
+        const nextBin = this.findNextBin(track, entry.progress);
+        if (nextBin && nextBin.bin.type === binType) return true;
+        
+        // 离会撞上的垃圾桶还远时先不动，免得把垃圾桶放到上游刚生成的垃圾中间
+        const catchProgress = nextBin ? nextBin.progress : 1;
+        if ((catchProgress - entry.progress) * track.length > this.lookahead) return false;
+        
+        // 前方的垃圾桶类型不对、且中间没有别的垃圾时直接拆掉，下一步再往下游补放，避免垃圾桶越放越靠上游
+        if (nextBin && !nextBin.bin.isFixed && nextBin.progress < ceiling) {
+            this.removeBin(scene, nextBin.bin);
+            return false;
+        }
+        
+        // 轨道已满时只能挪动用不到的同类型垃圾桶，没有的话先拆掉一个用不到的垃圾桶
+        const isTrackFull = track.placedBins.length >= trashBinSystem.maxBinsPerTrack;
+        const spareBins = isTrackFull ? this.findSpareBins(track, entry, trackZombies) : [];
+        const movableBin = spareBins.find(spare => spare.type === binType) || null;
+        
+        if (isTrackFull && !movableBin) {
+            if (spareBins.length > 0) {
+                this.removeBin(scene, spareBins[0]);
+            }
+            return false;
+        }
+        
+        // 本局禁用的垃圾桶无法放置，只能依靠关卡预置的
+        if (!movableBin && !trashBinSystem.getSelectableBinTypes().includes(binType)) return false;
+        
+        // 尽量靠近前方的垃圾桶放置，给后面的垃圾留出空间；与前方垃圾保持一个收集半径以上的距离
+        const clearance = (trashBinSystem.getBinConfig(binType).collectRadius + this.searchStep) / track.length;
+        const limit = Math.min(ceiling - clearance, catchProgress);
+        const position = this.findFreePosition(trashBinSystem, track, binType, entry.progress, limit, movableBin);
+        if (!position) return false;
+        
+        return movableBin
+            ? this.moveBin(scene, movableBin, position)
+            : this.placeBin(scene, binType, position);
+    }
+
+    /**
+     * 在垃圾和限制进度之间寻找可以放置的位置，从下游往上游找
+     * @param {TrashBinSystem} trashBinSystem - 垃圾桶系统
+     * @param {Track} track - 轨道
+     * @param {number} binType - 垃圾桶类型
+     * @param {number} fromProgress - 垃圾的进度
+     * @param {number} limit - 不能越过的进度
+     * @param {TrashBin|null} ignoreBin - 要挪动的垃圾桶
+     * @returns {Vector2|null} 放置位置
+     */
+    findFreePosition(trashBinSystem, track, binType, fromProgress, limit, ignoreBin) {
+        const step = this.searchStep / track.length;
+        const lowest = Math.max(fromProgress, this.spawnClearance / track.length);
+        
+        for (let progress = limit - step; progress > lowest; progress -= step) {
+            const position = track.getPositionAtProgress(progress);
+            const placement = trashBinSystem.canPlaceAt(position, { binType, ignoreBin });
+            if (placement.canPlace && placement.track === track) {
+                return position;
+            }
+        }
+        
+        return null;
+    }
+
+    /**
+     * 选择垃圾桶类型并点击放置；打开着升级面板时第一次点击只会关闭面板
+     * @param {GameScene} scene - 游戏场景
+     * @param {number} binType - 垃圾桶类型
+     * @param {Vector2} position - 放置位置
+     */
+    placeBin(scene, binType, position) {
+        const binsBefore = scene.trashBinSystem.getAllBins().length;
+        scene.handleKeyInput(String(binType));
+        
+        for (let click = 0; click < 2; click++) {
+            scene.handleMouseClick(position.x, position.y);
+            if (scene.trashBinSystem.getAllBins().length > binsBefore) {
+                return true;
+            }
+        }
+        
+        return false;
+    }
+
+    /**
+     * 拖拽垃圾桶到新位置
+     * @param {GameScene} scene - 游戏场景
+     * @param {TrashBin} bin - 垃圾桶
+     * @param {Vector2} position - 新位置
+     */
+    moveBin(scene, bin, position) {
+        scene.handleMouseDown(bin.position.x, bin.position.y);
+        scene.handleMouseUp(position.x, position.y);
+        return bin.position.x === position.x && bin.position.y === position.y;
+    }
+
+    /**
+     * 点击选中垃圾桶后按删除键拆掉
+     * @param {GameScene} scene - 游戏场景
+     * @param {TrashBin} bin - 垃圾桶
+     */
+    removeBin(scene, bin) {
+        scene.handleMouseClick(bin.position.x, bin.position.y);
+        if (scene.trashBinSystem.selectedBin === bin) {
+            scene.handleKeyInput('Delete');
+        }
+    }
+
+    /**
+     * 查找可以挪用的垃圾桶：在这件垃圾身后的，或下一件到达的就是这件垃圾的
+     * 没有其它垃圾要用的排在最前，其余按离下一件到达的垃圾的距离从远到近排列
+     * @param {Track} track - 轨道
+     * @param {Object} entry - { zombie, progress }
+     * @param {Array<Object>} trackZombies - 这条轨道上的所有垃圾，按进度从下游到上游排列
+     * @returns {Array<TrashBin>} 可挪用的垃圾桶
+     */
+    findSpareBins(track, entry, trackZombies) {
+        const spares = [];
+        
+        for (const bin of track.placedBins) {
+            if (bin.isFixed || bin.isEmptying) continue;
+            
+            // 下一件会到达这个垃圾桶的垃圾
+            const progress = track.getProgressAlongTrack(bin.position);
+            const visitor = trackZombies.find(other => other.progress < progress);
+            if (progress > entry.progress && visitor !== entry) continue;
+            
+            const gap = visitor && visitor !== entry ? progress - visitor.progress : Infinity;
+            spares.push({ bin, gap });
+        }
+        
+        return spares.sort((a, b) => b.gap - a.gap).map(spare => spare.bin);
+    }
+
+    /**
+     * 查找轨道上位于指定进度之后的最近垃圾桶
+     * @param {Track} track - 轨道
+     * @param {number} fromProgress - 起始进度
+     */
+    findNextBin(track, fromProgress) {
+        let nextBin = null;
+        
+        for (const bin of track.placedBins) {
+            const progress = track.getProgressAlongTrack(bin.position);
+            if (progress > fromProgress && (!nextBin || progress < nextBin.progress)) {
+                nextBin = { bin, progress };
+            }
+        }
+        
+        return nextBin;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,312 @@
+/**
+ * 垃圾桶技能系统
+ * 每种垃圾桶有一个主动技能，按快捷键由场上所有该类型的垃圾桶同时释放，同类型共享冷却
+ */
+import { Vector2 } from '../core/Vector2.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { rulesetManager } from '../config/ClassificationRulesets.js';
+
+export class BinAbilitySystem {
+    /**
+     * @param {TrashBinSystem} trashBinSystem - 垃圾桶系统
+     * @param {TrashZombieSystem} trashZombieSystem - 垃圾僵尸系统
+     */
+    constructor(trashBinSystem, trashZombieSystem) {
+        this.trashBinSystem = trashBinSystem;
+        this.trashZombieSystem = trashZombieSystem;
+        this.cooldowns = new Map(); // 垃圾桶类型 -> 剩余冷却时间（毫秒）
+        this.effects = []; // 释放特效 { position, radius, color, time, duration }
+        
+        // 事件回调
+        this.onAbilityUsed = null;
+    }
+
+    /**
+     * 获取垃圾桶类型的技能配置
+     * @param {number} binType - 垃圾桶类型
+     */
+    getAbility(binType) {
+        return GameConfig.binAbilities[binType] || null;
+    }
+
+    /**
+     * 获取快捷键对应的垃圾桶类型
+     * @param {string} key - 按键
+     * @returns {number|null} 垃圾桶类型
+     */
+    getBinTypeForKey(key) {
+        for (const [binType, ability] of Object.entries(GameConfig.binAbilities)) {
+            if (ability.key === key.toLowerCase()) {
+                return parseInt(binType);
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 获取剩余冷却时间
+     * @param {number} binType - 垃圾桶类型
+     */
+    getRemainingCooldown(binType) {
+        return this.cooldowns.get(binType) || 0;
+    }
+
+    /**
+     * 获取剩余冷却占总冷却的比例（0 表示就绪）
+     * @param {number} binType - 垃圾桶类型
+     */
+    getCooldownRatio(binType) {
+        const ability = this.getAbility(binType);
+        if (!ability) return 0;
+        return this.getRemainingCooldown(binType) / ability.cooldown;
+    }
+
+    /**
+     * 技能是否就绪
+     * @param {number} binType - 垃圾桶类型
+     */
+    isReady(binType) {
+        return this.getRemainingCooldown(binType) <= 0;
+    }
+
+    /**
+     * 释放技能
+     * @param {number} binType - 垃圾桶类型
+     * @returns {{success: boolean, reason?: string, affected?: number}}
+     */
+    activate(binType) {
+        const ability = this.getAbility(binType);
+        if (!ability) {
+            return { success: false, reason: '该垃圾桶没有技能' };
+        }
+        
+        if (!this.isReady(binType)) {
+            return { success: false, reason: `${ability.name}冷却中` };
+        }
+        
+        const bins = this.trashBinSystem.getBinsByType(binType);
+        if (bins.length === 0) {
+            return { success: false, reason: '场上没有该类型的垃圾桶' };
+        }
+        
+        // 已被收集的垃圾不受影响，同一件垃圾被多个垃圾桶影响时只计一次
+        const zombies = this.trashZombieSystem.activeZombies.filter(zombie => !zombie.isCollected && zombie.track);
+        const affected = new Set();
+        
+        for (const bin of bins) {
+            let hits = [];
+            switch (ability.id) {
+                case 'purificationWave':
+                    hits = this.applyPurificationWave(bin, ability, zombies);
+                    break;
+                case 'magnet':
+                    hits = this.applyMagnet(bin, ability, zombies);
+                    break;
+                case 'compostBurst':
+                    hits = this.applyCompostBurst(bin, ability, zombies);
+                    break;
+            }
+            hits.forEach(zombie => affected.add(zombie));
+            
+            this.effects.push({
+                position: bin.position.clone(),
+                radius: ability.radius,
+                color: bin.config.color,
+                time: 0,
+                duration: 600
+            });
+        }
+        
+        this.cooldowns.set(binType, ability.cooldown);
+        
+        if (this.onAbilityUsed) {
+            this.onAbilityUsed(binType, ability, affected.size);
+        }
+        
+        console.log(`释放 ${ability.name}，影响 ${affected.size} 件垃圾`);
+        return { success: true, affected: affected.size };
+    }
+
+    /**
+     * 获取垃圾桶范围内的垃圾
+     * @param {TrashBin} bin - 垃圾桶
+     * @param {number} radius - 范围半径
+     * @param {Array<TrashZombie>} zombies - 候选垃圾
+     */
+    getZombiesInRange(bin, radius, zombies) {
+        return zombies.filter(zombie => {
+            const transform = zombie.getComponent('Transform');
+            return transform && Vector2.distance(bin.position, transform.position) <= radius;
+        });
+    }
+
+    /**
+     * 净化波：把范围内该垃圾桶应收的垃圾沿轨道推回
+     * @param {TrashBin} bin - 垃圾桶
+     * @param {Object} ability - 技能配置
+     * @param {Array<TrashZombie>} zombies - 候选垃圾
+     * @returns {Array<TrashZombie>} 受影响的垃圾
+     */
+    applyPurificationWave(bin, ability, zombies) {
+        const hits = this.getZombiesInRange(bin, ability.radius, zombies)
+            .filter(zombie => bin.canCollect(zombie.itemId || zombie.type));
+        
+        for (const zombie of hits) {
+            zombie.shiftAlongTrack(-ability.pushDistance);
+        }
+        return hits;
+    }
+
+    /**
+     * 回收磁铁：把范围内其他轨道上该垃圾桶应收的垃圾吸到垃圾桶所在的轨道，落点不越过垃圾桶
+     * @param {TrashBin} bin - 垃圾桶
+     * @param {Object} ability - 技能配置
+     * @param {Array<TrashZombie>} zombies - 候选垃圾
+     * @returns {Array<TrashZombie>} 受影响的垃圾
+     */
+    applyMagnet(bin, ability, zombies) {
+        const binTrack = this.findBinTrack(bin);
+        if (!binTrack) return [];
+        
+        const binDistance = binTrack.path.project(bin.position).distance;
+        const hits = this.getZombiesInRange(bin, ability.radius, zombies)
+            .filter(zombie => zombie.track !== binTrack && bin.canCollect(zombie.itemId || zombie.type));
+        
+        for (const zombie of hits) {
+            const projection = binTrack.path.project(zombie.getComponent('Transform').position);
+            zombie.moveToTrack(binTrack, Math.min(projection.distance, binDistance));
+        }
+        return hits;
+    }
+
+    /**
+     * 堆肥爆发：范围内的所有垃圾限时减速
+     * @param {TrashBin} bin - 垃圾桶
+     * @param {Object} ability - 技能配置
+     * @param {Array<TrashZombie>} zombies - 候选垃圾
+     * @returns {Array<TrashZombie>} 受影响的垃圾
+     */
+    applyCompostBurst(bin, ability, zombies) {
+        const hits = this.getZombiesInRange(bin, ability.radius, zombies);
+        
+        for (const zombie of hits) {
+            zombie.applySlow(ability.slowFactor, ability.duration);
+        }
+        return hits;
+    }
+
+    /**
+     * 查找垃圾桶所在的轨道
+     * @param {TrashBin} bin - 垃圾桶
+     */
+    findBinTrack(bin) {
+        return this.trashBinSystem.trackSystem.getAllTracks()
+            .find(track => track.placedBins.includes(bin)) || null;
+    }
+
+    /**
+     * 更新冷却和特效
+     * @param {number} deltaTime - 时间间隔
+     */
+    update(deltaTime) {
+        for (const [binType, remaining] of this.cooldowns) {
+            this.cooldowns.set(binType, Math.max(0, remaining - deltaTime));
+        }
+        
+        for (const effect of this.effects) {
+            effect.time += deltaTime;
+        }
+        this.effects = this.effects.filter(effect => effect.time < effect.duration);
+    }
+
+    /**
+     * 清空冷却和特效（每局开始时）
+     */
+    reset() {
+        this.cooldowns.clear();
+        this.effects = [];
+    }
+
+    /**
+     * 渲染技能释放特效（向外扩散的圆环）
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     */
+    render(ctx) {
+        ctx.save();
+        
+        for (const effect of this.effects) {
+            const t = effect.time / effect.duration;
+            ctx.globalAlpha = 1 - t;
+            ctx.strokeStyle = effect.color;
+            ctx.lineWidth = 6 * (1 - t) + 1;
+            ctx.beginPath();
+            ctx.arc(effect.position.x, effect.position.y, effect.radius * t, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+        
+        ctx.restore();
+    }
+
+    /**
+     * 在HUD左下角渲染各技能的冷却圆环
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     */
+    renderHUD(ctx) {
+        const ruleset = rulesetManager.getActiveRuleset();
+        const binTypes = Object.keys(GameConfig.binAbilities)
+            .map(binType => parseInt(binType))
+            .filter(binType => ruleset.hasBin(binType));
+        
+        ctx.save();
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        
+        binTypes.forEach((binType, index) => {
+            const ability = this.getAbility(binType);
+            const x = 40 + index * 80;
+            const y = ctx.canvas.height - 50;
+            const radius = 22;
+            const ready = this.isReady(binType);
+            const hasBin = this.trashBinSystem.getBinsByType(binType).length > 0;
+            
+            // 底圆：就绪且场上有该垃圾桶时为垃圾桶颜色
+            ctx.globalAlpha = ready && hasBin ? 1 : 0.5;
+            ctx.fillStyle = ruleset.getBinConfig(binType).color;
+            ctx.beginPath();
+            ctx.arc(x, y, radius, 0, Math.PI * 2);
+            ctx.fill();
+            ctx.globalAlpha = 1;
+            
+            // 冷却圆环：从顶部顺时针消退
+            if (!ready) {
+                ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+                ctx.lineWidth = 5;
+                ctx.beginPath();
+                ctx.arc(x, y, radius + 3, -Math.PI / 2, -Math.PI / 2 + Math.PI * 2 * this.getCooldownRatio(binType));
+                ctx.stroke();
+            } else {
+                ctx.strokeStyle = '#FFFFFF';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.arc(x, y, radius + 3, 0, Math.PI * 2);
+                ctx.stroke();
+            }
+            
+            ctx.fillStyle = '#FFFFFF';
+            ctx.font = 'bold 16px Arial';
+            ctx.fillText(ready ? ability.key.toUpperCase() : Math.ceil(this.getRemainingCooldown(binType) / 1000), x, y);
+            ctx.font = '12px Arial';
+            ctx.fillText(ability.name, x, y + radius + 14);
+        });
+        
+        ctx.restore();
+    }
+
+    /**
+     * 设置事件回调
+     * @param {Object} callbacks - 回调函数对象
+     */
+    setCallbacks(callbacks) {
+        this.onAbilityUsed = callbacks.onAbilityUsed;
+    }
+}
\ No newline at end of file
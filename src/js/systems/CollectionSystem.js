@@ -4,14 +4,19 @@
  */
 import { CollisionUtils } from '../utils/CollisionUtils.js';
 import { Vector2 } from '../core/Vector2.js';
-import { GameConfig } from '../config/GameConfig.js';
 import { FeedbackSystem } from '../ui/FeedbackSystem.js';
+import { ComboSystem } from './ComboSystem.js';
+import { trashCatalog } from '../config/TrashCatalog.js';
+import { rulesetManager } from '../config/ClassificationRulesets.js';
 
 export class CollectionSystem {
     constructor(trashBinSystem, audioManager = null) {
         this.trashBinSystem = trashBinSystem;
         this.audioManager = audioManager;
         this.feedbackSystem = new FeedbackSystem();
+        this.comboSystem = new ComboSystem();
+        this.scoreMultiplier = 1; // 道具提供的分数倍率，与连击倍率叠乘
+        this.binScoreMultipliers = new Map(); // 环境事件按垃圾桶类型提供的分数倍率
         this.activeTrashZombies = [];
         this.collectionHistory = [];
         
@@ -24,6 +29,8 @@ export class CollectionSystem {
         this.onCorrectCollection = null;
         this.onIncorrectCollection = null;
         this.onTrashEscaped = null;
+        this.onTrashSplit = null;
+        this.onComboMilestone = null;
     }
 
     /**
@@ -68,6 +75,9 @@ export class CollectionSystem {
                 const binCollider = bin.getComponent('Collider');
                 if (!binTransform || !binCollider) continue;
                 
+                // 正在咀嚼、没有空闲嘴的垃圾桶让垃圾通过，行为也可能让垃圾暂时接不住
+                if (!bin.canCatch() || !trash.canBeCaughtBy(bin)) continue;
+                
                 // 使用碰撞器组件进行精确碰撞检测
                 if (trashCollider.checkCollision(binCollider, trashTransform, binTransform)) {
                     const shouldRemove = this.performCollection(trash, bin);
@@ -85,15 +95,63 @@ export class CollectionSystem {
         }
     }
 
+    /**
+     * 记录每件垃圾到最近垃圾桶的距离（伪装等行为据此判断）
+     */
+    updateBinProximity() {
+        const bins = this.trashBinSystem.getAllBins();
+        
+        for (const trash of this.activeTrashZombies) {
+            const trashTransform = trash.getComponent('Transform');
+            if (!trashTransform) continue;
+            
+            trash.nearestBinDistance = bins.reduce(
+                (nearest, bin) => Math.min(nearest, Vector2.distance(bin.position, trashTransform.position)),
+                Infinity
+            );
+        }
+    }
+
+    /**
+     * 按垃圾桶的减速光环设置垃圾的速度倍数，多个光环重叠时取最慢的
+     */
+    applySlowAuras() {
+        const bins = this.trashBinSystem.getAllBins();
+        
+        for (const trash of this.activeTrashZombies) {
+            const trashTransform = trash.getComponent('Transform');
+            if (!trashTransform) continue;
+            
+            let speedFactor = 1;
+            for (const bin of bins) {
+                if (bin.isInSlowAura(trashTransform.position)) {
+                    speedFactor = Math.min(speedFactor, bin.slowFactor);
+                }
+            }
+            trash.speedFactor = speedFactor;
+        }
+    }
+
     /**
      * 执行收集操作
      * @param {TrashZombie} trash - 垃圾僵尸
      * @param {TrashBin} bin - 垃圾桶
      */
     performCollection(trash, bin) {
+        // 垃圾的行为（装甲、拆分）可以接管这次收集
+        const behaviorResult = trash.handleCatch(bin, bin.canCollect(trash.itemId || trash.type));
+        if (behaviorResult) {
+            return this.handleBehaviorCatch(trash, bin, behaviorResult);
+        }
+        
         // 让垃圾桶尝试收集垃圾
         const collectionResult = bin.collect(trash);
         
+        // 装满时提示玩家清空
+        if (bin.isFull()) {
+            this.showFullWarning(bin);
+        }
+        
         // 检查是否正确分类
         const isCorrect = collectionResult.correct;
         
@@ -102,8 +160,12 @@ export class CollectionSystem {
             trash.getCollected(bin, true);
             this.totalCollections++;
             this.correctCollections++;
+            this.applyCombo(bin, collectionResult);
             this.handleCorrectCollection(trash, bin, collectionResult);
         } else {
+            // 投错垃圾桶中断连击
+            this.breakCombo();
+            
             // 错误分类，检查是否可以重试
             if (trash.canRetry()) {
                 // 可以重试，不移除垃圾
@@ -120,6 +182,7 @@ export class CollectionSystem {
                 trash.getCollected(bin, false);
                 this.totalCollections++;
                 this.incorrectCollections++;
+                collectionResult.discarded = true; // 垃圾被错误收走，不会再回到轨道上
                 this.handleIncorrectCollection(trash, bin, collectionResult);
             }
         }
@@ -139,6 +202,92 @@ export class CollectionSystem {
         return true; // 返回true表示可以移除垃圾
     }
 
+    /**
+     * 累积连击并按倍率调整本次分数，达到新档位时显示连击提示
+     * @param {TrashBin} bin - 垃圾桶
+     * @param {Object} result - 收集结果，会写入 points、combo、multiplier
+     */
+    applyCombo(bin, result) {
+        const binMultiplier = this.binScoreMultipliers.get(bin.type) || 1;
+        const comboResult = this.comboSystem.recordCorrect(result.points * this.scoreMultiplier * binMultiplier);
+        result.points = comboResult.points;
+        result.combo = comboResult.combo;
+        result.multiplier = comboResult.multiplier;
+        
+        if (!comboResult.milestone) return;
+        
+        const binTransform = bin.getComponent('Transform');
+        if (binTransform) {
+            this.feedbackSystem.showCombo(binTransform.position, comboResult.combo, comboResult.milestone);
+        }
+        if (this.onComboMilestone) {
+            this.onComboMilestone(comboResult.combo, comboResult.milestone, bin);
+        }
+    }
+
+    /**
+     * 设置道具分数倍率
+     * @param {number} multiplier - 倍率，1 为不加成
+     */
+    setScoreMultiplier(multiplier) {
+        this.scoreMultiplier = multiplier;
+    }
+
+    /**
+     * 设置某类垃圾桶正确分类的分数倍率
+     * @param {number} binType - 垃圾桶类型
+     * @param {number} multiplier - 倍率，1 为不加成
+     */
+    setBinScoreMultiplier(binType, multiplier) {
+        if (multiplier === 1) {
+            this.binScoreMultipliers.delete(binType);
+        } else {
+            this.binScoreMultipliers.set(binType, multiplier);
+        }
+    }
+
+    /**
+     * 中断连击（投错垃圾桶或垃圾逃脱）
+     * @returns {number} 中断前的连击数
+     */
+    breakCombo() {
+        return this.comboSystem.breakCombo();
+    }
+
+    /**
+     * 处理被行为接管的收集：垃圾桶照常咀嚼，但不计入收集统计
+     * @param {TrashZombie} trash - 垃圾僵尸
+     * @param {TrashBin} bin - 垃圾桶
+     * @param {Object} result - 行为结果
+     * @returns {boolean} 是否从收集系统移除垃圾
+     */
+    handleBehaviorCatch(trash, bin, result) {
+        bin.startChewing();
+        const binTransform = bin.getComponent('Transform');
+        
+        if (result.action === 'armor') {
+            if (binTransform) {
+                this.feedbackSystem.showWarning(
+                    binTransform.position,
+                    result.remaining > 0 ? `护甲破碎！还剩 ${result.remaining} 层` : '护甲破碎！再接一次'
+                );
+            }
+            return false;
+        }
+        
+        if (result.action === 'split') {
+            if (binTransform) {
+                this.feedbackSystem.showInfo(binTransform.position, `${trash.labelText}被拆开了！`);
+            }
+            if (this.onTrashSplit) {
+                this.onTrashSplit(trash, bin, result.pieces);
+            }
+            return true;
+        }
+        
+        return false;
+    }
+
     /**
      * 处理正确收集
      * @param {TrashZombie} trash - 垃圾僵尸
@@ -154,7 +303,7 @@ export class CollectionSystem {
         if (binTransform) {
             this.feedbackSystem.showSuccess(
                 binTransform.position,
-                '正确分类！',
+                result.combo > 1 ? `${result.combo} 连击！` : '正确分类！',
                 result.points
             );
         }
@@ -179,8 +328,8 @@ export class CollectionSystem {
         this.playErrorSound();
         
         // 显示错误反馈
-        const correctBinType = this.getCorrectBinType(trash.type);
-        const correctBinName = GameConfig.trashBins[correctBinType].name;
+        const correctBinType = this.getCorrectBinType(trash.itemId || trash.type);
+        const correctBinName = rulesetManager.getActiveRuleset().getBinConfig(correctBinType).name;
         
         const binTransform = bin.getComponent('Transform');
         if (binTransform) {
@@ -195,7 +344,7 @@ export class CollectionSystem {
         bin.playAnimation('angry');
         
         // 显示正确分类演示
-        this.showCorrectClassificationDemo(trash.type, correctBinType, binTransform?.position);
+        this.showCorrectClassificationDemo(trash.itemId || trash.type, correctBinType, binTransform?.position);
         
         // 触发回调
         if (this.onIncorrectCollection) {
@@ -226,50 +375,51 @@ export class CollectionSystem {
             { duration: 2000, moveUp: false }
         );
     }
+
+    /**
+     * 显示垃圾桶已满的提示
+     * @param {TrashBin} bin - 垃圾桶
+     */
+    showFullWarning(bin) {
+        const binTransform = bin.getComponent('Transform');
+        if (!binTransform) return;
+        
+        this.feedbackSystem.showWarning(
+            new Vector2(binTransform.position.x, binTransform.position.y - 40),
+            `${bin.config.name}满了，点击清空！`
+        );
     }
 
     /**
-     * 获取垃圾类型对应的正确垃圾桶类型
-     * @param {string} trashType - 垃圾类型
+     * 获取垃圾对应的正确垃圾桶类型（由当前分类规则集决定）
+     * @param {string} itemId - 物品ID或垃圾类型
      */
-    getCorrectBinType(trashType) {
-        for (const [binType, config] of Object.entries(GameConfig.trashBins)) {
-            if (config.collectTypes.includes(trashType)) {
-                return parseInt(binType);
-            }
-        }
-        return 4; // 默认为其他垃圾桶
+    getCorrectBinType(itemId) {
+        return rulesetManager.getActiveRuleset().getCorrectBinType(itemId);
     }
 
 
 
     /**
      * 显示正确分类演示
-     * @param {string} trashType - 垃圾类型
+     * @param {string} itemId - 物品ID或垃圾类型
      * @param {number} correctBinType - 正确的垃圾桶类型
      * @param {Vector2} position - 显示位置
      */
-    showCorrectClassificationDemo(trashType, correctBinType, position) {
-        const trashTypeNames = {
-            'kitchen_waste': '厨余垃圾',
-            'recyclable': '可回收垃圾',
-            'hazardous': '有害垃圾',
-            'other': '其他垃圾'
-        };
-        
-        const binConfig = GameConfig.trashBins[correctBinType];
-        const trashTypeName = trashTypeNames[trashType] || '未知垃圾';
+    showCorrectClassificationDemo(itemId, correctBinType, position) {
+        const binConfig = rulesetManager.getActiveRuleset().getBinConfig(correctBinType);
+        const itemName = trashCatalog.getItemName(itemId);
         
         // 使用反馈系统显示演示
         if (position) {
             this.feedbackSystem.showClassificationDemo(
-                trashTypeName,
-                binConfig.name,
+                itemId,
+                correctBinType,
                 position
             );
         }
         
-        console.log(`正确分类演示: ${trashTypeName} 应该投入 ${binConfig.name}`);
+        console.log(`正确分类演示: ${itemName} 应该投入 ${binConfig.name}`);
         console.log(`提示: ${binConfig.dialogue}`);
     }
 
@@ -323,6 +473,7 @@ export class CollectionSystem {
      */
     handleTrashEscaped(trash) {
         console.log(`垃圾逃脱: ${trash.labelText}垃圾到达了轨道终点！`);
+        this.breakCombo();
         
         if (this.onTrashEscaped) {
             this.onTrashEscaped(trash);
@@ -358,6 +509,10 @@ export class CollectionSystem {
      * @param {number} deltaTime - 时间间隔
      */
     update(deltaTime) {
+        // 更新与垃圾桶的距离并应用减速光环
+        this.updateBinProximity();
+        this.applySlowAuras();
+        
         // 检查收集碰撞
         this.checkCollections(deltaTime);
         
@@ -376,6 +531,8 @@ export class CollectionSystem {
         this.onCorrectCollection = callbacks.onCorrectCollection;
         this.onIncorrectCollection = callbacks.onIncorrectCollection;
         this.onTrashEscaped = callbacks.onTrashEscaped;
+        this.onTrashSplit = callbacks.onTrashSplit;
+        this.onComboMilestone = callbacks.onComboMilestone;
     }
 
     /**
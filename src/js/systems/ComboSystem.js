@@ -0,0 +1,89 @@
+/**
+ * 连击系统
+ * 连续正确分类累积连击，达到档位后提升分数倍率；分类错误或垃圾逃脱时连击中断
+ */
+import { GameConfig } from '../config/GameConfig.js';
+
+export class ComboSystem {
+    constructor() {
+        this.combo = 0; // 当前连击数
+        this.bestCombo = 0; // 本局最高连击
+    }
+
+    /**
+     * 获取连击数达到的最高档位
+     * @param {number} combo - 连击数
+     * @returns {Object|null} 档位配置 { combo, multiplier, name }
+     */
+    getTier(combo = this.combo) {
+        let reached = null;
+        for (const tier of GameConfig.combo.tiers) {
+            if (combo >= tier.combo) {
+                reached = tier;
+            }
+        }
+        return reached;
+    }
+
+    /**
+     * 获取当前分数倍率
+     */
+    getMultiplier() {
+        const tier = this.getTier();
+        return tier ? tier.multiplier : 1;
+    }
+
+    /**
+     * 记录一次正确分类
+     * @param {number} basePoints - 基础分数
+     * @returns {Object} { combo, multiplier, points: 乘以倍率后的分数, milestone: 刚达到的档位 }
+     */
+    recordCorrect(basePoints) {
+        this.combo++;
+        this.bestCombo = Math.max(this.bestCombo, this.combo);
+        
+        const tier = this.getTier();
+        const multiplier = this.getMultiplier();
+        return {
+            combo: this.combo,
+            multiplier: multiplier,
+            points: Math.round(basePoints * multiplier),
+            milestone: tier && tier.combo === this.combo ? tier : null
+        };
+    }
+
+    /**
+     * 连击中断
+     * @returns {number} 中断前的连击数
+     */
+    breakCombo() {
+        const previous = this.combo;
+        this.combo = 0;
+        
+        if (previous >= GameConfig.combo.tiers[0].combo) {
+            console.log(`${previous} 连击中断`);
+        }
+        return previous;
+    }
+
+    /**
+     * 重置连击（新的一局）
+     */
+    reset() {
+        this.combo = 0;
+        this.bestCombo = 0;
+    }
+
+    /**
+     * 获取连击统计
+     */
+    getStats() {
+        const tier = this.getTier();
+        return {
+            combo: this.combo,
+            bestCombo: this.bestCombo,
+            multiplier: this.getMultiplier(),
+            tierName: tier ? tier.name : null
+        };
+    }
+}
\ No newline at end of file
@@ -0,0 +1,104 @@
+/**
+ * 每日挑战
+ * 由日期推导出固定的种子和关卡（轨道数、物品构成、波次、预置与禁用的垃圾桶），
+ * 同一天所有玩家得到完全相同的挑战
+ */
+import { SeededRandom } from '../core/SeededRandom.js';
+import { TrashType } from '../config/GameConfig.js';
+import { rulesetManager } from '../config/ClassificationRulesets.js';
+
+// 每日挑战使用的关卡ID，不与正式关卡冲突
+export const DAILY_CHALLENGE_LEVEL_ID = 100;
+
+// 每日挑战固定使用国家标准规则，保证各地区玩家的挑战一致
+export const DAILY_CHALLENGE_RULESET = 'standard';
+
+export class DailyChallenge {
+    /**
+     * 获取日期键（UTC日期，YYYY-MM-DD），各时区玩家同一时刻得到同一个挑战
+     * @param {Date} date - 日期
+     */
+    static getDateKey(date = new Date()) {
+        const month = String(date.getUTCMonth() + 1).padStart(2, '0');
+        const day = String(date.getUTCDate()).padStart(2, '0');
+        return `${date.getUTCFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * 获取前一天的日期键
+     * @param {string} dateKey - 日期键
+     */
+    static getPreviousDateKey(dateKey) {
+        const [year, month, day] = dateKey.split('-').map(Number);
+        return DailyChallenge.getDateKey(new Date(Date.UTC(year, month - 1, day - 1)));
+    }
+
+    /**
+     * 生成指定日期的挑战
+     * @param {string} dateKey - 日期键，默认今天
+     * @returns {Object} { dateKey, seed, level, bannedBinTypes, prePlacedBins }
+     */
+    static generate(dateKey = DailyChallenge.getDateKey()) {
+        const seed = SeededRandom.hashString(`daily:${dateKey}`);
+        const rng = new SeededRandom(seed);
+        const ruleset = rulesetManager.getRuleset(DAILY_CHALLENGE_RULESET);
+        
+        // 轨道数与难度
+        const trackCount = 2 + rng.nextInt(3); // 2-4条
+        const difficulty = 1 + rng.nextInt(3); // 相当于第1-3关
+        
+        // 物品构成：至少三类垃圾，权重随机
+        const allTypes = [TrashType.KITCHEN_WASTE, TrashType.RECYCLABLE, TrashType.HAZARDOUS, TrashType.OTHER];
+        const droppedType = rng.chance(0.5) ? rng.pick(allTypes) : null;
+        const trashTypes = allTypes.filter(type => type !== droppedType);
+        const mix = {};
+        for (const type of trashTypes) {
+            mix[type] = 1 + rng.nextInt(3);
+        }
+        
+        // 三个波次，逐波加快
+        const waves = [];
+        for (let i = 0; i < 3; i++) {
+            const speedFrom = 1 + i * 0.1;
+            waves.push({
+                name: `每日第${i + 1}波`,
+                count: 4 + rng.nextInt(3),
+                interval: 3500 - i * 500,
+                mix: mix,
+                speed: { from: speedFrom, to: speedFrom + 0.1 },
+                tracks: 'random',
+                pauseAfter: i < 2 ? 3000 : 0
+            });
+        }
+        
+        // 禁用一种垃圾桶，改为在每条轨道末段预置一个，必须绕开它来布防
+        const bannedBinType = ruleset.getCorrectBinType(rng.pick(trashTypes));
+        const prePlacedBins = [];
+        for (let trackId = 1; trackId <= trackCount; trackId++) {
+            prePlacedBins.push({
+                trackId: trackId,
+                progress: Math.round(rng.range(0.6, 0.85) * 100) / 100,
+                binType: bannedBinType
+            });
+        }
+        
+        return {
+            dateKey: dateKey,
+            seed: seed,
+            level: {
+                id: DAILY_CHALLENGE_LEVEL_ID,
+                name: `每日挑战 ${dateKey}`,
+                trackCount: trackCount,
+                difficulty: difficulty,
+                trashTypes: trashTypes,
+                timeLimit: 150,
+                ruleset: DAILY_CHALLENGE_RULESET,
+                waves: waves,
+                prePlacedBins: prePlacedBins,
+                bannedBinTypes: [bannedBinType]
+            },
+            bannedBinTypes: [bannedBinType],
+            prePlacedBins: prePlacedBins
+        };
+    }
+}
\ No newline at end of file
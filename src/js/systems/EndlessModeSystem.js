@@ -0,0 +1,205 @@
+/**
+ * 无尽模式系统
+ * 难度随时间持续上升，新轨道定时开放，生命耗尽时结束
+ */
+import { GameConfig } from '../config/GameConfig.js';
+
+export class EndlessModeSystem {
+    /**
+     * @param {TrackSystem} trackSystem - 轨道系统
+     * @param {TrashZombieSystem} trashZombieSystem - 垃圾僵尸系统
+     * @param {Object} config - 无尽模式配置，默认使用 GameConfig.endless
+     */
+    constructor(trackSystem, trashZombieSystem, config = GameConfig.endless) {
+        this.trackSystem = trackSystem;
+        this.trashZombieSystem = trashZombieSystem;
+        this.config = config;
+        
+        this.isActive = false;
+        this.elapsedTime = 0;
+        this.difficulty = 1;
+        this.maxLives = GameConfig.gameplay.lives;
+        this.lives = this.maxLives;
+        this.score = 0;
+        this.zombiesCollected = 0;
+        this.zombiesEscaped = 0;
+        this.difficultyTimer = 0;
+        this.trackTimer = 0;
+        
+        // 事件回调
+        this.onDifficultyChanged = null;
+        this.onTrackActivated = null;
+        this.onLifeLost = null;
+        this.onRunEnded = null;
+    }
+
+    /**
+     * 开始新的一局
+     */
+    start() {
+        this.isActive = true;
+        this.elapsedTime = 0;
+        this.difficulty = 1;
+        this.lives = this.maxLives;
+        this.score = 0;
+        this.zombiesCollected = 0;
+        this.zombiesEscaped = 0;
+        this.difficultyTimer = 0;
+        this.trackTimer = 0;
+        
+        // 建好所有轨道，只开放开局的几条
+        this.trackSystem.initializeTracks(GameConfig.tracks.maxCount);
+        for (const track of this.trackSystem.getAllTracks()) {
+            if (track.id > this.config.startTracks) {
+                this.trackSystem.deactivateTrack(track.id);
+            }
+        }
+        
+        // 无尽模式不使用波次脚本，按难度随机生成
+        this.trashZombieSystem.clearWaveScript();
+        this.trashZombieSystem.setAutoSpawn(true);
+        this.applyDifficulty();
+        
+        console.log(`无尽模式开始，生命: ${this.lives}`);
+    }
+
+    /**
+     * 更新无尽模式
+     * @param {number} deltaTime - 时间间隔
+     */
+    update(deltaTime) {
+        if (!this.isActive) return;
+        
+        this.elapsedTime += deltaTime;
+        
+        // 难度按时间连续上升，定期同步给垃圾僵尸系统
+        this.difficulty = Math.min(
+            this.config.maxDifficulty,
+            1 + this.elapsedTime / this.config.difficultyRampTime
+        );
+        this.difficultyTimer += deltaTime;
+        if (this.difficultyTimer >= this.config.difficultyUpdateInterval) {
+            this.difficultyTimer = 0;
+            this.applyDifficulty();
+        }
+        
+        // 定时开放新轨道
+        this.trackTimer += deltaTime;
+        if (this.trackTimer >= this.config.trackUnlockInterval) {
+            this.trackTimer = 0;
+            this.activateNextTrack();
+        }
+    }
+
+    /**
+     * 将当前难度应用到垃圾僵尸系统
+     */
+    applyDifficulty() {
+        this.trashZombieSystem.setDifficulty(this.difficulty, {
+            spawnInterval: this.config.spawnInterval
+        });
+        
+        if (this.onDifficultyChanged) {
+            this.onDifficultyChanged(this.difficulty);
+        }
+    }
+
+    /**
+     * 开放下一条未激活的轨道
+     * @returns {Track|null} 新开放的轨道，全部开放时返回null
+     */
+    activateNextTrack() {
+        const track = this.trackSystem.getAllTracks().find(track => !track.active);
+        if (!track) return null;
+        
+        this.trackSystem.activateTrack(track.id);
+        console.log(`无尽模式开放轨道 ${track.id}`);
+        
+        if (this.onTrackActivated) {
+            this.onTrackActivated(track);
+        }
+        return track;
+    }
+
+    /**
+     * 记录垃圾收集
+     * @param {boolean} isCorrect - 是否正确收集
+     * @param {number} points - 获得分数
+     */
+    recordCollected(isCorrect, points = 0) {
+        if (!this.isActive || !isCorrect) return;
+        
+        this.zombiesCollected++;
+        this.score += points;
+    }
+
+    /**
+     * 记录垃圾逃脱，扣除一条生命
+     */
+    recordEscaped() {
+        if (!this.isActive) return;
+        
+        this.zombiesEscaped++;
+        this.lives = Math.max(0, this.lives - 1);
+        
+        if (this.onLifeLost) {
+            this.onLifeLost(this.lives);
+        }
+        
+        if (this.lives === 0) {
+            this.end();
+        }
+    }
+
+    /**
+     * 结束本局
+     */
+    end() {
+        if (!this.isActive) return;
+        
+        this.isActive = false;
+        this.trashZombieSystem.setAutoSpawn(false);
+        console.log(`无尽模式结束，坚持 ${Math.floor(this.elapsedTime / 1000)} 秒，分数 ${this.score}`);
+        
+        if (this.onRunEnded) {
+            this.onRunEnded(this.getResult());
+        }
+    }
+
+    /**
+     * 获取本局结果
+     */
+    getResult() {
+        return {
+            score: this.score,
+            survivalTime: this.elapsedTime / 1000,
+            zombiesCollected: this.zombiesCollected,
+            zombiesEscaped: this.zombiesEscaped,
+            difficulty: this.difficulty,
+            activeTracks: this.trackSystem.getActiveTracks().length
+        };
+    }
+
+    /**
+     * 获取当前状态
+     */
+    getStats() {
+        return {
+            ...this.getResult(),
+            lives: this.lives,
+            maxLives: this.maxLives,
+            isActive: this.isActive
+        };
+    }
+
+    /**
+     * 设置事件回调
+     * @param {Object} callbacks - 回调函数对象
+     */
+    setCallbacks(callbacks) {
+        this.onDifficultyChanged = callbacks.onDifficultyChanged;
+        this.onTrackActivated = callbacks.onTrackActivated;
+        this.onLifeLost = callbacks.onLifeLost;
+        this.onRunEnded = callbacks.onRunEnded;
+    }
+}
\ No newline at end of file
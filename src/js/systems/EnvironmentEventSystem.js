@@ -0,0 +1,192 @@
+/**
+ * 环境事件系统
+ * 按关卡声明的时间触发台风、春节快递潮、回收日等限时事件，事件期间修改垃圾的移动、生成和计分
+ */
+import { Vector2 } from '../core/Vector2.js';
+import { GameConfig } from '../config/GameConfig.js';
+import { SeededRandom } from '../core/SeededRandom.js';
+
+export class EnvironmentEventSystem {
+    /**
+     * @param {TrashZombieSystem} trashZombieSystem - 垃圾僵尸系统（速度和生成修正）
+     * @param {CollectionSystem} collectionSystem - 收集系统（计分修正和事件提示）
+     * @param {Object} options - { rng: 选择受影响轨道的随机数生成器 }
+     */
+    constructor(trashZombieSystem, collectionSystem, options = {}) {
+        this.trashZombieSystem = trashZombieSystem;
+        this.collectionSystem = collectionSystem;
+        this.rng = options.rng || new SeededRandom();
+        this.schedule = []; // 尚未开始的事件声明，按开始时间排序
+        this.activeEvents = []; // { type, config, tracks, remaining, duration }
+        this.elapsedTime = 0;
+        
+        // 事件回调
+        this.onEventStarted = null;
+        this.onEventEnded = null;
+    }
+
+    /**
+     * 加载关卡声明的事件，清除上一局的事件
+     * @param {Array<Object>} events - [{ type, at, duration, tracks }]
+     */
+    loadEvents(events = []) {
+        this.reset();
+        this.schedule = events.map(event => ({ ...event })).sort((a, b) => a.at - b.at);
+    }
+
+    /**
+     * 开始事件，同类事件仍在进行时先结束旧的
+     * @param {Object} declaration - 事件声明 { type, duration, tracks }
+     * @returns {Object|null} 进行中的事件，类型未知时返回 null
+     */
+    startEvent(declaration) {
+        const config = GameConfig.environmentEvents[declaration.type];
+        if (!config) {
+            console.warn(`未知的环境事件: ${declaration.type}`);
+            return null;
+        }
+        
+        const running = this.activeEvents.find(event => event.type === declaration.type);
+        if (running) {
+            this.endEvent(running);
+        }
+        
+        const duration = declaration.duration || config.duration;
+        const event = {
+            type: declaration.type,
+            config,
+            tracks: config.trackSpeedMultiplier ? this.selectTracks(declaration.tracks, config.trackRatio) : [],
+            remaining: duration,
+            duration
+        };
+        this.applyEvent(event, true);
+        this.activeEvents.push(event);
+        
+        this.collectionSystem.feedbackSystem.showWarning(
+            this.getAnnouncementPosition(),
+            `${config.icon} ${config.name}：${config.description}`
+        );
+        
+        if (this.onEventStarted) {
+            this.onEventStarted(event);
+        }
+        
+        console.log(`环境事件开始: ${config.name}`);
+        return event;
+    }
+
+    /**
+     * 结束事件并撤销修正
+     * @param {Object} event - 进行中的事件
+     */
+    endEvent(event) {
+        const index = this.activeEvents.indexOf(event);
+        if (index === -1) return;
+        
+        this.activeEvents.splice(index, 1);
+        this.applyEvent(event, false);
+        this.collectionSystem.feedbackSystem.showInfo(this.getAnnouncementPosition(), `${event.config.name}结束了`);
+        
+        if (this.onEventEnded) {
+            this.onEventEnded(event);
+        }
+    }
+
+    /**
+     * 施加或撤销事件的修正
+     * @param {Object} event - 事件
+     * @param {boolean} enabled - true 为施加，false 为撤销
+     */
+    applyEvent(event, enabled) {
+        const config = event.config;
+        
+        for (const track of event.tracks) {
+            this.trashZombieSystem.setTrackSpeedMultiplier(track.id, enabled ? config.trackSpeedMultiplier : 1);
+        }
+        if (config.spawnRateMultiplier) {
+            this.trashZombieSystem.setSpawnRateMultiplier(enabled ? config.spawnRateMultiplier : 1);
+        }
+        if (config.spawnItems) {
+            this.trashZombieSystem.setSpawnItemOverride(enabled ? config.spawnItems : null);
+        }
+        for (const [binType, multiplier] of Object.entries(config.binScoreMultipliers || {})) {
+            this.collectionSystem.setBinScoreMultiplier(parseInt(binType), enabled ? multiplier : 1);
+        }
+    }
+
+    /**
+     * 选择受影响的轨道：关卡指定了轨道时使用指定的，否则按比例随机选择已开放的轨道
+     * @param {Array<number>} trackIds - 关卡指定的轨道ID
+     * @param {number} ratio - 随机选择的比例
+     */
+    selectTracks(trackIds, ratio = 1) {
+        const trackSystem = this.trashZombieSystem.trackSystem;
+        if (trackIds) {
+            return trackIds.map(trackId => trackSystem.getTrackById(trackId)).filter(Boolean);
+        }
+        
+        const candidates = trackSystem.getActiveTracks();
+        const count = Math.max(1, Math.round(candidates.length * ratio));
+        const selected = [];
+        while (selected.length < count && candidates.length > 0) {
+            const track = this.rng.pick(candidates);
+            candidates.splice(candidates.indexOf(track), 1);
+            selected.push(track);
+        }
+        return selected;
+    }
+
+    /**
+     * 事件提示显示在画面上方中央
+     */
+    getAnnouncementPosition() {
+        return new Vector2(GameConfig.canvas.width / 2, 140);
+    }
+
+    /**
+     * 获取进行中的事件
+     */
+    getActiveEvents() {
+        return [...this.activeEvents];
+    }
+
+    /**
+     * 推进事件时间，开始到期的事件并结束超时的事件
+     * @param {number} deltaTime - 时间间隔
+     */
+    update(deltaTime) {
+        this.elapsedTime += deltaTime;
+        
+        for (const event of this.getActiveEvents()) {
+            event.remaining -= deltaTime;
+            if (event.remaining <= 0) {
+                this.endEvent(event);
+            }
+        }
+        
+        while (this.schedule.length > 0 && this.schedule[0].at <= this.elapsedTime) {
+            this.startEvent(this.schedule.shift());
+        }
+    }
+
+    /**
+     * 撤销所有进行中的事件并清空日程
+     */
+    reset() {
+        for (const event of this.activeEvents) {
+            this.applyEvent(event, false);
+        }
+        this.activeEvents = [];
+        this.schedule = [];
+        this.elapsedTime = 0;
+    }
+
+    /**
+     * 设置事件回调
+     * @param {Object} callbacks - 回调函数对象
+     */
+    setCallbacks(callbacks) {
+        this.onEventStarted = callbacks.onEventStarted;
+        this.onEventEnded = callbacks.onEventEnded;
+    }
+}
\ No newline at end of file
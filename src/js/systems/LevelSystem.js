@@ -2,17 +2,51 @@
  * 关卡系统
  * 管理游戏关卡的加载、进度和数据
  */
-import { GameConfig } from '../config/GameConfig.js';
+import { GameConfig, TrashType } from '../config/GameConfig.js';
+import { trashCatalog } from '../config/TrashCatalog.js';
+import { rulesetManager } from '../config/ClassificationRulesets.js';
+import { WaveScheduler } from './WaveScheduler.js';
+import { zombieBehaviorRegistry } from '../behaviors/ZombieBehaviors.js';
+import { saveStorage, SaveSection } from '../data/SaveStorage.js';
+
+// 关卡文件格式版本
+export const LEVEL_FORMAT_VERSION = 1;
+
+// 自定义关卡（编辑器制作）的起始ID，与内置关卡和每日挑战区分
+export const CUSTOM_LEVEL_ID_START = 1000;
+
+// 自定义关卡的本地存储键
+const CUSTOM_LEVELS_STORAGE_KEY = 'ecoDefenseCustomLevels';
 
 export class LevelData {
     constructor(config) {
         this.id = config.id;
-        this.trackCount = config.trackCount;
-        this.trashTypes = [...config.trashTypes];
+        this.name = config.name || `第 ${config.id} 关`;
+        this.difficulty = config.difficulty || config.id; // 难度等级，默认与关卡编号相同
+        this.tracks = config.tracks ? config.tracks.map(track => ({ ...track })) : null; // 自定义轨道几何
+        this.trackCount = this.tracks ? this.tracks.length : config.trackCount;
+        this.junctions = config.junctions ? config.junctions.map(junction => ({ ...junction, to: [...junction.to] })) : []; // 轨道分岔
+        this.trashItems = config.trashItems ? [...config.trashItems] : null; // 限定的具体物品，为 null 时不限制
+        this.trashTypes = config.trashTypes
+            ? [...config.trashTypes]
+            : [...new Set((this.trashItems || []).map(itemId => trashCatalog.getCategory(itemId)))];
         this.timeLimit = config.timeLimit;
         this.spawnPattern = config.spawnPattern;
+        this.ruleset = config.ruleset || null; // 分类规则集ID，未指定时使用玩家设置
+        this.waves = config.waves ? [...config.waves] : null; // 内联波次脚本，优先于 spawnPattern
         this.zombieCount = config.zombieCount;
         this.spawnInterval = config.spawnInterval;
+        this.prePlacedBins = config.prePlacedBins ? config.prePlacedBins.map(preset => ({ ...preset })) : []; // 开局固定放置的垃圾桶
+        this.bannedBinTypes = config.bannedBinTypes ? [...config.bannedBinTypes] : []; // 本关不能选择的垃圾桶
+        this.events = config.events ? config.events.map(event => ({ ...event })) : []; // 关卡中途的环境事件
+        this.isCustom = config.id >= CUSTOM_LEVEL_ID_START;
+        this.maxLives = GameConfig.gameplay.lives; // 每条逃脱的垃圾扣一条生命
+        
+        // 有波次脚本时以脚本的生成总数为准，保证完成条件与实际生成一致
+        const waveScript = this.getWaveScript();
+        if (waveScript) {
+            this.zombieCount = WaveScheduler.countSpawns(waveScript);
+        }
         
         // 运行时状态
         this.isActive = false;
@@ -20,13 +54,60 @@ export class LevelData {
         this.elapsedTime = 0;
         this.zombiesSpawned = 0;
         this.zombiesCollected = 0;
+        this.zombiesMissorted = 0; // 重试用完后被错误收走的垃圾
         this.zombiesEscaped = 0;
+        this.extraZombies = 0; // 拆分产生的额外垃圾
+        this.livesLost = 0;
         this.score = 0;
         this.accuracy = 0;
         
         // 完成条件
         this.isComplete = false;
         this.isFailed = false;
+        
+        // 历史最佳成绩，重新开始关卡时保留
+        this.hasCleared = false;
+        this.bestScore = 0;
+        this.bestAccuracy = 0;
+    }
+
+    /**
+     * 获取关卡使用的波次脚本
+     * @returns {Object|null} 波次脚本，没有时返回 null（使用随机自动生成）
+     */
+    getWaveScript() {
+        if (this.waves) {
+            return { waves: this.waves };
+        }
+        return GameConfig.waveScripts[this.spawnPattern] || null;
+    }
+
+    /**
+     * 导出关卡配置（不含运行时状态），可重新构造出相同的关卡
+     */
+    toConfig() {
+        const config = {
+            id: this.id,
+            name: this.name,
+            difficulty: this.difficulty,
+            trackCount: this.trackCount,
+            trashTypes: [...this.trashTypes],
+            timeLimit: this.timeLimit
+        };
+        
+        if (this.tracks) config.tracks = this.tracks.map(track => ({ ...track }));
+        if (this.junctions.length > 0) config.junctions = this.junctions.map(junction => ({ ...junction, to: [...junction.to] }));
+        if (this.trashItems) config.trashItems = [...this.trashItems];
+        if (this.spawnPattern) config.spawnPattern = this.spawnPattern;
+        if (this.ruleset) config.ruleset = this.ruleset;
+        if (this.waves) config.waves = [...this.waves];
+        if (this.spawnInterval) config.spawnInterval = this.spawnInterval;
+        if (this.prePlacedBins.length > 0) config.prePlacedBins = this.prePlacedBins.map(preset => ({ ...preset }));
+        if (this.bannedBinTypes.length > 0) config.bannedBinTypes = [...this.bannedBinTypes];
+        if (this.events.length > 0) config.events = this.events.map(event => ({ ...event }));
+        if (!this.getWaveScript()) config.zombieCount = this.zombieCount;
+        
+        return config;
     }
 
     /**
@@ -45,7 +126,10 @@ export class LevelData {
         this.elapsedTime = 0;
         this.zombiesSpawned = 0;
         this.zombiesCollected = 0;
+        this.zombiesMissorted = 0;
         this.zombiesEscaped = 0;
+        this.extraZombies = 0;
+        this.livesLost = 0;
         this.score = 0;
         this.accuracy = 0;
         this.isComplete = false;
@@ -62,7 +146,7 @@ export class LevelData {
         this.elapsedTime += deltaTime;
         
         // 计算准确率
-        const totalProcessed = this.zombiesCollected + this.zombiesEscaped;
+        const totalProcessed = this.getProcessedCount();
         this.accuracy = totalProcessed > 0 ? (this.zombiesCollected / totalProcessed) * 100 : 0;
         
         // 检查完成条件
@@ -73,8 +157,8 @@ export class LevelData {
      * 检查关卡完成条件
      */
     checkCompletion() {
-        // 失败条件：有垃圾逃脱
-        if (this.zombiesEscaped > 0) {
+        // 失败条件：生命耗尽
+        if (this.getLivesRemaining() === 0) {
             this.isFailed = true;
             this.isActive = false;
             return;
@@ -87,14 +171,24 @@ export class LevelData {
             return;
         }
         
-        // 完成条件：所有垃圾都被正确收集
-        if (this.zombiesSpawned >= this.zombieCount && this.zombiesCollected >= this.zombieCount) {
+        // 完成条件：所有垃圾都已生成，并且都已处理完（正确收集、被错误收走或已逃脱）
+        const targetCount = this.getTargetCount();
+        if (this.zombiesSpawned >= targetCount && this.getProcessedCount() >= targetCount) {
             this.isComplete = true;
             this.isActive = false;
             return;
         }
     }
 
+    /**
+     * 记录通关成绩，分数和准确率各自只保留最高值
+     */
+    recordBestResult() {
+        this.hasCleared = true;
+        this.bestScore = Math.max(this.bestScore, this.score);
+        this.bestAccuracy = Math.max(this.bestAccuracy, this.accuracy);
+    }
+
     /**
      * 记录垃圾生成
      */
@@ -106,19 +200,53 @@ export class LevelData {
      * 记录垃圾收集
      * @param {boolean} isCorrect - 是否正确收集
      * @param {number} points - 获得分数
+     * @param {boolean} discarded - 错误收集时垃圾是否已用完重试、被收走
      */
-    recordZombieCollected(isCorrect, points = 0) {
+    recordZombieCollected(isCorrect, points = 0, discarded = false) {
         if (isCorrect) {
             this.zombiesCollected++;
             this.score += points;
+        } else if (discarded) {
+            this.zombiesMissorted++;
         }
     }
 
     /**
-     * 记录垃圾逃脱
+     * 获取已处理完的垃圾数量：正确收集、被错误收走或已逃脱
+     */
+    getProcessedCount() {
+        return this.zombiesCollected + this.zombiesMissorted + this.zombiesEscaped;
+    }
+
+    /**
+     * 记录垃圾被拆分：一件垃圾换成了几件需要收集的垃圾
+     * @param {number} pieceCount - 拆分出的数量
+     */
+    recordZombieSplit(pieceCount) {
+        this.extraZombies += pieceCount - 1;
+    }
+
+    /**
+     * 获取需要正确收集的垃圾总数（含拆分产生的）
+     */
+    getTargetCount() {
+        return this.zombieCount + this.extraZombies;
+    }
+
+    /**
+     * 记录垃圾逃脱，每次逃脱扣除一条生命
+     * @param {number} itemCount - 逃脱的垃圾数量（Boss 带走剩余的全部部件）
+     */
+    recordZombieEscaped(itemCount = 1) {
+        this.zombiesEscaped += itemCount;
+        this.livesLost = Math.min(this.maxLives, this.livesLost + 1);
+    }
+
+    /**
+     * 获取剩余生命
      */
-    recordZombieEscaped() {
-        this.zombiesEscaped++;
+    getLivesRemaining() {
+        return this.maxLives - this.livesLost;
     }
 
     /**
@@ -132,8 +260,9 @@ export class LevelData {
      * 获取进度百分比
      */
     getProgress() {
-        if (this.zombieCount === 0) return 0;
-        return Math.min(100, (this.zombiesCollected / this.zombieCount) * 100);
+        const targetCount = this.getTargetCount();
+        if (targetCount === 0) return 0;
+        return Math.min(100, (this.zombiesCollected / targetCount) * 100);
     }
 
     /**
@@ -146,10 +275,14 @@ export class LevelData {
             timeLimit: this.timeLimit,
             elapsedTime: this.elapsedTime / 1000,
             remainingTime: this.getRemainingTime(),
-            zombieCount: this.zombieCount,
+            zombieCount: this.getTargetCount(),
             zombiesSpawned: this.zombiesSpawned,
             zombiesCollected: this.zombiesCollected,
+            zombiesMissorted: this.zombiesMissorted,
             zombiesEscaped: this.zombiesEscaped,
+            lives: this.getLivesRemaining(),
+            maxLives: this.maxLives,
+            livesLost: this.livesLost,
             score: this.score,
             accuracy: this.accuracy,
             progress: this.getProgress(),
@@ -177,29 +310,413 @@ export class LevelSystem {
     }
 
     /**
-     * 初始化所有关卡
+     * 初始化所有关卡：内置关卡以及本地保存的自定义关卡
      */
     initializeLevels() {
         for (const levelConfig of GameConfig.levels) {
-            const levelData = new LevelData(levelConfig);
-            this.levels.set(levelConfig.id, levelData);
+            this.registerLevel(levelConfig);
         }
         
-        console.log(`初始化了 ${this.levels.size} 个关卡`);
+        const customLevels = this.loadCustomLevels();
+        
+        console.log(`初始化了 ${this.levels.size} 个关卡（自定义 ${customLevels.length} 个）`);
+    }
+
+    /**
+     * 从本地存储加载自定义关卡
+     * @returns {Array<LevelData>} 加载的自定义关卡
+     */
+    loadCustomLevels() {
+        if (typeof localStorage === 'undefined') return [];
+        
+        let configs;
+        try {
+            configs = JSON.parse(localStorage.getItem(CUSTOM_LEVELS_STORAGE_KEY) || '[]');
+        } catch (error) {
+            console.error('加载自定义关卡失败:', error);
+            return [];
+        }
+        
+        const loaded = [];
+        for (const config of Array.isArray(configs) ? configs : []) {
+            const errors = LevelSystem.validateLevelConfig(config);
+            if (errors.length > 0) {
+                console.warn(`跳过无效的自定义关卡 ${config && config.id}: ${errors[0]}`);
+                continue;
+            }
+            loaded.push(this.registerLevel(config));
+        }
+        return loaded;
+    }
+
+    /**
+     * 保存自定义关卡并写入本地存储，不是自定义关卡ID时分配新ID
+     * @param {Object} levelConfig - 关卡配置
+     * @returns {LevelData|null} 保存的关卡，配置无效时返回null
+     */
+    saveCustomLevel(levelConfig) {
+        const errors = LevelSystem.validateLevelConfig(levelConfig);
+        if (errors.length > 0) {
+            console.warn(`自定义关卡无效: ${errors[0]}`);
+            return null;
+        }
+        
+        const config = { ...levelConfig };
+        if (!Number.isInteger(config.id) || config.id < CUSTOM_LEVEL_ID_START) {
+            config.id = this.getNextCustomLevelId();
+        }
+        
+        const level = this.registerLevel(config);
+        this.saveCustomLevels();
+        console.log(`自定义关卡已保存: ${level.name} (${level.id})`);
+        return level;
+    }
+
+    /**
+     * 删除自定义关卡
+     * @param {number} levelId - 关卡ID
+     * @returns {boolean} 是否删除
+     */
+    deleteCustomLevel(levelId) {
+        const level = this.levels.get(levelId);
+        if (!level || !level.isCustom) return false;
+        
+        this.levels.delete(levelId);
+        this.saveCustomLevels();
+        return true;
+    }
+
+    /**
+     * 将所有自定义关卡写入本地存储
+     */
+    saveCustomLevels() {
+        if (typeof localStorage === 'undefined') return;
+        
+        const configs = this.getCustomLevels().map(level => level.toConfig());
+        localStorage.setItem(CUSTOM_LEVELS_STORAGE_KEY, JSON.stringify(configs));
+    }
+
+    /**
+     * 获取所有自定义关卡（按ID排序）
+     */
+    getCustomLevels() {
+        return Array.from(this.levels.values())
+            .filter(level => level.isCustom)
+            .sort((a, b) => a.id - b.id);
+    }
+
+    /**
+     * 获取下一个可用的自定义关卡ID
+     */
+    getNextCustomLevelId() {
+        const customLevels = this.getCustomLevels();
+        return customLevels.length > 0
+            ? customLevels[customLevels.length - 1].id + 1
+            : CUSTOM_LEVEL_ID_START;
+    }
+
+    /**
+     * 校验轨道分岔：分支起点需连接上游终点，轨道图不能成环，且至少保留一条入口轨道
+     * @param {Array<Object>} junctions - 分岔 [{ from, to, initial }]
+     * @param {Array<Object>} tracks - 轨道几何
+     * @param {number} trackCount - 轨道数量
+     * @returns {Array<string>} 错误信息
+     */
+    static validateJunctions(junctions, tracks, trackCount) {
+        if (!Array.isArray(junctions)) {
+            return ['分岔必须是数组'];
+        }
+        if (junctions.length > 0 && !Array.isArray(tracks)) {
+            return ['使用分岔时必须提供轨道几何'];
+        }
+        
+        const errors = [];
+        const isTrackId = (id) => Number.isInteger(id) && id >= 1 && id <= trackCount;
+        const branches = new Map(); // 上游轨道ID -> 分支轨道ID
+        const branchTargets = new Set();
+        
+        junctions.forEach((junction, index) => {
+            if (!junction || !isTrackId(junction.from) || !Array.isArray(junction.to) ||
+                junction.to.length === 0 || !junction.to.every(isTrackId)) {
+                errors.push(`分岔 ${index + 1} 引用了不存在的轨道`);
+                return;
+            }
+            if (branches.has(junction.from)) {
+                errors.push(`轨道 ${junction.from} 的终点只能有一个道岔`);
+                return;
+            }
+            if (junction.to.includes(junction.from) || new Set(junction.to).size !== junction.to.length) {
+                errors.push(`分岔 ${index + 1} 的分支重复或指向自身`);
+                return;
+            }
+            if (junction.initial !== undefined &&
+                !(Number.isInteger(junction.initial) && junction.initial >= 0 && junction.initial < junction.to.length)) {
+                errors.push(`分岔 ${index + 1} 的初始分支无效`);
+            }
+            
+            branches.set(junction.from, junction.to);
+            junction.to.forEach(trackId => branchTargets.add(trackId));
+            
+            // 分支起点必须落在上游轨道终点的轨道宽度范围内
+            const incoming = tracks[junction.from - 1];
+            for (const trackId of junction.to) {
+                const outgoing = tracks[trackId - 1];
+                if (!incoming || !incoming.end || !outgoing || !outgoing.start) continue;
+                
+                const gap = Math.hypot(outgoing.start.x - incoming.end.x, outgoing.start.y - incoming.end.y);
+                if (gap > (incoming.width || GameConfig.tracks.width) / 2) {
+                    errors.push(`轨道 ${trackId} 的起点没有连接到轨道 ${junction.from} 的终点`);
+                }
+            }
+        });
+        
+        // 沿分岔深度优先搜索，回到搜索路径上的轨道即成环
+        const visiting = new Set();
+        const visited = new Set();
+        const hasCycle = (trackId) => {
+            if (visiting.has(trackId)) return true;
+            if (visited.has(trackId)) return false;
+            
+            visiting.add(trackId);
+            const cyclic = (branches.get(trackId) || []).some(hasCycle);
+            visiting.delete(trackId);
+            visited.add(trackId);
+            return cyclic;
+        };
+        if ([...branches.keys()].some(hasCycle)) {
+            errors.push('轨道分岔不能形成环路');
+        }
+        
+        if (Number.isInteger(trackCount) && branchTargets.size >= trackCount) {
+            errors.push('至少需要一条不属于分支的入口轨道');
+        }
+        
+        return errors;
+    }
+
+    /**
+     * 校验关卡配置
+     * @param {Object} config - 关卡配置
+     * @returns {Array<string>} 错误信息，为空表示有效
+     */
+    static validateLevelConfig(config) {
+        if (!config || typeof config !== 'object') {
+            return ['关卡配置不是对象'];
+        }
+        
+        const errors = [];
+        const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+        const isPoint = (point) => point && isNumber(point.x) && isNumber(point.y);
+        const maxTracks = GameConfig.tracks.maxCount;
+        
+        // 轨道
+        const trackCount = Array.isArray(config.tracks) ? config.tracks.length : config.trackCount;
+        if (!Number.isInteger(trackCount) || trackCount < 1 || trackCount > maxTracks) {
+            errors.push(`轨道数量必须在 1-${maxTracks} 之间`);
+        }
+        if (config.tracks !== undefined) {
+            if (!Array.isArray(config.tracks)) {
+                errors.push('轨道几何必须是数组');
+            } else {
+                config.tracks.forEach((track, index) => {
+                    if (!track || !isPoint(track.start) || !isPoint(track.end)) {
+                        errors.push(`轨道 ${index + 1} 缺少起点或终点`);
+                    } else if (track.start.x === track.end.x && track.start.y === track.end.y) {
+                        errors.push(`轨道 ${index + 1} 的起点与终点重合`);
+                    } else if (track.width !== undefined && (!isNumber(track.width) || track.width <= 0)) {
+                        errors.push(`轨道 ${index + 1} 的宽度无效`);
+                    } else if (track.waypoints !== undefined && (!Array.isArray(track.waypoints) || !track.waypoints.every(isPoint))) {
+                        errors.push(`轨道 ${index + 1} 的拐点无效`);
+                    } else if (track.controls !== undefined && (!Array.isArray(track.controls) ||
+                        track.controls.length < 1 || track.controls.length > 2 || !track.controls.every(isPoint))) {
+                        errors.push(`轨道 ${index + 1} 的贝塞尔控制点必须是 1-2 个坐标`);
+                    } else if (track.controls && track.controls.length > 0 && track.waypoints && track.waypoints.length > 0) {
+                        errors.push(`轨道 ${index + 1} 不能同时使用拐点和贝塞尔控制点`);
+                    }
+                });
+            }
+        }
+        if (config.junctions !== undefined) {
+            errors.push(...LevelSystem.validateJunctions(config.junctions, config.tracks, trackCount));
+        }
+        
+        // 垃圾类型和物品
+        const validTypes = Object.values(TrashType);
+        if (config.trashItems !== undefined) {
+            if (!Array.isArray(config.trashItems) || config.trashItems.length === 0) {
+                errors.push('限定物品不能为空');
+            } else {
+                const unknownItem = config.trashItems.find(itemId => !trashCatalog.hasItem(itemId));
+                if (unknownItem !== undefined) {
+                    errors.push(`未知的垃圾物品: ${unknownItem}`);
+                }
+            }
+        }
+        if (config.trashTypes !== undefined) {
+            if (!Array.isArray(config.trashTypes) || config.trashTypes.length === 0 ||
+                !config.trashTypes.every(type => validTypes.includes(type))) {
+                errors.push('垃圾类型无效');
+            }
+        } else if (config.trashItems === undefined) {
+            errors.push('缺少垃圾类型或限定物品');
+        }
+        
+        if (!isNumber(config.timeLimit) || config.timeLimit <= 0) {
+            errors.push('时间限制必须大于0');
+        }
+        
+        // 垃圾生成：内联波次、波次模板或自动生成数量三选一
+        if (config.waves !== undefined) {
+            if (!Array.isArray(config.waves) || config.waves.length === 0) {
+                errors.push('波次脚本不能为空');
+            } else if (!config.waves.every(wave => wave && Number.isInteger(wave.count) && wave.count >= 0 &&
+                (wave.interval === undefined || (isNumber(wave.interval) && wave.interval >= 0)))) {
+                errors.push('波次的数量或间隔无效');
+            } else if (!config.waves.every(wave => LevelSystem.isValidBurstList(wave))) {
+                errors.push('波次的突发生成无效');
+            } else if (WaveScheduler.countSpawns({ waves: config.waves }) === 0) {
+                errors.push('波次脚本没有生成任何垃圾');
+            } else if (!config.waves.every(wave => wave.behaviors === undefined || LevelSystem.isValidBehaviorMix(wave.behaviors))) {
+                errors.push('波次的垃圾行为无效');
+            } else if (!config.waves.every(wave => wave.boss === undefined || GameConfig.bosses[wave.boss])) {
+                errors.push('波次的 Boss 无效');
+            }
+        } else if (!GameConfig.waveScripts[config.spawnPattern] && !(config.zombieCount > 0)) {
+            errors.push('缺少波次脚本或垃圾数量');
+        }
+        
+        // 规则集和垃圾桶
+        if (config.ruleset && !rulesetManager.getRuleset(config.ruleset)) {
+            errors.push(`未知的分类规则集: ${config.ruleset}`);
+        }
+        const ruleset = rulesetManager.getRuleset(config.ruleset || 'standard');
+        for (const preset of config.prePlacedBins || []) {
+            if (!preset || !Number.isInteger(preset.trackId) || preset.trackId < 1 || preset.trackId > trackCount) {
+                errors.push('预置垃圾桶的轨道无效');
+            } else if (!isNumber(preset.progress) || preset.progress < 0 || preset.progress > 1) {
+                errors.push('预置垃圾桶的位置必须在 0-1 之间');
+            } else if (ruleset && !ruleset.hasBin(preset.binType)) {
+                errors.push(`预置垃圾桶类型 ${preset.binType} 不存在`);
+            }
+        }
+        if (config.bannedBinTypes !== undefined && !Array.isArray(config.bannedBinTypes)) {
+            errors.push('禁用垃圾桶必须是数组');
+        }
+        
+        // 环境事件
+        if (config.events !== undefined) {
+            if (!Array.isArray(config.events)) {
+                errors.push('环境事件必须是数组');
+            } else {
+                for (const event of config.events) {
+                    if (!event || !GameConfig.environmentEvents[event.type]) {
+                        errors.push(`未知的环境事件: ${event && event.type}`);
+                    } else if (!isNumber(event.at) || event.at < 0) {
+                        errors.push('环境事件的开始时间无效');
+                    } else if (event.duration !== undefined && (!isNumber(event.duration) || event.duration <= 0)) {
+                        errors.push('环境事件的持续时间无效');
+                    } else if (event.tracks !== undefined && (!Array.isArray(event.tracks) ||
+                        !event.tracks.every(trackId => Number.isInteger(trackId) && trackId >= 1 && trackId <= trackCount))) {
+                        errors.push('环境事件的轨道无效');
+                    }
+                }
+            }
+        }
+        
+        return errors;
+    }
+
+    /**
+     * 检查波次的突发生成：必须挂在本波次的某个常规生成之后，数量为正整数，间隔为正数
+     * @param {Object} wave - 波次配置
+     */
+    static isValidBurstList(wave) {
+        if (wave.bursts === undefined) return true;
+        if (!Array.isArray(wave.bursts)) return false;
+        
+        return wave.bursts.every(burst => burst &&
+            Number.isInteger(burst.at) && burst.at >= 1 && burst.at <= wave.count &&
+            Number.isInteger(burst.count) && burst.count > 0 &&
+            (burst.spacing === undefined || (typeof burst.spacing === 'number' && Number.isFinite(burst.spacing) && burst.spacing > 0))
+        );
+    }
+
+    /**
+     * 检查波次的行为概率表：行为类型必须已注册，概率在 0-1 之间
+     * @param {Object} behaviors - 行为类型 -> 概率
+     */
+    static isValidBehaviorMix(behaviors) {
+        if (!behaviors || typeof behaviors !== 'object' || Array.isArray(behaviors)) return false;
+        return Object.entries(behaviors).every(([behaviorId, chance]) =>
+            zombieBehaviorRegistry.has(behaviorId) && typeof chance === 'number' && chance >= 0 && chance <= 1
+        );
+    }
+
+    /**
+     * 导出关卡为JSON
+     * @param {Object} levelConfig - 关卡配置
+     */
+    static exportLevel(levelConfig) {
+        return JSON.stringify({ version: LEVEL_FORMAT_VERSION, level: levelConfig }, null, 2);
+    }
+
+    /**
+     * 从JSON导入关卡
+     * @param {string|Object} json - 关卡JSON
+     * @returns {Object|null} 关卡配置，格式无效时返回null
+     */
+    static importLevel(json) {
+        let data;
+        try {
+            data = typeof json === 'string' ? JSON.parse(json) : json;
+        } catch (error) {
+            console.error('关卡文件解析失败:', error);
+            return null;
+        }
+        
+        if (!data || typeof data !== 'object') {
+            console.warn('关卡文件格式无效');
+            return null;
+        }
+        
+        if (data.version !== LEVEL_FORMAT_VERSION) {
+            console.warn(`不支持的关卡文件版本: ${data.version}`);
+            return null;
+        }
+        
+        const errors = LevelSystem.validateLevelConfig(data.level);
+        if (errors.length > 0) {
+            console.warn(`关卡文件无效: ${errors.join('；')}`);
+            return null;
+        }
+        
+        return data.level;
+    }
+
+    /**
+     * 注册关卡配置，已存在同ID关卡时替换
+     * @param {Object} levelConfig - 关卡配置
+     * @returns {LevelData} 关卡数据
+     */
+    registerLevel(levelConfig) {
+        const levelData = new LevelData(levelConfig);
+        this.levels.set(levelConfig.id, levelData);
+        return levelData;
     }
 
     /**
      * 加载关卡
      * @param {number} levelId - 关卡ID
+     * @param {Object} options - 加载选项 { ignoreLock: 忽略解锁状态（回放他人录像时使用） }
      */
-    loadLevel(levelId) {
+    loadLevel(levelId, options = {}) {
         const level = this.levels.get(levelId);
         if (!level) {
             console.error(`关卡 ${levelId} 不存在`);
             return null;
         }
         
-        if (!this.isLevelUnlocked(levelId)) {
+        if (!options.ignoreLock && !this.isLevelUnlocked(levelId)) {
             console.error(`关卡 ${levelId} 未解锁`);
             return null;
         }
@@ -254,6 +771,9 @@ export class LevelSystem {
      * @param {number} levelId - 关卡ID
      */
     isLevelUnlocked(levelId) {
+        const level = this.levels.get(levelId);
+        if (level && level.isCustom) return true; // 自定义关卡不参与解锁进度
+        
         return this.unlockedLevels.includes(levelId);
     }
 
@@ -269,11 +789,23 @@ export class LevelSystem {
         }
     }
 
+    /**
+     * 重置关卡进度：只解锁第一关，清除各关的通关记录和最佳成绩
+     */
+    resetProgress() {
+        this.unlockedLevels = [1];
+        for (const level of this.levels.values()) {
+            level.hasCleared = false;
+            level.bestScore = 0;
+            level.bestAccuracy = 0;
+        }
+    }
+
     /**
      * 获取下一个关卡ID
      */
     getNextLevelId() {
-        if (!this.currentLevel) return null;
+        if (!this.currentLevel || this.currentLevel.isCustom) return null;
         
         const nextId = this.currentLevel.id + 1;
         return this.levels.has(nextId) ? nextId : null;
@@ -287,6 +819,7 @@ export class LevelSystem {
         
         this.currentLevel.isComplete = true;
         this.currentLevel.isActive = false;
+        this.currentLevel.recordBestResult();
         
         // 解锁下一关
         const nextLevelId = this.getNextLevelId();
@@ -354,10 +887,13 @@ export class LevelSystem {
                 this.currentLevel.recordZombieSpawned();
                 break;
             case 'zombieCollected':
-                this.currentLevel.recordZombieCollected(data.isCorrect, data.points);
+                this.currentLevel.recordZombieCollected(data.isCorrect, data.points, data.discarded);
                 break;
             case 'zombieEscaped':
-                this.currentLevel.recordZombieEscaped();
+                this.currentLevel.recordZombieEscaped(data.itemCount);
+                break;
+            case 'zombieSplit':
+                this.currentLevel.recordZombieSplit(data.pieceCount);
                 break;
         }
     }
@@ -378,10 +914,15 @@ export class LevelSystem {
         for (const [id, level] of this.levels) {
             levelsInfo.push({
                 id: id,
+                name: level.name,
+                isCustom: level.isCustom,
                 unlocked: this.isLevelUnlocked(id),
-                completed: level.isComplete,
-                bestScore: level.score,
-                bestAccuracy: level.accuracy
+                completed: level.hasCleared,
+                bestScore: level.bestScore,
+                bestAccuracy: level.bestAccuracy,
+                trackCount: level.trackCount,
+                zombieCount: level.zombieCount,
+                timeLimit: level.timeLimit
             });
         }
         
@@ -389,7 +930,7 @@ export class LevelSystem {
     }
 
     /**
-     * 保存进度到本地存储
+     * 保存进度到存档的关卡分区
      */
     saveProgress() {
         const progressData = {
@@ -398,44 +939,44 @@ export class LevelSystem {
         };
         
         for (const [id, level] of this.levels) {
-            if (level.isComplete) {
+            if (level.hasCleared) {
                 progressData.levelStats[id] = {
                     completed: true,
-                    bestScore: level.score,
-                    bestAccuracy: level.accuracy
+                    bestScore: level.bestScore,
+                    bestAccuracy: level.bestAccuracy
                 };
             }
         }
         
-        localStorage.setItem('ecoDefenseProgress', JSON.stringify(progressData));
-        console.log('游戏进度已保存');
+        if (saveStorage.saveSection(SaveSection.LEVELS, progressData)) {
+            console.log('游戏进度已保存');
+        }
     }
 
     /**
-     * 从本地存储加载进度
+     * 从存档的关卡分区加载进度
      */
     loadProgress() {
-        try {
-            const savedData = localStorage.getItem('ecoDefenseProgress');
-            if (savedData) {
-                const progressData = JSON.parse(savedData);
-                this.unlockedLevels = progressData.unlockedLevels || [1];
-                
-                // 恢复关卡统计
-                for (const [levelId, stats] of Object.entries(progressData.levelStats || {})) {
-                    const level = this.levels.get(parseInt(levelId));
-                    if (level && stats.completed) {
-                        level.isComplete = true;
-                        level.score = stats.bestScore || 0;
-                        level.accuracy = stats.bestAccuracy || 0;
-                    }
-                }
-                
-                console.log('游戏进度已加载');
+        const progressData = saveStorage.loadSection(SaveSection.LEVELS);
+        if (!progressData) {
+            // 存档被重置后，之前加载到内存里的进度也要回到初始状态
+            if (saveStorage.isAvailable()) this.resetProgress();
+            return;
+        }
+        
+        this.unlockedLevels = progressData.unlockedLevels || [1];
+        
+        // 恢复关卡统计
+        for (const [levelId, stats] of Object.entries(progressData.levelStats || {})) {
+            const level = this.levels.get(parseInt(levelId));
+            if (level && stats.completed) {
+                level.hasCleared = true;
+                level.bestScore = Math.max(level.bestScore, stats.bestScore || 0);
+                level.bestAccuracy = Math.max(level.bestAccuracy, stats.bestAccuracy || 0);
             }
-        } catch (error) {
-            console.error('加载游戏进度失败:', error);
         }
+        
+        console.log('游戏进度已加载');
     }
 
     /**
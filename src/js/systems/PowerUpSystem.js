@@ -0,0 +1,155 @@
+/**
+ * 道具系统
+ * 管理点击道具后生效的限时效果；同一效果再次拾取时刷新持续时间，效果按真实时间倒计时，不受慢动作影响
+ */
+import { PowerUpType } from '../entities/PowerUp.js';
+import { timeScale as globalTimeScale } from '../core/TimeScale.js';
+
+export class PowerUpSystem {
+    /**
+     * @param {CollectionSystem} collectionSystem - 收集系统（双倍积分）
+     * @param {TimeScale} timeScale - 模拟时间缩放（时间减缓）
+     */
+    constructor(collectionSystem, timeScale = globalTimeScale) {
+        this.collectionSystem = collectionSystem;
+        this.timeScale = timeScale;
+        this.effects = new Map(); // 效果键 -> { key, powerUpType, config, track, remaining, duration }
+        
+        // 事件回调
+        this.onEffectStarted = null;
+        this.onEffectEnded = null;
+    }
+
+    /**
+     * 激活道具
+     * @param {PowerUp} powerUp - 被点击的道具
+     * @returns {{success: boolean, reason?: string, effect?: Object}}
+     */
+    activate(powerUp) {
+        if (!powerUp || powerUp.isActivated) {
+            return { success: false, reason: '道具已失效' };
+        }
+        
+        const config = powerUp.config;
+        const key = this.getEffectKey(powerUp.powerUpType, powerUp.track);
+        powerUp.activate();
+        
+        // 同一效果仍在生效时只刷新持续时间
+        const existing = this.effects.get(key);
+        if (existing) {
+            existing.remaining = config.duration;
+            console.log(`${config.name}持续时间已刷新`);
+            return { success: true, effect: existing };
+        }
+        
+        const effect = {
+            key,
+            powerUpType: powerUp.powerUpType,
+            config,
+            track: powerUp.powerUpType === PowerUpType.FREEZE_TRACK ? powerUp.track : null,
+            remaining: config.duration,
+            duration: config.duration
+        };
+        this.applyEffect(effect, true);
+        this.effects.set(key, effect);
+        
+        if (this.onEffectStarted) {
+            this.onEffectStarted(effect, powerUp);
+        }
+        
+        console.log(`激活道具: ${config.name}`);
+        return { success: true, effect };
+    }
+
+    /**
+     * 获取效果键：冰冻按轨道区分，其余效果全局唯一
+     * @param {string} powerUpType - 道具类型
+     * @param {Track} track - 道具所在轨道
+     */
+    getEffectKey(powerUpType, track) {
+        return powerUpType === PowerUpType.FREEZE_TRACK ? `${powerUpType}:${track.id}` : powerUpType;
+    }
+
+    /**
+     * 施加或撤销效果
+     * @param {Object} effect - 效果
+     * @param {boolean} enabled - true 为施加，false 为撤销
+     */
+    applyEffect(effect, enabled) {
+        switch (effect.powerUpType) {
+            case PowerUpType.SLOW_TIME:
+                if (enabled) {
+                    this.timeScale.setModifier(effect.key, effect.config.timeScale);
+                } else {
+                    this.timeScale.removeModifier(effect.key);
+                }
+                break;
+            case PowerUpType.FREEZE_TRACK:
+                effect.track.setFrozen(enabled);
+                break;
+            case PowerUpType.DOUBLE_POINTS:
+                this.collectionSystem.setScoreMultiplier(enabled ? effect.config.scoreMultiplier : 1);
+                break;
+        }
+    }
+
+    /**
+     * 效果结束
+     * @param {Object} effect - 效果
+     */
+    endEffect(effect) {
+        this.applyEffect(effect, false);
+        this.effects.delete(effect.key);
+        
+        if (this.onEffectEnded) {
+            this.onEffectEnded(effect);
+        }
+    }
+
+    /**
+     * 效果是否生效中
+     * @param {string} powerUpType - 道具类型
+     */
+    isEffectActive(powerUpType) {
+        return this.getActiveEffects().some(effect => effect.powerUpType === powerUpType);
+    }
+
+    /**
+     * 获取生效中的效果
+     */
+    getActiveEffects() {
+        return [...this.effects.values()];
+    }
+
+    /**
+     * 推进效果倒计时
+     * @param {number} deltaTime - 真实时间间隔
+     */
+    update(deltaTime) {
+        for (const effect of this.getActiveEffects()) {
+            effect.remaining -= deltaTime;
+            if (effect.remaining <= 0) {
+                this.endEffect(effect);
+            }
+        }
+    }
+
+    /**
+     * 撤销所有效果（每局开始时）
+     */
+    reset() {
+        for (const effect of this.getActiveEffects()) {
+            this.applyEffect(effect, false);
+        }
+        this.effects.clear();
+    }
+
+    /**
+     * 设置事件回调
+     * @param {Object} callbacks - 回调函数对象
+     */
+    setCallbacks(callbacks) {
+        this.onEffectStarted = callbacks.onEffectStarted;
+        this.onEffectEnded = callbacks.onEffectEnded;
+    }
+}
\ No newline at end of file
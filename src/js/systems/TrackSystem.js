@@ -1,14 +1,17 @@
 /**
  * 轨道系统
  * 管理游戏中所有轨道的创建、布局和交互
+ * 轨道构成一张有向图：每条轨道是一条边，起点为入口或上游道岔，终点为道岔或生态核心区
  */
 import { Track } from '../entities/Track.js';
+import { TrackSwitch } from '../entities/TrackSwitch.js';
 import { Vector2 } from '../core/Vector2.js';
 import { GameConfig } from '../config/GameConfig.js';
 
 export class TrackSystem {
     constructor() {
         this.tracks = [];
+        this.switches = [];
         this.config = GameConfig.tracks;
         this.debugMode = false;
     }
@@ -16,25 +19,63 @@ export class TrackSystem {
     /**
      * 初始化轨道
      * @param {number} count - 轨道数量
+     * @param {Array<Object>} layout - 自定义轨道几何 [{ start: {x, y}, end: {x, y}, width, waypoints, smooth, controls }]，不传时按默认间距水平排列
+     * @param {Array<Object>} junctions - 分岔 [{ from: 上游轨道ID, to: [分支轨道ID], initial: 初始分支索引 }]
      */
-    initializeTracks(count) {
+    initializeTracks(count, layout = null, junctions = null) {
         this.clearTracks();
         
         const trackCount = Math.min(count, this.config.maxCount);
-        const totalHeight = trackCount * this.config.spacing;
-        const startY = this.config.startY;
         
         for (let i = 0; i < trackCount; i++) {
-            const trackY = startY + i * this.config.spacing;
+            const geometry = layout && layout[i] ? layout[i] : TrackSystem.getDefaultGeometry(i);
             
-            const startPoint = new Vector2(this.config.startX, trackY);
-            const endPoint = new Vector2(this.config.endX, trackY);
-            
-            const track = new Track(i + 1, startPoint, endPoint, this.config.width);
+            const track = Track.fromGeometry(i + 1, geometry, this.config.width);
             this.tracks.push(track);
         }
         
-        console.log(`初始化了 ${trackCount} 条轨道`);
+        if (junctions) {
+            this.initializeJunctions(junctions);
+        }
+        
+        console.log(`初始化了 ${trackCount} 条轨道${this.switches.length > 0 ? `，${this.switches.length} 个道岔` : ''}`);
+    }
+
+    /**
+     * 在上游轨道终点创建道岔，把轨道连接成图
+     * @param {Array<Object>} junctions - 分岔 [{ from, to, initial }]
+     */
+    initializeJunctions(junctions) {
+        for (const junction of junctions) {
+            const incomingTrack = this.getTrackById(junction.from);
+            const outgoingTracks = (junction.to || []).map(trackId => this.getTrackById(trackId)).filter(Boolean);
+            
+            if (!incomingTrack || outgoingTracks.length === 0) {
+                console.warn(`分岔 ${junction.from} → ${junction.to} 引用了不存在的轨道，已忽略`);
+                continue;
+            }
+            
+            const trackSwitch = new TrackSwitch(this.switches.length + 1, incomingTrack, outgoingTracks, {
+                initial: junction.initial
+            });
+            incomingTrack.junction = trackSwitch;
+            this.switches.push(trackSwitch);
+        }
+    }
+
+    /**
+     * 获取默认布局中第 index 条轨道的几何
+     * @param {number} index - 轨道索引
+     */
+    static getDefaultGeometry(index) {
+        const config = GameConfig.tracks;
+        const trackY = config.startY + index * config.spacing;
+        
+        return {
+            start: { x: config.startX, y: trackY },
+            end: { x: config.endX, y: trackY },
+            width: config.width
+        };
     }
 
     /**
@@ -67,18 +108,114 @@ export class TrackSystem {
         return this.tracks.filter(track => track.active);
     }
 
+    /**
+     * 获取可以生成垃圾的入口轨道（不是任何道岔分支的活跃轨道）
+     */
+    getSpawnTracks() {
+        const branchTracks = new Set(this.switches.flatMap(trackSwitch => trackSwitch.outgoingTracks));
+        return this.getActiveTracks().filter(track => !branchTracks.has(track));
+    }
+
+    /**
+     * 获取轨道终点接通的下一条轨道
+     * @param {Track} track - 轨道
+     * @returns {Track|null} 下一条轨道，终点通往生态核心区时为 null
+     */
+    getNextTrack(track) {
+        return track.junction ? track.junction.getActiveTrack() : null;
+    }
+
+    /**
+     * 获取轨道图的节点和边
+     * @returns {{nodes: Array<Object>, edges: Array<Object>}} 节点类型为 entry / switch / exit，边对应轨道
+     */
+    getGraph() {
+        const nodes = [];
+        const edges = [];
+        const branchTargets = new Map();
+        
+        for (const trackSwitch of this.switches) {
+            nodes.push({ id: `switch-${trackSwitch.id}`, type: 'switch', position: trackSwitch.position.clone() });
+            for (const track of trackSwitch.outgoingTracks) {
+                branchTargets.set(track, `switch-${trackSwitch.id}`);
+            }
+        }
+        
+        for (const track of this.tracks) {
+            let from = branchTargets.get(track);
+            if (!from) {
+                from = `entry-${track.id}`;
+                nodes.push({ id: from, type: 'entry', position: track.startPoint.clone() });
+            }
+            
+            let to = track.junction ? `switch-${track.junction.id}` : null;
+            if (!to) {
+                to = `exit-${track.id}`;
+                nodes.push({ id: to, type: 'exit', position: track.endPoint.clone() });
+            }
+            
+            edges.push({ trackId: track.id, from, to });
+        }
+        
+        return { nodes, edges };
+    }
+
+    /**
+     * 根据ID获取道岔
+     * @param {number} id - 道岔ID
+     */
+    getSwitchById(id) {
+        return this.switches.find(trackSwitch => trackSwitch.id === id) || null;
+    }
+
+    /**
+     * 获取指定位置的道岔
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     */
+    getSwitchAtPosition(x, y) {
+        return this.switches.find(trackSwitch => trackSwitch.containsPoint(x, y)) || null;
+    }
+
+    /**
+     * 切换道岔
+     * @param {number} id - 道岔ID
+     * @returns {Track|null} 切换后接通的轨道
+     */
+    toggleSwitch(id) {
+        const trackSwitch = this.getSwitchById(id);
+        if (!trackSwitch) {
+            console.warn(`道岔 ${id} 不存在`);
+            return null;
+        }
+        
+        const track = trackSwitch.toggle();
+        console.log(`道岔 ${id} 切换到轨道 ${track.id}`);
+        return track;
+    }
+
+    /**
+     * 所有道岔恢复到关卡开始时的分支
+     */
+    resetSwitches() {
+        for (const trackSwitch of this.switches) {
+            trackSwitch.reset();
+        }
+    }
+
     /**
      * 检查位置是否可以放置垃圾桶
      * @param {number} x - X坐标
      * @param {number} y - Y坐标
      * @param {number} binRadius - 垃圾桶半径
+     * @param {TrashBin} ignoreBin - 忽略的垃圾桶
      */
-    isValidPlacement(x, y, binRadius = 20) {
+    isValidPlacement(x, y, binRadius = 20, ignoreBin = null) {
         const position = new Vector2(x, y);
         
         // 检查是否在任何轨道上
         for (const track of this.getActiveTracks()) {
-            if (track.canPlaceBin(position, binRadius)) {
+            if (track.canPlaceBin(position, binRadius, ignoreBin)) {
                 return { valid: true, track: track };
             }
         }
@@ -153,10 +290,8 @@ export class TrackSystem {
         let minDistance = Infinity;
         
         for (const track of this.getActiveTracks()) {
-            // 计算到轨道中心线的距离
-            const centerX = (track.startPoint.x + track.endPoint.x) / 2;
-            const centerY = (track.startPoint.y + track.endPoint.y) / 2;
-            const distance = Vector2.distance(position, new Vector2(centerX, centerY));
+            // 计算到轨道中心线（含弯道）的距离
+            const distance = track.path.getDistanceToPoint(position);
             
             if (distance < minDistance) {
                 minDistance = distance;
@@ -198,6 +333,7 @@ export class TrackSystem {
         const stats = {
             totalTracks: this.tracks.length,
             activeTracks: this.getActiveTracks().length,
+            totalSwitches: this.switches.length,
             totalBins: 0,
             trackDetails: []
         };
@@ -220,6 +356,7 @@ export class TrackSystem {
      */
     clearTracks() {
         this.tracks = [];
+        this.switches = [];
     }
 
     /**
@@ -256,8 +393,10 @@ export class TrackSystem {
      * @param {number} deltaTime - 时间间隔
      */
     update(deltaTime) {
-        // 轨道系统通常不需要每帧更新
-        // 但可以在这里添加动画效果或其他逻辑
+        // 轨道本身不需要每帧更新，只更新道岔的切换动画
+        for (const trackSwitch of this.switches) {
+            trackSwitch.update(deltaTime);
+        }
     }
 
     /**
@@ -273,6 +412,11 @@ export class TrackSystem {
             }
         }
         
+        // 道岔绘制在轨道之上
+        for (const trackSwitch of this.switches) {
+            trackSwitch.render(ctx);
+        }
+        
         if (this.debugMode) {
             this.renderDebugInfo(ctx);
         }
@@ -4,7 +4,9 @@
  */
 import { TrashBin } from '../entities/TrashBin.js';
 import { Vector2 } from '../core/Vector2.js';
+import { ColliderType } from '../ecs/components/Collider.js';
 import { TrashBinType, GameConfig } from '../config/GameConfig.js';
+import { rulesetManager } from '../config/ClassificationRulesets.js';
 
 export class TrashBinSystem {
     constructor(trackSystem) {
@@ -17,12 +19,31 @@ export class TrashBinSystem {
         
         // 放置限制
         this.maxBinsPerTrack = 5;
+        this.bannedBinTypes = new Set(); // 本局禁止玩家使用的垃圾桶类型
         this.binCost = GameConfig.gameplay.binPlacementCost;
         
+        // 局内金币和升级面板
+        this.coins = GameConfig.binUpgrades.startingCoins;
+        this.selectedBin = null; // 打开升级面板的已放置垃圾桶
+        this.abilitySystem = null; // 垃圾桶技能系统，由场景注入
+        
+        // 拖拽移动
+        this.draggedBin = null;
+        this.dragStart = new Vector2(0, 0);
+        this.dragMoved = false; // 是否已拖出阈值，未拖出时视为普通点击
+        this.dragThreshold = 6;
+        
+        // 放置/移动/移除的撤销与重做
+        this.undoStack = [];
+        this.redoStack = [];
+        this.maxHistory = 50;
+        
         // 事件回调
         this.onBinPlaced = null;
         this.onBinRemoved = null;
         this.onSelectionChanged = null;
+        this.onBinUpgraded = null;
+        this.onBinMoved = null;
     }
 
     /**
@@ -30,12 +51,17 @@ export class TrashBinSystem {
      * @param {number} binType - 垃圾桶类型
      */
     selectBin(binType) {
-        if (binType >= 1 && binType <= 4) {
+        if (this.bannedBinTypes.has(binType)) {
+            console.log(`${this.getBinConfig(binType).name} 本局禁用`);
+            return;
+        }
+        
+        if (rulesetManager.getActiveRuleset().hasBin(binType)) {
             this.selectedBinType = binType;
             this.updatePreviewBin();
             
             // 播放选择音效和显示台词
-            const binConfig = GameConfig.trashBins[binType];
+            const binConfig = this.getBinConfig(binType);
             console.log(`选择: ${binConfig.name} - "${binConfig.dialogue}"`);
             
             if (this.onSelectionChanged) {
@@ -55,7 +81,49 @@ export class TrashBinSystem {
      * 获取选中垃圾桶的配置
      */
     getSelectedBinConfig() {
-        return GameConfig.trashBins[this.selectedBinType];
+        return this.getBinConfig(this.selectedBinType);
+    }
+
+    /**
+     * 获取当前规则集下的垃圾桶配置
+     * @param {number} binType - 垃圾桶类型
+     */
+    getBinConfig(binType) {
+        return rulesetManager.getActiveRuleset().getBinConfig(binType);
+    }
+
+    /**
+     * 获取当前规则集的垃圾桶类型列表
+     */
+    getAvailableBinTypes() {
+        return rulesetManager.getActiveRuleset().getBinTypes();
+    }
+
+    /**
+     * 获取玩家可以选择的垃圾桶类型（排除本局禁用的）
+     */
+    getSelectableBinTypes() {
+        return this.getAvailableBinTypes().filter(binType => !this.bannedBinTypes.has(binType));
+    }
+
+    /**
+     * 设置本局禁用的垃圾桶类型
+     * @param {Array<number>} binTypes - 垃圾桶类型列表
+     */
+    setBannedBinTypes(binTypes) {
+        this.bannedBinTypes = new Set(binTypes);
+        this.applyRuleset();
+    }
+
+    /**
+     * 规则集切换后校正选中的垃圾桶
+     */
+    applyRuleset() {
+        const binTypes = this.getSelectableBinTypes();
+        if (!binTypes.includes(this.selectedBinType)) {
+            this.selectedBinType = binTypes[0];
+        }
+        this.updatePreviewBin();
     }
 
     /**
@@ -74,15 +142,18 @@ export class TrashBinSystem {
             return { success: false, reason: placementResult.reason };
         }
         
+        if (!this.spendCoins(this.binCost)) {
+            console.log('无法放置垃圾桶: 金币不足');
+            return { success: false, reason: '金币不足' };
+        }
+        
         // 创建垃圾桶实体
         const bin = new TrashBin(this.selectedBinType, position);
         
-        // 添加到轨道
+        // 添加到轨道和系统管理
         const track = placementResult.track;
-        track.addBin(bin);
-        
-        // 添加到系统管理
-        this.placedBins.push(bin);
+        this.attachBin(bin, track);
+        this.pushHistory({ type: 'place', bin: bin, track: track, cost: this.binCost });
         
         // 触发放置事件
         if (this.onBinPlaced) {
@@ -93,16 +164,42 @@ export class TrashBinSystem {
         return { success: true, bin: bin, track: track };
     }
 
+    /**
+     * 在轨道的指定进度处放置固定垃圾桶（关卡预置，不受选择和禁用限制）
+     * @param {number} binType - 垃圾桶类型
+     * @param {number} trackId - 轨道ID
+     * @param {number} progress - 轨道进度（0-1）
+     */
+    placeFixedBin(binType, trackId, progress) {
+        const track = this.trackSystem.getTrackById(trackId);
+        if (!track) {
+            console.warn(`轨道 ${trackId} 不存在，无法预置垃圾桶`);
+            return null;
+        }
+        
+        const bin = new TrashBin(binType, track.getPositionAtProgress(progress));
+        bin.isFixed = true;
+        track.addBin(bin);
+        this.placedBins.push(bin);
+        
+        console.log(`预置 ${bin.config.name} 在轨道 ${track.id}`);
+        return bin;
+    }
+
     /**
      * 检查是否可以在指定位置放置垃圾桶
      * @param {Vector2} position - 位置
      */
-    canPlaceAt(position) {
+    canPlaceAt(position, options = {}) {
+        const binConfig = options.binType !== undefined ? this.getBinConfig(options.binType) : this.getSelectedBinConfig();
+        const ignoreBin = options.ignoreBin || null;
+        
         // 检查轨道系统是否允许放置
         const trackResult = this.trackSystem.isValidPlacement(
             position.x, 
             position.y, 
-            GameConfig.trashBins[this.selectedBinType].collectRadius
+            binConfig.collectRadius,
+            ignoreBin
         );
         
         if (!trackResult.valid) {
@@ -111,14 +208,16 @@ export class TrashBinSystem {
         
         const track = trackResult.track;
         
-        // 检查轨道上的垃圾桶数量限制
-        if (track.placedBins.length >= this.maxBinsPerTrack) {
+        // 检查轨道上的垃圾桶数量限制（移动时不计被移动的垃圾桶）
+        const binsOnTrack = track.placedBins.filter(bin => bin !== ignoreBin).length;
+        if (binsOnTrack >= this.maxBinsPerTrack) {
             return { canPlace: false, reason: '轨道上垃圾桶数量已达上限' };
         }
         
         // 检查是否与现有垃圾桶重叠
-        const binRadius = GameConfig.trashBins[this.selectedBinType].collectRadius;
+        const binRadius = binConfig.collectRadius;
         for (const existingBin of this.placedBins) {
+            if (existingBin === ignoreBin) continue;
             const distance = Vector2.distance(position, existingBin.getComponent('Transform').position);
             if (distance < binRadius * 2) {
                 return { canPlace: false, reason: '与现有垃圾桶距离太近' };
@@ -129,28 +228,414 @@ export class TrashBinSystem {
     }
 
     /**
-     * 移除垃圾桶
+     * 移动已放置的垃圾桶
+     * @param {TrashBin} bin - 垃圾桶
+     * @param {Vector2} position - 新位置
+     * @returns {{success: boolean, reason?: string, track?: Track}}
+     */
+    moveBin(bin, position) {
+        if (bin.isFixed) {
+            return { success: false, reason: '关卡预置的垃圾桶不能移动' };
+        }
+        
+        const placementResult = this.canPlaceAt(position, { binType: bin.type, ignoreBin: bin });
+        if (!placementResult.canPlace) {
+            console.log(`无法移动垃圾桶: ${placementResult.reason}`);
+            return { success: false, reason: placementResult.reason };
+        }
+        
+        const from = { position: bin.position.clone(), track: this.findBinTrack(bin) };
+        const to = { position: position.clone(), track: placementResult.track };
+        this.relocateBin(bin, to.position, to.track);
+        this.pushHistory({ type: 'move', bin: bin, from: from, to: to });
+        
+        if (this.onBinMoved) {
+            this.onBinMoved(bin, to.track);
+        }
+        
+        console.log(`移动 ${bin.config.name} 到轨道 ${to.track.id}`);
+        return { success: true, track: to.track };
+    }
+
+    /**
+     * 移除垃圾桶（可撤销）
      * @param {TrashBin} bin - 要移除的垃圾桶
      */
     removeBin(bin) {
-        // 从轨道移除
+        const track = this.findBinTrack(bin);
+        this.detachBin(bin);
+        this.pushHistory({ type: 'remove', bin: bin, track: track });
+        
+        // 触发移除事件
+        if (this.onBinRemoved) {
+            this.onBinRemoved(bin);
+        }
+        
+        console.log(`移除了 ${bin.config.name}`);
+    }
+
+    /**
+     * 将垃圾桶加入轨道和系统
+     * @param {TrashBin} bin - 垃圾桶
+     * @param {Track} track - 轨道
+     */
+    attachBin(bin, track) {
+        if (track) {
+            track.addBin(bin);
+        }
+        if (!this.placedBins.includes(bin)) {
+            this.placedBins.push(bin);
+        }
+    }
+
+    /**
+     * 将垃圾桶从轨道和系统中取下（不销毁，以便撤销）
+     * @param {TrashBin} bin - 垃圾桶
+     */
+    detachBin(bin) {
         this.trackSystem.removeBinFromTrack(bin);
         
-        // 从系统移除
+        if (this.selectedBin === bin) {
+            this.deselectPlacedBin();
+        }
+        if (this.draggedBin === bin) {
+            this.cancelDrag();
+        }
+        
         const index = this.placedBins.indexOf(bin);
         if (index > -1) {
             this.placedBins.splice(index, 1);
         }
+    }
+
+    /**
+     * 把垃圾桶放到指定位置和轨道
+     * @param {TrashBin} bin - 垃圾桶
+     * @param {Vector2} position - 位置
+     * @param {Track} track - 轨道
+     */
+    relocateBin(bin, position, track) {
+        this.trackSystem.removeBinFromTrack(bin);
+        bin.getComponent('Transform').setPosition(position.x, position.y);
+        if (track) {
+            track.addBin(bin);
+        }
+    }
+
+    /**
+     * 查找垃圾桶所在的轨道
+     * @param {TrashBin} bin - 垃圾桶
+     */
+    findBinTrack(bin) {
+        return this.trackSystem.getAllTracks().find(track => track.placedBins.includes(bin)) || null;
+    }
+
+    /**
+     * 记录一次可撤销的操作，新操作会清空重做栈
+     * @param {Object} action - { type: 'place'|'move'|'remove', bin, ... }
+     */
+    pushHistory(action) {
+        this.undoStack.push(action);
+        if (this.undoStack.length > this.maxHistory) {
+            this.releaseAction(this.undoStack.shift());
+        }
         
-        // 销毁实体
-        bin.destroy();
+        for (const redoAction of this.redoStack) {
+            this.releaseAction(redoAction);
+        }
+        this.redoStack = [];
+    }
+
+    /**
+     * 历史记录丢弃一个操作时，销毁已不在场上、也不会再被恢复的垃圾桶
+     * @param {Object} action - 操作
+     */
+    releaseAction(action) {
+        const stillReferenced = [...this.undoStack, ...this.redoStack].some(other => other !== action && other.bin === action.bin);
+        if (!this.placedBins.includes(action.bin) && !stillReferenced) {
+            action.bin.destroy();
+        }
+    }
+
+    /**
+     * 撤销上一次放置、移动或移除
+     * @returns {Object|null} 被撤销的操作
+     */
+    undo() {
+        const action = this.undoStack.pop();
+        if (!action) return null;
         
-        // 触发移除事件
-        if (this.onBinRemoved) {
-            this.onBinRemoved(bin);
+        switch (action.type) {
+            case 'place':
+                // 连同升级一起退还，升级状态存入记录以便重做时恢复
+                this.detachBin(action.bin);
+                action.upgradeState = action.bin.getUpgradeState();
+                action.bin.resetUpgrades();
+                this.addCoins(action.cost + action.upgradeState.coinsSpent);
+                break;
+            case 'move':
+                this.relocateBin(action.bin, action.from.position, action.from.track);
+                break;
+            case 'remove':
+                this.attachBin(action.bin, action.track);
+                break;
         }
         
-        console.log(`移除了 ${bin.config.name}`);
+        this.redoStack.push(action);
+        console.log(`撤销: ${action.type}`);
+        return action;
+    }
+
+    /**
+     * 重做上一次撤销的操作
+     * @returns {Object|null} 被重做的操作
+     */
+    redo() {
+        const action = this.redoStack.pop();
+        if (!action) return null;
+        
+        switch (action.type) {
+            case 'place':
+                if (!this.spendCoins(action.cost + action.upgradeState.coinsSpent)) {
+                    this.redoStack.push(action);
+                    console.log('无法重做: 金币不足');
+                    return null;
+                }
+                action.bin.restoreUpgradeState(action.upgradeState);
+                this.attachBin(action.bin, action.track);
+                break;
+            case 'move':
+                this.relocateBin(action.bin, action.to.position, action.to.track);
+                break;
+            case 'remove':
+                this.detachBin(action.bin);
+                break;
+        }
+        
+        this.undoStack.push(action);
+        console.log(`重做: ${action.type}`);
+        return action;
+    }
+
+    /**
+     * 清空撤销与重做记录，并销毁只存在于记录中的垃圾桶
+     */
+    clearHistory() {
+        const actions = [...this.undoStack, ...this.redoStack];
+        this.undoStack = [];
+        this.redoStack = [];
+        
+        for (const action of actions) {
+            if (!this.placedBins.includes(action.bin)) {
+                action.bin.destroy();
+            }
+        }
+    }
+
+    /**
+     * 开始拖拽指定位置的垃圾桶（关卡预置的不能拖拽）
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {TrashBin|null} 被拖拽的垃圾桶
+     */
+    startDrag(x, y) {
+        const bin = this.getBinAt(x, y);
+        if (!bin || bin.isFixed) return null;
+        
+        this.draggedBin = bin;
+        this.dragStart.set(x, y);
+        this.dragMoved = false;
+        return bin;
+    }
+
+    /**
+     * 拖拽中更新位置，超过阈值后以放置预览显示落点
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     */
+    updateDrag(x, y) {
+        if (!this.draggedBin) return;
+        
+        if (Vector2.distance(this.dragStart, new Vector2(x, y)) > this.dragThreshold) {
+            this.dragMoved = true;
+        }
+        this.showPlacementPreview(x, y);
+    }
+
+    /**
+     * 结束拖拽：拖出阈值时尝试移动到松开的位置
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {Object} { action: 'move', result } 或 { action: 'none' }（未拖动，按普通点击处理）
+     */
+    endDrag(x, y) {
+        const bin = this.draggedBin;
+        if (!bin) return { action: 'none' };
+        
+        this.updateDrag(x, y);
+        const moved = this.dragMoved;
+        this.cancelDrag();
+        
+        if (!moved) return { action: 'none' };
+        return { action: 'move', bin: bin, result: this.moveBin(bin, new Vector2(x, y)) };
+    }
+
+    /**
+     * 取消拖拽，垃圾桶留在原处
+     */
+    cancelDrag() {
+        this.draggedBin = null;
+        this.dragMoved = false;
+    }
+
+    /**
+     * 是否正在拖拽垃圾桶
+     */
+    isDragging() {
+        return this.draggedBin !== null && this.dragMoved;
+    }
+
+    /**
+     * 设置垃圾桶技能系统（技能快捷键经由本系统的键盘输入触发）
+     * @param {BinAbilitySystem} abilitySystem - 技能系统
+     */
+    setAbilitySystem(abilitySystem) {
+        this.abilitySystem = abilitySystem;
+    }
+
+    /**
+     * 增加局内金币
+     * @param {number} amount - 金币数
+     */
+    addCoins(amount) {
+        this.coins += amount;
+    }
+
+    /**
+     * 花费局内金币
+     * @param {number} amount - 金币数
+     * @returns {boolean} 金币是否足够
+     */
+    spendCoins(amount) {
+        if (amount > this.coins) return false;
+        
+        this.coins -= amount;
+        return true;
+    }
+
+    /**
+     * 重置局内金币（每局开始时）
+     */
+    resetCoins() {
+        this.coins = GameConfig.binUpgrades.startingCoins;
+    }
+
+    /**
+     * 选中已放置的垃圾桶并打开升级面板
+     * @param {TrashBin} bin - 垃圾桶
+     */
+    selectPlacedBin(bin) {
+        if (this.selectedBin) {
+            this.selectedBin.isSelected = false;
+        }
+        this.selectedBin = bin;
+        bin.isSelected = true;
+    }
+
+    /**
+     * 关闭升级面板
+     */
+    deselectPlacedBin() {
+        if (this.selectedBin) {
+            this.selectedBin.isSelected = false;
+        }
+        this.selectedBin = null;
+    }
+
+    /**
+     * 用金币升级垃圾桶
+     * @param {TrashBin} bin - 垃圾桶
+     * @param {string} upgradeId - 升级ID
+     * @returns {{success: boolean, reason?: string, level?: number}}
+     */
+    upgradeBin(bin, upgradeId) {
+        const check = bin.checkUpgrade(upgradeId);
+        if (!check.canUpgrade) {
+            console.log(`无法升级: ${check.reason}`);
+            return { success: false, reason: check.reason };
+        }
+        
+        if (!this.spendCoins(check.cost)) {
+            console.log('无法升级: 金币不足');
+            return { success: false, reason: '金币不足' };
+        }
+        
+        bin.applyUpgrade(upgradeId);
+        const level = bin.getUpgradeLevel(upgradeId);
+        
+        if (this.onBinUpgraded) {
+            this.onBinUpgraded(bin, upgradeId, level);
+        }
+        
+        console.log(`${bin.config.name} 升级 ${GameConfig.binUpgrades.options[upgradeId].name} 到 ${level} 级`);
+        return { success: true, level: level };
+    }
+
+    /**
+     * 获取升级面板的布局（面板在选中垃圾桶的右侧，靠近画布边缘时翻到左侧）
+     * @returns {Object|null} { x, y, width, height, rows: [{ upgradeId, x, y, width, height }] }
+     */
+    getUpgradePanelLayout() {
+        if (!this.selectedBin) return null;
+        
+        const position = this.selectedBin.getComponent('Transform').position;
+        const upgradeIds = Object.keys(GameConfig.binUpgrades.options);
+        const width = 200;
+        const headerHeight = 26;
+        const rowHeight = 28;
+        const height = headerHeight + upgradeIds.length * rowHeight + 6;
+        
+        let x = position.x + this.selectedBin.collectRadius + 12;
+        if (x + width > GameConfig.canvas.width) {
+            x = position.x - this.selectedBin.collectRadius - 12 - width;
+        }
+        const y = Math.max(0, Math.min(GameConfig.canvas.height - height, position.y - height / 2));
+        
+        const rows = upgradeIds.map((upgradeId, index) => ({
+            upgradeId: upgradeId,
+            x: x + 4,
+            y: y + headerHeight + index * rowHeight,
+            width: width - 8,
+            height: rowHeight - 2
+        }));
+        
+        return { x, y, width, height, rows };
+    }
+
+    /**
+     * 获取升级面板上指定位置的升级项
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     * @returns {string|null} 升级ID
+     */
+    getUpgradeAt(x, y) {
+        const layout = this.getUpgradePanelLayout();
+        if (!layout) return null;
+        
+        const row = layout.rows.find(row =>
+            x >= row.x && x <= row.x + row.width && y >= row.y && y <= row.y + row.height
+        );
+        return row ? row.upgradeId : null;
+    }
+
+    /**
+     * 检查点是否在升级面板内
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     */
+    isInUpgradePanel(x, y) {
+        const layout = this.getUpgradePanelLayout();
+        return !!layout && x >= layout.x && x <= layout.x + layout.width && y >= layout.y && y <= layout.y + layout.height;
     }
 
     /**
@@ -165,10 +650,11 @@ export class TrashBinSystem {
             const binTransform = bin.getComponent('Transform');
             const binCollider = bin.getComponent('Collider');
             
+            // 以点碰撞器检测点击位置
             if (binCollider.checkCollision(
-                { getWorldBounds: () => ({ x: position.x, y: position.y }) },
-                { position: position },
-                binTransform
+                { enabled: true, type: ColliderType.POINT, getWorldBounds: () => ({ x: position.x, y: position.y }) },
+                binTransform,
+                { position: position }
             )) {
                 return bin;
             }
@@ -204,7 +690,7 @@ export class TrashBinSystem {
     updatePreviewBin() {
         this.previewBin = {
             type: this.selectedBinType,
-            config: GameConfig.trashBins[this.selectedBinType],
+            config: this.getSelectedBinConfig(),
             alpha: 0.6
         };
     }
@@ -234,6 +720,9 @@ export class TrashBinSystem {
         }
         
         this.placedBins = [];
+        this.selectedBin = null;
+        this.cancelDrag();
+        this.clearHistory();
         console.log('清空了所有垃圾桶');
     }
 
@@ -246,11 +735,12 @@ export class TrashBinSystem {
             binsByType: {},
             totalCollections: 0,
             totalCorrectCollections: 0,
-            overallAccuracy: 0
+            overallAccuracy: 0,
+            fullBins: this.placedBins.filter(bin => bin.isFull()).length
         };
         
         // 按类型统计
-        for (let type = 1; type <= 4; type++) {
+        for (const type of this.getAvailableBinTypes()) {
             const bins = this.getBinsByType(type);
             stats.binsByType[type] = {
                 count: bins.length,
@@ -293,10 +783,77 @@ export class TrashBinSystem {
             bin.render(renderSystem);
         }
         
-        // 渲染预览垃圾桶
-        if (this.showPreview && this.previewBin) {
+        // 渲染预览垃圾桶（升级面板打开时只在拖拽时显示）
+        if (this.isDragging() || (this.showPreview && this.previewBin && !this.selectedBin)) {
             this.renderPreview(renderSystem);
         }
+        
+        // 渲染升级面板
+        if (this.selectedBin) {
+            renderSystem.add2DRender((ctx) => {
+                this.renderUpgradePanel(ctx);
+            }, renderSystem.layers.UI);
+        }
+    }
+
+    /**
+     * 渲染选中垃圾桶的升级面板
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     */
+    renderUpgradePanel(ctx) {
+        const layout = this.getUpgradePanelLayout();
+        if (!layout) return;
+        
+        const bin = this.selectedBin;
+        ctx.save();
+        
+        // 面板背景
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+        ctx.fillRect(layout.x, layout.y, layout.width, layout.height);
+        ctx.strokeStyle = bin.config.color;
+        ctx.lineWidth = 2;
+        ctx.strokeRect(layout.x, layout.y, layout.width, layout.height);
+        
+        // 标题
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 14px Arial';
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(`${bin.config.name} 升级`, layout.x + 8, layout.y + 13);
+        ctx.textAlign = 'right';
+        ctx.fillStyle = '#FFD700';
+        ctx.fillText(`金币 ${this.coins}`, layout.x + layout.width - 8, layout.y + 13);
+        
+        // 升级项：可购买为白色，金币不足为灰色，未解锁显示前置要求
+        ctx.font = '12px Arial';
+        for (const row of layout.rows) {
+            const option = GameConfig.binUpgrades.options[row.upgradeId];
+            const check = bin.checkUpgrade(row.upgradeId);
+            const affordable = check.canUpgrade && check.cost <= this.coins;
+            const level = bin.getUpgradeLevel(row.upgradeId);
+            
+            ctx.fillStyle = affordable ? 'rgba(76, 175, 80, 0.35)' : 'rgba(255, 255, 255, 0.08)';
+            ctx.fillRect(row.x, row.y, row.width, row.height);
+            
+            ctx.textAlign = 'left';
+            ctx.fillStyle = affordable ? '#FFFFFF' : '#9E9E9E';
+            ctx.fillText(
+                `${option.key.toUpperCase()} ${option.name} ${level}/${option.costs.length}`,
+                row.x + 6,
+                row.y + row.height / 2
+            );
+            
+            ctx.textAlign = 'right';
+            let costText = `${check.cost} 金币`;
+            if (check.cost === null) {
+                costText = '满级';
+            } else if (!check.canUpgrade) {
+                costText = '未解锁';
+            }
+            ctx.fillText(costText, row.x + row.width - 6, row.y + row.height / 2);
+        }
+        
+        ctx.restore();
     }
 
     /**
@@ -304,7 +861,12 @@ export class TrashBinSystem {
      * @param {RenderSystem} renderSystem - 渲染系统
      */
     renderPreview(renderSystem) {
-        const canPlace = this.canPlaceAt(this.previewPosition).canPlace;
+        // 拖拽时预览被拖拽的垃圾桶，并且不与它自己比较间距
+        const dragging = this.isDragging();
+        const config = dragging ? this.draggedBin.config : this.previewBin.config;
+        const collectRadius = dragging ? this.draggedBin.collectRadius : config.collectRadius; // 被拖拽的垃圾桶显示升级后的收集范围
+        const placementOptions = dragging ? { binType: this.draggedBin.type, ignoreBin: this.draggedBin } : {};
+        const canPlace = this.canPlaceAt(this.previewPosition, placementOptions).canPlace;
         
         renderSystem.add2DRender((ctx) => {
             ctx.save();
@@ -316,7 +878,7 @@ export class TrashBinSystem {
             ctx.translate(this.previewPosition.x, this.previewPosition.y);
             
             // 根据是否可以放置设置颜色
-            const color = canPlace ? this.previewBin.config.color : '#FF4444';
+            const color = canPlace ? config.color : '#FF4444';
             
             // 绘制预览垃圾桶（简化版本）
             ctx.fillStyle = color;
@@ -332,7 +894,7 @@ export class TrashBinSystem {
             ctx.lineWidth = 1;
             ctx.setLineDash([5, 5]);
             ctx.beginPath();
-            ctx.arc(0, 0, this.previewBin.config.collectRadius, 0, Math.PI * 2);
+            ctx.arc(0, 0, collectRadius, 0, Math.PI * 2);
             ctx.stroke();
             ctx.setLineDash([]);
             
@@ -345,9 +907,31 @@ export class TrashBinSystem {
      * @param {string} key - 按键
      */
     handleKeyInput(key) {
-        // 数字键1-4选择垃圾桶类型
-        if (key >= '1' && key <= '4') {
+        // 数字键选择垃圾桶类型（数量由当前规则集决定）
+        if (key >= '1' && key <= '9') {
             this.selectBin(parseInt(key));
+            return;
+        }
+        
+        // 技能快捷键
+        if (this.abilitySystem) {
+            const abilityBinType = this.abilitySystem.getBinTypeForKey(key);
+            if (abilityBinType !== null) {
+                const result = this.abilitySystem.activate(abilityBinType);
+                if (!result.success) {
+                    console.log(`无法释放技能: ${result.reason}`);
+                }
+                return;
+            }
+        }
+        
+        // 升级面板打开时按对应字母键升级
+        if (this.selectedBin) {
+            const upgradeId = Object.keys(GameConfig.binUpgrades.options)
+                .find(id => GameConfig.binUpgrades.options[id].key === key.toLowerCase());
+            if (upgradeId) {
+                this.upgradeBin(this.selectedBin, upgradeId);
+            }
         }
     }
 
@@ -357,6 +941,10 @@ export class TrashBinSystem {
      * @param {number} y - 鼠标Y坐标
      */
     handleMouseMove(x, y) {
+        if (this.draggedBin) {
+            this.updateDrag(x, y);
+            return;
+        }
         this.showPlacementPreview(x, y);
     }
 
@@ -366,14 +954,31 @@ export class TrashBinSystem {
      * @param {number} y - 鼠标Y坐标
      */
     handleMouseClick(x, y) {
-        // 检查是否点击了现有垃圾桶（用于移除）
+        // 升级面板优先响应点击
+        if (this.isInUpgradePanel(x, y)) {
+            const upgradeId = this.getUpgradeAt(x, y);
+            const result = upgradeId ? this.upgradeBin(this.selectedBin, upgradeId) : null;
+            return { action: 'upgrade', upgradeId: upgradeId, result: result };
+        }
+        
+        // 检查是否点击了现有垃圾桶：装满的清空，否则打开升级面板
         const existingBin = this.getBinAt(x, y);
+        if (existingBin && existingBin.isFull() && !existingBin.isEmptying) {
+            existingBin.startEmptying();
+            return { action: 'empty', bin: existingBin };
+        }
         if (existingBin) {
-            // 右键或特殊键可以移除垃圾桶
             console.log(`点击了 ${existingBin.config.name}`);
+            this.selectPlacedBin(existingBin);
             return { action: 'select', bin: existingBin };
         }
         
+        // 面板打开时点击空白处只关闭面板
+        if (this.selectedBin) {
+            this.deselectPlacedBin();
+            return { action: 'deselect' };
+        }
+        
         // 尝试放置新垃圾桶
         const result = this.placeBin(x, y);
         return { action: 'place', result: result };
@@ -387,6 +992,8 @@ export class TrashBinSystem {
         this.onBinPlaced = callbacks.onBinPlaced;
         this.onBinRemoved = callbacks.onBinRemoved;
         this.onSelectionChanged = callbacks.onSelectionChanged;
+        this.onBinUpgraded = callbacks.onBinUpgraded;
+        this.onBinMoved = callbacks.onBinMoved;
     }
 
     /**
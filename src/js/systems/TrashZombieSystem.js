@@ -3,12 +3,29 @@
  * 管理垃圾僵尸的生成、移动和生命周期
  */
 import { TrashZombie } from '../entities/TrashZombie.js';
+import { BossZombie } from '../entities/BossZombie.js';
+import { PowerUp } from '../entities/PowerUp.js';
 import { Vector2 } from '../core/Vector2.js';
 import { TrashType, GameConfig } from '../config/GameConfig.js';
+import { WaveScheduler } from './WaveScheduler.js';
+import { trashCatalog } from '../config/TrashCatalog.js';
+import { SeededRandom } from '../core/SeededRandom.js';
+import { GameClock } from '../core/GameClock.js';
+import { zombieBehaviorRegistry } from '../behaviors/ZombieBehaviors.js';
 
 export class TrashZombieSystem {
-    constructor(trackSystem) {
+    /**
+     * @param {TrackSystem} trackSystem - 轨道系统
+     * @param {Object} options - 模拟选项
+     * @param {SeededRandom} options.rng - 随机数生成器
+     * @param {GameClock} options.clock - 游戏时钟，由外部推进；不传时系统自行推进
+     * @param {SeededRandom} options.powerUpRng - 道具使用的随机数生成器，与垃圾生成分开以免改变垃圾序列
+     */
+    constructor(trackSystem, options = {}) {
         this.trackSystem = trackSystem;
+        this.rng = options.rng || new SeededRandom();
+        this.clock = options.clock || new GameClock();
+        this.ownsClock = !options.clock;
         this.activeZombies = [];
         this.spawnQueue = [];
         this.spawnTimer = 0;
@@ -21,18 +38,41 @@ export class TrashZombieSystem {
         // 难度配置
         this.difficultyMultiplier = 1.0;
         this.speedMultiplier = 1.0;
+        this.maxItemDifficulty = 1; // 随关卡解锁更容易混淆的物品
+        this.allowedItems = null; // 关卡限定的物品ID，为 null 时不限制
+        
+        // 环境事件修正
+        this.spawnRateMultiplier = 1; // 生成节奏倍数，大于1时波次和自动生成更快
+        this.spawnItemOverride = null; // 事件期间只生成这些物品ID，为 null 时不替换
+        this.trackSpeedMultipliers = new Map(); // 轨道ID -> 垃圾速度倍数
+        
+        // 波次脚本
+        this.waveScheduler = null;
+        this.waveTrackCursor = 0;
+        this.baseZombieSpeed = 50;
+        
+        // 道具
+        this.powerUpRng = options.powerUpRng || new SeededRandom();
+        this.activePowerUps = [];
+        this.powerUpsEnabled = false;
+        this.powerUpTimer = 0;
+        this.nextPowerUpTime = 0;
         
         // 事件回调
         this.onZombieSpawned = null;
         this.onZombieReachedEnd = null;
         this.onZombieDestroyed = null;
+        this.onWaveStarted = null;
+        this.onBossSpawned = null;
+        this.onBossDefeated = null;
+        this.onPowerUpSpawned = null;
     }
 
     /**
      * 生成垃圾僵尸
-     * @param {string} type - 垃圾类型
+     * @param {string} type - 物品ID或垃圾类型
      * @param {number} trackId - 轨道ID
-     * @param {Object} options - 生成选项
+     * @param {Object} options - 生成选项 { speed, behaviors: 行为类型数组 }
      */
     spawnZombie(type, trackId, options = {}) {
         const track = this.trackSystem.getTrackById(trackId);
@@ -51,13 +91,16 @@ export class TrashZombieSystem {
         const startPosition = track.startPoint.clone();
         
         // 添加一些随机偏移，避免重叠
-        const offset = (Math.random() - 0.5) * track.width * 0.5;
+        const offset = (this.rng.next() - 0.5) * track.width * 0.5;
         const perpendicular = new Vector2(-track.direction.y, track.direction.x);
         startPosition.x += perpendicular.x * offset;
         startPosition.y += perpendicular.y * offset;
         
         // 创建垃圾僵尸
-        const zombie = new TrashZombie(type, trackId, startPosition);
+        const zombie = new TrashZombie(type, trackId, startPosition, {
+            rng: this.rng,
+            clock: this.clock
+        });
         zombie.setTrack(track);
         
         // 应用选项
@@ -67,6 +110,7 @@ export class TrashZombieSystem {
                 movement.setSpeed(options.speed * this.speedMultiplier);
             }
         }
+        this.assignBehaviors(zombie, options.behaviors);
         
         // 添加到活跃列表
         this.activeZombies.push(zombie);
@@ -80,6 +124,270 @@ export class TrashZombieSystem {
         return zombie;
     }
 
+    /**
+     * 生成 Boss：Boss 本身只负责移动，部件作为普通垃圾交给收集系统（不受活跃数量上限限制）
+     * @param {string} bossId - Boss ID（见 GameConfig.bosses）
+     * @param {number} trackId - 轨道ID
+     * @param {Object} options - 生成选项 { speed }
+     */
+    spawnBoss(bossId, trackId, options = {}) {
+        const track = this.trackSystem.getTrackById(trackId);
+        if (!track) {
+            console.warn(`轨道 ${trackId} 不存在`);
+            return null;
+        }
+        
+        const bossConfig = GameConfig.bosses[bossId];
+        if (!bossConfig) {
+            console.warn(`未知的 Boss: ${bossId}`);
+            return null;
+        }
+        
+        // 在轨道中心线起点生成，大件垃圾不做随机偏移
+        const boss = new BossZombie(bossId, trackId, track.startPoint.clone(), {
+            rng: this.rng,
+            clock: this.clock
+        });
+        boss.setTrack(track);
+        
+        const speed = (options.speed || this.baseZombieSpeed) * bossConfig.speed;
+        boss.getComponent('Movement').setSpeed(speed * this.speedMultiplier);
+        
+        this.activeZombies.push(boss);
+        
+        if (this.onBossSpawned) {
+            this.onBossSpawned(boss, track);
+        }
+        
+        // 部件需要逐个收集
+        if (this.onZombieSpawned) {
+            for (const part of boss.getChildren()) {
+                this.onZombieSpawned(part, track);
+            }
+        }
+        
+        console.log(`Boss 出现: ${boss.labelText} 在轨道 ${trackId}`);
+        return boss;
+    }
+
+    /**
+     * 设置轨道上垃圾的速度倍数
+     * @param {number} trackId - 轨道ID
+     * @param {number} multiplier - 速度倍数，1 为恢复正常
+     */
+    setTrackSpeedMultiplier(trackId, multiplier) {
+        if (multiplier === 1) {
+            this.trackSpeedMultipliers.delete(trackId);
+        } else {
+            this.trackSpeedMultipliers.set(trackId, multiplier);
+        }
+    }
+
+    /**
+     * 获取轨道上垃圾的速度倍数
+     * @param {number} trackId - 轨道ID
+     */
+    getTrackSpeedMultiplier(trackId) {
+        return this.trackSpeedMultipliers.get(trackId) || 1;
+    }
+
+    /**
+     * 设置生成节奏倍数
+     * @param {number} multiplier - 倍数，1 为恢复正常
+     */
+    setSpawnRateMultiplier(multiplier) {
+        this.spawnRateMultiplier = multiplier;
+    }
+
+    /**
+     * 设置生成物品替换列表
+     * @param {Array<string>|null} itemIds - 物品ID，为 null 时恢复正常生成
+     */
+    setSpawnItemOverride(itemIds) {
+        this.spawnItemOverride = itemIds && itemIds.length > 0 ? [...itemIds] : null;
+    }
+
+    /**
+     * 清除所有环境事件修正
+     */
+    resetEnvironmentModifiers() {
+        this.spawnRateMultiplier = 1;
+        this.spawnItemOverride = null;
+        this.trackSpeedMultipliers.clear();
+    }
+
+    /**
+     * 确定实际生成的物品：有替换列表时从中随机选择
+     * @param {string} type - 原定的物品ID或垃圾类型
+     */
+    resolveSpawnType(type) {
+        return this.spawnItemOverride ? this.rng.pick(this.spawnItemOverride) : type;
+    }
+
+    /**
+     * 获取场上的 Boss
+     */
+    getActiveBosses() {
+        return this.activeZombies.filter(zombie => zombie.isBoss && !zombie.isCollected);
+    }
+
+    /**
+     * 为垃圾挂上行为，组合物品总是带有拆分行为
+     * @param {TrashZombie} zombie - 垃圾僵尸
+     * @param {Array<string>} behaviorIds - 行为类型
+     */
+    assignBehaviors(zombie, behaviorIds = []) {
+        for (const behaviorId of zombieBehaviorRegistry.resolveBehaviorIds(zombie.itemId, behaviorIds)) {
+            zombie.addBehavior(zombieBehaviorRegistry.create(behaviorId));
+        }
+    }
+
+    /**
+     * 把垃圾拆成几件物品，在原处沿轨道继续前进（不受活跃数量上限限制）
+     * @param {TrashZombie} zombie - 被拆分的垃圾
+     * @param {Array<string>} pieces - 拆分出的物品ID
+     * @param {TrashBin} bin - 拆开它的垃圾桶，拆出的物品不会再被它接住
+     * @returns {Array<TrashZombie>} 拆分出的垃圾
+     */
+    splitZombie(zombie, pieces, bin = null) {
+        const transform = zombie.getComponent('Transform');
+        const movement = zombie.getComponent('Movement');
+        if (!zombie.track || !transform) return [];
+        
+        const spread = GameConfig.zombieBehaviors.splitter.spread;
+        const created = pieces.map((itemId, index) => {
+            const piece = new TrashZombie(itemId, zombie.trackId, transform.position.clone(), {
+                rng: this.rng,
+                clock: this.clock
+            });
+            piece.moveToTrack(zombie.track, zombie.trackDistance);
+            piece.laneOffset = zombie.laneOffset + (index - (pieces.length - 1) / 2) * spread;
+            piece.snapToTrack();
+            if (movement) {
+                piece.getComponent('Movement').setSpeed(movement.speed);
+            }
+            if (bin) {
+                piece.ignoredBins.add(bin);
+            }
+            
+            this.activeZombies.push(piece);
+            if (this.onZombieSpawned) {
+                this.onZombieSpawned(piece, zombie.track);
+            }
+            return piece;
+        });
+        
+        // 原来的垃圾直接消失，不算收集也不算逃脱，下一次更新时随已收集的垃圾一起清理
+        zombie.isCollected = true;
+        zombie.destroy();
+        
+        console.log(`${zombie.labelText}拆分成了 ${created.map(piece => piece.labelText).join('、')}`);
+        return created;
+    }
+
+    /**
+     * 在轨道起点生成道具（不占用垃圾的活跃数量上限）
+     * @param {string} powerUpType - 道具类型
+     * @param {number} trackId - 轨道ID
+     */
+    spawnPowerUp(powerUpType, trackId) {
+        const track = this.trackSystem.getTrackById(trackId);
+        if (!track) {
+            console.warn(`轨道 ${trackId} 不存在`);
+            return null;
+        }
+        
+        if (!GameConfig.powerUps.types[powerUpType]) {
+            console.warn(`未知的道具: ${powerUpType}`);
+            return null;
+        }
+        
+        const powerUp = new PowerUp(powerUpType, track);
+        this.activePowerUps.push(powerUp);
+        
+        if (this.onPowerUpSpawned) {
+            this.onPowerUpSpawned(powerUp, track);
+        }
+        
+        console.log(`道具出现: ${powerUp.config.name} 在轨道 ${trackId}`);
+        return powerUp;
+    }
+
+    /**
+     * 随机生成道具
+     */
+    spawnRandomPowerUp() {
+        const spawnTracks = this.trackSystem.getSpawnTracks();
+        if (spawnTracks.length === 0) return null;
+        
+        const track = this.powerUpRng.pick(spawnTracks);
+        const powerUpType = this.powerUpRng.pick(Object.keys(GameConfig.powerUps.types));
+        return this.spawnPowerUp(powerUpType, track.id);
+    }
+
+    /**
+     * 启用/禁用道具随机生成
+     * @param {boolean} enabled - 是否启用
+     */
+    setPowerUpsEnabled(enabled) {
+        this.powerUpsEnabled = enabled;
+        if (enabled) {
+            this.scheduleNextPowerUp();
+        }
+    }
+
+    /**
+     * 随机安排下一个道具的出现时间
+     */
+    scheduleNextPowerUp() {
+        const { min, max } = GameConfig.powerUps.spawnInterval;
+        this.powerUpTimer = 0;
+        this.nextPowerUpTime = this.powerUpRng.range(min, max);
+    }
+
+    /**
+     * 更新道具：按间隔生成，沿轨道移动，漂到终点的道具直接消失
+     * @param {number} deltaTime - 时间间隔
+     */
+    updatePowerUps(deltaTime) {
+        if (this.powerUpsEnabled) {
+            this.powerUpTimer += deltaTime;
+            if (this.powerUpTimer >= this.nextPowerUpTime) {
+                this.spawnRandomPowerUp();
+                this.scheduleNextPowerUp();
+            }
+        }
+        
+        for (const powerUp of this.activePowerUps) {
+            powerUp.update(deltaTime);
+        }
+        
+        for (const powerUp of this.activePowerUps.filter(item => item.isAtEnd() || item.isActivated)) {
+            this.removePowerUp(powerUp);
+        }
+    }
+
+    /**
+     * 获取指定位置的道具
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     */
+    getPowerUpAtPosition(x, y) {
+        return this.activePowerUps.find(powerUp => !powerUp.isActivated && powerUp.containsPoint(x, y)) || null;
+    }
+
+    /**
+     * 移除道具
+     * @param {PowerUp} powerUp - 道具
+     */
+    removePowerUp(powerUp) {
+        const index = this.activePowerUps.indexOf(powerUp);
+        if (index > -1) {
+            this.activePowerUps.splice(index, 1);
+            powerUp.destroy();
+        }
+    }
+
     /**
      * 批量生成垃圾僵尸
      * @param {Array} spawnData - 生成数据数组
@@ -97,7 +405,7 @@ export class TrashZombieSystem {
     addToSpawnQueue(spawnData) {
         this.spawnQueue.push({
             ...spawnData,
-            spawnTime: Date.now() + (spawnData.delay || 0)
+            spawnTime: this.clock.now() + (spawnData.delay || 0)
         });
     }
 
@@ -105,24 +413,118 @@ export class TrashZombieSystem {
      * 处理生成队列
      */
     processSpawnQueue() {
-        const currentTime = Date.now();
-        const toSpawn = [];
+        const currentTime = this.clock.now();
         
-        // 找出需要生成的僵尸
-        for (let i = this.spawnQueue.length - 1; i >= 0; i--) {
+        // 按入队顺序找出到期的僵尸；达到活跃上限时留在队列中等待下一帧
+        for (let i = 0; i < this.spawnQueue.length; i++) {
+            if (this.activeZombies.length >= this.maxActiveZombies) break;
+            
             const spawnData = this.spawnQueue[i];
             if (currentTime >= spawnData.spawnTime) {
-                toSpawn.push(spawnData);
                 this.spawnQueue.splice(i, 1);
+                i--;
+                if (spawnData.boss) {
+                    this.spawnBoss(spawnData.boss, spawnData.trackId, spawnData.options);
+                } else {
+                    this.spawnZombie(this.resolveSpawnType(spawnData.type), spawnData.trackId, spawnData.options);
+                }
+            }
+        }
+    }
+
+    /**
+     * 加载波次脚本，由脚本代替随机自动生成
+     * @param {Object} script - 波次脚本
+     * @param {Object} options - 调度选项（trashTypes 等）
+     */
+    loadWaveScript(script, options = {}) {
+        this.waveScheduler = new WaveScheduler(script, {
+            maxItemDifficulty: this.maxItemDifficulty,
+            itemIds: this.allowedItems,
+            rng: this.rng,
+            ...options
+        });
+        this.waveTrackCursor = 0;
+        this.setAutoSpawn(false);
+        
+        console.log(`加载波次脚本: ${this.waveScheduler.waves.length} 波, 共 ${this.waveScheduler.timeline.length} 个垃圾`);
+    }
+
+    /**
+     * 卸载波次脚本
+     */
+    clearWaveScript() {
+        this.waveScheduler = null;
+    }
+
+    /**
+     * 推进波次脚本，将到期的生成事件加入生成队列
+     * @param {number} deltaTime - 时间间隔
+     */
+    updateWaveScript(deltaTime) {
+        const previousWave = this.waveScheduler.currentWaveIndex;
+        const events = this.waveScheduler.update(deltaTime);
+        
+        for (const event of events) {
+            const track = this.resolveWaveTrack(event.tracks);
+            if (!track) continue;
+            
+            if (event.boss) {
+                this.addToSpawnQueue({
+                    boss: event.boss,
+                    trackId: track.id,
+                    options: { speed: this.baseZombieSpeed * event.speedMultiplier }
+                });
+                continue;
             }
+            
+            this.addToSpawnQueue({
+                type: event.itemId || event.type,
+                trackId: track.id,
+                options: {
+                    speed: this.baseZombieSpeed * event.speedMultiplier,
+                    behaviors: event.behaviors
+                }
+            });
         }
         
-        // 生成僵尸
-        for (const data of toSpawn) {
-            this.spawnZombie(data.type, data.trackId, data.options);
+        // 触发波次开始事件
+        if (this.waveScheduler.currentWaveIndex > previousWave && this.onWaveStarted) {
+            this.onWaveStarted(this.waveScheduler.getCurrentWave(), this.waveScheduler.currentWaveIndex);
         }
     }
 
+    /**
+     * 根据波次的轨道选择规则确定生成轨道
+     * @param {string|Array<number>} selector - 'random' | 'cycle' | 轨道ID数组
+     */
+    resolveWaveTrack(selector) {
+        let candidates = this.trackSystem.getSpawnTracks();
+        if (candidates.length === 0) return null;
+        
+        // 指定轨道中不存在、未激活或是分支的会被忽略，全部无效时退回所有入口轨道
+        if (Array.isArray(selector)) {
+            const targeted = candidates.filter(track => selector.includes(track.id));
+            if (targeted.length > 0) {
+                candidates = targeted;
+            }
+        }
+        
+        if (selector === 'cycle') {
+            return candidates[this.waveTrackCursor++ % candidates.length];
+        }
+        
+        return this.rng.pick(candidates);
+    }
+
+    /**
+     * 波次脚本是否已全部生成完毕
+     */
+    isWaveScriptFinished() {
+        if (!this.waveScheduler) return false;
+        return this.waveScheduler.isFinished() && this.spawnQueue.length === 0;
+    }
+
     /**
      * 自动生成垃圾僵尸
      * @param {number} deltaTime - 时间间隔
@@ -143,25 +545,34 @@ export class TrashZombieSystem {
      * 生成随机垃圾僵尸
      */
     spawnRandomZombie() {
-        const activeTracks = this.trackSystem.getActiveTracks();
-        if (activeTracks.length === 0) return;
-        
-        // 随机选择轨道
-        const randomTrack = activeTracks[Math.floor(Math.random() * activeTracks.length)];
-        
-        // 随机选择垃圾类型
-        const trashTypes = [
-            TrashType.KITCHEN_WASTE,
-            TrashType.RECYCLABLE,
-            TrashType.HAZARDOUS,
-            TrashType.OTHER
-        ];
-        const randomType = trashTypes[Math.floor(Math.random() * trashTypes.length)];
+        const spawnTracks = this.trackSystem.getSpawnTracks();
+        if (spawnTracks.length === 0) return;
+        
+        // 随机选择入口轨道
+        const randomTrack = this.rng.pick(spawnTracks);
+        
+        // 随机选择垃圾类型，关卡限定物品时只在这些物品的类别中选择
+        const trashTypes = this.allowedItems
+            ? [...new Set(this.allowedItems.map(itemId => trashCatalog.getCategory(itemId)))]
+            : [
+                TrashType.KITCHEN_WASTE,
+                TrashType.RECYCLABLE,
+                TrashType.HAZARDOUS,
+                TrashType.OTHER
+            ];
+        const randomType = this.rng.pick(trashTypes);
+        
+        // 从物品目录中选择该类别的具体物品
+        const item = trashCatalog.getRandomItem(randomType, {
+            maxDifficulty: this.maxItemDifficulty,
+            itemIds: this.allowedItems,
+            rng: this.rng
+        });
         
         // 随机速度变化
-        const speedVariation = 0.8 + Math.random() * 0.4; // 0.8-1.2倍速度
+        const speedVariation = this.rng.range(0.8, 1.2); // 0.8-1.2倍速度
         
-        this.spawnZombie(randomType, randomTrack.id, {
+        this.spawnZombie(this.resolveSpawnType(item ? item.id : randomType), randomTrack.id, {
             speed: 50 * speedVariation
         });
     }
@@ -186,9 +597,12 @@ export class TrashZombieSystem {
         if (index > -1) {
             this.activeZombies.splice(index, 1);
             
-            // 触发销毁事件
+            // 触发销毁事件，Boss 上剩下的部件随之离场
             if (this.onZombieDestroyed) {
                 this.onZombieDestroyed(zombie);
+                for (const part of zombie.getChildren()) {
+                    this.onZombieDestroyed(part);
+                }
             }
         }
     }
@@ -233,6 +647,10 @@ export class TrashZombieSystem {
         
         for (const zombie of zombiesToRemove) {
             this.removeZombie(zombie);
+            
+            if (zombie.isDefeated && this.onBossDefeated) {
+                this.onBossDefeated(zombie);
+            }
         }
     }
 
@@ -245,6 +663,8 @@ export class TrashZombieSystem {
         this.difficultyMultiplier = 1 + (level - 1) * 0.2; // 每关增加20%难度
         this.speedMultiplier = 1 + (level - 1) * 0.1; // 每关增加10%速度
         this.maxActiveZombies = Math.min(15, 5 + level * 2); // 最大僵尸数量递增
+        this.maxItemDifficulty = Math.min(3, 1 + Math.floor(level / 2)); // 第1关只出现常见物品
+        this.allowedItems = levelConfig && levelConfig.trashItems ? [...levelConfig.trashItems] : null;
         
         // 如果有关卡配置，使用配置中的生成间隔
         if (levelConfig && levelConfig.spawnInterval) {
@@ -285,12 +705,15 @@ export class TrashZombieSystem {
     getSystemStats() {
         return {
             activeZombies: this.activeZombies.length,
+            activePowerUps: this.activePowerUps.length,
             maxActiveZombies: this.maxActiveZombies,
             spawnQueueLength: this.spawnQueue.length,
             currentSpawnInterval: this.currentSpawnInterval,
             difficultyMultiplier: this.difficultyMultiplier,
             speedMultiplier: this.speedMultiplier,
-            zombiesByType: this.getZombiesByType()
+            spawnRateMultiplier: this.spawnRateMultiplier,
+            zombiesByType: this.getZombiesByType(),
+            waves: this.waveScheduler ? this.waveScheduler.getStats() : null
         };
     }
 
@@ -315,16 +738,28 @@ export class TrashZombieSystem {
      * @param {number} deltaTime - 时间间隔
      */
     update(deltaTime) {
+        // 未注入外部时钟时由系统自行推进
+        if (this.ownsClock) {
+            this.clock.advance(deltaTime);
+        }
+        
+        // 推进波次脚本（环境事件可以加快生成节奏）
+        const spawnDeltaTime = deltaTime * this.spawnRateMultiplier;
+        if (this.waveScheduler) {
+            this.updateWaveScript(spawnDeltaTime);
+        }
+        
         // 处理生成队列
         this.processSpawnQueue();
         
         // 自动生成（如果启用）
         if (this.autoSpawnEnabled) {
-            this.autoSpawn(deltaTime);
+            this.autoSpawn(spawnDeltaTime);
         }
         
         // 更新所有活跃僵尸
         for (const zombie of this.activeZombies) {
+            zombie.environmentSpeedFactor = this.getTrackSpeedMultiplier(zombie.trackId);
             zombie.update(deltaTime);
         }
         
@@ -333,15 +768,21 @@ export class TrashZombieSystem {
         
         // 清理已收集的僵尸
         this.cleanupCollectedZombies();
+        
+        this.updatePowerUps(deltaTime);
     }
 
     /**
      * 渲染所有垃圾僵尸
      * @param {RenderSystem} renderSystem - 渲染系统
+     * @param {number} alpha - 插值系数
      */
-    render(renderSystem) {
+    render(renderSystem, alpha = 1) {
         for (const zombie of this.activeZombies) {
-            zombie.render(renderSystem);
+            zombie.render(renderSystem, alpha);
+        }
+        for (const powerUp of this.activePowerUps) {
+            powerUp.render(renderSystem, alpha);
         }
     }
 
@@ -364,16 +805,24 @@ export class TrashZombieSystem {
         this.onZombieSpawned = callbacks.onZombieSpawned;
         this.onZombieReachedEnd = callbacks.onZombieReachedEnd;
         this.onZombieDestroyed = callbacks.onZombieDestroyed;
+        this.onWaveStarted = callbacks.onWaveStarted;
+        this.onBossSpawned = callbacks.onBossSpawned;
+        this.onBossDefeated = callbacks.onBossDefeated;
+        this.onPowerUpSpawned = callbacks.onPowerUpSpawned;
     }
 
     /**
-     * 清空所有僵尸
+     * 清空所有僵尸和道具
      */
     clearAllZombies() {
         for (const zombie of this.activeZombies) {
             zombie.destroy();
         }
+        for (const powerUp of this.activePowerUps) {
+            powerUp.destroy();
+        }
         this.activeZombies = [];
+        this.activePowerUps = [];
         this.spawnQueue = [];
     }
 
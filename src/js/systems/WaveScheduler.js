@@ -0,0 +1,278 @@
+/**
+ * 波次调度器
+ * 将数据驱动的波次脚本展开为按时间排列的生成事件
+ */
+import { TrashType, GameConfig } from '../config/GameConfig.js';
+import { trashCatalog } from '../config/TrashCatalog.js';
+import { SeededRandom } from '../core/SeededRandom.js';
+import { ZombieBehaviorType } from '../behaviors/ZombieBehaviors.js';
+
+export class WaveScheduler {
+    /**
+     * @param {Object} script - 波次脚本 { startDelay, waves: [...] }
+     * @param {Object} options - 调度选项
+     * @param {Array<string>} options.trashTypes - 关卡允许的垃圾类型
+     * @param {number} options.maxItemDifficulty - 具体物品的最高难度
+     * @param {Array<string>} options.itemIds - 关卡允许的具体物品，为空时不限制
+     * @param {SeededRandom} options.rng - 随机数生成器
+     */
+    constructor(script, options = {}) {
+        this.script = script || { waves: [] };
+        this.waves = this.script.waves || [];
+        this.trashTypes = options.trashTypes || Object.values(TrashType);
+        this.maxItemDifficulty = options.maxItemDifficulty || Infinity;
+        this.itemIds = options.itemIds || null;
+        this.rng = options.rng || new SeededRandom();
+        
+        this.elapsedTime = 0;
+        this.currentWaveIndex = -1;
+        this.nextEventIndex = 0;
+        this.timeline = this.buildTimeline();
+    }
+
+    /**
+     * 统计脚本需要收集的垃圾总数（常规生成 + 突发生成 + Boss 的部件）
+     * @param {Object} script - 波次脚本
+     */
+    static countSpawns(script) {
+        if (!script || !script.waves) return 0;
+        
+        let total = 0;
+        for (const wave of script.waves) {
+            total += wave.count || 0;
+            total += WaveScheduler.countBurstSpawns(wave);
+            total += WaveScheduler.countBossParts(wave.boss);
+        }
+        return total;
+    }
+
+    /**
+     * 统计波次中实际会生成的突发垃圾数量
+     * 突发生成挂在第 at 个常规生成之后，at 不在 1..count 之间的突发不会出现
+     * @param {Object} wave - 波次配置
+     */
+    static countBurstSpawns(wave) {
+        const count = wave.count || 0;
+        let total = 0;
+        for (const burst of wave.bursts || []) {
+            if (Number.isInteger(burst.at) && burst.at >= 1 && burst.at <= count) {
+                total += Math.max(0, Math.floor(burst.count || 0));
+            }
+        }
+        return total;
+    }
+
+    /**
+     * 获取 Boss 的部件数量，Boss 本身不需要收集
+     * @param {string} bossId - Boss ID
+     */
+    static countBossParts(bossId) {
+        const boss = bossId ? GameConfig.bosses[bossId] : null;
+        return boss ? boss.parts.length : 0;
+    }
+
+    /**
+     * 构建生成时间线
+     */
+    buildTimeline() {
+        const timeline = [];
+        let waveStart = this.script.startDelay || 0;
+        
+        this.waves.forEach((wave, waveIndex) => {
+            const count = wave.count || 0;
+            const interval = wave.interval !== undefined ? wave.interval : 2000;
+            
+            // Boss 在波次开始时出场，常规生成推迟一个间隔
+            const bossLead = wave.boss ? interval : 0;
+            if (wave.boss) {
+                timeline.push(this.createBossEvent(wave, waveIndex, waveStart));
+            }
+            
+            for (let i = 0; i < count; i++) {
+                const time = waveStart + bossLead + i * interval;
+                const ramp = count > 1 ? i / (count - 1) : 0;
+                timeline.push(this.createEvent(wave, waveIndex, time, ramp));
+                
+                // 在第 i+1 个常规生成之后插入突发生成
+                for (const burst of wave.bursts || []) {
+                    if (burst.at !== i + 1) continue;
+                    const spacing = burst.spacing !== undefined ? burst.spacing : 300;
+                    for (let j = 1; j <= (burst.count || 0); j++) {
+                        const burstEvent = this.createEvent(wave, waveIndex, time + j * spacing, ramp);
+                        burstEvent.isBurst = true;
+                        timeline.push(burstEvent);
+                    }
+                }
+            }
+            
+            waveStart += bossLead + count * interval + (wave.pauseAfter || 0);
+        });
+        
+        // 突发生成可能与下一个常规生成交错，按时间排序
+        timeline.sort((a, b) => a.time - b.time);
+        return timeline;
+    }
+
+    /**
+     * 创建单个生成事件
+     * @param {Object} wave - 波次配置
+     * @param {number} waveIndex - 波次索引
+     * @param {number} time - 生成时间（毫秒）
+     * @param {number} ramp - 波次内进度（0-1），用于速度渐变
+     */
+    createEvent(wave, waveIndex, time, ramp) {
+        let type = this.pickTrashType(wave.mix);
+        let item = trashCatalog.getRandomItem(type, {
+            maxDifficulty: wave.maxDifficulty || this.maxItemDifficulty,
+            itemIds: this.itemIds,
+            rng: this.rng
+        });
+        const behaviors = this.pickBehaviors(wave.behaviors);
+        
+        // 拆分行为需要组合物品，换成一件拆出的物品都属于本关类型的组合物品
+        if (behaviors.includes(ZombieBehaviorType.SPLITTER)) {
+            const splittable = trashCatalog.getSplittableItems().filter(candidate =>
+                candidate.splitsInto.every(pieceId => this.trashTypes.includes(trashCatalog.getCategory(pieceId)))
+            );
+            if (splittable.length > 0) {
+                item = this.rng.pick(splittable);
+                type = item.category;
+            } else {
+                behaviors.splice(behaviors.indexOf(ZombieBehaviorType.SPLITTER), 1);
+            }
+        }
+        
+        return {
+            time: time,
+            waveIndex: waveIndex,
+            type: type,
+            itemId: item ? item.id : null,
+            tracks: wave.tracks || 'random',
+            speedMultiplier: this.getSpeedMultiplier(wave.speed, ramp),
+            behaviors: behaviors,
+            isBurst: false
+        };
+    }
+
+    /**
+     * 创建 Boss 生成事件
+     * @param {Object} wave - 波次配置
+     * @param {number} waveIndex - 波次索引
+     * @param {number} time - 生成时间（毫秒）
+     */
+    createBossEvent(wave, waveIndex, time) {
+        return {
+            time: time,
+            waveIndex: waveIndex,
+            boss: wave.boss,
+            tracks: wave.tracks || 'random',
+            speedMultiplier: this.getSpeedMultiplier(wave.speed, 0),
+            isBurst: false
+        };
+    }
+
+    /**
+     * 按各行为的出现概率（0-1，互相独立）选择垃圾的行为
+     * @param {Object} behaviors - 行为类型 -> 概率
+     * @returns {Array<string>} 选中的行为类型
+     */
+    pickBehaviors(behaviors) {
+        return Object.entries(behaviors || {})
+            .filter(([, chance]) => chance > 0 && this.rng.next() < chance)
+            .map(([behaviorId]) => behaviorId);
+    }
+
+    /**
+     * 按权重选择垃圾类型
+     * @param {Object} mix - 类型权重表
+     */
+    pickTrashType(mix) {
+        const entries = Object.entries(mix || {})
+            .filter(([type, weight]) => weight > 0 && this.trashTypes.includes(type));
+        
+        // 没有可用权重时在关卡允许的类型中均匀选择
+        if (entries.length === 0) {
+            return this.rng.pick(this.trashTypes);
+        }
+        
+        const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        let roll = this.rng.next() * totalWeight;
+        for (const [type, weight] of entries) {
+            roll -= weight;
+            if (roll < 0) return type;
+        }
+        return entries[entries.length - 1][0];
+    }
+
+    /**
+     * 计算速度倍率
+     * @param {number|Object} speed - 速度配置
+     * @param {number} ramp - 波次内进度（0-1）
+     */
+    getSpeedMultiplier(speed, ramp) {
+        if (typeof speed === 'number') return speed;
+        if (speed && typeof speed === 'object') {
+            const from = speed.from !== undefined ? speed.from : 1;
+            const to = speed.to !== undefined ? speed.to : from;
+            return from + (to - from) * ramp;
+        }
+        return 1;
+    }
+
+    /**
+     * 推进时间并返回到期的生成事件
+     * @param {number} deltaTime - 时间间隔（毫秒）
+     */
+    update(deltaTime) {
+        this.elapsedTime += deltaTime;
+        
+        const dueEvents = [];
+        while (this.nextEventIndex < this.timeline.length &&
+               this.timeline[this.nextEventIndex].time <= this.elapsedTime) {
+            const event = this.timeline[this.nextEventIndex++];
+            this.currentWaveIndex = Math.max(this.currentWaveIndex, event.waveIndex);
+            dueEvents.push(event);
+        }
+        
+        return dueEvents;
+    }
+
+    /**
+     * 重置调度进度
+     */
+    reset() {
+        this.elapsedTime = 0;
+        this.currentWaveIndex = -1;
+        this.nextEventIndex = 0;
+        this.timeline = this.buildTimeline();
+    }
+
+    /**
+     * 是否所有事件都已发出
+     */
+    isFinished() {
+        return this.nextEventIndex >= this.timeline.length;
+    }
+
+    /**
+     * 获取当前波次配置
+     */
+    getCurrentWave() {
+        return this.waves[this.currentWaveIndex] || null;
+    }
+
+    /**
+     * 获取调度统计
+     */
+    getStats() {
+        const currentWave = this.getCurrentWave();
+        return {
+            currentWave: this.currentWaveIndex + 1,
+            totalWaves: this.waves.length,
+            waveName: currentWave ? currentWave.name : null,
+            spawnsEmitted: this.nextEventIndex,
+            totalSpawns: this.timeline.length,
+            isFinished: this.isFinished()
+        };
+    }
+}
\ No newline at end of file
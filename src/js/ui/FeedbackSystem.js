@@ -3,6 +3,8 @@
  * 管理游戏中的各种UI反馈效果
  */
 import { Vector2 } from '../core/Vector2.js';
+import { trashCatalog } from '../config/TrashCatalog.js';
+import { rulesetManager } from '../config/ClassificationRulesets.js';
 
 export class FeedbackMessage {
     constructor(text, position, options = {}) {
@@ -122,6 +124,32 @@ export class FeedbackSystem {
         this.createSuccessParticles(position);
     }
 
+    /**
+     * 显示连击档位提示
+     * @param {Vector2} position - 位置
+     * @param {number} combo - 连击数
+     * @param {Object} tier - 达到的连击档位 { multiplier, name }
+     */
+    showCombo(position, combo, tier) {
+        const titlePosition = new Vector2(position.x, position.y - 50);
+        this.addMessage(`${combo} 连击！${tier.name}`, titlePosition, {
+            color: '#FFD700',
+            fontSize: 26,
+            duration: 2500,
+            moveUp: true
+        });
+        
+        const multiplierPosition = new Vector2(position.x, position.y - 25);
+        this.addMessage(`分数 ×${tier.multiplier}`, multiplierPosition, {
+            color: '#FF9800',
+            fontSize: 16,
+            duration: 2500,
+            moveUp: true
+        });
+        
+        this.createSuccessParticles(position);
+    }
+
     /**
      * 显示错误反馈
      * @param {Vector2} position - 位置
@@ -212,14 +240,22 @@ export class FeedbackSystem {
 
     /**
      * 显示分类演示动画
-     * @param {string} trashType - 垃圾类型
-     * @param {string} correctBinType - 正确的垃圾桶类型
+     * @param {string} itemId - 物品ID（也接受垃圾类型）
+     * @param {number} correctBinType - 正确的垃圾桶类型
      * @param {Vector2} position - 位置
      */
-    showClassificationDemo(trashType, correctBinType, position) {
+    showClassificationDemo(itemId, correctBinType, position) {
+        const item = trashCatalog.getItem(itemId);
+        const binConfig = rulesetManager.getActiveRuleset().getBinConfig(correctBinType);
+        
         const demoAnimation = {
-            trashType,
+            itemId,
+            trashType: trashCatalog.getCategory(itemId),
+            itemName: trashCatalog.getItemName(itemId),
+            icon: item ? item.icon : '',
+            ecoFact: item ? item.ecoFact : null,
             correctBinType,
+            binName: binConfig ? binConfig.name : String(correctBinType),
             position: position.clone(),
             duration: 3000,
             startTime: Date.now(),
@@ -342,7 +378,7 @@ export class FeedbackSystem {
         switch (animation.phase) {
             case 'showing':
                 ctx.fillText('正确分类方式:', centerX, centerY - 20);
-                ctx.fillText(`${animation.trashType} → ${animation.correctBinType}`, centerX, centerY + 5);
+                ctx.fillText(`${animation.icon} ${animation.itemName} → ${animation.binName}`, centerX, centerY + 5);
                 break;
                 
             case 'moving':
@@ -355,7 +391,13 @@ export class FeedbackSystem {
                 break;
                 
             case 'complete':
-                ctx.fillText('记住正确分类！', centerX, centerY);
+                if (animation.ecoFact) {
+                    ctx.fillText('记住正确分类！', centerX, centerY - 20);
+                    ctx.font = '12px Arial';
+                    ctx.fillText(animation.ecoFact, centerX, centerY + 5, boxWidth - 10);
+                } else {
+                    ctx.fillText('记住正确分类！', centerX, centerY);
+                }
                 break;
         }
         
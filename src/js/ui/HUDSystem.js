@@ -4,6 +4,7 @@
  */
 import { Vector2 } from '../core/Vector2.js';
 import { GameConfig } from '../config/GameConfig.js';
+import { rulesetManager } from '../config/ClassificationRulesets.js';
 
 export class HUDElement {
     constructor(id, position, options = {}) {
@@ -21,7 +22,8 @@ export class HUDElement {
         this.text = options.text || '';
         this.value = options.value || 0;
         this.maxValue = options.maxValue || 100;
-        this.format = options.format || 'text'; // text, number, progress, time
+        this.format = options.format || 'text'; // text, number, progress, time, health, countdown
+        this.barColor = options.barColor || '#4CAF50';
     }
 
     /**
@@ -120,6 +122,14 @@ export class HUDElement {
                 this.renderProgressBar(ctx);
                 break;
 
+            case 'health':
+                this.renderHealthBar(ctx);
+                break;
+
+            case 'countdown':
+                this.renderCountdownBar(ctx);
+                break;
+
             case 'time':
                 ctx.textAlign = 'center';
                 const timeText = this.formatTime(this.value);
@@ -164,6 +174,72 @@ export class HUDElement {
         );
     }
 
+    /**
+     * 渲染血条：名称和剩余数量叠在红色血条上
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     */
+    renderHealthBar(ctx) {
+        const barX = this.position.x + this.padding;
+        const barY = this.position.y + this.padding;
+        const barWidth = this.width - this.padding * 2;
+        const barHeight = this.height - this.padding * 2;
+
+        // 背景
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.fillRect(barX, barY, barWidth, barHeight);
+
+        // 剩余血量
+        const ratio = Math.max(0, Math.min(1, this.value / this.maxValue));
+        ctx.fillStyle = '#D32F2F';
+        ctx.fillRect(barX, barY, barWidth * ratio, barHeight);
+
+        // 分段刻度，每段对应一个部件
+        ctx.strokeStyle = 'rgba(0, 0, 0, 0.6)';
+        ctx.lineWidth = 2;
+        for (let i = 1; i < this.maxValue; i++) {
+            const x = barX + barWidth * i / this.maxValue;
+            ctx.beginPath();
+            ctx.moveTo(x, barY);
+            ctx.lineTo(x, barY + barHeight);
+            ctx.stroke();
+        }
+
+        // 文字
+        ctx.fillStyle = this.textColor;
+        ctx.textAlign = 'center';
+        ctx.fillText(
+            `${this.text} ${this.value}/${this.maxValue}`,
+            this.position.x + this.width / 2,
+            this.position.y + this.height / 2
+        );
+    }
+
+    /**
+     * 渲染倒计时条：剩余时间（毫秒）占总时长的比例逐渐缩短，文字后显示剩余秒数
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     */
+    renderCountdownBar(ctx) {
+        const barX = this.position.x + this.padding;
+        const barY = this.position.y + this.padding;
+        const barWidth = this.width - this.padding * 2;
+        const barHeight = this.height - this.padding * 2;
+
+        ctx.fillStyle = 'rgba(255, 255, 255, 0.2)';
+        ctx.fillRect(barX, barY, barWidth, barHeight);
+
+        const ratio = Math.max(0, Math.min(1, this.value / this.maxValue));
+        ctx.fillStyle = this.barColor;
+        ctx.fillRect(barX, barY, barWidth * ratio, barHeight);
+
+        ctx.fillStyle = this.textColor;
+        ctx.textAlign = 'center';
+        ctx.fillText(
+            `${this.text} ${Math.ceil(this.value / 1000)}s`,
+            this.position.x + this.width / 2,
+            this.position.y + this.height / 2
+        );
+    }
+
     /**
      * 获取进度条颜色
      * @param {number} progress - 进度值 (0-1)
@@ -319,9 +395,17 @@ export class HUDSystem {
      * @param {number} canvasHeight - 画布高度
      */
     createBinSelector(canvasWidth, canvasHeight) {
+        const ruleset = rulesetManager.getActiveRuleset();
         const selectorY = canvasHeight - 80;
-        const selectorWidth = 400;
+        const selectorWidth = ruleset.getBinTypes().length * 95 + 20;
         const selectorX = (canvasWidth - selectorWidth) / 2;
+        
+        // 移除旧规则集的选项
+        for (const id of Array.from(this.elements.keys())) {
+            if (/^bin\d+$/.test(id)) {
+                this.removeElement(id);
+            }
+        }
 
         // 垃圾桶选择背景
         this.createElement('binSelectorBg', new Vector2(selectorX - 10, selectorY - 10), {
@@ -333,13 +417,11 @@ export class HUDSystem {
             borderRadius: 10
         });
 
-        // 四个垃圾桶选项
-        const binTypes = [
-            { id: 1, name: '厨余', key: '1', color: GameConfig.trashBins[1].color },
-            { id: 2, name: '可回收', key: '2', color: GameConfig.trashBins[2].color },
-            { id: 3, name: '有害', key: '3', color: GameConfig.trashBins[3].color },
-            { id: 4, name: '其他', key: '4', color: GameConfig.trashBins[4].color }
-        ];
+        // 当前规则集的垃圾桶选项
+        const binTypes = ruleset.getBinTypes().map(binType => {
+            const config = ruleset.getBinConfig(binType);
+            return { id: binType, name: config.shortName || config.name, key: String(binType), color: config.color };
+        });
 
         binTypes.forEach((binType, index) => {
             this.createElement(`bin${binType.id}`, new Vector2(selectorX + index * 95, selectorY), {
@@ -425,20 +507,106 @@ export class HUDSystem {
      * @param {number} selectedType - 选中的垃圾桶类型
      */
     updateBinSelection(selectedType) {
-        for (let i = 1; i <= 4; i++) {
+        const ruleset = rulesetManager.getActiveRuleset();
+        for (const i of ruleset.getBinTypes()) {
             const binElement = this.getElement(`bin${i}`);
             if (binElement) {
+                const color = ruleset.getBinConfig(i).color;
                 if (i === selectedType) {
                     binElement.border = { color: '#FFFFFF', width: 3 };
-                    binElement.backgroundColor = this.lightenColor(GameConfig.trashBins[i].color, 0.2);
+                    binElement.backgroundColor = this.lightenColor(color, 0.2);
                 } else {
                     binElement.border = null;
-                    binElement.backgroundColor = GameConfig.trashBins[i].color;
+                    binElement.backgroundColor = color;
                 }
             }
         }
     }
 
+    /**
+     * 显示或更新 Boss 血条（剩余部件 / 部件总数），没有 Boss 时隐藏
+     * @param {BossZombie|null} boss - 场上的 Boss
+     * @param {number} canvasWidth - 画布宽度
+     */
+    updateBossHealth(boss, canvasWidth = GameConfig.canvas.width) {
+        if (!boss) {
+            this.hideBossHealth();
+            return;
+        }
+
+        let element = this.getElement('bossHealth');
+        if (!element) {
+            const width = 360;
+            element = this.createElement('bossHealth', new Vector2((canvasWidth - width) / 2, 70), {
+                width: width,
+                height: 36,
+                format: 'health',
+                padding: 6,
+                font: 'bold 14px Arial',
+                border: { color: '#D32F2F', width: 2 }
+            });
+        }
+
+        element.setText(`${boss.bossConfig.icon} ${boss.labelText}`);
+        element.setMaxValue(boss.maxHealth);
+        element.setValue(boss.getHealth());
+        element.show();
+    }
+
+    /**
+     * 隐藏 Boss 血条
+     */
+    hideBossHealth() {
+        this.removeElement('bossHealth');
+    }
+
+    /**
+     * 在右上角逐行显示生效中的道具效果及剩余时间，已结束的效果随之移除
+     * @param {Array<Object>} effects - 生效中的效果 { key, config, remaining, duration }
+     * @param {number} canvasWidth - 画布宽度
+     */
+    updatePowerUpEffects(effects, canvasWidth = GameConfig.canvas.width) {
+        const width = 180;
+        const activeIds = new Set();
+
+        effects.forEach((effect, index) => {
+            const id = `powerUp:${effect.key}`;
+            activeIds.add(id);
+
+            let element = this.getElement(id);
+            if (!element) {
+                element = this.createElement(id, new Vector2(canvasWidth - width - 20, 70), {
+                    width: width,
+                    height: 28,
+                    format: 'countdown',
+                    padding: 4,
+                    font: 'bold 13px Arial',
+                    barColor: effect.config.color
+                });
+            }
+
+            // 效果结束后后面的行向上补位
+            element.position.y = 70 + index * 34;
+            element.setText(`${effect.config.icon} ${effect.config.name}`);
+            element.setMaxValue(effect.duration);
+            element.setValue(effect.remaining);
+            element.show();
+        });
+
+        for (const id of [...this.elements.keys()]) {
+            if (id.startsWith('powerUp:') && !activeIds.has(id)) {
+                this.removeElement(id);
+            }
+        }
+    }
+
+    /**
+     * 隐藏所有道具效果
+     */
+    hidePowerUpEffects() {
+        this.updatePowerUpEffects([]);
+    }
+
     /**
      * 显示临时消息
      * @param {string} message - 消息内容
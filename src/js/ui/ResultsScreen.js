@@ -0,0 +1,325 @@
+/**
+ * 关卡结算界面
+ * 通关后在画布上滚动计分、逐颗点亮星级并列出各类垃圾的分类明细，提供下一关、重玩和返回菜单
+ */
+import { GameConfig } from '../config/GameConfig.js';
+import { trashCatalog } from '../config/TrashCatalog.js';
+
+export class ResultsScreen {
+    constructor() {
+        this.isVisible = false;
+        this.results = null; // { levelId, score, accuracy, timeRemaining, livesLost, stars, breakdown, hasNextLevel, ecoFact, achievements }
+        this.elapsed = 0;
+        this.buttons = [];
+        
+        // 按钮布局
+        this.buttonWidth = 160;
+        this.buttonHeight = 48;
+        this.buttonSpacing = 30;
+        this.buttonY = GameConfig.canvas.height - 170;
+        
+        // 事件回调
+        this.onAction = null;
+    }
+
+    /**
+     * 显示结算界面并从头播放计分动画
+     * @param {Object} results - 关卡结算
+     */
+    show(results) {
+        this.results = results;
+        this.elapsed = 0;
+        this.isVisible = true;
+        this.buttons = this.createButtons(results.hasNextLevel);
+    }
+
+    /**
+     * 隐藏结算界面
+     */
+    hide() {
+        this.isVisible = false;
+        this.results = null;
+        this.buttons = [];
+    }
+
+    /**
+     * 创建底部按钮，没有下一关时不显示“下一关”
+     * @param {boolean} hasNextLevel - 是否有下一关
+     */
+    createButtons(hasNextLevel) {
+        const buttons = [];
+        if (hasNextLevel) {
+            buttons.push({ text: '下一关', action: 'next' });
+        }
+        buttons.push({ text: '重玩本关', action: 'replay' });
+        buttons.push({ text: '返回菜单', action: 'menu' });
+        
+        const rowWidth = buttons.length * this.buttonWidth + (buttons.length - 1) * this.buttonSpacing;
+        const startX = GameConfig.canvas.width / 2 - rowWidth / 2;
+        
+        return buttons.map((button, index) => ({
+            ...button,
+            x: startX + index * (this.buttonWidth + this.buttonSpacing),
+            y: this.buttonY,
+            width: this.buttonWidth,
+            height: this.buttonHeight
+        }));
+    }
+
+    /**
+     * 推进计分动画
+     * @param {number} deltaTime - 时间间隔
+     */
+    update(deltaTime) {
+        if (!this.isVisible) return;
+        
+        this.elapsed += deltaTime;
+    }
+
+    /**
+     * 动画总时长：分数滚动加上全部星星点亮
+     */
+    getAnimationDuration() {
+        const config = GameConfig.results;
+        return config.tallyDuration + this.results.stars * config.starInterval;
+    }
+
+    /**
+     * 动画是否仍在播放
+     */
+    isAnimating() {
+        return this.isVisible && this.elapsed < this.getAnimationDuration();
+    }
+
+    /**
+     * 跳过动画，直接显示最终分数和星级
+     */
+    skipAnimation() {
+        if (!this.isVisible) return;
+        
+        this.elapsed = Math.max(this.elapsed, this.getAnimationDuration());
+    }
+
+    /**
+     * 当前滚动到的分数，先快后慢
+     */
+    getDisplayedScore() {
+        if (!this.results) return 0;
+        
+        const progress = Math.min(1, this.elapsed / GameConfig.results.tallyDuration);
+        const eased = 1 - Math.pow(1 - progress, 3);
+        return Math.round(this.results.score * eased);
+    }
+
+    /**
+     * 已点亮的星星数量，分数滚动结束后开始逐颗点亮
+     */
+    getRevealedStars() {
+        if (!this.results) return 0;
+        
+        const config = GameConfig.results;
+        const starTime = this.elapsed - config.tallyDuration;
+        if (starTime <= 0) return 0;
+        
+        return Math.min(this.results.stars, Math.floor(starTime / config.starInterval));
+    }
+
+    /**
+     * 获取指定位置的按钮
+     * @param {number} x - X坐标
+     * @param {number} y - Y坐标
+     */
+    getButtonAtPosition(x, y) {
+        return this.buttons.find(button =>
+            x >= button.x && x <= button.x + button.width &&
+            y >= button.y && y <= button.y + button.height
+        ) || null;
+    }
+
+    /**
+     * 处理鼠标点击：动画播放中点击任意位置跳过动画，之后点击按钮触发操作
+     * @param {number} x - 鼠标X坐标
+     * @param {number} y - 鼠标Y坐标
+     * @returns {string|null} 触发的操作
+     */
+    handleMouseClick(x, y) {
+        if (!this.isVisible) return null;
+        
+        if (this.isAnimating()) {
+            this.skipAnimation();
+            return null;
+        }
+        
+        const button = this.getButtonAtPosition(x, y);
+        return button ? this.triggerAction(button.action) : null;
+    }
+
+    /**
+     * 处理键盘输入：回车进入下一关（没有下一关时重玩），R 重玩，ESC 返回菜单
+     * @param {string} key - 按键
+     * @returns {string|null} 触发的操作
+     */
+    handleKeyInput(key) {
+        if (!this.isVisible) return null;
+        
+        switch (key) {
+            case 'Enter':
+            case ' ':
+                if (this.isAnimating()) {
+                    this.skipAnimation();
+                    return null;
+                }
+                return this.triggerAction(this.results.hasNextLevel ? 'next' : 'replay');
+            case 'r':
+            case 'R':
+                return this.triggerAction('replay');
+            case 'Escape':
+                return this.triggerAction('menu');
+        }
+        return null;
+    }
+
+    /**
+     * 触发按钮操作
+     * @param {string} action - next、replay 或 menu
+     */
+    triggerAction(action) {
+        if (this.onAction) {
+            this.onAction(action);
+        }
+        return action;
+    }
+
+    /**
+     * 渲染结算界面
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     */
+    render(ctx) {
+        if (!this.isVisible) return;
+        
+        const results = this.results;
+        const centerX = ctx.canvas.width / 2;
+        
+        ctx.save();
+        
+        // 半透明背景
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+        ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+        
+        ctx.textAlign = 'center';
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 36px Arial';
+        ctx.fillText(results.isCustom ? '自定义关卡完成！' : `第 ${results.levelId} 关完成！`, centerX, 150);
+        
+        // 星级
+        const revealed = this.getRevealedStars();
+        ctx.font = '44px Arial';
+        ctx.fillStyle = '#FFD700';
+        ctx.fillText('★'.repeat(revealed) + '☆'.repeat(GameConfig.results.maxStars - revealed), centerX, 215);
+        
+        // 滚动计分
+        ctx.fillStyle = '#FFFFFF';
+        ctx.font = 'bold 28px Arial';
+        ctx.fillText(`得分 ${this.getDisplayedScore()}`, centerX, 270);
+        
+        ctx.font = '18px Arial';
+        ctx.fillText(
+            `准确率 ${Math.round(results.accuracy)}% · 剩余时间 ${Math.floor(results.timeRemaining)} 秒 · 失去生命 ${results.livesLost}`,
+            centerX,
+            310
+        );
+        
+        this.renderBreakdown(ctx, centerX, 360);
+        this.renderExtras(ctx, centerX);
+        this.renderButtons(ctx);
+        
+        ctx.restore();
+    }
+
+    /**
+     * 渲染各类垃圾的分类明细
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {number} centerX - 中心X坐标
+     * @param {number} startY - 起始Y坐标
+     */
+    renderBreakdown(ctx, centerX, startY) {
+        const rows = this.results.breakdown.filter(row => row.correct + row.incorrect > 0);
+        
+        ctx.font = '18px Arial';
+        if (rows.length === 0) {
+            ctx.fillStyle = '#BDBDBD';
+            ctx.fillText('本关没有分类记录', centerX, startY + 20);
+            return;
+        }
+        
+        rows.forEach((row, index) => {
+            const info = trashCatalog.getCategoryInfo(row.trashType);
+            const y = startY + index * 40;
+            
+            ctx.fillStyle = info ? info.color : '#9E9E9E';
+            ctx.fillRect(centerX - 200, y, 16, 16);
+            
+            ctx.textAlign = 'left';
+            ctx.fillStyle = '#FFFFFF';
+            ctx.fillText(info ? info.name : row.trashType, centerX - 170, y + 15);
+            
+            ctx.fillStyle = '#81C784';
+            ctx.fillText(`分对 ${row.correct}`, centerX + 20, y + 15);
+            ctx.fillStyle = row.incorrect > 0 ? '#E57373' : '#BDBDBD';
+            ctx.fillText(`分错 ${row.incorrect}`, centerX + 120, y + 15);
+        });
+        ctx.textAlign = 'center';
+    }
+
+    /**
+     * 渲染环保知识和本局解锁的成就
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     * @param {number} centerX - 中心X坐标
+     */
+    renderExtras(ctx, centerX) {
+        const results = this.results;
+        
+        if (results.ecoFact) {
+            ctx.fillStyle = '#A5D6A7';
+            ctx.font = '16px Arial';
+            ctx.fillText(`🌱 环保小知识：${results.ecoFact}`, centerX, this.buttonY - 60);
+        }
+        
+        if (results.achievements && results.achievements.length > 0) {
+            ctx.fillStyle = '#FFD700';
+            ctx.font = 'bold 16px Arial';
+            const names = results.achievements.map(achievement => `${achievement.icon} ${achievement.name}`);
+            ctx.fillText(`新成就：${names.join('、')}`, centerX, this.buttonY - 25);
+        }
+    }
+
+    /**
+     * 渲染底部按钮
+     * @param {CanvasRenderingContext2D} ctx - 渲染上下文
+     */
+    renderButtons(ctx) {
+        for (const button of this.buttons) {
+            ctx.fillStyle = button.action === 'next' ? '#4CAF50' : '#2E7D32';
+            ctx.fillRect(button.x, button.y, button.width, button.height);
+            ctx.strokeStyle = '#FFFFFF';
+            ctx.lineWidth = 2;
+            ctx.strokeRect(button.x, button.y, button.width, button.height);
+            
+            ctx.fillStyle = '#FFFFFF';
+            ctx.font = 'bold 18px Arial';
+            ctx.fillText(button.text, button.x + button.width / 2, button.y + button.height / 2 + 6);
+        }
+        
+        ctx.font = '14px Arial';
+        ctx.fillStyle = '#BDBDBD';
+        ctx.fillText('回车继续 · R 重玩 · ESC 返回菜单', ctx.canvas.width / 2, this.buttonY + this.buttonHeight + 35);
+    }
+
+    /**
+     * 设置事件回调
+     * @param {Object} callbacks - 回调函数对象
+     */
+    setCallbacks(callbacks) {
+        this.onAction = callbacks.onAction;
+    }
+}
\ No newline at end of file
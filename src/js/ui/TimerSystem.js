@@ -296,6 +296,9 @@ export class TimerSystem {
      * @param {string} name - 计时器名称
      */
     removeTimer(name) {
+        if (this.activeTimer === this.timers.get(name)) {
+            this.activeTimer = null;
+        }
         return this.timers.delete(name);
     }
 
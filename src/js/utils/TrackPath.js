@@ -0,0 +1,265 @@
+/**
+ * 轨道路径
+ * 将直线、折线和贝塞尔曲线统一采样为折线，按弧长提供位置、切线和投影查询
+ */
+import { Vector2 } from '../core/Vector2.js';
+
+// 每段曲线的采样段数
+export const CURVE_SEGMENTS = 24;
+
+export class TrackPath {
+    /**
+     * @param {Array<Vector2>} points - 路径顶点（曲线已采样为折线）
+     */
+    constructor(points) {
+        // 去掉相邻的重复顶点，避免出现长度为零的线段
+        this.points = [];
+        for (const point of points) {
+            const last = this.points[this.points.length - 1];
+            if (!last || Vector2.distance(last, point) > 1e-6) {
+                this.points.push(new Vector2(point.x, point.y));
+            }
+        }
+        
+        // 退化为一个点时仍保留两个顶点，保证线段查询可用
+        if (this.points.length === 1) {
+            this.points.push(this.points[0].clone());
+        }
+        
+        // 每个顶点处的累计弧长
+        this.cumulativeLengths = [0];
+        for (let i = 1; i < this.points.length; i++) {
+            const segmentLength = Vector2.distance(this.points[i - 1], this.points[i]);
+            this.cumulativeLengths.push(this.cumulativeLengths[i - 1] + segmentLength);
+        }
+        
+        this.length = this.cumulativeLengths[this.cumulativeLengths.length - 1];
+    }
+
+    /**
+     * 根据轨道几何创建路径
+     * @param {Vector2} startPoint - 起点
+     * @param {Vector2} endPoint - 终点
+     * @param {Object} options - { waypoints: 折线拐点, smooth: 是否以平滑曲线穿过拐点, controls: 贝塞尔控制点（1个为二次，2个为三次） }
+     */
+    static fromGeometry(startPoint, endPoint, options = {}) {
+        const start = new Vector2(startPoint.x, startPoint.y);
+        const end = new Vector2(endPoint.x, endPoint.y);
+        const controls = (options.controls || []).map(point => new Vector2(point.x, point.y));
+        const waypoints = (options.waypoints || []).map(point => new Vector2(point.x, point.y));
+        
+        if (controls.length > 0) {
+            return new TrackPath(TrackPath.sampleBezier([start, ...controls, end]));
+        }
+        
+        if (waypoints.length > 0 && options.smooth) {
+            return new TrackPath(TrackPath.sampleSpline([start, ...waypoints, end]));
+        }
+        
+        return new TrackPath([start, ...waypoints, end]);
+    }
+
+    /**
+     * 计算贝塞尔曲线上的点（de Casteljau 算法，支持任意阶）
+     * @param {Array<Vector2>} controlPoints - 控制点（含首尾端点）
+     * @param {number} t - 参数（0-1）
+     */
+    static getBezierPoint(controlPoints, t) {
+        let points = controlPoints.map(point => point.clone());
+        
+        while (points.length > 1) {
+            const next = [];
+            for (let i = 0; i < points.length - 1; i++) {
+                next.push(Vector2.lerp(points[i], points[i + 1], t));
+            }
+            points = next;
+        }
+        
+        return points[0];
+    }
+
+    /**
+     * 将贝塞尔曲线采样为折线顶点
+     * @param {Array<Vector2>} controlPoints - 控制点（含首尾端点）
+     * @param {number} segments - 采样段数
+     */
+    static sampleBezier(controlPoints, segments = CURVE_SEGMENTS) {
+        const points = [];
+        for (let i = 0; i <= segments; i++) {
+            points.push(TrackPath.getBezierPoint(controlPoints, i / segments));
+        }
+        return points;
+    }
+
+    /**
+     * 以 Catmull-Rom 样条平滑穿过所有顶点，每段转换为三次贝塞尔曲线采样
+     * @param {Array<Vector2>} points - 需要穿过的顶点
+     * @param {number} segments - 每段的采样段数
+     */
+    static sampleSpline(points, segments = CURVE_SEGMENTS) {
+        const sampled = [points[0].clone()];
+        
+        for (let i = 0; i < points.length - 1; i++) {
+            const p0 = points[i - 1] || points[i];
+            const p1 = points[i];
+            const p2 = points[i + 1];
+            const p3 = points[i + 2] || points[i + 1];
+            
+            const control1 = new Vector2(p1.x + (p2.x - p0.x) / 6, p1.y + (p2.y - p0.y) / 6);
+            const control2 = new Vector2(p2.x - (p3.x - p1.x) / 6, p2.y - (p3.y - p1.y) / 6);
+            
+            // 每段的首点与上一段的末点重合
+            sampled.push(...TrackPath.sampleBezier([p1, control1, control2, p2], segments).slice(1));
+        }
+        
+        return sampled;
+    }
+
+    /**
+     * 是否为单条直线段
+     */
+    isStraight() {
+        return this.points.length === 2;
+    }
+
+    /**
+     * 获取路径顶点副本
+     */
+    getVertices() {
+        return this.points.map(point => point.clone());
+    }
+
+    /**
+     * 获取弧长所在的线段索引
+     * @param {number} distance - 沿路径的距离
+     */
+    getSegmentIndex(distance) {
+        const lastSegment = this.points.length - 2;
+        for (let i = 0; i < lastSegment; i++) {
+            if (distance < this.cumulativeLengths[i + 1]) {
+                return i;
+            }
+        }
+        return lastSegment;
+    }
+
+    /**
+     * 根据弧长获取路径上的位置
+     * @param {number} distance - 沿路径的距离
+     */
+    getPointAtDistance(distance) {
+        distance = Math.max(0, Math.min(this.length, distance));
+        
+        const index = this.getSegmentIndex(distance);
+        const segmentStart = this.points[index];
+        const segmentEnd = this.points[index + 1];
+        const segmentLength = this.cumulativeLengths[index + 1] - this.cumulativeLengths[index];
+        
+        if (segmentLength === 0) {
+            return segmentStart.clone();
+        }
+        
+        const t = (distance - this.cumulativeLengths[index]) / segmentLength;
+        return Vector2.lerp(segmentStart, segmentEnd, t);
+    }
+
+    /**
+     * 根据进度获取路径上的位置
+     * @param {number} progress - 进度（0-1）
+     */
+    getPointAtProgress(progress) {
+        return this.getPointAtDistance(Math.max(0, Math.min(1, progress)) * this.length);
+    }
+
+    /**
+     * 根据弧长获取路径切线方向（单位向量）
+     * @param {number} distance - 沿路径的距离
+     */
+    getTangentAtDistance(distance) {
+        distance = Math.max(0, Math.min(this.length, distance));
+        
+        const index = this.getSegmentIndex(distance);
+        const tangent = new Vector2(
+            this.points[index + 1].x - this.points[index].x,
+            this.points[index + 1].y - this.points[index].y
+        );
+        
+        // 零长度路径默认向右
+        return tangent.length() > 0 ? tangent.normalize() : new Vector2(1, 0);
+    }
+
+    /**
+     * 根据进度获取路径切线方向
+     * @param {number} progress - 进度（0-1）
+     */
+    getTangentAtProgress(progress) {
+        return this.getTangentAtDistance(Math.max(0, Math.min(1, progress)) * this.length);
+    }
+
+    /**
+     * 将点投影到路径上
+     * @param {Vector2} point - 点
+     * @returns {{position: Vector2, distance: number, progress: number, distanceToPath: number}}
+     */
+    project(point) {
+        let best = null;
+        
+        for (let i = 0; i < this.points.length - 1; i++) {
+            const segmentStart = this.points[i];
+            const segmentEnd = this.points[i + 1];
+            const dx = segmentEnd.x - segmentStart.x;
+            const dy = segmentEnd.y - segmentStart.y;
+            const lengthSq = dx * dx + dy * dy;
+            
+            let t = 0;
+            if (lengthSq > 0) {
+                t = ((point.x - segmentStart.x) * dx + (point.y - segmentStart.y) * dy) / lengthSq;
+                t = Math.max(0, Math.min(1, t));
+            }
+            
+            const position = new Vector2(segmentStart.x + dx * t, segmentStart.y + dy * t);
+            const distanceToPath = Vector2.distance(point, position);
+            
+            if (!best || distanceToPath < best.distanceToPath) {
+                const segmentLength = this.cumulativeLengths[i + 1] - this.cumulativeLengths[i];
+                best = {
+                    position,
+                    distance: this.cumulativeLengths[i] + segmentLength * t,
+                    distanceToPath
+                };
+            }
+        }
+        
+        best.progress = this.length > 0 ? best.distance / this.length : 0;
+        return best;
+    }
+
+    /**
+     * 点到路径的最短距离
+     * @param {Vector2} point - 点
+     */
+    getDistanceToPoint(point) {
+        return this.project(point).distanceToPath;
+    }
+
+    /**
+     * 获取路径向两侧扩展 halfWidth 后的轮廓顶点
+     * @param {number} halfWidth - 半宽
+     * @returns {{left: Array<Vector2>, right: Array<Vector2>}}
+     */
+    getOutline(halfWidth) {
+        const left = [];
+        const right = [];
+        
+        for (let i = 0; i < this.points.length; i++) {
+            const tangent = this.getTangentAtDistance(this.cumulativeLengths[i]);
+            const normal = new Vector2(-tangent.y, tangent.x);
+            const point = this.points[i];
+            
+            left.push(new Vector2(point.x + normal.x * halfWidth, point.y + normal.y * halfWidth));
+            right.push(new Vector2(point.x - normal.x * halfWidth, point.y - normal.y * halfWidth));
+        }
+        
+        return { left, right };
+    }
+}
\ No newline at end of file
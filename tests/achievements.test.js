@@ -0,0 +1,164 @@
+/**
+ * 成就条件与成就画廊测试
+ */
+import { jest } from '@jest/globals';
+import { PlayerProgress, progressManager } from '../src/js/data/ProgressManager.js';
+import { AchievementsScene } from '../src/js/scenes/AchievementsScene.js';
+import { MenuScene } from '../src/js/scenes/MenuScene.js';
+import { GameScene } from '../src/js/scenes/GameScene.js';
+import { GameConfig, TrashBinType, TrashType } from '../src/js/config/GameConfig.js';
+import { SeededRandom } from '../src/js/core/SeededRandom.js';
+
+const unlockedIds = (progress) => progress.playerData.achievements.unlocked;
+
+describe('Achievement conditions', () => {
+    test('correct sorts should count per category towards the classification achievements', () => {
+        const progress = new PlayerProgress();
+        const condition = progress.achievements.get('hazard_handler').condition;
+        
+        progress.recordAchievementEvent('trash_classified', { trashType: TrashType.HAZARDOUS, isCorrect: false });
+        for (let i = 0; i < condition.value - 1; i++) {
+            progress.recordAchievementEvent('trash_classified', { trashType: TrashType.HAZARDOUS, isCorrect: true });
+        }
+        expect(progress.getTrashTypeCount(TrashType.HAZARDOUS)).toBe(condition.value - 1);
+        expect(progress.getAchievementProgressValue(condition)).toBeCloseTo((condition.value - 1) / condition.value);
+        expect(unlockedIds(progress)).not.toContain('hazard_handler');
+        
+        const unlocked = progress.recordAchievementEvent('trash_classified', { trashType: TrashType.HAZARDOUS, isCorrect: true });
+        expect(unlocked.map(achievement => achievement.id)).toEqual(['hazard_handler']);
+        expect(progress.getTrashTypeCount(TrashType.KITCHEN_WASTE)).toBe(0);
+    });
+
+    test('level results should drive the speed and flawless achievements', () => {
+        const progress = new PlayerProgress();
+        const result = { score: 100, accuracy: 80, timeRemaining: 10, correctCount: 8, errorCount: 2, errors: 2 };
+        
+        progress.updateLevelProgress(1, { ...result, timeUsed: 90 });
+        expect(unlockedIds(progress)).not.toContain('speed_demon');
+        expect(unlockedIds(progress)).not.toContain('no_mistakes');
+        expect(progress.getAchievementProgressValue(progress.achievements.get('speed_demon').condition)).toBeCloseTo(60 / 90);
+        
+        const unlocked = progress.updateLevelProgress(2, { ...result, timeUsed: 55, errors: 0, errorCount: 0 });
+        expect(unlocked.map(achievement => achievement.id)).toEqual(expect.arrayContaining(['speed_demon', 'no_mistakes']));
+        expect(progress.playerData.achievements.progress.fastestLevelTime).toBe(55);
+    });
+
+    test('each eco fact should be shown once before the educator achievement unlocks', () => {
+        const progress = new PlayerProgress();
+        const seen = [];
+        
+        for (let i = 0; i < GameConfig.ecoFacts.length; i++) {
+            const factIndex = progress.getNextEcoFactIndex();
+            seen.push(factIndex);
+            progress.recordAchievementEvent('eco_fact_viewed', { factIndex });
+        }
+        
+        expect(new Set(seen).size).toBe(GameConfig.ecoFacts.length);
+        expect(unlockedIds(progress)).toContain('eco_educator');
+        expect(progress.recordAchievementEvent('eco_fact_viewed', { factIndex: 0 })).toEqual([]);
+    });
+
+    test('eco facts should be picked with the seeded generator once all were viewed', () => {
+        const progress = new PlayerProgress();
+        progress.playerData.achievements.progress.ecoFactsViewed = GameConfig.ecoFacts.map((fact, index) => index);
+        const randomSpy = jest.spyOn(Math, 'random');
+        
+        const pickFacts = (rng) => Array.from({ length: 5 }, () => progress.getNextEcoFactIndex(rng));
+        const first = pickFacts(new SeededRandom(9));
+        
+        expect(pickFacts(new SeededRandom(9))).toEqual(first);
+        expect(first.every(index => index >= 0 && index < GameConfig.ecoFacts.length)).toBe(true);
+        expect(randomSpy).not.toHaveBeenCalled();
+        randomSpy.mockRestore();
+    });
+
+    test('consecutive play days should count towards the daily player achievement', () => {
+        const progress = new PlayerProgress();
+        
+        for (let day = 1; day <= 6; day++) {
+            progress.recordAchievementEvent('game_played', { dateKey: `2026-09-0${day}` });
+        }
+        progress.recordAchievementEvent('game_played', { dateKey: '2026-09-06' });
+        expect(progress.playerData.achievements.progress.playStreak).toBe(6);
+        expect(unlockedIds(progress)).not.toContain('daily_player');
+        
+        progress.recordAchievementEvent('game_played', { dateKey: '2026-09-07' });
+        expect(unlockedIds(progress)).toContain('daily_player');
+        
+        progress.recordAchievementEvent('game_played', { dateKey: '2026-09-10' });
+        expect(progress.playerData.achievements.progress.playStreak).toBe(1);
+        expect(progress.getBestStreak()).toBe(7);
+    });
+
+    test('old saves should get the new progress fields and unknown events should be ignored', () => {
+        const progress = new PlayerProgress();
+        const merged = progress.mergeWithDefaults({ achievements: { unlocked: ['first_steps'], progress: { flawlessLevels: 2 } } });
+        
+        expect(merged.achievements.progress.flawlessLevels).toBe(2);
+        expect(merged.achievements.progress.ecoFactsViewed).toEqual([]);
+        
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        expect(progress.recordAchievementEvent('meteor')).toEqual([]);
+        warn.mockRestore();
+    });
+});
+
+describe('AchievementsScene', () => {
+    test('should list unlocked achievements first with their progress', () => {
+        const progress = new PlayerProgress();
+        progress.playerData.levelProgress.completedLevels = [1];
+        progress.checkAchievements();
+        progress.recordAchievementEvent('trash_classified', { trashType: TrashType.RECYCLABLE, isCorrect: true });
+        
+        const scene = new AchievementsScene({ progress });
+        scene.init();
+        
+        expect(scene.achievements).toHaveLength(progress.achievements.size);
+        expect(scene.achievements[0]).toMatchObject({ id: 'first_steps', unlocked: true, progress: 1 });
+        const recycling = scene.achievements.find(achievement => achievement.id === 'recycling_hero');
+        expect(recycling.unlocked).toBe(false);
+        expect(recycling.progress).toBeCloseTo(1 / 50);
+        expect(scene.achievements[4].y).toBeGreaterThan(scene.achievements[3].y);
+    });
+
+    test('should be reachable from the menu and go back with escape', () => {
+        const sceneManager = { transitionTo: jest.fn() };
+        const menu = new MenuScene();
+        menu.setSceneManager(sceneManager);
+        menu.executeButtonAction(menu.buttons.findIndex(button => button.action === 'achievements'));
+        expect(sceneManager.transitionTo).toHaveBeenCalledWith('achievements');
+        
+        const scene = new AchievementsScene({ progress: new PlayerProgress() });
+        scene.setSceneManager(sceneManager);
+        scene.init();
+        scene.handleKeyInput('ArrowDown');
+        expect(scene.selectedIndex).toBe(scene.columns);
+        scene.handleKeyInput('Escape');
+        expect(sceneManager.transitionTo).toHaveBeenLastCalledWith('menu');
+    });
+});
+
+describe('GameScene achievements', () => {
+    test('sorting should feed the achievement progress and the results should list new achievements', () => {
+        const scene = new GameScene();
+        scene.init();
+        scene.levelSystem.registerLevel({ id: 1, trackCount: 1, trashTypes: [TrashType.KITCHEN_WASTE], timeLimit: 60, zombieCount: 2 });
+        scene.startRun({ levelId: 1, seed: 4 });
+        
+        scene.trashBinSystem.selectBin(TrashBinType.KITCHEN_WASTE);
+        const bin = scene.trashBinSystem.placeBin(600, GameConfig.tracks.startY).bin;
+        for (let i = 0; i < 2; i++) {
+            scene.collectionSystem.performCollection(scene.trashZombieSystem.spawnZombie('banana_peel', 1), bin);
+        }
+        scene.update(16);
+        
+        expect(progressManager.getTrashTypeCount(TrashType.KITCHEN_WASTE)).toBe(2);
+        const results = scene.resultsScreen.results;
+        expect(results.ecoFact).toBe(GameConfig.ecoFacts[0]);
+        expect(results.achievements.map(achievement => achievement.id)).toEqual(expect.arrayContaining(['first_steps', 'no_mistakes']));
+        expect(progressManager.playerData.achievements.progress.ecoFactsViewed).toEqual([0]);
+        
+        scene.restartLevel();
+        expect(scene.recentAchievements).toEqual([]);
+    });
+});
\ No newline at end of file
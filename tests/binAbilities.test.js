@@ -0,0 +1,146 @@
+/**
+ * 垃圾桶主动技能测试
+ */
+import { GameScene } from '../src/js/scenes/GameScene.js';
+import { TrashBinType, GameConfig } from '../src/js/config/GameConfig.js';
+import { createWorld } from './helpers/fixtures.js';
+
+const abilities = GameConfig.binAbilities;
+
+function placeBin(trashBinSystem, binType, x, y) {
+    trashBinSystem.selectBin(binType);
+    return trashBinSystem.placeBin(x, y).bin;
+}
+
+function spawnAt(zombieSystem, itemId, trackId, distance) {
+    const zombie = zombieSystem.spawnZombie(itemId, trackId, { speed: 100 });
+    zombie.shiftAlongTrack(distance);
+    return zombie;
+}
+
+describe('Bin abilities', () => {
+    test('purification wave should push hazardous trash back along the track', () => {
+        const { trashBinSystem, zombieSystem, abilitySystem } = createWorld({ seed: 7, abilities: true });
+        placeBin(trashBinSystem, TrashBinType.HAZARDOUS, 600, 150);
+        const battery = spawnAt(zombieSystem, 'waste_battery', 1, 400);
+        const banana = spawnAt(zombieSystem, 'banana_peel', 1, 400);
+        
+        expect(abilitySystem.activate(TrashBinType.HAZARDOUS)).toEqual({ success: true, affected: 1 });
+        expect(battery.trackDistance).toBeCloseTo(400 - abilities[TrashBinType.HAZARDOUS].pushDistance);
+        expect(battery.getComponent('Transform').position.x).toBeCloseTo(1100 - battery.trackDistance);
+        expect(banana.trackDistance).toBeCloseTo(400);
+        zombieSystem.destroy();
+    });
+
+    test('abilities should share a cooldown per bin type', () => {
+        const { trashBinSystem, zombieSystem, abilitySystem } = createWorld({ seed: 7, abilities: true });
+        
+        // 场上没有该类型的垃圾桶时不进入冷却
+        expect(abilitySystem.activate(TrashBinType.HAZARDOUS).success).toBe(false);
+        expect(abilitySystem.isReady(TrashBinType.HAZARDOUS)).toBe(true);
+        expect(abilitySystem.activate(TrashBinType.OTHER).reason).toBe('该垃圾桶没有技能');
+        
+        placeBin(trashBinSystem, TrashBinType.HAZARDOUS, 600, 150);
+        placeBin(trashBinSystem, TrashBinType.HAZARDOUS, 300, 150);
+        expect(abilitySystem.activate(TrashBinType.HAZARDOUS).success).toBe(true);
+        expect(abilitySystem.effects).toHaveLength(2);
+        expect(abilitySystem.activate(TrashBinType.HAZARDOUS).reason).toBe('净化波冷却中');
+        
+        abilitySystem.update(abilities[TrashBinType.HAZARDOUS].cooldown / 2);
+        expect(abilitySystem.getCooldownRatio(TrashBinType.HAZARDOUS)).toBeCloseTo(0.5);
+        abilitySystem.update(abilities[TrashBinType.HAZARDOUS].cooldown / 2);
+        expect(abilitySystem.isReady(TrashBinType.HAZARDOUS)).toBe(true);
+        expect(abilitySystem.effects).toHaveLength(0);
+        zombieSystem.destroy();
+    });
+
+    test('recyclable magnet should pull recyclables onto its track without passing the bin', () => {
+        const { trackSystem, trashBinSystem, zombieSystem, abilitySystem } = createWorld({ trackCount: 2, seed: 7, abilities: true });
+        placeBin(trashBinSystem, TrashBinType.RECYCLABLE, 600, 150);
+        const before = spawnAt(zombieSystem, 'plastic_bottle', 2, 400);
+        const after = spawnAt(zombieSystem, 'aluminum_can', 2, 550);
+        const battery = spawnAt(zombieSystem, 'waste_battery', 2, 400);
+        
+        expect(abilitySystem.activate(TrashBinType.RECYCLABLE).affected).toBe(2);
+        expect(before.track).toBe(trackSystem.getTrackById(1));
+        expect(before.trackId).toBe(1);
+        expect(before.trackDistance).toBeCloseTo(400);
+        expect(before.getComponent('Transform').position.y).toBeCloseTo(150);
+        expect(after.trackDistance).toBeCloseTo(500);
+        expect(battery.trackId).toBe(2);
+        zombieSystem.destroy();
+    });
+
+    test('compost burst should slow nearby trash for a while', () => {
+        const { trashBinSystem, zombieSystem, abilitySystem } = createWorld({ seed: 7, abilities: true });
+        const compost = abilities[TrashBinType.KITCHEN_WASTE];
+        placeBin(trashBinSystem, TrashBinType.KITCHEN_WASTE, 600, 150);
+        const near = spawnAt(zombieSystem, 'waste_battery', 1, 400);
+        const far = spawnAt(zombieSystem, 'plastic_bottle', 1, 0);
+        
+        abilitySystem.activate(TrashBinType.KITCHEN_WASTE);
+        expect(near.getSpeedMultiplier()).toBe(compost.slowFactor);
+        expect(far.getSpeedMultiplier()).toBe(1);
+        
+        zombieSystem.update(1000);
+        expect(near.trackDistance).toBeCloseTo(400 + 100 * compost.slowFactor);
+        expect(far.trackDistance).toBeCloseTo(100);
+        
+        zombieSystem.update(compost.duration);
+        expect(near.getSpeedMultiplier()).toBe(1);
+        zombieSystem.destroy();
+    });
+
+    test('hotkeys should trigger abilities through TrashBinSystem', () => {
+        const { trashBinSystem, zombieSystem, abilitySystem } = createWorld({ seed: 7, abilities: true });
+        placeBin(trashBinSystem, TrashBinType.HAZARDOUS, 600, 150);
+        
+        expect(abilitySystem.getBinTypeForKey('D')).toBe(TrashBinType.HAZARDOUS);
+        trashBinSystem.handleKeyInput(abilities[TrashBinType.HAZARDOUS].key);
+        expect(abilitySystem.isReady(TrashBinType.HAZARDOUS)).toBe(false);
+        zombieSystem.destroy();
+    });
+});
+
+describe('Bin abilities in GameScene', () => {
+    test('ability keys should work in game and cooldowns reset on restart', () => {
+        const gameScene = new GameScene();
+        gameScene.init();
+        expect(gameScene.loadLevel(1)).toBe(true);
+        
+        gameScene.selectBinType(TrashBinType.KITCHEN_WASTE);
+        gameScene.handleMouseClick(600, 150);
+        gameScene.handleKeyInput('a');
+        
+        expect(gameScene.binAbilitySystem.isReady(TrashBinType.KITCHEN_WASTE)).toBe(false);
+        expect(gameScene.dialogueText).toContain('堆肥爆发');
+        
+        gameScene.restartLevel();
+        expect(gameScene.binAbilitySystem.isReady(TrashBinType.KITCHEN_WASTE)).toBe(true);
+    });
+
+    test('ability and upgrade keys should be ignored unless the game is playing', () => {
+        const gameScene = new GameScene();
+        gameScene.init();
+        expect(gameScene.loadLevel(1)).toBe(true);
+        
+        gameScene.selectBinType(TrashBinType.KITCHEN_WASTE);
+        gameScene.handleMouseClick(600, 150);
+        const bin = gameScene.trashBinSystem.getAllBins()[0];
+        gameScene.handleMouseClick(600, 150);
+        expect(gameScene.trashBinSystem.selectedBin).toBe(bin);
+        gameScene.trashBinSystem.addCoins(100);
+        
+        for (const state of ['paused', 'lifeLost']) {
+            gameScene.gameState = state;
+            gameScene.handleKeyInput('a');
+            gameScene.handleKeyInput('q');
+            expect(gameScene.binAbilitySystem.isReady(TrashBinType.KITCHEN_WASTE)).toBe(true);
+            expect(bin.getUpgradeLevel('radius')).toBe(0);
+        }
+        
+        gameScene.gameState = 'playing';
+        gameScene.handleKeyInput('q');
+        expect(bin.getUpgradeLevel('radius')).toBe(1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,124 @@
+/**
+ * 垃圾桶容量与清空测试
+ */
+import { TrashBin } from '../src/js/entities/TrashBin.js';
+import { TrashZombie } from '../src/js/entities/TrashZombie.js';
+import { TrashBinAnimator } from '../src/js/animation/TrashBinAnimator.js';
+import { TrackSystem } from '../src/js/systems/TrackSystem.js';
+import { TrashBinSystem } from '../src/js/systems/TrashBinSystem.js';
+import { CollectionSystem } from '../src/js/systems/CollectionSystem.js';
+import { Vector2 } from '../src/js/core/Vector2.js';
+import { TrashBinType, TrashType, GameConfig } from '../src/js/config/GameConfig.js';
+
+const { capacity, emptyDuration } = GameConfig.binCapacity;
+
+function fillBin(bin, count = capacity) {
+    for (let i = 0; i < count; i++) {
+        bin.collect(new TrashZombie(TrashType.KITCHEN_WASTE, 1, new Vector2(600, 150)));
+    }
+}
+
+describe('TrashBin capacity', () => {
+    test('bins should stop catching when full', () => {
+        const bin = new TrashBin(TrashBinType.KITCHEN_WASTE, new Vector2(600, 150));
+        
+        fillBin(bin, capacity - 1);
+        bin.update(GameConfig.binUpgrades.baseChewCooldown);
+        expect(bin.isFull()).toBe(false);
+        expect(bin.canCatch()).toBe(true);
+        
+        fillBin(bin, 1);
+        bin.update(GameConfig.binUpgrades.baseChewCooldown);
+        expect(bin.isFull()).toBe(true);
+        expect(bin.canCatch()).toBe(false);
+        expect(bin.getStats()).toMatchObject({ capacity: capacity, fillLevel: capacity, isFull: true, isEmptying: false });
+    });
+
+    test('trash spat out for a retry should not take up space', () => {
+        const bin = new TrashBin(TrashBinType.KITCHEN_WASTE, new Vector2(600, 150));
+        const battery = new TrashZombie(TrashType.HAZARDOUS, 1, new Vector2(600, 150));
+        
+        bin.collect(battery);
+        expect(bin.fillLevel).toBe(0);
+        
+        // 没有重试机会的错分垃圾会留在桶里
+        battery.retryCount = battery.maxRetries;
+        bin.collect(battery);
+        expect(bin.fillLevel).toBe(1);
+    });
+
+    test('emptying should take a downtime with a tip-over animation', () => {
+        const bin = new TrashBin(TrashBinType.KITCHEN_WASTE, new Vector2(600, 150));
+        expect(bin.startEmptying()).toBe(false);
+        
+        fillBin(bin);
+        expect(bin.startEmptying()).toBe(true);
+        expect(bin.startEmptying()).toBe(false);
+        
+        bin.update(emptyDuration / 2);
+        expect(bin.isEmptying).toBe(true);
+        expect(bin.canCatch()).toBe(false);
+        expect(bin.animator.isPlaying('empty')).toBe(true);
+        expect(bin.animator.getTransform().rotation).toBeLessThan(0);
+        
+        bin.update(emptyDuration / 2);
+        expect(bin.isEmptying).toBe(false);
+        expect(bin.fillLevel).toBe(0);
+        expect(bin.canCatch()).toBe(true);
+        expect(bin.animator.getTransform().rotation).toBe(0);
+    });
+});
+
+describe('TrashBinAnimator', () => {
+    test('empty animation should tip the bin and call back when done', () => {
+        const animator = new TrashBinAnimator({ type: 1 }, { idle: false });
+        let finished = false;
+        
+        expect(animator.animations).toHaveLength(0);
+        animator.playEmptyAnimation(1000, () => { finished = true; });
+        expect(animator.currentExpression).toBe('sleepy');
+        
+        animator.update(500);
+        expect(animator.getTransform().rotation).toBeCloseTo(-1.2);
+        animator.update(500);
+        expect(finished).toBe(true);
+        expect(animator.isPlaying('empty')).toBe(false);
+    });
+});
+
+describe('Emptying bins in play', () => {
+    test('clicking a full bin should empty it instead of opening the upgrade panel', () => {
+        const trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(1);
+        const trashBinSystem = new TrashBinSystem(trackSystem);
+        const bin = trashBinSystem.placeBin(600, 150).bin;
+        
+        fillBin(bin);
+        expect(trashBinSystem.getSystemStats().fullBins).toBe(1);
+        expect(trashBinSystem.handleMouseClick(600, 150)).toEqual({ action: 'empty', bin: bin });
+        expect(bin.isEmptying).toBe(true);
+        expect(trashBinSystem.selectedBin).toBeNull();
+        
+        // 清空过程中再点击则打开升级面板
+        expect(trashBinSystem.handleMouseClick(600, 150).action).toBe('select');
+    });
+
+    test('a full bin should let trash pass to the next bin', () => {
+        const trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(1);
+        const trashBinSystem = new TrashBinSystem(trackSystem);
+        const collectionSystem = new CollectionSystem(trashBinSystem);
+        const fullBin = trashBinSystem.placeBin(600, 150).bin;
+        const spareBin = trashBinSystem.placeBin(700, 150).bin;
+        
+        fillBin(fullBin);
+        fullBin.update(GameConfig.binUpgrades.baseChewCooldown);
+        const trash = new TrashZombie(TrashType.KITCHEN_WASTE, 1, new Vector2(650, 150));
+        collectionSystem.addTrashZombie(trash);
+        collectionSystem.checkCollections(16);
+        
+        expect(trash.isCollected).toBe(true);
+        expect(spareBin.fillLevel).toBe(1);
+        expect(fullBin.fillLevel).toBe(capacity);
+    });
+});
\ No newline at end of file
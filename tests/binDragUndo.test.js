@@ -0,0 +1,204 @@
+/**
+ * 垃圾桶拖拽移动与撤销/重做测试
+ */
+import { jest } from '@jest/globals';
+import { TrackSystem } from '../src/js/systems/TrackSystem.js';
+import { TrashBinSystem } from '../src/js/systems/TrashBinSystem.js';
+import { GameScene } from '../src/js/scenes/GameScene.js';
+import { InputRecorder, ReplayInputType } from '../src/js/core/InputRecorder.js';
+import { Vector2 } from '../src/js/core/Vector2.js';
+
+function createBinSystem(trackCount = 2) {
+    const trackSystem = new TrackSystem();
+    trackSystem.initializeTracks(trackCount);
+    return new TrashBinSystem(trackSystem);
+}
+
+describe('Moving placed bins', () => {
+    test('moveBin should change track and ignore the moved bin when checking spacing', () => {
+        const trashBinSystem = createBinSystem();
+        const bin = trashBinSystem.placeBin(600, 150).bin;
+        
+        // 挪动一小段不会与自己冲突
+        expect(trashBinSystem.moveBin(bin, new Vector2(620, 150)).success).toBe(true);
+        expect(bin.position).toEqual(new Vector2(620, 150));
+        
+        const result = trashBinSystem.moveBin(bin, new Vector2(500, 270));
+        expect(result.success).toBe(true);
+        expect(result.track.id).toBe(2);
+        expect(trashBinSystem.trackSystem.getTrackById(1).placedBins).not.toContain(bin);
+        expect(trashBinSystem.trackSystem.getTrackById(2).placedBins).toContain(bin);
+    });
+
+    test('moveBin should reject invalid spots and fixed bins', () => {
+        const trashBinSystem = createBinSystem();
+        const bin = trashBinSystem.placeBin(600, 150).bin;
+        trashBinSystem.placeBin(400, 150);
+        
+        expect(trashBinSystem.moveBin(bin, new Vector2(420, 150)).success).toBe(false);
+        expect(trashBinSystem.moveBin(bin, new Vector2(600, 700)).success).toBe(false);
+        expect(bin.position).toEqual(new Vector2(600, 150));
+        
+        const fixedBin = trashBinSystem.placeFixedBin(1, 2, 0.5);
+        expect(trashBinSystem.moveBin(fixedBin, new Vector2(300, 270)).success).toBe(false);
+        expect(trashBinSystem.startDrag(fixedBin.position.x, fixedBin.position.y)).toBeNull();
+    });
+
+    test('dragging past the threshold should move the bin, a small drag should count as a click', () => {
+        const trashBinSystem = createBinSystem();
+        const bin = trashBinSystem.placeBin(600, 150).bin;
+        
+        expect(trashBinSystem.startDrag(600, 150)).toBe(bin);
+        trashBinSystem.handleMouseMove(602, 151);
+        expect(trashBinSystem.isDragging()).toBe(false);
+        expect(trashBinSystem.endDrag(602, 151)).toEqual({ action: 'none' });
+        
+        trashBinSystem.startDrag(600, 150);
+        trashBinSystem.handleMouseMove(550, 200);
+        expect(trashBinSystem.isDragging()).toBe(true);
+        expect(trashBinSystem.previewPosition).toEqual(new Vector2(550, 200));
+        
+        const result = trashBinSystem.endDrag(500, 270);
+        expect(result.action).toBe('move');
+        expect(result.result.success).toBe(true);
+        expect(bin.position).toEqual(new Vector2(500, 270));
+        expect(trashBinSystem.draggedBin).toBeNull();
+    });
+
+    test('the drag preview should show the upgraded collect radius', () => {
+        const trashBinSystem = createBinSystem();
+        trashBinSystem.addCoins(10);
+        const bin = trashBinSystem.placeBin(600, 150).bin;
+        trashBinSystem.upgradeBin(bin, 'radius');
+        trashBinSystem.startDrag(600, 150);
+        trashBinSystem.handleMouseMove(500, 270);
+        
+        const draws = [];
+        trashBinSystem.renderPreview({ layers: { UI: 0 }, add2DRender: (draw) => draws.push(draw) });
+        const ctx = {
+            save() {}, restore() {}, translate() {}, fillRect() {}, strokeRect() {},
+            setLineDash() {}, beginPath() {}, stroke() {}, arc: jest.fn()
+        };
+        draws[0](ctx);
+        
+        expect(bin.collectRadius).toBeGreaterThan(bin.config.collectRadius);
+        expect(ctx.arc).toHaveBeenCalledWith(0, 0, bin.collectRadius, 0, Math.PI * 2);
+    });
+});
+
+describe('Undo and redo', () => {
+    test('place, move and remove should be undone and redone in order', () => {
+        const trashBinSystem = createBinSystem();
+        const bin = trashBinSystem.placeBin(600, 150).bin;
+        trashBinSystem.moveBin(bin, new Vector2(500, 270));
+        trashBinSystem.removeBin(bin);
+        expect(trashBinSystem.getAllBins()).toHaveLength(0);
+        
+        expect(trashBinSystem.undo().type).toBe('remove');
+        expect(trashBinSystem.getAllBins()).toEqual([bin]);
+        expect(trashBinSystem.trackSystem.getTrackById(2).placedBins).toContain(bin);
+        
+        expect(trashBinSystem.undo().type).toBe('move');
+        expect(bin.position).toEqual(new Vector2(600, 150));
+        expect(trashBinSystem.trackSystem.getTrackById(1).placedBins).toContain(bin);
+        
+        expect(trashBinSystem.undo().type).toBe('place');
+        expect(trashBinSystem.getAllBins()).toHaveLength(0);
+        expect(trashBinSystem.undo()).toBeNull();
+        
+        trashBinSystem.redo();
+        trashBinSystem.redo();
+        expect(trashBinSystem.getAllBins()).toEqual([bin]);
+        expect(bin.position).toEqual(new Vector2(500, 270));
+        expect(bin.active).toBe(true);
+    });
+
+    test('a new action should clear the redo stack and destroy bins only kept for redo', () => {
+        const trashBinSystem = createBinSystem();
+        const bin = trashBinSystem.placeBin(600, 150).bin;
+        trashBinSystem.undo();
+        
+        trashBinSystem.placeBin(400, 150);
+        expect(trashBinSystem.redoStack).toHaveLength(0);
+        expect(trashBinSystem.redo()).toBeNull();
+        expect(bin.active).toBe(false);
+        
+        trashBinSystem.clearAllBins();
+        expect(trashBinSystem.undoStack).toHaveLength(0);
+    });
+
+    test('undoing a placement should refund its upgrades and redo should restore them', () => {
+        const trashBinSystem = createBinSystem();
+        trashBinSystem.addCoins(100);
+        const bin = trashBinSystem.placeBin(600, 150).bin;
+        trashBinSystem.upgradeBin(bin, 'radius');
+        trashBinSystem.upgradeBin(bin, 'radius');
+        const upgradedRadius = bin.collectRadius;
+        expect(trashBinSystem.coins).toBe(70);
+        
+        trashBinSystem.undo();
+        expect(trashBinSystem.coins).toBe(100);
+        expect(bin.getUpgradeLevel('radius')).toBe(0);
+        
+        expect(trashBinSystem.redo().type).toBe('place');
+        expect(trashBinSystem.coins).toBe(70);
+        expect(bin.getUpgradeLevel('radius')).toBe(2);
+        expect(bin.collectRadius).toBe(upgradedRadius);
+        
+        // 金币不够买回升级时无法重做
+        trashBinSystem.undo();
+        trashBinSystem.spendCoins(80);
+        expect(trashBinSystem.redo()).toBeNull();
+        expect(trashBinSystem.getAllBins()).toHaveLength(0);
+        expect(trashBinSystem.coins).toBe(20);
+    });
+});
+
+describe('Drag and undo in GameScene', () => {
+    test('mouse down/up should drag bins and Ctrl+Z/Ctrl+Y should undo and redo', () => {
+        const gameScene = new GameScene();
+        gameScene.init();
+        expect(gameScene.loadLevel(1)).toBe(true);
+        
+        const trashBinSystem = gameScene.trashBinSystem;
+        const track = gameScene.trackSystem.getTrackById(1);
+        const start = track.getPositionAtProgress(0.5);
+        const end = track.getPositionAtProgress(0.3);
+        
+        gameScene.handleMouseClick(start.x, start.y);
+        const bin = trashBinSystem.getAllBins()[0];
+        
+        gameScene.handleMouseDown(start.x, start.y);
+        gameScene.handleMouseMove(end.x, end.y);
+        gameScene.handleMouseUp(end.x, end.y);
+        // 松开后补发的点击不会打开升级面板
+        gameScene.handleMouseClick(end.x, end.y);
+        expect(bin.position).toEqual(end);
+        expect(trashBinSystem.selectedBin).toBeNull();
+        
+        gameScene.handleKeyInput('Ctrl+z');
+        expect(bin.position).toEqual(start);
+        gameScene.handleKeyInput('Ctrl+y');
+        expect(bin.position).toEqual(end);
+        
+        gameScene.handleMouseClick(end.x, end.y);
+        gameScene.handleKeyInput('Delete');
+        expect(trashBinSystem.getAllBins()).toHaveLength(0);
+        gameScene.handleKeyInput('Ctrl+Shift+z');
+        expect(trashBinSystem.getAllBins()).toHaveLength(0);
+        gameScene.handleKeyInput('Ctrl+z');
+        expect(trashBinSystem.getAllBins()).toEqual([bin]);
+    });
+
+    test('mouse down and up should be recorded for replays', () => {
+        const recorder = new InputRecorder();
+        recorder.start({ levelId: 1, seed: 1, ruleset: 'default' });
+        recorder.recordDown(3, 10, 20);
+        recorder.recordUp(5, 30, 40);
+        
+        expect(recorder.stop(6).inputs).toEqual([
+            { frame: 3, type: ReplayInputType.DOWN, x: 10, y: 20 },
+            { frame: 5, type: ReplayInputType.UP, x: 30, y: 40 }
+        ]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,168 @@
+/**
+ * 垃圾桶升级与局内金币测试
+ */
+import { jest } from '@jest/globals';
+import { TrashBin } from '../src/js/entities/TrashBin.js';
+import { TrashZombie } from '../src/js/entities/TrashZombie.js';
+import { GameScene } from '../src/js/scenes/GameScene.js';
+import { Vector2 } from '../src/js/core/Vector2.js';
+import { TrashBinType, TrashType, GameConfig } from '../src/js/config/GameConfig.js';
+import { createWorld } from './helpers/fixtures.js';
+
+const upgradeConfig = GameConfig.binUpgrades;
+
+describe('TrashBin upgrades', () => {
+    test('radius upgrades should grow the collider and collection range', () => {
+        const bin = new TrashBin(TrashBinType.KITCHEN_WASTE, new Vector2(600, 150));
+        const baseRadius = bin.collectRadius;
+        
+        expect(bin.applyUpgrade('radius')).toBe(true);
+        expect(bin.applyUpgrade('radius')).toBe(true);
+        
+        expect(bin.collectRadius).toBe(baseRadius + upgradeConfig.options.radius.radiusBonus * 2);
+        expect(bin.getComponent('Collider').bounds.radius).toBe(bin.collectRadius);
+        expect(bin.getStats().upgrades.radius).toBe(2);
+    });
+
+    test('upgrade tree should enforce prerequisites and max level', () => {
+        const bin = new TrashBin(TrashBinType.KITCHEN_WASTE, new Vector2(600, 150));
+        
+        expect(bin.checkUpgrade('multiCatch').canUpgrade).toBe(false);
+        expect(bin.checkUpgrade('multiCatch').reason).toBe('需要先将快速咀嚼升到 1 级');
+        expect(bin.checkUpgrade('slow').canUpgrade).toBe(false);
+        
+        bin.applyUpgrade('speed');
+        expect(bin.chewCooldown).toBeCloseTo(upgradeConfig.baseChewCooldown * upgradeConfig.options.speed.cooldownFactor);
+        expect(bin.applyUpgrade('multiCatch')).toBe(true);
+        expect(bin.catchSlots).toBe(2);
+        
+        expect(bin.getUpgradeCost('multiCatch')).toBeNull();
+        expect(bin.checkUpgrade('multiCatch').reason).toBe('已达最高等级');
+        expect(bin.checkUpgrade('unknown').canUpgrade).toBe(false);
+    });
+
+    test('bins should chew for a cooldown after each catch', () => {
+        const bin = new TrashBin(TrashBinType.KITCHEN_WASTE, new Vector2(600, 150));
+        
+        expect(bin.canCatch()).toBe(true);
+        const result = bin.collect(new TrashZombie(TrashType.KITCHEN_WASTE, 1, new Vector2(600, 150)));
+        expect(result.coins).toBe(upgradeConfig.coinsPerCorrect);
+        expect(bin.canCatch()).toBe(false);
+        
+        bin.update(upgradeConfig.baseChewCooldown - 1);
+        expect(bin.canCatch()).toBe(false);
+        bin.update(1);
+        expect(bin.canCatch()).toBe(true);
+        expect(bin.collect(new TrashZombie(TrashType.HAZARDOUS, 1, new Vector2(600, 150))).coins).toBe(0);
+    });
+});
+
+describe('TrashBinSystem coins and upgrade panel', () => {
+    test('upgrades should cost coins', () => {
+        const { trashBinSystem } = createWorld();
+        const bin = trashBinSystem.placeBin(600, 150).bin;
+        
+        expect(trashBinSystem.coins).toBe(upgradeConfig.startingCoins);
+        expect(trashBinSystem.upgradeBin(bin, 'radius')).toEqual({ success: false, reason: '金币不足' });
+        expect(bin.getUpgradeLevel('radius')).toBe(0);
+        
+        trashBinSystem.addCoins(15);
+        expect(trashBinSystem.upgradeBin(bin, 'radius')).toEqual({ success: true, level: 1 });
+        expect(trashBinSystem.coins).toBe(5);
+        
+        trashBinSystem.resetCoins();
+        expect(trashBinSystem.coins).toBe(upgradeConfig.startingCoins);
+    });
+
+    test('clicking a bin should open the panel for click and key upgrades', () => {
+        const { trashBinSystem } = createWorld();
+        const onBinUpgraded = jest.fn();
+        trashBinSystem.setCallbacks({ onBinUpgraded });
+        const bin = trashBinSystem.placeBin(600, 150).bin;
+        trashBinSystem.addCoins(100);
+        
+        expect(trashBinSystem.handleMouseClick(600, 150).action).toBe('select');
+        expect(trashBinSystem.selectedBin).toBe(bin);
+        expect(bin.isSelected).toBe(true);
+        
+        // 点击面板上的“快速咀嚼”一行
+        const row = trashBinSystem.getUpgradePanelLayout().rows.find(row => row.upgradeId === 'speed');
+        const click = trashBinSystem.handleMouseClick(row.x + 10, row.y + 10);
+        expect(click.action).toBe('upgrade');
+        expect(click.result.success).toBe(true);
+        
+        // 字母键升级
+        trashBinSystem.handleKeyInput('e');
+        expect(bin.catchSlots).toBe(2);
+        expect(onBinUpgraded).toHaveBeenLastCalledWith(bin, 'multiCatch', 1);
+        expect(trashBinSystem.coins).toBe(100 - 10 - 40);
+        
+        // 点击空白处关闭面板而不放置垃圾桶
+        expect(trashBinSystem.handleMouseClick(300, 150).action).toBe('deselect');
+        expect(trashBinSystem.selectedBin).toBeNull();
+        expect(trashBinSystem.getAllBins()).toHaveLength(1);
+    });
+});
+
+describe('Upgraded bins in the collection system', () => {
+    test('a chewing bin should let trash pass until multi-catch is bought', () => {
+        const { trashBinSystem, collectionSystem } = createWorld();
+        const bin = trashBinSystem.placeBin(600, 150).bin;
+        const first = new TrashZombie(TrashType.KITCHEN_WASTE, 1, new Vector2(600, 150));
+        const second = new TrashZombie(TrashType.KITCHEN_WASTE, 1, new Vector2(600, 150));
+        collectionSystem.addTrashZombie(first);
+        collectionSystem.addTrashZombie(second);
+        
+        collectionSystem.checkCollections(16);
+        expect(first.isCollected).toBe(true);
+        expect(second.isCollected).toBe(false);
+        
+        // 升级双口吞后同一帧可以吞下两件
+        bin.update(upgradeConfig.baseChewCooldown);
+        bin.applyUpgrade('speed');
+        bin.applyUpgrade('multiCatch');
+        const third = new TrashZombie(TrashType.KITCHEN_WASTE, 1, new Vector2(600, 150));
+        collectionSystem.addTrashZombie(third);
+        
+        collectionSystem.checkCollections(16);
+        expect(second.isCollected).toBe(true);
+        expect(third.isCollected).toBe(true);
+    });
+
+    test('slow aura should slow trash passing nearby', () => {
+        const { trashBinSystem, zombieSystem, collectionSystem } = createWorld({ seed: 1 });
+        const bin = trashBinSystem.placeBin(920, 150).bin;
+        bin.applyUpgrade('radius');
+        bin.applyUpgrade('slow');
+        
+        const zombie = zombieSystem.spawnZombie('banana_peel', 1, { speed: 100 });
+        collectionSystem.addTrashZombie(zombie);
+        
+        // 起点 (1100, 150) 在光环外，以原速走过 1 秒
+        collectionSystem.applySlowAuras();
+        zombieSystem.update(1000);
+        expect(zombie.trackDistance).toBeCloseTo(100);
+        
+        // 距垃圾桶约 80 像素，进入半径 100 的光环
+        collectionSystem.applySlowAuras();
+        expect(zombie.speedFactor).toBe(upgradeConfig.options.slow.slowFactors[0]);
+        zombieSystem.update(1000);
+        expect(zombie.trackDistance).toBeCloseTo(100 + 100 * upgradeConfig.options.slow.slowFactors[0]);
+        zombieSystem.destroy();
+    });
+});
+
+describe('Coins in GameScene', () => {
+    test('correct classifications should earn coins that reset on restart', () => {
+        const gameScene = new GameScene();
+        gameScene.init();
+        expect(gameScene.loadLevel(1)).toBe(true);
+        
+        const bin = new TrashBin(TrashBinType.KITCHEN_WASTE, new Vector2(600, 150));
+        gameScene.collectionSystem.performCollection(new TrashZombie(TrashType.KITCHEN_WASTE, 1, new Vector2(600, 150)), bin);
+        expect(gameScene.trashBinSystem.coins).toBe(upgradeConfig.coinsPerCorrect);
+        
+        gameScene.restartLevel();
+        expect(gameScene.trashBinSystem.coins).toBe(upgradeConfig.startingCoins);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * Boss 波次与多部件垃圾测试
+ */
+import { jest } from '@jest/globals';
+import { Entity } from '../src/js/ecs/Entity.js';
+import { WaveScheduler } from '../src/js/systems/WaveScheduler.js';
+import { LevelData, LevelSystem } from '../src/js/systems/LevelSystem.js';
+import { HUDSystem } from '../src/js/ui/HUDSystem.js';
+import { SeededRandom } from '../src/js/core/SeededRandom.js';
+import { GameConfig, TrashBinType, TrashType } from '../src/js/config/GameConfig.js';
+import { createWorld } from './helpers/fixtures.js';
+
+function placeBin(trashBinSystem, binType, x) {
+    trashBinSystem.selectBin(binType);
+    return trashBinSystem.placeBin(x, 150).bin;
+}
+
+describe('Entity hierarchy', () => {
+    test('children should be re-parented, found from their root and destroyed with the parent', () => {
+        const parent = new Entity();
+        const other = new Entity();
+        const child = new Entity();
+        const grandChild = new Entity();
+        
+        other.addChild(child);
+        parent.addChild(child);
+        child.addChild(grandChild);
+        expect(other.getChildren()).toEqual([]);
+        expect(parent.getChildren()).toEqual([child]);
+        expect(grandChild.getRoot()).toBe(parent);
+        
+        parent.destroy();
+        expect(child.active).toBe(false);
+        expect(grandChild.active).toBe(false);
+        expect(parent.getChildren()).toEqual([]);
+        expect(child.parent).toBeNull();
+    });
+});
+
+describe('Boss zombies', () => {
+    test('parts should spawn as collectable trash and ride along with the boss', () => {
+        const callbacks = { onBossSpawned: jest.fn() };
+        const { zombieSystem, collectionSystem } = createWorld({ linkCollection: true, callbacks });
+        zombieSystem.maxActiveZombies = 0;
+        const boss = zombieSystem.spawnBoss('delivery_package', 1, { speed: 50 });
+        
+        expect(boss).not.toBeNull();
+        expect(callbacks.onBossSpawned).toHaveBeenCalledWith(boss, expect.anything());
+        expect(collectionSystem.activeTrashZombies.map(part => part.itemId))
+            .toEqual(['cardboard_box', 'fruit_peel', 'expired_medicine']);
+        expect(boss.getHealth()).toBe(3);
+        
+        const part = boss.getChildren()[0];
+        const before = part.getComponent('Transform').position.clone();
+        zombieSystem.update(1000);
+        const after = part.getComponent('Transform').position;
+        
+        // 部件随 Boss 前进（向左），Boss 速度按配置放慢
+        expect(before.x - after.x).toBeCloseTo(50 * GameConfig.bosses.delivery_package.speed);
+        expect(part.getRoot()).toBe(boss);
+        expect(zombieSystem.activeZombies).toEqual([boss]);
+        expect(zombieSystem.spawnBoss('fridge_of_doom', 1)).toBeNull();
+    });
+
+    test('each part must be routed into its own bin to defeat the boss', () => {
+        const callbacks = { onBossDefeated: jest.fn() };
+        const { trashBinSystem, zombieSystem, collectionSystem } = createWorld({ linkCollection: true, callbacks });
+        placeBin(trashBinSystem, TrashBinType.RECYCLABLE, 700);
+        placeBin(trashBinSystem, TrashBinType.KITCHEN_WASTE, 500);
+        placeBin(trashBinSystem, TrashBinType.HAZARDOUS, 300);
+        const boss = zombieSystem.spawnBoss('delivery_package', 1);
+        
+        for (const [distance, itemId] of [[400, 'cardboard_box'], [200, 'fruit_peel'], [200, 'expired_medicine']]) {
+            boss.shiftAlongTrack(distance);
+            collectionSystem.checkCollections(16);
+            zombieSystem.update(16);
+            expect(boss.getChildren().map(part => part.itemId)).not.toContain(itemId);
+        }
+        
+        expect(collectionSystem.getCollectionStats().correct).toBe(3);
+        expect(boss.isDefeated).toBe(true);
+        expect(callbacks.onBossDefeated).toHaveBeenCalledWith(boss);
+        expect(zombieSystem.getActiveBosses()).toEqual([]);
+    });
+
+    test('a part caught by the wrong bin should stay on the boss', () => {
+        const { trashBinSystem, zombieSystem, collectionSystem } = createWorld({ linkCollection: true });
+        placeBin(trashBinSystem, TrashBinType.OTHER, 700);
+        const boss = zombieSystem.spawnBoss('delivery_package', 1);
+        
+        boss.shiftAlongTrack(400);
+        collectionSystem.checkCollections(16);
+        zombieSystem.update(16);
+        
+        const cardboard = boss.getChildren()[0];
+        expect(cardboard.isInRetryMode).toBe(true);
+        expect(cardboard.parent).toBe(boss);
+        expect(boss.getHealth()).toBe(3);
+    });
+
+    test('a boss reaching the end should take its remaining parts with it', () => {
+        const callbacks = { onZombieReachedEnd: jest.fn() };
+        const { zombieSystem, collectionSystem } = createWorld({ linkCollection: true, callbacks });
+        const boss = zombieSystem.spawnBoss('broken_tv', 1);
+        
+        boss.shiftAlongTrack(boss.track.length);
+        zombieSystem.update(16);
+        
+        expect(callbacks.onZombieReachedEnd).toHaveBeenCalledWith(boss);
+        expect(zombieSystem.activeZombies).toEqual([]);
+        expect(collectionSystem.activeTrashZombies).toEqual([]);
+        expect(boss.active).toBe(false);
+    });
+});
+
+describe('Boss waves', () => {
+    test('the boss should open its wave and its parts should count towards the level', () => {
+        const script = {
+            waves: [{ count: 2, interval: 1000, boss: 'broken_tv', speed: 1.2, mix: { [TrashType.RECYCLABLE]: 1 } }]
+        };
+        const scheduler = new WaveScheduler(script, { rng: new SeededRandom(1) });
+        
+        expect(scheduler.timeline.map(event => event.time)).toEqual([0, 1000, 2000]);
+        expect(scheduler.timeline[0]).toMatchObject({ boss: 'broken_tv', speedMultiplier: 1.2 });
+        expect(WaveScheduler.countSpawns(script)).toBe(2 + GameConfig.bosses.broken_tv.parts.length);
+    });
+
+    test('levels 3-5 should end with a boss wave', () => {
+        for (const levelConfig of GameConfig.levels) {
+            const waves = GameConfig.waveScripts[levelConfig.spawnPattern].waves;
+            expect(Boolean(waves[waves.length - 1].boss)).toBe(levelConfig.id >= 3);
+        }
+    });
+
+    test('wave scripts should spawn the boss through the spawn queue', () => {
+        const callbacks = { onBossSpawned: jest.fn() };
+        const { zombieSystem } = createWorld({ linkCollection: true, callbacks });
+        zombieSystem.loadWaveScript({ waves: [{ count: 0, boss: 'old_fridge', tracks: [1] }] });
+        zombieSystem.update(16);
+        
+        expect(callbacks.onBossSpawned).toHaveBeenCalledTimes(1);
+        expect(zombieSystem.getActiveBosses()[0].bossId).toBe('old_fridge');
+        expect(zombieSystem.isWaveScriptFinished()).toBe(true);
+    });
+
+    test('level validation should reject unknown bosses', () => {
+        const base = { trackCount: 1, trashTypes: Object.values(TrashType), timeLimit: 60 };
+        expect(LevelSystem.validateLevelConfig({ ...base, waves: [{ count: 0, boss: 'broken_tv' }] })).toEqual([]);
+        expect(LevelSystem.validateLevelConfig({ ...base, waves: [{ count: 1, boss: 'giant_sofa' }] }))
+            .toContain('波次的 Boss 无效');
+        expect(new LevelData(GameConfig.levels[2]).zombieCount).toBe(GameConfig.levels[2].zombieCount);
+    });
+});
+
+describe('Boss health bar', () => {
+    test('the HUD should show remaining parts and hide without a boss', () => {
+        const { zombieSystem } = createWorld({ linkCollection: true });
+        const boss = zombieSystem.spawnBoss('broken_tv', 1);
+        const hudSystem = new HUDSystem();
+        
+        hudSystem.updateBossHealth(boss);
+        const element = hudSystem.getElement('bossHealth');
+        expect(element.format).toBe('health');
+        expect(element.value).toBe(4);
+        expect(element.maxValue).toBe(4);
+        
+        boss.getChildren()[0].isCollected = true;
+        hudSystem.updateBossHealth(boss);
+        expect(element.value).toBe(3);
+        
+        hudSystem.updateBossHealth(null);
+        expect(hudSystem.getElement('bossHealth')).toBeUndefined();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * 分类规则集测试
+ */
+import { rulesetManager, RulesetManager, ClassificationRulesets } from '../src/js/config/ClassificationRulesets.js';
+import { trashCatalog } from '../src/js/config/TrashCatalog.js';
+import { TrashBin } from '../src/js/entities/TrashBin.js';
+import { TrashBinSystem } from '../src/js/systems/TrashBinSystem.js';
+import { TrackSystem } from '../src/js/systems/TrackSystem.js';
+import { CollectionSystem } from '../src/js/systems/CollectionSystem.js';
+import { GameStatistics } from '../src/js/data/StatisticsManager.js';
+import { Vector2 } from '../src/js/core/Vector2.js';
+import { TrashType, TrashBinType, GameConfig } from '../src/js/config/GameConfig.js';
+
+describe('ClassificationRuleset', () => {
+    afterEach(() => {
+        rulesetManager.setActiveRuleset('standard');
+    });
+
+    test('should register all built-in rulesets', () => {
+        const ids = rulesetManager.getAllRulesets().map(ruleset => ruleset.id);
+        expect(ids).toEqual(expect.arrayContaining(['standard', 'shanghai', 'beijing', 'shenzhen', 'germany', 'japan']));
+        expect(rulesetManager.getActiveRuleset().id).toBe('standard');
+    });
+
+    test('standard ruleset should match GameConfig bins', () => {
+        const ruleset = rulesetManager.getRuleset('standard');
+        
+        expect(ruleset.getBinTypes()).toEqual([1, 2, 3, 4]);
+        for (const binType of ruleset.getBinTypes()) {
+            expect(ruleset.getBinConfig(binType).collectTypes).toEqual(GameConfig.trashBins[binType].collectTypes);
+        }
+        expect(ruleset.getCorrectBinType(TrashType.HAZARDOUS)).toBe(TrashBinType.HAZARDOUS);
+        expect(ruleset.getCorrectBinType('big_bone')).toBe(TrashBinType.OTHER);
+    });
+
+    test('every catalog item should map to an existing bin in every ruleset', () => {
+        for (const id of Object.keys(ClassificationRulesets)) {
+            const ruleset = rulesetManager.getRuleset(id);
+            for (const item of trashCatalog.getAllItems()) {
+                expect(ruleset.hasBin(ruleset.getCorrectBinType(item.id))).toBe(true);
+            }
+        }
+    });
+
+    test('regional rulesets should override item mappings', () => {
+        const germany = rulesetManager.getRuleset('germany');
+        expect(germany.getBinTypes()).toHaveLength(6);
+        expect(germany.getCorrectBinType('glass_bottle')).toBe(6);
+        expect(germany.getCorrectBinType('newspaper')).toBe(TrashBinType.RECYCLABLE);
+        expect(germany.getCorrectBinType('plastic_bottle')).toBe(5);
+        
+        const japan = rulesetManager.getRuleset('japan');
+        expect(japan.getCorrectBinType('big_bone')).toBe(japan.getCorrectBinType('banana_peel'));
+        expect(japan.getCorrectBinType('broken_porcelain')).toBe(TrashBinType.OTHER);
+        
+        const shanghai = rulesetManager.getRuleset('shanghai');
+        expect(shanghai.getBinConfig(TrashBinType.OTHER).name).toBe('干垃圾桶');
+        expect(shanghai.getCorrectBinType('plastic_bag')).toBe(TrashBinType.OTHER);
+        
+        const beijing = rulesetManager.getRuleset('beijing');
+        const shenzhen = rulesetManager.getRuleset('shenzhen');
+        expect(beijing.getCorrectBinType('big_bone')).toBe(TrashBinType.KITCHEN_WASTE);
+        expect(shenzhen.getCorrectBinType('big_bone')).toBe(TrashBinType.OTHER);
+        expect(beijing.getCorrectBinType('big_bone')).not.toBe(shenzhen.getCorrectBinType('big_bone'));
+    });
+
+    test('should ignore unknown rulesets', () => {
+        const manager = new RulesetManager();
+        expect(manager.setActiveRuleset('atlantis')).toBe(false);
+        expect(manager.getActiveRuleset().id).toBe('standard');
+    });
+});
+
+describe('Ruleset consumers', () => {
+    afterEach(() => {
+        rulesetManager.setActiveRuleset('standard');
+    });
+
+    test('TrashBin.canCollect should resolve through its ruleset', () => {
+        rulesetManager.setActiveRuleset('japan');
+        const burnableBin = new TrashBin(TrashBinType.KITCHEN_WASTE, new Vector2(0, 0));
+        
+        expect(burnableBin.config.name).toBe('可燃垃圾桶');
+        expect(burnableBin.canCollect('banana_peel')).toBe(true);
+        expect(burnableBin.canCollect('diaper')).toBe(true);
+        expect(burnableBin.canCollect('aluminum_can')).toBe(false);
+    });
+
+    test('CollectionSystem.getCorrectBinType should use the active ruleset', () => {
+        const trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(1);
+        const collectionSystem = new CollectionSystem(new TrashBinSystem(trackSystem));
+        
+        expect(collectionSystem.getCorrectBinType('glass_bottle')).toBe(TrashBinType.RECYCLABLE);
+        rulesetManager.setActiveRuleset('germany');
+        expect(collectionSystem.getCorrectBinType('glass_bottle')).toBe(6);
+    });
+
+    test('TrashBinSystem should select bins from the active ruleset', () => {
+        const trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(1);
+        const binSystem = new TrashBinSystem(trackSystem);
+        
+        binSystem.handleKeyInput('6');
+        expect(binSystem.getSelectedBinType()).toBe(TrashBinType.KITCHEN_WASTE);
+        
+        rulesetManager.setActiveRuleset('germany');
+        binSystem.handleKeyInput('6');
+        expect(binSystem.getSelectedBinType()).toBe(6);
+        expect(binSystem.getSelectedBinConfig().name).toBe('玻璃回收箱');
+        
+        rulesetManager.setActiveRuleset('standard');
+        binSystem.applyRuleset();
+        expect(binSystem.getSelectedBinType()).toBe(TrashBinType.KITCHEN_WASTE);
+    });
+
+    test('statistics should count the extra bins of the Germany ruleset', () => {
+        rulesetManager.setActiveRuleset('germany');
+        const ruleset = rulesetManager.getActiveRuleset();
+        const statistics = new GameStatistics();
+        statistics.startLevel(1);
+        
+        statistics.recordCorrectClassification('glass_bottle', ruleset.getCorrectBinType('glass_bottle'));
+        statistics.recordCorrectClassification('glass_bottle', ruleset.getCorrectBinType('glass_bottle'));
+        statistics.recordCorrectClassification('plastic_bottle', ruleset.getCorrectBinType('plastic_bottle'));
+        
+        expect(statistics.sessionStats.binUsage).toMatchObject({ 5: 1, 6: 2 });
+        expect(statistics.getLevelStats(1).stats.binUsage).toMatchObject({ 5: 1, 6: 2 });
+        expect(statistics.getMostUsedBin()).toBe('6');
+        expect(statistics.generateRecommendations().map(recommendation => recommendation.type)).toContain('balance');
+    });
+});
\ No newline at end of file
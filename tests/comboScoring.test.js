@@ -0,0 +1,93 @@
+/**
+ * 连击计分测试
+ */
+import { jest } from '@jest/globals';
+import { ComboSystem } from '../src/js/systems/ComboSystem.js';
+import { CollectionSystem } from '../src/js/systems/CollectionSystem.js';
+import { TrashBin } from '../src/js/entities/TrashBin.js';
+import { TrashZombie } from '../src/js/entities/TrashZombie.js';
+import { Vector2 } from '../src/js/core/Vector2.js';
+import { TrashBinType, TrashType, GameConfig } from '../src/js/config/GameConfig.js';
+
+const { correctScore } = GameConfig.gameplay;
+const [firstTier, secondTier] = GameConfig.combo.tiers;
+
+describe('ComboSystem', () => {
+    test('consecutive correct classifications should raise the multiplier at each tier', () => {
+        const combo = new ComboSystem();
+        const results = [];
+        for (let i = 0; i < secondTier.combo; i++) {
+            results.push(combo.recordCorrect(correctScore));
+        }
+        
+        expect(results[firstTier.combo - 2]).toMatchObject({ multiplier: 1, points: correctScore, milestone: null });
+        expect(results[firstTier.combo - 1]).toMatchObject({
+            combo: firstTier.combo,
+            multiplier: firstTier.multiplier,
+            points: Math.round(correctScore * firstTier.multiplier),
+            milestone: firstTier
+        });
+        expect(results[firstTier.combo].milestone).toBeNull();
+        expect(results[secondTier.combo - 1].milestone).toBe(secondTier);
+        expect(combo.getStats()).toMatchObject({ combo: secondTier.combo, multiplier: secondTier.multiplier, tierName: secondTier.name });
+    });
+
+    test('breaking the combo should drop the multiplier but keep the best combo', () => {
+        const combo = new ComboSystem();
+        for (let i = 0; i < firstTier.combo; i++) combo.recordCorrect(correctScore);
+        
+        expect(combo.breakCombo()).toBe(firstTier.combo);
+        expect(combo.getMultiplier()).toBe(1);
+        expect(combo.bestCombo).toBe(firstTier.combo);
+        
+        combo.reset();
+        expect(combo.bestCombo).toBe(0);
+    });
+});
+
+describe('CollectionSystem combo scoring', () => {
+    let collectionSystem;
+    let bin;
+
+    function collect(trashType) {
+        const trash = new TrashZombie(trashType, 1, new Vector2(600, 150));
+        collectionSystem.performCollection(trash, bin);
+        bin.update(GameConfig.binUpgrades.baseChewCooldown);
+        bin.fillLevel = 0;
+        return trash;
+    }
+
+    beforeEach(() => {
+        collectionSystem = new CollectionSystem(null);
+        bin = new TrashBin(TrashBinType.KITCHEN_WASTE, new Vector2(600, 150));
+    });
+
+    test('points should be multiplied and milestones announced', () => {
+        const onCorrectCollection = jest.fn();
+        const onComboMilestone = jest.fn();
+        collectionSystem.setCallbacks({ onCorrectCollection, onComboMilestone });
+        
+        for (let i = 0; i < firstTier.combo; i++) collect(TrashType.KITCHEN_WASTE);
+        
+        const lastResult = onCorrectCollection.mock.calls[firstTier.combo - 1][2];
+        expect(lastResult).toMatchObject({ combo: firstTier.combo, points: Math.round(correctScore * firstTier.multiplier) });
+        expect(onComboMilestone).toHaveBeenCalledTimes(1);
+        expect(onComboMilestone).toHaveBeenCalledWith(firstTier.combo, firstTier, bin);
+        expect(collectionSystem.feedbackSystem.messages.map(message => message.text))
+            .toContain(`${firstTier.combo} 连击！${firstTier.name}`);
+    });
+
+    test('a wrong bin or an escape should reset the combo', () => {
+        collect(TrashType.KITCHEN_WASTE);
+        collect(TrashType.KITCHEN_WASTE);
+        expect(collectionSystem.comboSystem.combo).toBe(2);
+        
+        collect(TrashType.HAZARDOUS);
+        expect(collectionSystem.comboSystem.combo).toBe(0);
+        
+        collect(TrashType.KITCHEN_WASTE);
+        collectionSystem.handleTrashEscaped(new TrashZombie(TrashType.OTHER, 1, new Vector2(100, 150)));
+        expect(collectionSystem.comboSystem.combo).toBe(0);
+        expect(collectionSystem.comboSystem.bestCombo).toBe(2);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,200 @@
+/**
+ * 弯曲与多段轨道测试
+ */
+import { TrackPath } from '../src/js/utils/TrackPath.js';
+import { Track } from '../src/js/entities/Track.js';
+import { TrackSystem } from '../src/js/systems/TrackSystem.js';
+import { TrashZombieSystem } from '../src/js/systems/TrashZombieSystem.js';
+import { LevelSystem } from '../src/js/systems/LevelSystem.js';
+import { LevelEditorScene } from '../src/js/scenes/LevelEditorScene.js';
+import { SeededRandom } from '../src/js/core/SeededRandom.js';
+import { Vector2 } from '../src/js/core/Vector2.js';
+
+// L 形折线：先向左 400，再向下 300
+const cornerGeometry = {
+    start: { x: 900, y: 200 },
+    end: { x: 500, y: 500 },
+    width: 80,
+    waypoints: [{ x: 500, y: 200 }]
+};
+
+// 三次贝塞尔 S 弯
+const sBendGeometry = {
+    start: { x: 1100, y: 200 },
+    end: { x: 100, y: 500 },
+    width: 80,
+    controls: [{ x: 400, y: 200 }, { x: 800, y: 500 }]
+};
+
+describe('TrackPath', () => {
+    test('straight path should match the segment', () => {
+        const path = TrackPath.fromGeometry(new Vector2(100, 0), new Vector2(0, 0));
+        
+        expect(path.isStraight()).toBe(true);
+        expect(path.length).toBe(100);
+        expect(path.getPointAtProgress(0.25)).toEqual(new Vector2(75, 0));
+        expect(path.getTangentAtDistance(10)).toEqual(new Vector2(-1, 0));
+    });
+
+    test('polyline should measure arc length across corners', () => {
+        const path = TrackPath.fromGeometry(cornerGeometry.start, cornerGeometry.end, cornerGeometry);
+        
+        expect(path.length).toBe(700);
+        expect(path.getPointAtDistance(400)).toEqual(new Vector2(500, 200));
+        expect(path.getPointAtDistance(550)).toEqual(new Vector2(500, 350));
+        expect(path.getTangentAtDistance(100)).toEqual(new Vector2(-1, 0));
+        expect(path.getTangentAtDistance(500)).toEqual(new Vector2(0, 1));
+    });
+
+    test('bezier path should pass through its endpoints and bend toward controls', () => {
+        const path = TrackPath.fromGeometry(sBendGeometry.start, sBendGeometry.end, sBendGeometry);
+        
+        expect(path.points[0]).toEqual(new Vector2(1100, 200));
+        expect(path.points[path.points.length - 1]).toEqual(new Vector2(100, 500));
+        expect(path.length).toBeGreaterThan(Vector2.distance(path.points[0], path.points[path.points.length - 1]));
+        
+        const midpoint = TrackPath.getBezierPoint([
+            new Vector2(1100, 200), new Vector2(400, 200), new Vector2(800, 500), new Vector2(100, 500)
+        ], 0.5);
+        expect(path.getDistanceToPoint(midpoint)).toBeLessThan(0.001);
+    });
+
+    test('smooth waypoints should pass through every waypoint', () => {
+        const path = TrackPath.fromGeometry(cornerGeometry.start, cornerGeometry.end, { ...cornerGeometry, smooth: true });
+        
+        expect(path.isStraight()).toBe(false);
+        expect(path.getDistanceToPoint(new Vector2(500, 200))).toBeLessThan(0.001);
+        expect(path.getDistanceToPoint(new Vector2(500, 500))).toBeLessThan(0.001);
+    });
+
+    test('project should return the nearest point and distance along the path', () => {
+        const path = TrackPath.fromGeometry(cornerGeometry.start, cornerGeometry.end, cornerGeometry);
+        const projection = path.project(new Vector2(520, 400));
+        
+        expect(projection.position).toEqual(new Vector2(500, 400));
+        expect(projection.distance).toBe(600);
+        expect(projection.progress).toBeCloseTo(600 / 700);
+        expect(projection.distanceToPath).toBe(20);
+    });
+});
+
+describe('Curved Track', () => {
+    test('placement should follow the curve instead of the start-end chord', () => {
+        const track = Track.fromGeometry(1, cornerGeometry);
+        
+        // 弦线中点不在轨道上，拐角附近的竖直段在轨道上
+        expect(track.isPointOnTrack(700, 350)).toBe(false);
+        expect(track.isPointOnTrack(510, 350)).toBe(true);
+        expect(track.canPlaceBin(new Vector2(500, 350), 20)).toBe(true);
+        expect(track.canPlaceBin(new Vector2(700, 350), 20)).toBe(false);
+        
+        const best = track.getBestPlacementPosition(new Vector2(560, 300), 20);
+        expect(best).toEqual(new Vector2(500, 300));
+    });
+
+    test('progress, position and direction should be measured along the path', () => {
+        const track = Track.fromGeometry(1, cornerGeometry);
+        
+        expect(track.isCurved()).toBe(true);
+        expect(track.length).toBe(700);
+        expect(track.direction).toEqual(new Vector2(-1, 0));
+        expect(track.getPositionAtProgress(0.5)).toEqual(new Vector2(550, 200));
+        expect(track.getProgressAlongTrack(new Vector2(500, 250))).toBeCloseTo(450 / 700);
+        expect(track.getDirectionAtProgress(0.9)).toEqual(new Vector2(0, 1));
+    });
+
+    test('bounds should cover the whole curve', () => {
+        const bounds = Track.fromGeometry(1, cornerGeometry).getBounds();
+        
+        expect(bounds.minX).toBe(460);
+        expect(bounds.maxX).toBe(900);
+        expect(bounds.minY).toBe(160);
+        expect(bounds.maxY).toBe(500);
+    });
+
+    test('TrackSystem should build curved tracks from a layout', () => {
+        const trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(2, [cornerGeometry, sBendGeometry]);
+        
+        expect(trackSystem.getTrackById(1).waypoints).toHaveLength(1);
+        expect(trackSystem.getTrackById(2).controls).toHaveLength(2);
+        expect(trackSystem.getTrackAtPosition(500, 400).id).toBe(1);
+        expect(trackSystem.getNearestTrack(new Vector2(520, 480)).id).toBe(1);
+    });
+});
+
+describe('Zombies on curved tracks', () => {
+    test('zombies should turn at corners and keep their lane offset', () => {
+        const trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(1, [cornerGeometry]);
+        const zombieSystem = new TrashZombieSystem(trackSystem, { rng: new SeededRandom(3) });
+        const zombie = zombieSystem.spawnZombie('banana_peel', 1, { speed: 100 });
+        const transform = zombie.getComponent('Transform');
+        const offset = zombie.laneOffset;
+        
+        for (let i = 0; i < 5; i++) {
+            zombieSystem.update(1000);
+        }
+        
+        // 走过 500 像素：已拐过拐角，沿竖直段向下 100
+        expect(zombie.progress).toBeCloseTo(500 / 700);
+        expect(transform.position.x).toBeCloseTo(500 - offset);
+        expect(transform.position.y).toBeCloseTo(300);
+        expect(zombie.getComponent('Movement').direction).toEqual(new Vector2(0, 1));
+        
+        zombieSystem.update(2000);
+        expect(zombie.progress).toBe(1);
+        zombieSystem.destroy();
+    });
+
+    test('zombies should stay on a bezier track for the whole run', () => {
+        const trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(1, [sBendGeometry]);
+        const track = trackSystem.getTrackById(1);
+        const zombieSystem = new TrashZombieSystem(trackSystem, { rng: new SeededRandom(5) });
+        const zombie = zombieSystem.spawnZombie('waste_battery', 1, { speed: 120 });
+        const transform = zombie.getComponent('Transform');
+        
+        while (zombie.progress < 1) {
+            zombieSystem.update(100);
+            expect(track.isPointOnTrack(transform.position.x, transform.position.y)).toBe(true);
+        }
+        zombieSystem.destroy();
+    });
+});
+
+describe('Curved track level data', () => {
+    test('validation should accept curves and reject malformed ones', () => {
+        const base = { trashTypes: ['recyclable'], timeLimit: 60, zombieCount: 5 };
+        
+        expect(LevelSystem.validateLevelConfig({ ...base, tracks: [cornerGeometry, sBendGeometry] })).toEqual([]);
+        expect(LevelSystem.validateLevelConfig({
+            ...base,
+            tracks: [{ ...sBendGeometry, controls: [{ x: 1 }] }]
+        })).toContain('轨道 1 的贝塞尔控制点必须是 1-2 个坐标');
+        expect(LevelSystem.validateLevelConfig({
+            ...base,
+            tracks: [{ ...cornerGeometry, controls: sBendGeometry.controls }]
+        })).toContain('轨道 1 不能同时使用拐点和贝塞尔控制点');
+    });
+
+    test('editor should add waypoints, smooth and straighten the selected track', () => {
+        const editor = new LevelEditorScene({ levelSystem: new LevelSystem() });
+        editor.newLevel();
+        editor.activePanel = 'tracks';
+        
+        editor.handleTracksKey('w');
+        editor.handleMouseClick(603, 398);
+        editor.handleTracksKey('c');
+        
+        const geometry = editor.getLevelConfig().tracks[0];
+        expect(geometry.waypoints).toEqual([{ x: 600, y: 400 }]);
+        expect(geometry.smooth).toBe(true);
+        expect(editor.buildTracks()[0].isCurved()).toBe(true);
+        expect(editor.validate()).toEqual([]);
+        
+        editor.handleTracksKey('x');
+        expect(editor.getLevelConfig().tracks[0].waypoints).toBeUndefined();
+        expect(editor.buildTracks()[0].isCurved()).toBe(false);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,183 @@
+/**
+ * 每日挑战测试
+ */
+import { jest } from '@jest/globals';
+import { DailyChallenge, DAILY_CHALLENGE_LEVEL_ID } from '../src/js/systems/DailyChallenge.js';
+import { LevelData } from '../src/js/systems/LevelSystem.js';
+import { GameScene } from '../src/js/scenes/GameScene.js';
+import { PlayerProgress, progressManager } from '../src/js/data/ProgressManager.js';
+import { rulesetManager } from '../src/js/config/ClassificationRulesets.js';
+
+describe('DailyChallenge', () => {
+    test('should generate the same challenge for the same date', () => {
+        const first = DailyChallenge.generate('2026-10-19');
+        const second = DailyChallenge.generate('2026-10-19');
+        const otherDay = DailyChallenge.generate('2026-10-20');
+        
+        expect(second).toEqual(first);
+        expect(otherDay.seed).not.toBe(first.seed);
+    });
+
+    test('should build a playable level with a fixed layout', () => {
+        for (const dateKey of ['2026-01-01', '2026-06-15', '2026-10-19']) {
+            const challenge = DailyChallenge.generate(dateKey);
+            const level = new LevelData(challenge.level);
+            
+            expect(level.id).toBe(DAILY_CHALLENGE_LEVEL_ID);
+            expect(level.trackCount).toBeGreaterThanOrEqual(2);
+            expect(level.trackCount).toBeLessThanOrEqual(4);
+            expect(level.trashTypes.length).toBeGreaterThanOrEqual(3);
+            expect(level.getWaveScript().waves).toHaveLength(3);
+            expect(level.zombieCount).toBeGreaterThanOrEqual(12);
+            expect(challenge.prePlacedBins).toHaveLength(level.trackCount);
+            expect(challenge.prePlacedBins.every(preset => preset.binType === challenge.bannedBinTypes[0])).toBe(true);
+        }
+    });
+
+    test('should compute date keys across month boundaries', () => {
+        expect(DailyChallenge.getDateKey(new Date(Date.UTC(2026, 0, 5)))).toBe('2026-01-05');
+        expect(DailyChallenge.getPreviousDateKey('2026-03-01')).toBe('2026-02-28');
+        expect(DailyChallenge.getPreviousDateKey('2026-01-01')).toBe('2025-12-31');
+    });
+    
+    test('should use the UTC date near midnight', () => {
+        expect(DailyChallenge.getDateKey(new Date('2026-10-18T23:59:59.999Z'))).toBe('2026-10-18');
+        expect(DailyChallenge.getDateKey(new Date('2026-10-19T00:00:00.000Z'))).toBe('2026-10-19');
+        expect(DailyChallenge.getDateKey(new Date('2026-10-19T00:30:00+08:00'))).toBe('2026-10-18');
+        expect(DailyChallenge.getPreviousDateKey('2026-10-19')).toBe('2026-10-18');
+    });
+});
+
+describe('Daily challenge progress', () => {
+    test('should only record the first attempt of a day', () => {
+        const progress = new PlayerProgress();
+        
+        expect(progress.hasPlayedDaily('2026-10-19')).toBe(false);
+        expect(progress.recordDailyResult({ dateKey: '2026-10-19', won: false, score: 40 })).toBe(true);
+        expect(progress.recordDailyResult({ dateKey: '2026-10-19', won: true, score: 150 })).toBe(false);
+        expect(progress.playerData.history.dailyChallenges['2026-10-19'].score).toBe(40);
+    });
+
+    test('should drive the daily streak achievement', () => {
+        const progress = new PlayerProgress();
+        
+        for (let day = 1; day <= 6; day++) {
+            progress.recordDailyResult({ dateKey: `2026-10-0${day}`, won: true, score: 10 });
+        }
+        expect(progress.playerData.history.dailyStreak).toBe(6);
+        expect(progress.playerData.achievements.unlocked).not.toContain('daily_player');
+        
+        // 中断一天后重新计数
+        progress.recordDailyResult({ dateKey: '2026-10-08', won: true, score: 10 });
+        expect(progress.playerData.history.dailyStreak).toBe(1);
+        
+        for (let day = 9; day <= 14; day++) {
+            progress.recordDailyResult({ dateKey: `2026-10-${String(day).padStart(2, '0')}`, won: true, score: 10 });
+        }
+        expect(progress.playerData.history.dailyStreak).toBe(7);
+        expect(progress.playerData.achievements.unlocked).toContain('daily_player');
+    });
+
+    test('should fill in new fields when merging saved data', () => {
+        const progress = new PlayerProgress();
+        const merged = progress.mergeWithDefaults({ history: { playDates: ['x'] } });
+        
+        expect(merged.history.playDates).toEqual(['x']);
+        expect(merged.history.dailyChallenges).toEqual({});
+        expect(merged.history.dailyStreak).toBe(0);
+    });
+});
+
+describe('GameScene daily challenge', () => {
+    const dateKey = '2026-10-19';
+    let hasPlayedSpy;
+    let recordSpy;
+
+    beforeEach(() => {
+        hasPlayedSpy = jest.spyOn(progressManager, 'hasPlayedDaily').mockReturnValue(false);
+        recordSpy = jest.spyOn(progressManager, 'recordDailyResult').mockReturnValue(true);
+    });
+
+    afterEach(() => {
+        hasPlayedSpy.mockRestore();
+        recordSpy.mockRestore();
+        rulesetManager.setActiveRuleset('standard');
+    });
+
+    function startDaily() {
+        const scene = new GameScene();
+        scene.init();
+        scene.startDailyChallenge(dateKey);
+        return scene;
+    }
+
+    test('should load the fixed layout with banned bins', () => {
+        const scene = startDaily();
+        const challenge = DailyChallenge.generate(dateKey);
+        const bannedType = challenge.bannedBinTypes[0];
+        
+        expect(scene.mode).toBe('daily');
+        expect(scene.currentSeed).toBe(challenge.seed);
+        expect(scene.trackSystem.getAllTracks()).toHaveLength(challenge.level.trackCount);
+        expect(scene.trashBinSystem.getAllBins()).toHaveLength(challenge.level.trackCount);
+        expect(scene.trashBinSystem.getAllBins().every(bin => bin.isFixed && bin.type === bannedType)).toBe(true);
+        
+        scene.handleKeyInput(String(bannedType));
+        expect(scene.trashBinSystem.getSelectedBinType()).not.toBe(bannedType);
+        expect(scene.trashBinSystem.getSelectableBinTypes()).not.toContain(bannedType);
+    });
+
+    test('should spawn the same trash for every player', () => {
+        const spawnedItems = (scene) => {
+            const items = [];
+            scene.trashZombieSystem.onZombieSpawned = (zombie) => items.push(`${zombie.itemId}@${zombie.trackId}`);
+            for (let i = 0; i < 60 * 20; i++) {
+                scene.update(1000 / 60);
+            }
+            return items;
+        };
+        
+        const first = spawnedItems(startDaily());
+        const second = spawnedItems(startDaily());
+        
+        expect(first.length).toBeGreaterThan(3);
+        expect(second).toEqual(first);
+    });
+
+    test('should score only the first attempt and count a restart as that attempt', () => {
+        const scene = startDaily();
+        
+        scene.restartLevel();
+        expect(recordSpy).toHaveBeenCalledTimes(1);
+        expect(recordSpy.mock.calls[0][0]).toEqual(expect.objectContaining({ dateKey, won: false }));
+        expect(scene.trashBinSystem.getAllBins()).toHaveLength(scene.dailyChallenge.prePlacedBins.length);
+        
+        scene.levelSystem.failCurrentLevel();
+        expect(recordSpy).toHaveBeenCalledTimes(1);
+        expect(scene.gameState).toBe('gameOver');
+    });
+
+    test('quitting to the menu mid-run should use up the scored attempt', () => {
+        const scene = startDaily();
+        scene.setSceneManager({ transitionTo: jest.fn() });
+        
+        scene.handleKeyInput('Escape');
+        expect(scene.gameState).toBe('paused');
+        scene.handleKeyInput('Escape');
+        
+        expect(scene.sceneManager.transitionTo).toHaveBeenCalledWith('menu');
+        expect(recordSpy).toHaveBeenCalledTimes(1);
+        expect(recordSpy.mock.calls[0][0]).toEqual(expect.objectContaining({ dateKey, won: false }));
+        expect(scene.dailyScored).toBe(false);
+    });
+
+    test('leaving the daily challenge should restore normal levels', () => {
+        const scene = startDaily();
+        scene.prepareStart('level', 1);
+        scene.init();
+        
+        expect(scene.mode).toBe('level');
+        expect(scene.isInRun).toBe(false);
+        expect(scene.trashBinSystem.getSelectableBinTypes()).toEqual([1, 2, 3, 4]);
+    });
+});
\ No newline at end of file
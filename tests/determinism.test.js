@@ -0,0 +1,159 @@
+/**
+ * 可复现模拟测试
+ */
+import { SeededRandom } from '../src/js/core/SeededRandom.js';
+import { GameClock } from '../src/js/core/GameClock.js';
+import { GameEngine } from '../src/js/core/GameEngine.js';
+import { TrashZombieSystem } from '../src/js/systems/TrashZombieSystem.js';
+import { TrackSystem } from '../src/js/systems/TrackSystem.js';
+import { ParticleSystem } from '../src/js/effects/ParticleSystem.js';
+import { Vector2 } from '../src/js/core/Vector2.js';
+import { GameConfig } from '../src/js/config/GameConfig.js';
+
+describe('SeededRandom', () => {
+    test('same seed should produce the same sequence', () => {
+        const a = new SeededRandom(42);
+        const b = new SeededRandom(42);
+        const sequenceA = Array.from({ length: 10 }, () => a.next());
+        const sequenceB = Array.from({ length: 10 }, () => b.next());
+        
+        expect(sequenceA).toEqual(sequenceB);
+        expect(sequenceA.every(value => value >= 0 && value < 1)).toBe(true);
+        expect(new SeededRandom(43).next()).not.toBe(sequenceA[0]);
+    });
+
+    test('string seeds and saved state should be reproducible', () => {
+        expect(new SeededRandom('2026-10-19').next()).toBe(new SeededRandom('2026-10-19').next());
+        
+        const rng = new SeededRandom(7);
+        rng.next();
+        const state = rng.getState();
+        const expected = [rng.next(), rng.next()];
+        
+        rng.setState(state);
+        expect([rng.next(), rng.next()]).toEqual(expected);
+    });
+
+    test('helpers should stay within range', () => {
+        const rng = new SeededRandom(1);
+        for (let i = 0; i < 50; i++) {
+            const value = rng.range(0.8, 1.2);
+            expect(value).toBeGreaterThanOrEqual(0.8);
+            expect(value).toBeLessThan(1.2);
+            expect(['a', 'b', 'c']).toContain(rng.pick(['a', 'b', 'c']));
+        }
+        expect(rng.pick([])).toBeNull();
+    });
+});
+
+describe('GameClock', () => {
+    test('should fire timers in order when advanced', () => {
+        const clock = new GameClock();
+        const fired = [];
+        
+        clock.schedule(500, () => fired.push('b'));
+        clock.schedule(100, () => fired.push('a'));
+        const cancelled = clock.schedule(200, () => fired.push('x'));
+        expect(clock.cancel(cancelled)).toBe(true);
+        
+        clock.advance(499);
+        expect(fired).toEqual(['a']);
+        clock.advance(1);
+        expect(fired).toEqual(['a', 'b']);
+        expect(clock.now()).toBe(500);
+        
+        clock.reset();
+        expect(clock.now()).toBe(0);
+        expect(clock.timers).toHaveLength(0);
+    });
+});
+
+describe('GameEngine fixed timestep', () => {
+    test('should update in fixed steps and keep the remainder for interpolation', () => {
+        const engine = new GameEngine();
+        const steps = [];
+        engine.update = (deltaTime) => steps.push(deltaTime);
+        
+        expect(engine.advanceFrame(engine.fixedTimeStep * 2.5)).toBe(2);
+        expect(steps).toEqual([engine.fixedTimeStep, engine.fixedTimeStep]);
+        expect(engine.interpolationAlpha).toBeCloseTo(0.5);
+        
+        // 卡顿后的补算被限制在 maxFrameTime 之内
+        steps.length = 0;
+        engine.advanceFrame(10000);
+        expect(steps.length).toBeLessThanOrEqual(Math.ceil(engine.maxFrameTime / engine.fixedTimeStep) + 1);
+    });
+});
+
+describe('Deterministic simulation', () => {
+    /**
+     * 以固定步长运行一段波次脚本，返回生成与移动结果的快照
+     */
+    function runSimulation(seed) {
+        const trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(3);
+        const zombieSystem = new TrashZombieSystem(trackSystem, { rng: new SeededRandom(seed) });
+        const spawned = [];
+        zombieSystem.setCallbacks({
+            onZombieSpawned: (zombie) => spawned.push(`${zombie.itemId}@${zombie.trackId}`)
+        });
+        zombieSystem.loadWaveScript(GameConfig.waveScripts.medium);
+        
+        for (let i = 0; i < 600; i++) {
+            zombieSystem.update(1000 / 60);
+        }
+        
+        const positions = zombieSystem.activeZombies.map(zombie => {
+            const position = zombie.getComponent('Transform').position;
+            return [position.x, position.y];
+        });
+        zombieSystem.destroy();
+        return { spawned, positions };
+    }
+
+    test('identical seeds should produce identical outcomes', () => {
+        const first = runSimulation(12345);
+        const second = runSimulation(12345);
+        
+        expect(first.spawned.length).toBeGreaterThan(0);
+        expect(second).toEqual(first);
+        expect(runSimulation(54321).spawned).not.toEqual(first.spawned);
+    });
+
+    test('zombies should advance along their track each step', () => {
+        const trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(1);
+        const zombieSystem = new TrashZombieSystem(trackSystem, { rng: new SeededRandom(1) });
+        const zombie = zombieSystem.spawnZombie('banana_peel', 1, { speed: 60 });
+        const transform = zombie.getComponent('Transform');
+        const startX = transform.position.x;
+        
+        zombieSystem.update(1000);
+        expect(transform.position.x).toBeCloseTo(startX - 60);
+        expect(transform.getInterpolatedPosition(0.5).x).toBeCloseTo(startX - 30);
+        zombieSystem.destroy();
+    });
+
+    test('collected zombies should be destroyed on the game clock', () => {
+        const trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(1);
+        const clock = new GameClock();
+        const zombieSystem = new TrashZombieSystem(trackSystem, { clock });
+        const zombie = zombieSystem.spawnZombie('banana_peel', 1);
+        
+        zombie.getCollected({ config: { name: '厨余垃圾桶' }, getComponent: () => null });
+        clock.advance(499);
+        expect(zombie.active).toBe(true);
+        clock.advance(1);
+        expect(zombie.active).toBe(false);
+    });
+
+    test('particles should use the injected generator', () => {
+        const a = new ParticleSystem({ rng: new SeededRandom(9) });
+        const b = new ParticleSystem({ rng: new SeededRandom(9) });
+        a.createSparkleEffect(new Vector2(0, 0));
+        b.createSparkleEffect(new Vector2(0, 0));
+        
+        expect(a.particles.map(p => [p.life, p.color])).toEqual(b.particles.map(p => [p.life, p.color]));
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * 无尽模式测试
+ */
+import { jest } from '@jest/globals';
+import { EndlessModeSystem } from '../src/js/systems/EndlessModeSystem.js';
+import { TrackSystem } from '../src/js/systems/TrackSystem.js';
+import { TrashZombieSystem } from '../src/js/systems/TrashZombieSystem.js';
+import { GameScene } from '../src/js/scenes/GameScene.js';
+import { MenuScene } from '../src/js/scenes/MenuScene.js';
+import { SceneManager } from '../src/js/core/SceneManager.js';
+import { PlayerProgress, progressManager } from '../src/js/data/ProgressManager.js';
+import { GameConfig } from '../src/js/config/GameConfig.js';
+
+describe('EndlessModeSystem', () => {
+    const config = GameConfig.endless;
+    let trackSystem;
+    let zombieSystem;
+    let endless;
+
+    beforeEach(() => {
+        trackSystem = new TrackSystem();
+        zombieSystem = new TrashZombieSystem(trackSystem);
+        endless = new EndlessModeSystem(trackSystem, zombieSystem);
+        endless.start();
+    });
+
+    afterEach(() => {
+        zombieSystem.destroy();
+    });
+
+    test('should start with one open track and auto spawn', () => {
+        expect(trackSystem.getAllTracks()).toHaveLength(GameConfig.tracks.maxCount);
+        expect(trackSystem.getActiveTracks()).toHaveLength(config.startTracks);
+        expect(zombieSystem.autoSpawnEnabled).toBe(true);
+        expect(endless.lives).toBe(GameConfig.gameplay.lives);
+    });
+
+    test('should open new tracks over time', () => {
+        const onTrackActivated = jest.fn();
+        endless.setCallbacks({ onTrackActivated });
+        
+        endless.update(config.trackUnlockInterval);
+        expect(trackSystem.getActiveTracks()).toHaveLength(config.startTracks + 1);
+        expect(onTrackActivated).toHaveBeenCalledWith(trackSystem.getTrackById(config.startTracks + 1));
+    });
+
+    test('should ramp difficulty continuously', () => {
+        endless.update(config.difficultyRampTime / 2);
+        expect(endless.difficulty).toBeCloseTo(1.5);
+        expect(zombieSystem.speedMultiplier).toBeCloseTo(1.05);
+        
+        endless.update(config.difficultyRampTime * 100);
+        expect(endless.difficulty).toBe(config.maxDifficulty);
+    });
+
+    test('should only score correct collections', () => {
+        endless.recordCollected(true, 10);
+        endless.recordCollected(false, 0);
+        
+        expect(endless.score).toBe(10);
+        expect(endless.zombiesCollected).toBe(1);
+    });
+
+    test('should end the run when lives run out', () => {
+        const onRunEnded = jest.fn();
+        endless.setCallbacks({ onRunEnded });
+        endless.update(5000);
+        
+        for (let i = 0; i < GameConfig.gameplay.lives; i++) {
+            endless.recordEscaped();
+        }
+        
+        expect(endless.isActive).toBe(false);
+        expect(zombieSystem.autoSpawnEnabled).toBe(false);
+        expect(onRunEnded).toHaveBeenCalledTimes(1);
+        expect(onRunEnded.mock.calls[0][0]).toEqual(expect.objectContaining({ zombiesEscaped: 3, survivalTime: 5 }));
+    });
+
+    test('inactive tracks should reject bins', () => {
+        const closedTrack = trackSystem.getTrackById(config.startTracks + 1);
+        const position = closedTrack.getPositionAtProgress(0.5);
+        
+        expect(closedTrack.canPlaceBin(position)).toBe(false);
+        trackSystem.activateTrack(closedTrack.id);
+        expect(closedTrack.canPlaceBin(position)).toBe(true);
+    });
+});
+
+describe('Endless high scores', () => {
+    test('should keep a sorted, capped high-score table', () => {
+        const progress = new PlayerProgress();
+        
+        expect(progress.recordEndlessScore({ score: 50, survivalTime: 30, zombiesCollected: 5, difficulty: 1.5 })).toBe(1);
+        expect(progress.recordEndlessScore({ score: 80, survivalTime: 40, zombiesCollected: 8, difficulty: 1.7 })).toBe(1);
+        expect(progress.recordEndlessScore({ score: 50, survivalTime: 45, zombiesCollected: 5, difficulty: 1.8 })).toBe(2);
+        
+        for (let i = 0; i < GameConfig.endless.highScoreCount; i++) {
+            progress.recordEndlessScore({ score: 100, survivalTime: 60, zombiesCollected: 10, difficulty: 2 });
+        }
+        expect(progress.recordEndlessScore({ score: 1, survivalTime: 1, zombiesCollected: 0, difficulty: 1 })).toBe(0);
+        
+        const highScores = progress.getEndlessHighScores();
+        expect(highScores).toHaveLength(GameConfig.endless.highScoreCount);
+        expect(highScores.every(entry => entry.score === 100)).toBe(true);
+        expect(progress.playerData.endless.runsPlayed).toBe(14);
+        expect(progress.playerData.endless.bestSurvivalTime).toBe(60);
+    });
+});
+
+describe('GameScene endless mode', () => {
+    test('should run until lives are gone and record the score', () => {
+        const recordSpy = jest.spyOn(progressManager, 'recordEndlessScore').mockReturnValue(1);
+        const scene = new GameScene();
+        scene.setSeed(3);
+        scene.prepareStart('endless');
+        scene.init();
+        
+        expect(scene.mode).toBe('endless');
+        expect(scene.timerSystem.getTimer('levelTimer')).toBeUndefined();
+        
+        for (let i = 0; i < 6000 && scene.gameState === 'playing'; i++) {
+            scene.update(1000 / 60);
+        }
+        
+        expect(scene.gameState).toBe('gameOver');
+        expect(scene.endlessSystem.lives).toBe(0);
+        expect(scene.endlessResult.rank).toBe(1);
+        expect(recordSpy).toHaveBeenCalledTimes(1);
+        
+        // 重新开始仍是无尽模式，切换关卡后回到关卡模式
+        scene.restartLevel();
+        expect(scene.gameState).toBe('playing');
+        expect(scene.endlessSystem.lives).toBe(GameConfig.gameplay.lives);
+        
+        scene.loadLevel(1);
+        expect(scene.mode).toBe('level');
+        expect(scene.endlessSystem.isActive).toBe(false);
+        recordSpy.mockRestore();
+    });
+
+    test('menu should gate endless mode behind free play unlock', () => {
+        const sceneManager = new SceneManager();
+        const gameScene = new GameScene();
+        sceneManager.registerScene('game', gameScene);
+        jest.spyOn(sceneManager, 'transitionTo').mockResolvedValue(true);
+        
+        const menu = new MenuScene();
+        menu.setSceneManager(sceneManager);
+        menu.progress = new PlayerProgress();
+        const buttonIndex = menu.buttons.findIndex(button => button.action === 'endlessMode');
+        
+        menu.executeButtonAction(buttonIndex);
+        expect(sceneManager.transitionTo).not.toHaveBeenCalled();
+        expect(menu.notice).toContain('3');
+        
+        menu.progress.playerData.unlocks.freePlayMode = true;
+        menu.executeButtonAction(buttonIndex);
+        expect(gameScene.mode).toBe('endless');
+        expect(sceneManager.transitionTo).toHaveBeenCalledWith('game');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,114 @@
+/**
+ * 环境事件测试
+ */
+import { jest } from '@jest/globals';
+import { LevelData, LevelSystem } from '../src/js/systems/LevelSystem.js';
+import { GameScene } from '../src/js/scenes/GameScene.js';
+import { GameConfig, TrashBinType, TrashType } from '../src/js/config/GameConfig.js';
+import { createWorld } from './helpers/fixtures.js';
+
+const { typhoon, festivalRush, recyclingDay } = GameConfig.environmentEvents;
+
+describe('EnvironmentEventSystem', () => {
+    test('a typhoon should speed up trash on its tracks and be announced until it ends', () => {
+        const { zombieSystem, collectionSystem, eventSystem } = createWorld({ trackCount: 2, eventSeed: 5 });
+        const onEventEnded = jest.fn();
+        eventSystem.setCallbacks({ onEventEnded });
+        eventSystem.loadEvents([{ type: 'typhoon', at: 1000, tracks: [1] }]);
+        
+        eventSystem.update(999);
+        expect(eventSystem.getActiveEvents()).toEqual([]);
+        eventSystem.update(1);
+        expect(eventSystem.getActiveEvents().map(event => event.type)).toEqual(['typhoon']);
+        expect(collectionSystem.feedbackSystem.messages.map(message => message.text))
+            .toContain(`${typhoon.icon} ${typhoon.name}：${typhoon.description}`);
+        
+        const windy = zombieSystem.spawnZombie(TrashType.OTHER, 1, { speed: 50 });
+        const calm = zombieSystem.spawnZombie(TrashType.OTHER, 2, { speed: 50 });
+        zombieSystem.update(1000);
+        expect(windy.trackDistance).toBeCloseTo(calm.trackDistance * typhoon.trackSpeedMultiplier);
+        
+        eventSystem.update(typhoon.duration);
+        expect(onEventEnded).toHaveBeenCalledTimes(1);
+        expect(zombieSystem.getTrackSpeedMultiplier(1)).toBe(1);
+    });
+
+    test('without declared tracks the typhoon should pick a share of the open tracks', () => {
+        const { zombieSystem, eventSystem } = createWorld({ trackCount: 4, eventSeed: 5 });
+        const event = eventSystem.startEvent({ type: 'typhoon' });
+        
+        expect(event.tracks).toHaveLength(Math.round(4 * typhoon.trackRatio));
+        for (const track of event.tracks) {
+            expect(zombieSystem.getTrackSpeedMultiplier(track.id)).toBe(typhoon.trackSpeedMultiplier);
+        }
+        expect(eventSystem.startEvent({ type: 'meteor' })).toBeNull();
+    });
+
+    test('a festival rush should spawn packaging faster for its duration', () => {
+        const { zombieSystem, eventSystem } = createWorld({ trackCount: 2, eventSeed: 5 });
+        zombieSystem.setAutoSpawn(true);
+        eventSystem.startEvent({ type: 'festivalRush', duration: 4000 });
+        
+        for (let i = 0; i < 4; i++) {
+            zombieSystem.update(1000);
+            eventSystem.update(1000);
+        }
+        expect(zombieSystem.activeZombies).toHaveLength(4000 * festivalRush.spawnRateMultiplier / zombieSystem.baseSpawnInterval);
+        expect(zombieSystem.activeZombies.every(zombie => festivalRush.spawnItems.includes(zombie.itemId))).toBe(true);
+        
+        expect(zombieSystem.spawnRateMultiplier).toBe(1);
+        expect(zombieSystem.spawnItemOverride).toBeNull();
+    });
+
+    test('recycling day should double recyclable points only', () => {
+        const { trashBinSystem, zombieSystem, collectionSystem, eventSystem } = createWorld({ trackCount: 2, eventSeed: 5 });
+        const onCorrectCollection = jest.fn();
+        collectionSystem.setCallbacks({ onCorrectCollection });
+        trashBinSystem.selectBin(TrashBinType.RECYCLABLE);
+        const recyclableBin = trashBinSystem.placeBin(400, 150).bin;
+        trashBinSystem.selectBin(TrashBinType.OTHER);
+        const otherBin = trashBinSystem.placeBin(800, 150).bin;
+        
+        eventSystem.startEvent({ type: 'recyclingDay' });
+        collectionSystem.performCollection(zombieSystem.spawnZombie('newspaper', 1), recyclableBin);
+        collectionSystem.performCollection(zombieSystem.spawnZombie('dust', 1), otherBin);
+        
+        const { correctScore } = GameConfig.gameplay;
+        const multiplier = recyclingDay.binScoreMultipliers[TrashBinType.RECYCLABLE];
+        expect(onCorrectCollection.mock.calls.map(call => call[2].points)).toEqual([correctScore * multiplier, correctScore]);
+        
+        eventSystem.reset();
+        expect(collectionSystem.binScoreMultipliers.size).toBe(0);
+    });
+});
+
+describe('Level events', () => {
+    const config = { id: 1, trackCount: 2, trashTypes: [TrashType.OTHER], timeLimit: 60, zombieCount: 4 };
+
+    test('events should round-trip through the level config and be validated', () => {
+        const events = [{ type: 'typhoon', at: 20000, tracks: [2] }];
+        expect(new LevelData({ ...config, events }).toConfig().events).toEqual(events);
+        expect(LevelSystem.validateLevelConfig({ ...config, events })).toEqual([]);
+        
+        expect(LevelSystem.validateLevelConfig({ ...config, events: [{ type: 'meteor', at: 0 }] }))
+            .toContain('未知的环境事件: meteor');
+        expect(LevelSystem.validateLevelConfig({ ...config, events: [{ type: 'typhoon', at: 0, tracks: [3] }] }))
+            .toContain('环境事件的轨道无效');
+    });
+
+    test('the game scene should schedule the level events on every start', () => {
+        const scene = new GameScene();
+        scene.recordProgress = false;
+        scene.init();
+        scene.startRun({ levelId: 4, seed: 2, ignoreLock: true });
+        
+        const levelEvents = GameConfig.levels.find(level => level.id === 4).events;
+        expect(scene.environmentEventSystem.schedule.map(event => event.type)).toEqual(levelEvents.map(event => event.type));
+        
+        scene.environmentEventSystem.startEvent({ type: 'festivalRush' });
+        scene.restartLevel();
+        expect(scene.environmentEventSystem.getActiveEvents()).toEqual([]);
+        expect(scene.trashZombieSystem.spawnRateMultiplier).toBe(1);
+        expect(scene.environmentEventSystem.schedule).toHaveLength(levelEvents.length);
+    });
+});
\ No newline at end of file
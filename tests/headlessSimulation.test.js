@@ -0,0 +1,144 @@
+/**
+ * 无界面模拟器测试
+ */
+import { HeadlessSimulation } from '../src/js/simulation/HeadlessSimulation.js';
+import { JustInTimeStrategy } from '../src/js/simulation/PlacementStrategy.js';
+import { TrackSystem } from '../src/js/systems/TrackSystem.js';
+import { CUSTOM_LEVEL_ID_START } from '../src/js/systems/LevelSystem.js';
+import { TrashBin } from '../src/js/entities/TrashBin.js';
+import { GameConfig, TrashType, TrashBinType } from '../src/js/config/GameConfig.js';
+
+describe('HeadlessSimulation', () => {
+    const easyLevel = {
+        id: 1, // 关卡编号决定难度倍数，用第1关的难度
+        trackCount: 1,
+        trashTypes: [TrashType.KITCHEN_WASTE],
+        timeLimit: 60,
+        waves: [{ count: 3, interval: 2000, mix: { [TrashType.KITCHEN_WASTE]: 1 } }]
+    };
+
+    test('should win an easy level by placing bins through scene input', () => {
+        const simulation = new HeadlessSimulation();
+        const result = simulation.runOnce(easyLevel, 1);
+        
+        expect(result.won).toBe(true);
+        expect(result.outcome).toBe('won');
+        expect(result.collected).toBe(3);
+        expect(result.escaped).toBe(0);
+        expect(result.binsPlaced).toBe(1);
+        expect(simulation.scene.renderSystem).toBeFalsy();
+    });
+
+    test('should reproduce the same result for the same seed', () => {
+        const levelConfig = GameConfig.levels[0];
+        const first = new HeadlessSimulation().runOnce(levelConfig, 42);
+        const second = new HeadlessSimulation().runOnce(levelConfig, 42);
+        
+        expect(second).toEqual(first);
+    });
+
+    test('a strategy that never places bins should let trash escape', () => {
+        const simulation = new HeadlessSimulation({
+            createStrategy: () => ({ reset() {}, update() {} })
+        });
+        const result = simulation.runOnce(easyLevel, 1);
+        
+        expect(result.won).toBe(false);
+        expect(result.outcome).toBe('escaped');
+        expect(result.escaped).toBeGreaterThan(0);
+    });
+
+    test('should summarize batch results', () => {
+        const results = [
+            { won: true, outcome: 'won', escaped: 0, accuracy: 100, collected: 3, score: 30, duration: 10 },
+            { won: false, outcome: 'escaped', escaped: 2, accuracy: 50, collected: 1, score: 10, duration: 5 }
+        ];
+        const summary = HeadlessSimulation.summarize({ id: 7 }, results);
+        
+        expect(summary.levelId).toBe(7);
+        expect(summary.winRate).toBe(0.5);
+        expect(summary.totalEscapes).toBe(2);
+        expect(summary.avgEscapes).toBe(1);
+        expect(summary.avgAccuracy).toBe(75);
+        expect(summary.avgWinDuration).toBe(10);
+        expect(summary.outcomes).toEqual({ won: 1, escaped: 1, timeout: 0, unfinished: 0 });
+    });
+
+    test('a perfect player should win the built-in mixed-type levels without missorting', () => {
+        const simulation = new HeadlessSimulation();
+        
+        // 垃圾桶会接住后面经过的每一件垃圾，策略不能把不同类型的垃圾桶挡在前面的垃圾之前
+        for (const levelConfig of GameConfig.levels.slice(0, 2)) {
+            const result = simulation.runOnce(levelConfig, 1);
+            
+            expect(result.won).toBe(true);
+            expect(result.missorted).toBe(0);
+            expect(result.accuracy).toBe(100);
+        }
+    });
+
+    test('should complete the later levels reproducibly for a fixed seed', () => {
+        // 第3-5关包含突发生成、Boss 和垃圾行为
+        for (const levelConfig of GameConfig.levels.slice(2)) {
+            const first = new HeadlessSimulation().runOnce(levelConfig, 2);
+            const second = new HeadlessSimulation().runOnce(levelConfig, 2);
+            
+            expect(first.won).toBe(true);
+            expect(first.spawned).toBeGreaterThanOrEqual(levelConfig.zombieCount);
+            expect(first.missorted).toBe(0);
+            expect(second).toEqual(first);
+        }
+    });
+
+    test('should complete a level on branching tracks reproducibly', () => {
+        const branchLevel = {
+            id: CUSTOM_LEVEL_ID_START + 1,
+            name: '分岔口',
+            difficulty: 2,
+            tracks: [
+                { start: { x: 1100, y: 300 }, end: { x: 700, y: 300 }, width: 80 },
+                { start: { x: 700, y: 300 }, end: { x: 100, y: 150 }, width: 80 },
+                { start: { x: 700, y: 300 }, end: { x: 100, y: 450 }, width: 80 }
+            ],
+            junctions: [{ from: 1, to: [2, 3] }],
+            trashItems: ['banana_peel', 'waste_battery', 'plastic_bottle'],
+            timeLimit: 120,
+            waves: [
+                { name: '第一波', count: 6, interval: 1500, bursts: [{ at: 3, count: 2, spacing: 500 }], behaviors: { sprinter: 0.3 } },
+                { name: 'Boss', count: 3, interval: 2000, boss: 'delivery_package' }
+            ]
+        };
+        const first = new HeadlessSimulation().runOnce(branchLevel, 3);
+        const second = new HeadlessSimulation().runOnce(branchLevel, 3);
+        
+        expect(first.won).toBe(true);
+        expect(first.escaped).toBe(0);
+        expect(first.collected).toBe(first.zombieCount);
+        expect(second).toEqual(first);
+    });
+
+    test('runBatch should use consecutive seeds', () => {
+        const simulation = new HeadlessSimulation({
+            createStrategy: () => new JustInTimeStrategy({ reactionTime: 0 })
+        });
+        const summary = simulation.runBatch(easyLevel, { runs: 2, seed: 5 });
+        
+        expect(summary.runs).toBe(2);
+        expect(summary.wins).toBe(2);
+    });
+});
+
+describe('Track bin placement', () => {
+    test('should check spacing against bins already on the track', () => {
+        const trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(1);
+        const track = trackSystem.getTrackById(1);
+        const first = track.getPositionAtProgress(0.5);
+        const bin = new TrashBin(TrashBinType.KITCHEN_WASTE, first);
+        track.addBin(bin);
+        
+        expect(bin.position).toBe(bin.getComponent('Transform').position);
+        expect(track.canPlaceBin(first)).toBe(false);
+        expect(track.canPlaceBin(track.getPositionAtProgress(0.2))).toBe(true);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * 测试共用的夹具
+ */
+import { TrackSystem } from '../../src/js/systems/TrackSystem.js';
+import { TrashBinSystem } from '../../src/js/systems/TrashBinSystem.js';
+import { TrashZombieSystem } from '../../src/js/systems/TrashZombieSystem.js';
+import { CollectionSystem } from '../../src/js/systems/CollectionSystem.js';
+import { BinAbilitySystem } from '../../src/js/systems/BinAbilitySystem.js';
+import { PowerUpSystem } from '../../src/js/systems/PowerUpSystem.js';
+import { EnvironmentEventSystem } from '../../src/js/systems/EnvironmentEventSystem.js';
+import { TimeScale } from '../../src/js/core/TimeScale.js';
+import { SeededRandom } from '../../src/js/core/SeededRandom.js';
+
+/**
+ * 创建简单的内存本地存储，用于替代 Node 中没有的 localStorage
+ */
+export function createMemoryStorage() {
+    const data = new Map();
+    return {
+        getItem: (key) => (data.has(key) ? data.get(key) : null),
+        setItem: (key, value) => data.set(key, String(value)),
+        removeItem: (key) => data.delete(key)
+    };
+}
+
+/**
+ * 创建由默认轨道、垃圾桶系统、垃圾系统和收集系统组成的最小游戏世界
+ * @param {Object} options - 世界选项
+ * @param {number} options.trackCount - 轨道数量
+ * @param {number} options.seed - 垃圾系统的随机种子
+ * @param {Object} options.zombieOptions - 传给垃圾系统的其它选项
+ * @param {boolean} options.abilities - 是否接入垃圾桶技能系统
+ * @param {boolean} options.linkCollection - 是否把生成和销毁的垃圾同步给收集系统，并由垃圾系统拆分被接住的组合物品
+ * @param {Object} options.callbacks - 同步时额外设置给垃圾系统的回调
+ * @param {boolean} options.powerUps - 是否创建使用独立时间缩放的道具系统
+ * @param {number|null} options.eventSeed - 环境事件系统的随机种子，为 null 时不创建
+ * @returns {Object} 游戏世界中的各个系统
+ */
+export function createWorld({ trackCount = 1, seed = 3, zombieOptions = {}, abilities = false, linkCollection = false, callbacks = {}, powerUps = false, eventSeed = null } = {}) {
+    const trackSystem = new TrackSystem();
+    trackSystem.initializeTracks(trackCount);
+    const trashBinSystem = new TrashBinSystem(trackSystem);
+    const zombieSystem = new TrashZombieSystem(trackSystem, { rng: new SeededRandom(seed), ...zombieOptions });
+    const collectionSystem = new CollectionSystem(trashBinSystem);
+    const world = { trackSystem, trashBinSystem, zombieSystem, collectionSystem };
+    
+    if (abilities) {
+        world.abilitySystem = new BinAbilitySystem(trashBinSystem, zombieSystem);
+        trashBinSystem.setAbilitySystem(world.abilitySystem);
+    }
+    
+    if (linkCollection) {
+        zombieSystem.setCallbacks({
+            onZombieSpawned: (zombie) => collectionSystem.addTrashZombie(zombie),
+            onZombieDestroyed: (zombie) => collectionSystem.removeTrashZombie(zombie),
+            ...callbacks
+        });
+        collectionSystem.setCallbacks({
+            onTrashSplit: (trash, bin, pieces) => zombieSystem.splitZombie(trash, pieces, bin)
+        });
+    }
+    
+    if (powerUps) {
+        world.localTimeScale = new TimeScale();
+        world.powerUpSystem = new PowerUpSystem(collectionSystem, world.localTimeScale);
+    }
+    
+    if (eventSeed !== null) {
+        world.eventSystem = new EnvironmentEventSystem(zombieSystem, collectionSystem, { rng: new SeededRandom(eventSeed) });
+    }
+    
+    return world;
+}
\ No newline at end of file
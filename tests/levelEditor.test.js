@@ -0,0 +1,309 @@
+/**
+ * 关卡编辑器与自定义关卡测试
+ */
+import { jest } from '@jest/globals';
+import { LevelEditorScene } from '../src/js/scenes/LevelEditorScene.js';
+import { LevelSystem, LevelData, CUSTOM_LEVEL_ID_START, LEVEL_FORMAT_VERSION } from '../src/js/systems/LevelSystem.js';
+import { TrackSystem } from '../src/js/systems/TrackSystem.js';
+import { WaveScheduler } from '../src/js/systems/WaveScheduler.js';
+import { GameScene } from '../src/js/scenes/GameScene.js';
+import { progressManager } from '../src/js/data/ProgressManager.js';
+import { GameConfig, TrashType } from '../src/js/config/GameConfig.js';
+import { createMemoryStorage } from './helpers/fixtures.js';
+
+const customConfig = {
+    id: CUSTOM_LEVEL_ID_START,
+    name: '斜坡',
+    difficulty: 1,
+    tracks: [
+        { start: { x: 1100, y: 200 }, end: { x: 100, y: 400 }, width: 80 },
+        { start: { x: 1100, y: 500 }, end: { x: 100, y: 500 }, width: 60 }
+    ],
+    trashItems: ['banana_peel', 'waste_battery'],
+    timeLimit: 90,
+    waves: [{ name: '第一波', count: 4, interval: 1000, tracks: 'cycle' }],
+    prePlacedBins: [{ trackId: 2, progress: 0.8, binType: 3 }],
+    bannedBinTypes: [4]
+};
+
+describe('Level config validation and JSON', () => {
+    test('built-in levels should be valid', () => {
+        for (const levelConfig of GameConfig.levels) {
+            expect(LevelSystem.validateLevelConfig(levelConfig)).toEqual([]);
+        }
+        expect(LevelSystem.validateLevelConfig(customConfig)).toEqual([]);
+    });
+
+    test('should report invalid configs', () => {
+        expect(LevelSystem.validateLevelConfig(null)).toHaveLength(1);
+        
+        const errors = LevelSystem.validateLevelConfig({
+            ...customConfig,
+            tracks: [{ start: { x: 0, y: 0 }, end: { x: 0, y: 0 } }],
+            trashItems: ['unicorn'],
+            timeLimit: 0,
+            waves: [{ count: 0 }],
+            prePlacedBins: [{ trackId: 3, progress: 0.5, binType: 1 }]
+        });
+        expect(errors).toEqual(expect.arrayContaining([
+            '轨道 1 的起点与终点重合',
+            '未知的垃圾物品: unicorn',
+            '时间限制必须大于0',
+            '波次脚本没有生成任何垃圾',
+            '预置垃圾桶的轨道无效'
+        ]));
+    });
+
+    test('should round-trip through export and import', () => {
+        const json = LevelSystem.exportLevel(customConfig);
+        expect(JSON.parse(json).version).toBe(LEVEL_FORMAT_VERSION);
+        expect(LevelSystem.importLevel(json)).toEqual(customConfig);
+        
+        expect(LevelSystem.importLevel('{not json')).toBeNull();
+        expect(LevelSystem.importLevel({ version: 99, level: customConfig })).toBeNull();
+        expect(LevelSystem.importLevel({ version: LEVEL_FORMAT_VERSION, level: { ...customConfig, timeLimit: -1 } })).toBeNull();
+    });
+
+    test('should refuse to import a level whose bursts would never spawn', () => {
+        const badBursts = { ...customConfig, waves: [{ count: 3, interval: 500, bursts: [{ at: 5, count: 4, spacing: 200 }] }] };
+        const json = LevelSystem.exportLevel(badBursts);
+        
+        expect(LevelSystem.validateLevelConfig(badBursts)).toEqual(['波次的突发生成无效']);
+        expect(LevelSystem.importLevel(json)).toBeNull();
+        
+        const editor = new LevelEditorScene({ levelSystem: new LevelSystem() });
+        editor.init();
+        expect(editor.importLevel(json)).toBe(false);
+        expect(editor.notice).toBe('关卡文件无效');
+    });
+
+    test('LevelData should derive counts and types from the geometry and items', () => {
+        const level = new LevelData(customConfig);
+        
+        expect(level.trackCount).toBe(2);
+        expect(level.trashTypes).toEqual([TrashType.KITCHEN_WASTE, TrashType.HAZARDOUS]);
+        expect(level.zombieCount).toBe(4);
+        expect(level.isCustom).toBe(true);
+        expect(new LevelData(level.toConfig()).toConfig()).toEqual(level.toConfig());
+    });
+});
+
+describe('Custom level consumers', () => {
+    test('TrackSystem should build tracks from a layout', () => {
+        const trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(2, customConfig.tracks);
+        
+        const [first, second] = trackSystem.getAllTracks();
+        expect(first.startPoint.y).toBe(200);
+        expect(first.endPoint.y).toBe(400);
+        expect(second.width).toBe(60);
+        
+        trackSystem.initializeTracks(2);
+        expect(trackSystem.getTrackById(2).startPoint.y).toBe(GameConfig.tracks.startY + GameConfig.tracks.spacing);
+    });
+
+    test('WaveScheduler should only spawn allowed items', () => {
+        const scheduler = new WaveScheduler(
+            { waves: [{ count: 30, interval: 100 }] },
+            { trashTypes: [TrashType.KITCHEN_WASTE, TrashType.HAZARDOUS], itemIds: customConfig.trashItems }
+        );
+        
+        expect(scheduler.timeline.every(event => customConfig.trashItems.includes(event.itemId))).toBe(true);
+    });
+});
+
+describe('LevelSystem custom levels', () => {
+    beforeEach(() => {
+        global.localStorage = createMemoryStorage();
+    });
+
+    afterEach(() => {
+        delete global.localStorage;
+    });
+
+    test('saved custom levels should load alongside built-in levels', () => {
+        const levelSystem = new LevelSystem();
+        const saved = levelSystem.saveCustomLevel({ ...customConfig, id: 3 });
+        
+        expect(saved.id).toBe(CUSTOM_LEVEL_ID_START);
+        expect(levelSystem.getNextCustomLevelId()).toBe(CUSTOM_LEVEL_ID_START + 1);
+        
+        const reloaded = new LevelSystem();
+        expect(reloaded.levels.size).toBe(GameConfig.levels.length + 1);
+        expect(reloaded.isLevelUnlocked(CUSTOM_LEVEL_ID_START)).toBe(true);
+        expect(reloaded.getAllLevelsInfo().find(info => info.isCustom).name).toBe('斜坡');
+        
+        reloaded.loadLevel(CUSTOM_LEVEL_ID_START);
+        expect(reloaded.getNextLevelId()).toBeNull();
+        
+        expect(reloaded.deleteCustomLevel(CUSTOM_LEVEL_ID_START)).toBe(true);
+        expect(new LevelSystem().levels.size).toBe(GameConfig.levels.length);
+    });
+
+    test('should skip invalid stored levels', () => {
+        localStorage.setItem('ecoDefenseCustomLevels', JSON.stringify([{ id: 1001 }, customConfig]));
+        const levelSystem = new LevelSystem();
+        
+        expect(levelSystem.getCustomLevels().map(level => level.id)).toEqual([CUSTOM_LEVEL_ID_START]);
+    });
+});
+
+describe('LevelEditorScene', () => {
+    let editor;
+
+    beforeEach(() => {
+        editor = new LevelEditorScene({ levelSystem: new LevelSystem() });
+        editor.init();
+    });
+
+    test('a new level should be valid', () => {
+        expect(editor.draft.id).toBe(CUSTOM_LEVEL_ID_START);
+        expect(editor.draft.tracks).toHaveLength(3);
+        expect(editor.validate()).toEqual([]);
+    });
+
+    test('should edit tracks and keep pre-placed bins on existing tracks', () => {
+        editor.activePanel = 'tracks';
+        editor.handleKeyInput('+');
+        expect(editor.draft.tracks).toHaveLength(4);
+        
+        editor.draft.prePlacedBins = [
+            { trackId: 2, progress: 0.5, binType: 1 },
+            { trackId: 4, progress: 0.5, binType: 2 }
+        ];
+        editor.selectedTrack = 1;
+        editor.handleKeyInput('-');
+        
+        expect(editor.draft.tracks).toHaveLength(3);
+        expect(editor.draft.prePlacedBins).toEqual([{ trackId: 3, progress: 0.5, binType: 2 }]);
+        
+        editor.handleMouseClick(1003, 296);
+        editor.handleMouseClick(104, 455);
+        expect(editor.draft.tracks[1].start).toEqual({ x: 1000, y: 300 });
+        expect(editor.draft.tracks[1].end).toEqual({ x: 100, y: 460 });
+        expect(editor.validate()).toEqual([]);
+    });
+
+    test('should toggle items and edit waves', () => {
+        editor.draft.trashItems = ['banana_peel'];
+        expect(editor.toggleItem('banana_peel')).toBe(false);
+        expect(editor.toggleItem('waste_battery')).toBe(true);
+        
+        editor.toggleCategory(TrashType.RECYCLABLE);
+        expect(editor.getLevelConfig().trashTypes).toEqual(
+            expect.arrayContaining([TrashType.KITCHEN_WASTE, TrashType.HAZARDOUS, TrashType.RECYCLABLE])
+        );
+        
+        editor.activePanel = 'waves';
+        editor.handleKeyInput('+');
+        editor.handleKeyInput('ArrowRight');
+        editor.handleKeyInput(']');
+        editor.handleKeyInput('t');
+        
+        expect(editor.draft.waves).toHaveLength(2);
+        expect(editor.draft.waves[1]).toEqual(expect.objectContaining({ count: 7, interval: 3250, tracks: 'cycle' }));
+        expect(new LevelData(editor.getLevelConfig()).zombieCount).toBe(13);
+    });
+
+    test('should place, remove and ban bins', () => {
+        editor.activePanel = 'bins';
+        editor.handleKeyInput('3');
+        
+        const trackY = GameConfig.tracks.startY;
+        expect(editor.togglePrePlacedBin(600, trackY)).toBe('added');
+        expect(editor.draft.prePlacedBins).toEqual([{ trackId: 1, progress: 0.5, binType: 3 }]);
+        expect(editor.togglePrePlacedBin(610, trackY)).toBe('removed');
+        expect(editor.togglePrePlacedBin(600, 5)).toBeNull();
+        
+        editor.handleKeyInput('b');
+        expect(editor.draft.bannedBinTypes).toEqual([3]);
+    });
+
+    test('should copy built-in levels with expanded waves', () => {
+        editor.editLevel(2);
+        const builtIn = GameConfig.levels[1];
+        
+        expect(editor.draft.id).toBe(CUSTOM_LEVEL_ID_START);
+        expect(editor.draft.tracks).toHaveLength(builtIn.trackCount);
+        expect(WaveScheduler.countSpawns({ waves: editor.draft.waves })).toBe(builtIn.zombieCount);
+        expect(editor.validate()).toEqual([]);
+    });
+
+    test('should keep copied level events and renumber their tracks', () => {
+        editor.editLevel(4);
+        expect(editor.getLevelConfig().events).toEqual(GameConfig.levels[3].events);
+        
+        editor.draft.events = [{ type: 'typhoon', at: 1000, tracks: [2, 4] }, { type: 'typhoon', at: 9000, tracks: [2] }];
+        editor.selectedTrack = 1;
+        editor.removeTrack();
+        
+        expect(editor.draft.events).toEqual([{ type: 'typhoon', at: 1000, tracks: [3] }, { type: 'typhoon', at: 9000 }]);
+        expect(editor.validate()).toEqual([]);
+    });
+
+    test('should export and import levels', () => {
+        const onExportRequested = jest.fn();
+        editor.setCallbacks({ onExportRequested, onImportRequested: null });
+        
+        editor.renameLevel('  导出测试  ');
+        const json = editor.exportLevel();
+        expect(onExportRequested).toHaveBeenCalledWith(json, expect.objectContaining({ name: '导出测试' }));
+        
+        expect(editor.importLevel(LevelSystem.exportLevel({ ...customConfig, id: 5 }))).toBe(true);
+        expect(editor.draft.name).toBe('斜坡');
+        expect(editor.draft.id).toBe(CUSTOM_LEVEL_ID_START);
+        expect(editor.getLevelConfig()).toEqual(expect.objectContaining({
+            tracks: customConfig.tracks,
+            prePlacedBins: customConfig.prePlacedBins,
+            bannedBinTypes: [4]
+        }));
+        
+        expect(editor.importLevel('garbage')).toBe(false);
+        expect(editor.draft.name).toBe('斜坡');
+    });
+
+    test('should refuse to export an invalid draft', () => {
+        editor.draft.timeLimit = 0;
+        
+        expect(editor.exportLevel()).toBeNull();
+        expect(editor.notice).toBe('时间限制必须大于0');
+    });
+});
+
+describe('Previewing a custom level', () => {
+    test('should play the draft in GameScene without recording progress', () => {
+        const gameScene = new GameScene();
+        const sceneManager = {
+            getScene: (name) => (name === 'game' ? gameScene : null),
+            transitionTo: jest.fn()
+        };
+        const editor = new LevelEditorScene({ levelSystem: new LevelSystem() });
+        editor.setSceneManager(sceneManager);
+        editor.init();
+        editor.importLevel(LevelSystem.exportLevel(customConfig));
+        
+        expect(editor.previewLevel()).toBe(true);
+        expect(sceneManager.transitionTo).toHaveBeenCalledWith('game');
+        
+        // 场景管理器切换时会初始化游戏场景
+        const spawned = [];
+        gameScene.init();
+        gameScene.trashZombieSystem.onZombieSpawned = (zombie) => spawned.push(zombie.itemId);
+        
+        expect(gameScene.currentLevel).toBe(CUSTOM_LEVEL_ID_START);
+        expect(gameScene.trackSystem.getTrackById(1).endPoint.y).toBe(400);
+        expect(gameScene.trashBinSystem.getAllBins()).toHaveLength(1);
+        expect(gameScene.trashBinSystem.getSelectableBinTypes()).not.toContain(4);
+        
+        for (let i = 0; i < 60 * 5; i++) {
+            gameScene.update(1000 / 60);
+        }
+        expect(spawned).toHaveLength(4);
+        expect(spawned.every(itemId => customConfig.trashItems.includes(itemId))).toBe(true);
+        
+        const progressSpy = jest.spyOn(progressManager, 'updateLevelProgress');
+        gameScene.recordLevelProgress(gameScene.levelSystem.currentLevel);
+        expect(progressSpy).not.toHaveBeenCalled();
+        progressSpy.mockRestore();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,155 @@
+/**
+ * 关卡生命测试
+ */
+import { jest } from '@jest/globals';
+import { LevelData } from '../src/js/systems/LevelSystem.js';
+import { GameScene } from '../src/js/scenes/GameScene.js';
+import { PlayerProgress } from '../src/js/data/ProgressManager.js';
+import { GameConfig, TrashBinType, TrashType } from '../src/js/config/GameConfig.js';
+
+describe('LevelData lives', () => {
+    const config = { id: 1, trackCount: 1, trashTypes: [TrashType.OTHER], timeLimit: 60, zombieCount: 4 };
+
+    test('each escape should cost a life and the level should fail when lives run out', () => {
+        const level = new LevelData(config);
+        level.start();
+        expect(level.getLivesRemaining()).toBe(GameConfig.gameplay.lives);
+        
+        level.recordZombieEscaped();
+        level.update(16);
+        expect(level.isFailed).toBe(false);
+        expect(level.getStats()).toMatchObject({ lives: 2, livesLost: 1, zombiesEscaped: 1 });
+        
+        // Boss 带走剩余部件只扣一条生命
+        level.recordZombieEscaped(3);
+        expect(level.getStats()).toMatchObject({ lives: 1, livesLost: 2, zombiesEscaped: 4 });
+        
+        level.recordZombieEscaped();
+        level.update(16);
+        expect(level.isFailed).toBe(true);
+        expect(level.getLivesRemaining()).toBe(0);
+    });
+
+    test('escaped trash should still let the level be completed', () => {
+        const level = new LevelData(config);
+        level.start();
+        for (let i = 0; i < 4; i++) level.recordZombieSpawned();
+        for (let i = 0; i < 3; i++) level.recordZombieCollected(true, 10);
+        
+        level.update(16);
+        expect(level.isComplete).toBe(false);
+        
+        level.recordZombieEscaped();
+        level.update(16);
+        expect(level.isComplete).toBe(true);
+        
+        level.reset();
+        expect(level.livesLost).toBe(0);
+    });
+
+    test('trash wrongly caught until its retries run out should count as processed', () => {
+        const level = new LevelData(config);
+        level.start();
+        for (let i = 0; i < 4; i++) level.recordZombieSpawned();
+        for (let i = 0; i < 3; i++) level.recordZombieCollected(true, 10);
+        
+        // 还能重试的错误收集不算处理完
+        level.recordZombieCollected(false, 0);
+        level.update(16);
+        expect(level.isComplete).toBe(false);
+        
+        level.recordZombieCollected(false, 0, true);
+        level.update(16);
+        expect(level.isComplete).toBe(true);
+        expect(level.getStats()).toMatchObject({ zombiesCollected: 3, zombiesMissorted: 1, accuracy: 75 });
+    });
+
+    test('star rating should drop a star per life lost', () => {
+        const progress = new PlayerProgress();
+        const perfect = { accuracy: 100, timeRemaining: 60, errors: 0 };
+        
+        expect(progress.calculateLevelStars(perfect)).toBe(5);
+        expect(progress.calculateLevelStars({ ...perfect, livesLost: 2 })).toBe(3);
+        expect(progress.calculateLevelStars({ accuracy: 50, timeRemaining: 0, errors: 3, livesLost: 2 })).toBe(1);
+    });
+});
+
+describe('GameScene lives', () => {
+    // 不放垃圾桶，运行到下一次逃脱
+    function runUntilEscape(scene) {
+        for (let i = 0; i < 20000 && scene.gameState === 'playing'; i++) {
+            scene.update(1000 / 60);
+        }
+    }
+
+    test('escapes should pause with the failure modal until lives run out', () => {
+        const scene = new GameScene();
+        scene.setSeed(5);
+        scene.recordProgress = false;
+        scene.init();
+        scene.modalSystem = { showFailureModal: jest.fn(), closeModal: jest.fn() };
+        const showFailureModal = scene.modalSystem.showFailureModal;
+        
+        runUntilEscape(scene);
+        expect(scene.gameState).toBe('lifeLost');
+        expect(showFailureModal).toHaveBeenLastCalledWith(2, expect.any(Function));
+        
+        // 选择继续
+        showFailureModal.mock.calls[0][1]('continue');
+        expect(scene.modalSystem.closeModal).toHaveBeenCalledWith('failure');
+        expect(scene.gameState).toBe('playing');
+        
+        runUntilEscape(scene);
+        expect(showFailureModal).toHaveBeenLastCalledWith(1, expect.any(Function));
+        showFailureModal.mock.calls[1][1]('continue');
+        
+        // 生命耗尽，只能重新开始
+        runUntilEscape(scene);
+        expect(scene.gameState).toBe('gameOver');
+        expect(scene.levelSystem.currentLevel.isFailed).toBe(true);
+        expect(showFailureModal).toHaveBeenLastCalledWith(0, expect.any(Function));
+        
+        showFailureModal.mock.calls[2][1]('restart');
+        expect(scene.gameState).toBe('playing');
+        expect(scene.levelSystem.currentLevel.getLivesRemaining()).toBe(GameConfig.gameplay.lives);
+    });
+
+    test('the level should still complete after an item runs out of retries in the wrong bin', () => {
+        const scene = new GameScene();
+        scene.recordProgress = false;
+        scene.init();
+        scene.levelSystem.registerLevel({ id: 1, trackCount: 1, trashTypes: [TrashType.KITCHEN_WASTE], timeLimit: 60, zombieCount: 2 });
+        scene.startRun({ levelId: 1, seed: 4 });
+        
+        scene.trashBinSystem.selectBin(TrashBinType.KITCHEN_WASTE);
+        const kitchenBin = scene.trashBinSystem.placeBin(600, GameConfig.tracks.startY).bin;
+        scene.trashBinSystem.selectBin(TrashBinType.RECYCLABLE);
+        const wrongBin = scene.trashBinSystem.placeBin(300, GameConfig.tracks.startY).bin;
+        
+        const { collectionSystem, trashZombieSystem } = scene;
+        collectionSystem.performCollection(trashZombieSystem.spawnZombie('banana_peel', 1), kitchenBin);
+        const stubborn = trashZombieSystem.spawnZombie('banana_peel', 1);
+        const removed = [];
+        for (let i = 0; i <= stubborn.maxRetries; i++) {
+            removed.push(collectionSystem.performCollection(stubborn, wrongBin));
+        }
+        expect(removed).toEqual([false, false, true]);
+        
+        scene.update(16);
+        expect(scene.levelSystem.currentLevel.zombiesMissorted).toBe(1);
+        expect(scene.gameState).toBe('victory');
+    });
+
+    test('without a modal system escapes should not pause the game', () => {
+        const scene = new GameScene();
+        scene.setSeed(5);
+        scene.recordProgress = false;
+        scene.init();
+        
+        expect(scene.modalSystem).toBeNull();
+        runUntilEscape(scene);
+        
+        expect(scene.gameState).toBe('gameOver');
+        expect(scene.levelSystem.currentLevel.livesLost).toBe(GameConfig.gameplay.lives);
+    });
+});
\ No newline at end of file
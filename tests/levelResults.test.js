@@ -0,0 +1,147 @@
+/**
+ * 通关结算测试
+ */
+import { jest } from '@jest/globals';
+import { ResultsScreen } from '../src/js/ui/ResultsScreen.js';
+import { GameStatistics, statisticsManager } from '../src/js/data/StatisticsManager.js';
+import { progressManager } from '../src/js/data/ProgressManager.js';
+import { GameScene } from '../src/js/scenes/GameScene.js';
+import { GameConfig, TrashBinType, TrashType } from '../src/js/config/GameConfig.js';
+
+const { tallyDuration, starInterval } = GameConfig.results;
+
+function createResults(overrides = {}) {
+    return {
+        levelId: 1,
+        score: 300,
+        accuracy: 100,
+        timeRemaining: 40,
+        livesLost: 0,
+        stars: 3,
+        breakdown: [],
+        hasNextLevel: true,
+        ...overrides
+    };
+}
+
+describe('ResultsScreen', () => {
+    test('the score should tally up before the stars light up one by one', () => {
+        const screen = new ResultsScreen();
+        screen.show(createResults());
+        expect(screen.getDisplayedScore()).toBe(0);
+        
+        screen.update(tallyDuration / 2);
+        expect(screen.getDisplayedScore()).toBeGreaterThan(150);
+        expect(screen.getDisplayedScore()).toBeLessThan(300);
+        expect(screen.getRevealedStars()).toBe(0);
+        
+        screen.update(tallyDuration / 2 + starInterval);
+        expect(screen.getDisplayedScore()).toBe(300);
+        expect(screen.getRevealedStars()).toBe(1);
+        expect(screen.isAnimating()).toBe(true);
+        
+        screen.update(starInterval * 5);
+        expect(screen.getRevealedStars()).toBe(3);
+        expect(screen.isAnimating()).toBe(false);
+    });
+
+    test('the first click should skip the animation and later clicks should hit the buttons', () => {
+        const screen = new ResultsScreen();
+        const onAction = jest.fn();
+        screen.setCallbacks({ onAction });
+        screen.show(createResults());
+        
+        const next = screen.buttons.find(button => button.action === 'next');
+        const center = [next.x + next.width / 2, next.y + next.height / 2];
+        expect(screen.handleMouseClick(...center)).toBeNull();
+        expect(screen.getRevealedStars()).toBe(3);
+        
+        expect(screen.handleMouseClick(...center)).toBe('next');
+        expect(onAction).toHaveBeenCalledWith('next');
+        expect(screen.handleMouseClick(0, 0)).toBeNull();
+    });
+
+    test('without a next level enter should replay', () => {
+        const screen = new ResultsScreen();
+        screen.show(createResults({ hasNextLevel: false }));
+        
+        expect(screen.buttons.map(button => button.action)).toEqual(['replay', 'menu']);
+        screen.skipAnimation();
+        expect(screen.handleKeyInput('Enter')).toBe('replay');
+        expect(screen.handleKeyInput('Escape')).toBe('menu');
+    });
+});
+
+describe('GameStatistics attempt breakdown', () => {
+    test('each attempt should count correct and incorrect sorts by category from scratch', () => {
+        const statistics = new GameStatistics();
+        statistics.startLevel(1);
+        statistics.recordCorrectClassification('banana_peel', TrashBinType.KITCHEN_WASTE);
+        statistics.recordIncorrectClassification('newspaper', TrashBinType.KITCHEN_WASTE, TrashBinType.RECYCLABLE);
+        
+        const breakdown = statistics.getAttemptBreakdown(1);
+        expect(breakdown.find(row => row.trashType === TrashType.KITCHEN_WASTE)).toMatchObject({ correct: 1, incorrect: 0 });
+        expect(breakdown.find(row => row.trashType === TrashType.RECYCLABLE)).toMatchObject({ correct: 0, incorrect: 1 });
+        
+        statistics.startLevel(1);
+        expect(statistics.getAttemptBreakdown(1).every(row => row.correct === 0 && row.incorrect === 0)).toBe(true);
+        expect(statistics.getLevelStats(1).stats.correctClassifications).toBe(1);
+        expect(statistics.getAttemptBreakdown(2)).toEqual([]);
+    });
+});
+
+describe('GameScene results', () => {
+    function completeLevel(scene) {
+        scene.levelSystem.registerLevel({ id: 1, trackCount: 1, trashTypes: [TrashType.KITCHEN_WASTE], timeLimit: 60, zombieCount: 3 });
+        scene.startRun({ levelId: 1, seed: 4 });
+        
+        scene.trashBinSystem.selectBin(TrashBinType.KITCHEN_WASTE);
+        const bin = scene.trashBinSystem.placeBin(600, GameConfig.tracks.startY).bin;
+        const { collectionSystem, trashZombieSystem } = scene;
+        collectionSystem.performCollection(trashZombieSystem.spawnZombie('newspaper', 1), bin);
+        for (let i = 0; i < 3; i++) {
+            collectionSystem.performCollection(trashZombieSystem.spawnZombie('banana_peel', 1), bin);
+        }
+        scene.update(16);
+    }
+
+    test('clearing a level should show the stars, the breakdown and record the progress', () => {
+        const scene = new GameScene();
+        scene.init();
+        completeLevel(scene);
+        
+        expect(scene.gameState).toBe('victory');
+        const results = scene.resultsScreen.results;
+        expect(results.stars).toBe(progressManager.calculateLevelStars(results));
+        expect(progressManager.playerData.levelProgress.levelStars[1]).toBe(results.stars);
+        expect(results.breakdown.find(row => row.trashType === TrashType.KITCHEN_WASTE)).toMatchObject({ correct: 3, incorrect: 0 });
+        expect(results.breakdown.find(row => row.trashType === TrashType.RECYCLABLE)).toMatchObject({ correct: 0, incorrect: 1 });
+        expect(statisticsManager.getLevelStats(1).completions).toBe(1);
+        
+        // 结算界面显示时点击不会放置垃圾桶
+        scene.resultsScreen.skipAnimation();
+        const next = scene.resultsScreen.buttons.find(button => button.action === 'next');
+        scene.handleMouseClick(next.x + 1, next.y + 1);
+        expect(scene.currentLevel).toBe(2);
+        expect(scene.gameState).toBe('playing');
+        expect(scene.resultsScreen.isVisible).toBe(false);
+    });
+
+    test('replay and menu should restart the level or leave the scene', () => {
+        const scene = new GameScene();
+        scene.recordProgress = false;
+        scene.init();
+        scene.setSceneManager({ transitionTo: jest.fn() });
+        completeLevel(scene);
+        
+        expect(scene.resultsScreen.results.breakdown).toEqual([]);
+        scene.handleKeyInput('r');
+        expect(scene.gameState).toBe('playing');
+        expect(scene.resultsScreen.isVisible).toBe(false);
+        
+        completeLevel(scene);
+        scene.handleKeyInput('Escape');
+        expect(scene.sceneManager.transitionTo).toHaveBeenCalledWith('menu');
+        expect(scene.resultsScreen.isVisible).toBe(false);
+    });
+});
\ No newline at end of file
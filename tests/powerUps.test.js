@@ -0,0 +1,175 @@
+/**
+ * 道具与时间缩放测试
+ */
+import { jest } from '@jest/globals';
+import { TimeScale, timeScale } from '../src/js/core/TimeScale.js';
+import { PowerUpType } from '../src/js/entities/PowerUp.js';
+import { HUDSystem } from '../src/js/ui/HUDSystem.js';
+import { GameScene } from '../src/js/scenes/GameScene.js';
+import { SeededRandom } from '../src/js/core/SeededRandom.js';
+import { GameConfig, TrashBinType, TrashType } from '../src/js/config/GameConfig.js';
+import { createWorld } from './helpers/fixtures.js';
+
+const { types } = GameConfig.powerUps;
+
+describe('TimeScale', () => {
+    test('modifiers should multiply and be removable', () => {
+        const scale = new TimeScale();
+        expect(scale.apply(100)).toBe(100);
+        
+        scale.setModifier('a', 0.5);
+        scale.setModifier('b', 0.5);
+        expect(scale.getScale()).toBe(0.25);
+        
+        scale.removeModifier('a');
+        expect(scale.apply(100)).toBe(50);
+        
+        scale.reset();
+        expect(scale.getScale()).toBe(1);
+    });
+});
+
+describe('TrashZombieSystem power-ups', () => {
+    test('power-ups should spawn on their own schedule without changing the trash sequence', () => {
+        const plain = createWorld({ trackCount: 2 }).zombieSystem;
+        const withPowerUps = createWorld({ trackCount: 2, zombieOptions: { powerUpRng: new SeededRandom(4) } }).zombieSystem;
+        const onPowerUpSpawned = jest.fn();
+        withPowerUps.setCallbacks({ onPowerUpSpawned });
+        withPowerUps.setPowerUpsEnabled(true);
+        plain.setAutoSpawn(true);
+        withPowerUps.setAutoSpawn(true);
+        
+        for (let i = 0; i < 60; i++) {
+            plain.update(GameConfig.powerUps.spawnInterval.max / 60);
+            withPowerUps.update(GameConfig.powerUps.spawnInterval.max / 60);
+        }
+        
+        expect(onPowerUpSpawned).toHaveBeenCalled();
+        expect(withPowerUps.activePowerUps.length).toBeGreaterThan(0);
+        expect(withPowerUps.activeZombies.map(zombie => zombie.itemId))
+            .toEqual(plain.activeZombies.map(zombie => zombie.itemId));
+    });
+
+    test('power-ups should drift along the track, be clickable and vanish at the end', () => {
+        const { zombieSystem } = createWorld();
+        const powerUp = zombieSystem.spawnPowerUp(PowerUpType.DOUBLE_POINTS, 1);
+        
+        zombieSystem.update(1000);
+        expect(powerUp.trackDistance).toBeCloseTo(GameConfig.powerUps.speed);
+        
+        const position = powerUp.getComponent('Transform').position;
+        expect(zombieSystem.getPowerUpAtPosition(position.x + 5, position.y)).toBe(powerUp);
+        expect(zombieSystem.getPowerUpAtPosition(position.x + 100, position.y)).toBeNull();
+        
+        zombieSystem.update(powerUp.track.length / GameConfig.powerUps.speed * 1000);
+        expect(zombieSystem.activePowerUps).toEqual([]);
+        expect(zombieSystem.spawnPowerUp('unknown', 1)).toBeNull();
+    });
+});
+
+describe('PowerUpSystem', () => {
+    test('freezing a track should stop trash on that track only until the effect ends', () => {
+        const { zombieSystem, powerUpSystem } = createWorld({ trackCount: 2, powerUps: true });
+        const frozen = zombieSystem.spawnZombie(TrashType.OTHER, 1, { speed: 50 });
+        const moving = zombieSystem.spawnZombie(TrashType.OTHER, 2, { speed: 50 });
+        const onEffectEnded = jest.fn();
+        powerUpSystem.setCallbacks({ onEffectEnded });
+        
+        expect(powerUpSystem.activate(zombieSystem.spawnPowerUp(PowerUpType.FREEZE_TRACK, 1)).success).toBe(true);
+        zombieSystem.update(1000);
+        expect(frozen.trackDistance).toBe(0);
+        expect(moving.trackDistance).toBeGreaterThan(0);
+        expect(zombieSystem.activePowerUps).toEqual([]);
+        
+        powerUpSystem.update(types.freezeTrack.duration);
+        expect(onEffectEnded).toHaveBeenCalledTimes(1);
+        zombieSystem.update(1000);
+        expect(frozen.trackDistance).toBeGreaterThan(0);
+    });
+
+    test('slow time should scale simulation time and refresh when picked up again', () => {
+        const { zombieSystem, powerUpSystem, localTimeScale } = createWorld({ trackCount: 2, powerUps: true });
+        
+        const first = zombieSystem.spawnPowerUp(PowerUpType.SLOW_TIME, 1);
+        powerUpSystem.activate(first);
+        expect(localTimeScale.getScale()).toBe(types.slowTime.timeScale);
+        expect(powerUpSystem.activate(first)).toEqual({ success: false, reason: '道具已失效' });
+        
+        powerUpSystem.update(types.slowTime.duration - 1000);
+        powerUpSystem.activate(zombieSystem.spawnPowerUp(PowerUpType.SLOW_TIME, 2));
+        powerUpSystem.update(2000);
+        expect(powerUpSystem.isEffectActive(PowerUpType.SLOW_TIME)).toBe(true);
+        expect(localTimeScale.getScale()).toBe(types.slowTime.timeScale);
+        
+        powerUpSystem.update(types.slowTime.duration);
+        expect(powerUpSystem.getActiveEffects()).toEqual([]);
+        expect(localTimeScale.getScale()).toBe(1);
+    });
+
+    test('double points should multiply the score before the combo bonus', () => {
+        const { trashBinSystem, zombieSystem, collectionSystem, powerUpSystem } = createWorld({ powerUps: true });
+        const onCorrectCollection = jest.fn();
+        collectionSystem.setCallbacks({ onCorrectCollection });
+        trashBinSystem.selectBin(TrashBinType.OTHER);
+        const bin = trashBinSystem.placeBin(600, 150).bin;
+        
+        powerUpSystem.activate(zombieSystem.spawnPowerUp(PowerUpType.DOUBLE_POINTS, 1));
+        collectionSystem.performCollection(zombieSystem.spawnZombie(TrashType.OTHER, 1), bin);
+        expect(onCorrectCollection.mock.calls[0][2].points).toBe(GameConfig.gameplay.correctScore * types.doublePoints.scoreMultiplier);
+        
+        powerUpSystem.reset();
+        expect(collectionSystem.scoreMultiplier).toBe(1);
+    });
+});
+
+describe('HUDSystem power-up effects', () => {
+    test('active effects should be stacked as countdowns and removed when they end', () => {
+        const hud = new HUDSystem();
+        const effects = [
+            { key: 'slowTime', config: types.slowTime, remaining: 2500, duration: 5000 },
+            { key: 'freezeTrack:2', config: types.freezeTrack, remaining: 4000, duration: 4000 }
+        ];
+        
+        hud.updatePowerUpEffects(effects);
+        const freeze = hud.getElement('powerUp:freezeTrack:2');
+        expect(freeze.format).toBe('countdown');
+        expect(freeze.position.y).toBeGreaterThan(hud.getElement('powerUp:slowTime').position.y);
+        
+        hud.updatePowerUpEffects(effects.slice(1));
+        expect(hud.getElement('powerUp:slowTime')).toBeUndefined();
+        expect(hud.getElement('powerUp:freezeTrack:2').position.y).toBe(70);
+        
+        hud.hidePowerUpEffects();
+        expect(hud.getElement('powerUp:freezeTrack:2')).toBeUndefined();
+    });
+});
+
+describe('GameScene power-ups', () => {
+    afterEach(() => {
+        timeScale.reset();
+    });
+
+    test('clicking a power-up should slow the simulation but not the level timer', () => {
+        const scene = new GameScene();
+        scene.setSeed(11);
+        scene.recordProgress = false;
+        scene.init();
+        
+        const powerUp = scene.trashZombieSystem.spawnPowerUp(PowerUpType.SLOW_TIME, 1);
+        scene.update(1000);
+        const position = powerUp.getComponent('Transform').position;
+        scene.handleMouseClick(position.x, position.y);
+        expect(scene.powerUpSystem.isEffectActive(PowerUpType.SLOW_TIME)).toBe(true);
+        
+        const clockBefore = scene.gameClock.now();
+        const elapsedBefore = scene.levelSystem.currentLevel.elapsedTime;
+        scene.update(1000);
+        expect(scene.gameClock.now() - clockBefore).toBe(1000 * types.slowTime.timeScale);
+        expect(scene.levelSystem.currentLevel.elapsedTime - elapsedBefore).toBe(1000);
+        expect(scene.hudSystem.getElement('powerUp:slowTime')).toBeDefined();
+        
+        scene.restartLevel();
+        expect(timeScale.getScale()).toBe(1);
+        expect(scene.hudSystem.getElement('powerUp:slowTime')).toBeUndefined();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,153 @@
+/**
+ * 输入录制与回放测试
+ */
+import { InputRecorder, ReplayInputType } from '../src/js/core/InputRecorder.js';
+import { ReplayPlayer } from '../src/js/core/ReplayPlayer.js';
+import { GameEngine } from '../src/js/core/GameEngine.js';
+import { SceneManager } from '../src/js/core/SceneManager.js';
+import { GameScene } from '../src/js/scenes/GameScene.js';
+
+describe('InputRecorder', () => {
+    test('should record inputs with frame numbers and merge moves within a frame', () => {
+        const recorder = new InputRecorder();
+        recorder.recordKey(0, '1'); // 未开始录制时忽略
+        
+        recorder.start({ levelId: 1, seed: 99, ruleset: 'standard' }, { fixedTimeStep: 16 });
+        recorder.recordMove(3, 10, 10);
+        recorder.recordMove(3, 20, 20);
+        recorder.recordClick(3, 20, 20);
+        recorder.recordMove(3, 30, 30);
+        recorder.recordKey(5, '2');
+        const recording = recorder.stop(10);
+        
+        expect(recording.frameCount).toBe(10);
+        expect(recording.inputs).toEqual([
+            { frame: 3, type: ReplayInputType.MOVE, x: 20, y: 20 },
+            { frame: 3, type: ReplayInputType.CLICK, x: 20, y: 20 },
+            { frame: 3, type: ReplayInputType.MOVE, x: 30, y: 30 },
+            { frame: 5, type: ReplayInputType.KEY, key: '2' }
+        ]);
+    });
+
+    test('should round-trip through JSON and reject invalid files', () => {
+        const recorder = new InputRecorder();
+        recorder.start({ levelId: 2, seed: 7, ruleset: 'japan' });
+        recorder.recordKey(1, 'Escape');
+        const json = InputRecorder.exportRecording(recorder.stop(4));
+        
+        expect(InputRecorder.importRecording(json)).toEqual(JSON.parse(json));
+        expect(InputRecorder.importRecording('not json')).toBeNull();
+        expect(InputRecorder.importRecording({ version: 99 })).toBeNull();
+        expect(InputRecorder.importRecording({ ...JSON.parse(json), inputs: [{ frame: -1, type: 'key' }] })).toBeNull();
+    });
+});
+
+describe('ReplayPlayer', () => {
+    const recording = {
+        frameCount: 10,
+        inputs: [
+            { frame: 0, type: 'key', key: '1' },
+            { frame: 2, type: 'key', key: '2' },
+            { frame: 2, type: 'click', x: 1, y: 1 }
+        ]
+    };
+
+    test('should hand out inputs frame by frame', () => {
+        const player = new ReplayPlayer(recording);
+        
+        expect(player.takeInputsForFrame(0)).toHaveLength(1);
+        expect(player.takeInputsForFrame(1)).toHaveLength(0);
+        expect(player.takeInputsForFrame(2)).toHaveLength(2);
+        expect(player.isFinished(9)).toBe(false);
+        expect(player.isFinished(10)).toBe(true);
+    });
+
+    test('should control pause and speed', () => {
+        const player = new ReplayPlayer(recording);
+        
+        player.togglePause();
+        expect(player.getTimeScale()).toBe(0);
+        player.play();
+        expect(player.cycleSpeed()).toBe(2);
+        expect(player.getTimeScale()).toBe(2);
+        expect(player.setSpeed(3)).toBe(false);
+        expect(player.setSpeed(8)).toBe(true);
+        expect(player.cycleSpeed()).toBe(1);
+    });
+});
+
+describe('GameEngine recording and replay', () => {
+    async function createEngine() {
+        const engine = new GameEngine();
+        engine.sceneManager = new SceneManager();
+        engine.sceneManager.registerScene('game', new GameScene());
+        await engine.sceneManager.loadScene('game');
+        return engine;
+    }
+
+    function runFrames(engine, frames) {
+        for (let i = 0; i < frames; i++) {
+            engine.advanceFrame(engine.fixedTimeStep);
+        }
+    }
+
+    function snapshot(engine) {
+        const scene = engine.sceneManager.getCurrentScene();
+        return {
+            seed: scene.currentSeed,
+            zombies: scene.trashZombieSystem.activeZombies.map(zombie => {
+                const position = zombie.getComponent('Transform').position;
+                return `${zombie.itemId}:${position.x.toFixed(3)},${position.y.toFixed(3)}`;
+            }),
+            bins: scene.trashBinSystem.getAllBins().map(bin => {
+                const position = bin.getComponent('Transform').position;
+                return `${bin.type}@${position.x},${position.y}:${bin.collectCount}`;
+            }),
+            selectedBin: scene.trashBinSystem.getSelectedBinType()
+        };
+    }
+
+    test('replaying an exported recording should reproduce the run', async () => {
+        const engine = await createEngine();
+        const scene = engine.sceneManager.getCurrentScene();
+        expect(engine.startRecording()).toBe(true);
+        
+        const track = scene.trackSystem.getTrackById(1);
+        const target = track.getPositionAtProgress(0.5);
+        
+        runFrames(engine, 30);
+        engine.handleKeyInput('3');
+        engine.handleMouseMove(target.x, target.y);
+        runFrames(engine, 10);
+        engine.handleMouseClick(target.x, target.y);
+        runFrames(engine, 400);
+        
+        const expected = snapshot(engine);
+        const json = engine.exportRecording();
+        expect(engine.inputRecorder.isRecording).toBe(false);
+        expect(expected.bins).toHaveLength(1);
+        expect(expected.zombies.length).toBeGreaterThan(0);
+        
+        const replayEngine = await createEngine();
+        const result = await replayEngine.startReplay(json);
+        expect(result.success).toBe(true);
+        
+        // 回放期间玩家输入只控制回放，不会进入游戏
+        replayEngine.handleMouseClick(target.x, target.y);
+        replayEngine.handleKeyInput('f');
+        expect(replayEngine.replayPlayer.speed).toBe(2);
+        
+        runFrames(replayEngine, 220);
+        expect(replayEngine.replayPlayer).toBeNull();
+        expect(replayEngine.frameCount).toBe(440);
+        expect(snapshot(replayEngine)).toEqual(expected);
+    });
+
+    test('should report invalid recordings', async () => {
+        const engine = await createEngine();
+        const result = await engine.startReplay('{}');
+        
+        expect(result.success).toBe(false);
+        expect(engine.replayPlayer).toBeNull();
+    });
+});
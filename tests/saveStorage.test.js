@@ -0,0 +1,137 @@
+/**
+ * 版本化存档测试
+ */
+import { jest } from '@jest/globals';
+import {
+    SaveStorage,
+    SaveSection,
+    SAVE_STORAGE_KEY,
+    SAVE_SCHEMA_VERSION,
+    migrateSave
+} from '../src/js/data/SaveStorage.js';
+import { PlayerProgress } from '../src/js/data/ProgressManager.js';
+import { LevelSystem } from '../src/js/systems/LevelSystem.js';
+import { createMemoryStorage } from './helpers/fixtures.js';
+
+const readRawSave = () => JSON.parse(localStorage.getItem(SAVE_STORAGE_KEY));
+
+describe('SaveStorage', () => {
+    beforeEach(() => {
+        global.localStorage = createMemoryStorage();
+    });
+
+    afterEach(() => {
+        delete global.localStorage;
+    });
+
+    test('the level system and player progress should no longer overwrite each other', () => {
+        const levelSystem = new LevelSystem();
+        levelSystem.unlockLevel(2);
+        levelSystem.levels.get(1).score = 240;
+        levelSystem.levels.get(1).recordBestResult();
+        levelSystem.saveProgress();
+        
+        const progress = new PlayerProgress();
+        progress.playerData.playerName = '小绿';
+        progress.savePlayerData();
+        levelSystem.saveProgress();
+        
+        expect(readRawSave().version).toBe(SAVE_SCHEMA_VERSION);
+        
+        const reloadedLevels = new LevelSystem();
+        reloadedLevels.loadProgress();
+        expect(reloadedLevels.isLevelUnlocked(2)).toBe(true);
+        expect(reloadedLevels.levels.get(1).bestScore).toBe(240);
+        expect(new PlayerProgress().playerData.playerName).toBe('小绿');
+    });
+
+    test('a legacy level system save should be migrated for both systems', () => {
+        localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify({
+            unlockedLevels: [1, 2, 3],
+            levelStats: {
+                1: { completed: true, bestScore: 120, bestAccuracy: 90 },
+                2: { completed: true, bestScore: 200, bestAccuracy: 95 }
+            }
+        }));
+        
+        const levelSystem = new LevelSystem();
+        levelSystem.loadProgress();
+        expect(levelSystem.unlockedLevels).toEqual([1, 2, 3]);
+        expect(levelSystem.levels.get(2).bestScore).toBe(200);
+        
+        const progress = new PlayerProgress();
+        expect(progress.playerData.levelProgress).toMatchObject({ maxUnlockedLevel: 3, completedLevels: [1, 2], totalStars: 0 });
+        expect(progress.playerData.playerId).toMatch(/^player_/);
+        
+        // 迁移后的存档在下一次保存时写回
+        progress.savePlayerData();
+        expect(readRawSave().levels.unlockedLevels).toEqual([1, 2, 3]);
+    });
+
+    test('a legacy player progress save should be migrated for both systems', () => {
+        const legacy = new PlayerProgress().createDefaultPlayerData();
+        legacy.playerName = '老玩家';
+        legacy.levelProgress.maxUnlockedLevel = 3;
+        legacy.levelProgress.completedLevels = [1, 2];
+        legacy.levelProgress.levelStars = { 1: 3, 2: 2 };
+        localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify(legacy));
+        
+        const progress = new PlayerProgress();
+        expect(progress.playerData.playerName).toBe('老玩家');
+        expect(progress.playerData.levelProgress.levelStars).toEqual({ 1: 3, 2: 2 });
+        
+        const levelSystem = new LevelSystem();
+        levelSystem.loadProgress();
+        expect(levelSystem.unlockedLevels).toEqual([1, 2, 3]);
+        expect(levelSystem.levels.get(2).hasCleared).toBe(true);
+        
+        levelSystem.saveProgress();
+        expect(readRawSave().player.playerName).toBe('老玩家');
+    });
+
+    test('resetting the player progress should reset both sections consistently', () => {
+        const progress = new PlayerProgress();
+        progress.playerData.playerName = '小绿';
+        progress.updateLevelProgress(1, { score: 100, accuracy: 100, timeUsed: 60, timeLimit: 120 });
+        progress.savePlayerData();
+        const levelSystem = new LevelSystem();
+        levelSystem.unlockLevel(2);
+        levelSystem.levels.get(1).recordBestResult();
+        levelSystem.saveProgress();
+        
+        progress.resetProgress();
+        expect(readRawSave().player).toBeNull();
+        expect(readRawSave().levels).toBeNull();
+        expect(new PlayerProgress().playerData.playerName).not.toBe('小绿');
+        expect(progress.playerData.levelProgress.maxUnlockedLevel).toBe(1);
+        
+        // 已加载过进度的关卡系统重新加载后也回到第一关
+        levelSystem.loadProgress();
+        expect(levelSystem.unlockedLevels).toEqual([1]);
+        expect(levelSystem.levels.get(1).hasCleared).toBe(false);
+    });
+
+    test('invalid saves and unknown sections should fall back to an empty save', () => {
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const storage = new SaveStorage();
+        
+        localStorage.setItem(SAVE_STORAGE_KEY, '{not json');
+        expect(storage.loadSection(SaveSection.PLAYER)).toBeNull();
+        
+        localStorage.setItem(SAVE_STORAGE_KEY, JSON.stringify({ somethingElse: true }));
+        expect(storage.load()).toEqual({ version: SAVE_SCHEMA_VERSION, player: null, levels: null });
+        
+        expect(storage.saveSection('settings', {})).toBe(false);
+        expect(migrateSave(null)).toBeNull();
+        warn.mockRestore();
+    });
+});
+
+describe('SaveStorage without local storage', () => {
+    test('should read an empty save and skip writing', () => {
+        const storage = new SaveStorage();
+        
+        expect(storage.loadSection(SaveSection.LEVELS)).toBeNull();
+        expect(storage.saveSection(SaveSection.LEVELS, { unlockedLevels: [1] })).toBe(false);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,196 @@
+/**
+ * 分岔轨道与道岔测试
+ */
+import { TrackSystem } from '../src/js/systems/TrackSystem.js';
+import { TrashZombieSystem } from '../src/js/systems/TrashZombieSystem.js';
+import { LevelSystem, CUSTOM_LEVEL_ID_START } from '../src/js/systems/LevelSystem.js';
+import { LevelEditorScene } from '../src/js/scenes/LevelEditorScene.js';
+import { GameScene } from '../src/js/scenes/GameScene.js';
+import { SeededRandom } from '../src/js/core/SeededRandom.js';
+
+// 一条入口轨道在 (700, 300) 分为上下两条
+const branchTracks = [
+    { start: { x: 1100, y: 300 }, end: { x: 700, y: 300 }, width: 80 },
+    { start: { x: 700, y: 300 }, end: { x: 100, y: 150 }, width: 80 },
+    { start: { x: 700, y: 300 }, end: { x: 100, y: 450 }, width: 80 }
+];
+const branchJunctions = [{ from: 1, to: [2, 3] }];
+
+const branchConfig = {
+    id: CUSTOM_LEVEL_ID_START + 5,
+    name: '分岔口',
+    difficulty: 1,
+    tracks: branchTracks,
+    junctions: branchJunctions,
+    trashItems: ['banana_peel', 'waste_battery'],
+    timeLimit: 90,
+    waves: [{ name: '第一波', count: 3, interval: 1000 }]
+};
+
+function createBranchSystem() {
+    const trackSystem = new TrackSystem();
+    trackSystem.initializeTracks(3, branchTracks, branchJunctions);
+    return trackSystem;
+}
+
+describe('Track graph', () => {
+    test('junctions should connect tracks through a switch', () => {
+        const trackSystem = createBranchSystem();
+        const trunk = trackSystem.getTrackById(1);
+        
+        expect(trackSystem.switches).toHaveLength(1);
+        expect(trunk.junction).toBe(trackSystem.switches[0]);
+        expect(trackSystem.getSpawnTracks().map(track => track.id)).toEqual([1]);
+        expect(trackSystem.getNextTrack(trunk).id).toBe(2);
+        expect(trackSystem.getNextTrack(trackSystem.getTrackById(2))).toBeNull();
+        
+        const graph = trackSystem.getGraph();
+        expect(graph.nodes.map(node => node.id)).toEqual(['switch-1', 'entry-1', 'exit-2', 'exit-3']);
+        expect(graph.edges).toEqual([
+            { trackId: 1, from: 'entry-1', to: 'switch-1' },
+            { trackId: 2, from: 'switch-1', to: 'exit-2' },
+            { trackId: 3, from: 'switch-1', to: 'exit-3' }
+        ]);
+    });
+
+    test('switches should toggle between open branches and reset', () => {
+        const trackSystem = createBranchSystem();
+        const trackSwitch = trackSystem.getSwitchAtPosition(710, 295);
+        
+        expect(trackSwitch).not.toBeNull();
+        expect(trackSystem.getSwitchAtPosition(760, 300)).toBeNull();
+        expect(trackSystem.toggleSwitch(trackSwitch.id).id).toBe(3);
+        expect(trackSystem.toggleSwitch(trackSwitch.id).id).toBe(2);
+        
+        // 关闭的分支会被跳过
+        trackSystem.deactivateTrack(3);
+        expect(trackSystem.toggleSwitch(trackSwitch.id).id).toBe(2);
+        
+        trackSwitch.setActiveTrack(3);
+        trackSystem.resetSwitches();
+        expect(trackSwitch.getActiveTrack().id).toBe(2);
+    });
+
+    test('junctions referencing missing tracks should be ignored', () => {
+        const trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(2, branchTracks, [{ from: 1, to: [4] }]);
+        
+        expect(trackSystem.switches).toHaveLength(0);
+        expect(trackSystem.getSpawnTracks()).toHaveLength(2);
+    });
+});
+
+describe('Zombies on branching tracks', () => {
+    test('zombies should follow the branch the switch points to', () => {
+        const trackSystem = createBranchSystem();
+        const zombieSystem = new TrashZombieSystem(trackSystem, { rng: new SeededRandom(2) });
+        const zombie = zombieSystem.spawnZombie('banana_peel', 1, { speed: 100 });
+        const transform = zombie.getComponent('Transform');
+        
+        trackSystem.toggleSwitch(1);
+        for (let i = 0; i < 5; i++) {
+            zombieSystem.update(1000);
+        }
+        
+        // 走过 500 像素：入口轨道 400，再在下方分支上走 100
+        expect(zombie.trackId).toBe(3);
+        expect(zombie.trackDistance).toBeCloseTo(100);
+        expect(transform.position.y).toBeGreaterThan(300);
+        expect(zombie.isAtEnd()).toBe(false);
+        
+        // 进入分支后再切换道岔不影响已经驶过的垃圾
+        trackSystem.toggleSwitch(1);
+        zombieSystem.update(1000);
+        expect(zombie.trackId).toBe(3);
+        zombieSystem.destroy();
+    });
+
+    test('zombies should only spawn on entry tracks', () => {
+        const trackSystem = createBranchSystem();
+        const zombieSystem = new TrashZombieSystem(trackSystem, { rng: new SeededRandom(4) });
+        
+        for (let i = 0; i < 10; i++) {
+            expect(zombieSystem.resolveWaveTrack('random').id).toBe(1);
+        }
+        expect(zombieSystem.resolveWaveTrack([3]).id).toBe(1);
+        
+        zombieSystem.spawnRandomZombie();
+        expect(zombieSystem.activeZombies[0].trackId).toBe(1);
+        zombieSystem.destroy();
+    });
+});
+
+describe('Junction level data', () => {
+    test('validation should accept connected junctions', () => {
+        expect(LevelSystem.validateLevelConfig(branchConfig)).toEqual([]);
+    });
+
+    test('validation should reject broken junctions', () => {
+        expect(LevelSystem.validateJunctions([{ from: 1, to: [2] }], null, 3)).toEqual(['使用分岔时必须提供轨道几何']);
+        expect(LevelSystem.validateJunctions([{ from: 1, to: [5] }], branchTracks, 3)).toEqual(['分岔 1 引用了不存在的轨道']);
+        expect(LevelSystem.validateJunctions([{ from: 2, to: [3] }], branchTracks, 3))
+            .toEqual(['轨道 3 的起点没有连接到轨道 2 的终点']);
+        expect(LevelSystem.validateJunctions([{ from: 1, to: [2, 3], initial: 2 }], branchTracks, 3))
+            .toEqual(['分岔 1 的初始分支无效']);
+        
+        const loop = [
+            { start: { x: 100, y: 100 }, end: { x: 500, y: 100 } },
+            { start: { x: 500, y: 100 }, end: { x: 100, y: 100 } }
+        ];
+        expect(LevelSystem.validateJunctions([{ from: 1, to: [2] }, { from: 2, to: [1] }], loop, 2))
+            .toEqual(['轨道分岔不能形成环路', '至少需要一条不属于分支的入口轨道']);
+    });
+
+    test('LevelData should round-trip junctions', () => {
+        const levelSystem = new LevelSystem();
+        const level = levelSystem.registerLevel(branchConfig);
+        
+        expect(level.junctions).toEqual(branchJunctions);
+        expect(level.toConfig().junctions).toEqual(branchJunctions);
+        expect(level.toConfig().junctions[0].to).not.toBe(branchJunctions[0].to);
+    });
+});
+
+describe('Switches in GameScene', () => {
+    test('clicking a switch should toggle it instead of placing a bin', () => {
+        const gameScene = new GameScene();
+        gameScene.init();
+        gameScene.levelSystem.registerLevel(branchConfig);
+        expect(gameScene.loadLevel(branchConfig.id)).toBe(true);
+        
+        const trackSwitch = gameScene.trackSystem.switches[0];
+        gameScene.handleMouseClick(trackSwitch.position.x, trackSwitch.position.y);
+        
+        expect(trackSwitch.getActiveTrack().id).toBe(3);
+        expect(gameScene.trashBinSystem.getAllBins()).toHaveLength(0);
+        
+        gameScene.restartLevel();
+        expect(trackSwitch.getActiveTrack().id).toBe(2);
+    });
+});
+
+describe('Junctions in the level editor', () => {
+    test('B should branch the selected track from the next available track end', () => {
+        const editor = new LevelEditorScene({ levelSystem: new LevelSystem() });
+        editor.loadDraft({ ...branchConfig, junctions: [] });
+        editor.activePanel = 'tracks';
+        
+        editor.selectedTrack = 1;
+        editor.handleTracksKey('b');
+        editor.selectedTrack = 2;
+        editor.handleTracksKey('b');
+        expect(editor.getLevelConfig().junctions).toEqual(branchJunctions);
+        expect(editor.validate()).toEqual([]);
+        
+        // 轨道 3 再按一次会尝试从轨道 2 分岔（终点不同），接着回到不分岔
+        editor.handleTracksKey('b');
+        expect(editor.getBranchParent(3)).toBe(2);
+        editor.handleTracksKey('b');
+        expect(editor.getBranchParent(3)).toBeNull();
+        
+        // 删除上游轨道会删除其道岔
+        editor.selectedTrack = 0;
+        editor.removeTrack();
+        expect(editor.getLevelConfig().junctions).toBeUndefined();
+    });
+});
\ No newline at end of file
@@ -0,0 +1,123 @@
+/**
+ * 垃圾物品目录测试
+ */
+import { trashCatalog, TrashCategories, TrashItems } from '../src/js/config/TrashCatalog.js';
+import { TrashZombie } from '../src/js/entities/TrashZombie.js';
+import { TrashZombieSystem } from '../src/js/systems/TrashZombieSystem.js';
+import { TrackSystem } from '../src/js/systems/TrackSystem.js';
+import { GameStatistics } from '../src/js/data/StatisticsManager.js';
+import { FeedbackSystem } from '../src/js/ui/FeedbackSystem.js';
+import { Vector2 } from '../src/js/core/Vector2.js';
+import { TrashType, TrashBinType } from '../src/js/config/GameConfig.js';
+
+describe('TrashCatalog', () => {
+    test('should define complete items for every category', () => {
+        const ids = new Set();
+        
+        for (const item of TrashItems) {
+            expect(ids.has(item.id)).toBe(false);
+            ids.add(item.id);
+            
+            expect(TrashCategories[item.category]).toBeDefined();
+            expect(item.names.zh).toBeTruthy();
+            expect(item.names.en).toBeTruthy();
+            expect(item.icon).toBeTruthy();
+            expect(Array.isArray(item.aliases)).toBe(true);
+            expect(item.difficulty).toBeGreaterThanOrEqual(1);
+            expect(item.ecoFact).toBeTruthy();
+        }
+        
+        for (const category of Object.values(TrashType)) {
+            expect(trashCatalog.getItemsByCategory(category).length).toBeGreaterThan(0);
+        }
+    });
+
+    test('should look up items by id, name and alias', () => {
+        expect(trashCatalog.getItem('waste_battery').category).toBe(TrashType.HAZARDOUS);
+        expect(trashCatalog.findItem('废电池').id).toBe('waste_battery');
+        expect(trashCatalog.findItem('Battery').id).toBe('waste_battery');
+        expect(trashCatalog.findItem('不存在的东西')).toBeNull();
+    });
+
+    test('should resolve categories and names for ids and categories', () => {
+        expect(trashCatalog.getCategory('cat_litter')).toBe(TrashType.OTHER);
+        expect(trashCatalog.getCategory(TrashType.RECYCLABLE)).toBe(TrashType.RECYCLABLE);
+        expect(trashCatalog.getCategory('unknown')).toBeNull();
+        
+        expect(trashCatalog.getItemName('banana_peel')).toBe('香蕉皮');
+        expect(trashCatalog.getItemName('banana_peel', 'en')).toBe('Banana peel');
+        expect(trashCatalog.getItemName(TrashType.KITCHEN_WASTE)).toBe('厨余垃圾');
+    });
+
+    test('should filter random items by difficulty', () => {
+        for (let i = 0; i < 20; i++) {
+            const item = trashCatalog.getRandomItem(TrashType.HAZARDOUS, { maxDifficulty: 1 });
+            expect(item.category).toBe(TrashType.HAZARDOUS);
+            expect(item.difficulty).toBe(1);
+        }
+    });
+});
+
+describe('Catalog consumers', () => {
+    test('TrashZombie should be constructed from an item id', () => {
+        const zombie = new TrashZombie('plastic_bottle', 1, new Vector2(100, 100));
+        
+        expect(zombie.itemId).toBe('plastic_bottle');
+        expect(zombie.type).toBe(TrashType.RECYCLABLE);
+        expect(zombie.labelText).toBe('塑料瓶');
+        expect(zombie.getComponent('Collider').tags.has(`trash_type_${TrashType.RECYCLABLE}`)).toBe(true);
+        expect(zombie.getInfo().itemId).toBe('plastic_bottle');
+    });
+
+    test('TrashZombie should still accept a plain category', () => {
+        const zombie = new TrashZombie(TrashType.OTHER, 1, new Vector2(100, 100));
+        
+        expect(zombie.itemId).toBeNull();
+        expect(zombie.type).toBe(TrashType.OTHER);
+        expect(zombie.labelText).toBe('其他');
+    });
+
+    test('spawnRandomZombie should spawn concrete catalog items', () => {
+        const trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(1);
+        const zombieSystem = new TrashZombieSystem(trackSystem);
+        
+        zombieSystem.spawnRandomZombie();
+        const zombie = zombieSystem.activeZombies[0];
+        
+        expect(trashCatalog.hasItem(zombie.itemId)).toBe(true);
+        expect(zombie.type).toBe(trashCatalog.getCategory(zombie.itemId));
+        zombieSystem.destroy();
+    });
+
+    test('FeedbackSystem demo should show item details', () => {
+        const feedbackSystem = new FeedbackSystem();
+        feedbackSystem.showClassificationDemo('waste_battery', TrashBinType.HAZARDOUS, new Vector2(0, 0));
+        
+        const animation = feedbackSystem.animations[0];
+        expect(animation.itemName).toBe('废电池');
+        expect(animation.trashType).toBe(TrashType.HAZARDOUS);
+        expect(animation.binName).toBe('有害垃圾桶');
+        expect(animation.ecoFact).toBeTruthy();
+    });
+
+    test('StatisticsManager should count by item id', () => {
+        const stats = new GameStatistics();
+        stats.startLevel(1);
+        
+        stats.recordCorrectClassification('banana_peel', TrashBinType.KITCHEN_WASTE, 10);
+        stats.recordCorrectClassification('banana_peel', TrashBinType.KITCHEN_WASTE, 10);
+        stats.recordCorrectClassification(TrashType.RECYCLABLE, TrashBinType.RECYCLABLE, 10);
+        stats.recordIncorrectClassification('cat_litter', TrashBinType.KITCHEN_WASTE, TrashBinType.OTHER);
+        
+        const sessionStats = stats.getSessionStats();
+        expect(sessionStats.trashCollected[TrashType.KITCHEN_WASTE]).toBe(2);
+        expect(sessionStats.trashCollected[TrashType.RECYCLABLE]).toBe(1);
+        expect(sessionStats.itemsCollected).toEqual({ banana_peel: 2 });
+        expect(stats.getFavoriteItem()).toBe('banana_peel');
+        
+        const itemStats = stats.getItemStats();
+        expect(itemStats.cat_litter.mistakes).toBe(1);
+        expect(stats.analyzeErrors().mostCommonError.itemId).toBe('cat_litter');
+    });
+});
\ No newline at end of file
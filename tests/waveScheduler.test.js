@@ -0,0 +1,198 @@
+/**
+ * 波次脚本测试
+ */
+import { jest } from '@jest/globals';
+import { WaveScheduler } from '../src/js/systems/WaveScheduler.js';
+import { TrashZombieSystem } from '../src/js/systems/TrashZombieSystem.js';
+import { TrackSystem } from '../src/js/systems/TrackSystem.js';
+import { LevelData, LevelSystem } from '../src/js/systems/LevelSystem.js';
+import { GameConfig, TrashType } from '../src/js/config/GameConfig.js';
+
+describe('WaveScheduler', () => {
+    const script = {
+        startDelay: 1000,
+        waves: [
+            {
+                name: '第一波',
+                count: 3,
+                interval: 1000,
+                mix: { [TrashType.RECYCLABLE]: 1 },
+                speed: { from: 1.0, to: 1.5 },
+                bursts: [{ at: 1, count: 2, spacing: 100 }],
+                pauseAfter: 2000
+            },
+            {
+                name: '第二波',
+                count: 2,
+                interval: 500,
+                mix: { [TrashType.HAZARDOUS]: 1 },
+                tracks: [2]
+            }
+        ]
+    };
+
+    test('should count regular and burst spawns', () => {
+        expect(WaveScheduler.countSpawns(script)).toBe(7);
+        expect(WaveScheduler.countSpawns(null)).toBe(0);
+    });
+
+    test('should only count bursts that are actually spawned', () => {
+        const outOfRange = {
+            waves: [{ count: 3, interval: 100, bursts: [{ at: 0, count: 2 }, { at: 4, count: 2 }, { at: 2, count: 1 }] }]
+        };
+        const scheduler = new WaveScheduler(outOfRange);
+        
+        expect(WaveScheduler.countSpawns(outOfRange)).toBe(4);
+        expect(scheduler.timeline).toHaveLength(WaveScheduler.countSpawns(outOfRange));
+    });
+
+    test('should build a time-ordered timeline with bursts and pauses', () => {
+        const scheduler = new WaveScheduler(script);
+        const times = scheduler.timeline.map(event => event.time);
+        
+        // 第一波: 1000, 突发 1100, 1200, 然后 2000, 3000；停顿后第二波从 6000 开始
+        expect(times).toEqual([1000, 1100, 1200, 2000, 3000, 6000, 6500]);
+        expect(scheduler.timeline.filter(event => event.isBurst)).toHaveLength(2);
+    });
+
+    test('should ramp speed across a wave', () => {
+        const scheduler = new WaveScheduler(script);
+        const firstWave = scheduler.timeline.filter(event => event.waveIndex === 0 && !event.isBurst);
+        
+        expect(firstWave[0].speedMultiplier).toBeCloseTo(1.0);
+        expect(firstWave[1].speedMultiplier).toBeCloseTo(1.25);
+        expect(firstWave[2].speedMultiplier).toBeCloseTo(1.5);
+    });
+
+    test('should only pick trash types from the mix', () => {
+        const scheduler = new WaveScheduler(script);
+        const secondWave = scheduler.timeline.filter(event => event.waveIndex === 1);
+        
+        expect(secondWave.every(event => event.type === TrashType.HAZARDOUS)).toBe(true);
+        expect(secondWave.every(event => event.tracks[0] === 2)).toBe(true);
+    });
+
+    test('should fall back to level trash types when mix is not allowed', () => {
+        const scheduler = new WaveScheduler(script, { trashTypes: [TrashType.KITCHEN_WASTE] });
+        
+        expect(scheduler.timeline.every(event => event.type === TrashType.KITCHEN_WASTE)).toBe(true);
+    });
+
+    test('should emit events as time advances', () => {
+        const scheduler = new WaveScheduler(script);
+        
+        expect(scheduler.update(999)).toHaveLength(0);
+        expect(scheduler.update(1)).toHaveLength(1);
+        expect(scheduler.currentWaveIndex).toBe(0);
+        expect(scheduler.update(1000)).toHaveLength(3);
+        expect(scheduler.update(10000)).toHaveLength(3);
+        expect(scheduler.currentWaveIndex).toBe(1);
+        expect(scheduler.isFinished()).toBe(true);
+        
+        scheduler.reset();
+        expect(scheduler.isFinished()).toBe(false);
+        expect(scheduler.getStats().currentWave).toBe(0);
+    });
+});
+
+describe('Level wave scripts', () => {
+    test('every spawn pattern should have a wave script matching the level zombie count', () => {
+        for (const levelConfig of GameConfig.levels) {
+            const waveScript = GameConfig.waveScripts[levelConfig.spawnPattern];
+            expect(waveScript).toBeDefined();
+            expect(WaveScheduler.countSpawns(waveScript)).toBe(levelConfig.zombieCount);
+        }
+    });
+
+    test('level validation should reject bursts that would never spawn', () => {
+        const config = { id: 1, trackCount: 1, trashTypes: [TrashType.RECYCLABLE], timeLimit: 60 };
+        const withBursts = (bursts) => LevelSystem.validateLevelConfig({ ...config, waves: [{ count: 3, bursts }] });
+        
+        expect(withBursts([{ at: 3, count: 2, spacing: 200 }])).toEqual([]);
+        expect(withBursts([{ at: 4, count: 2 }])).toEqual(['波次的突发生成无效']);
+        expect(withBursts([{ at: 0, count: 2 }])).toEqual(['波次的突发生成无效']);
+        expect(withBursts([{ at: 1, count: 0 }])).toEqual(['波次的突发生成无效']);
+        expect(withBursts([{ at: 1, count: 2, spacing: 0 }])).toEqual(['波次的突发生成无效']);
+        expect(withBursts({ at: 1, count: 2 })).toEqual(['波次的突发生成无效']);
+    });
+
+    test('inline waves should override the spawn pattern', () => {
+        const level = new LevelData({
+            ...GameConfig.levels[0],
+            waves: [{ count: 2, interval: 1000 }]
+        });
+        
+        expect(level.getWaveScript().waves).toHaveLength(1);
+        expect(level.zombieCount).toBe(2);
+    });
+});
+
+describe('TrashZombieSystem wave execution', () => {
+    let trackSystem;
+    let zombieSystem;
+
+    beforeEach(() => {
+        trackSystem = new TrackSystem();
+        trackSystem.initializeTracks(3);
+        zombieSystem = new TrashZombieSystem(trackSystem);
+    });
+
+    afterEach(() => {
+        zombieSystem.destroy();
+    });
+
+    test('should spawn through the spawn queue and disable auto spawn', () => {
+        zombieSystem.setAutoSpawn(true);
+        zombieSystem.loadWaveScript({
+            waves: [{ count: 2, interval: 1000, mix: { [TrashType.OTHER]: 1 }, tracks: [3] }]
+        });
+        expect(zombieSystem.autoSpawnEnabled).toBe(false);
+        
+        const queueSpy = jest.spyOn(zombieSystem, 'addToSpawnQueue');
+        zombieSystem.update(0);
+        
+        expect(queueSpy).toHaveBeenCalledTimes(1);
+        expect(zombieSystem.activeZombies).toHaveLength(1);
+        expect(zombieSystem.activeZombies[0].type).toBe(TrashType.OTHER);
+        expect(zombieSystem.activeZombies[0].trackId).toBe(3);
+        expect(zombieSystem.isWaveScriptFinished()).toBe(false);
+        
+        zombieSystem.update(1000);
+        expect(zombieSystem.activeZombies).toHaveLength(2);
+        expect(zombieSystem.isWaveScriptFinished()).toBe(true);
+    });
+
+    test('should cycle tracks in order', () => {
+        zombieSystem.loadWaveScript({ waves: [{ count: 4, interval: 0, tracks: 'cycle' }] });
+        zombieSystem.update(0);
+        
+        expect(zombieSystem.activeZombies.map(zombie => zombie.trackId)).toEqual([1, 2, 3, 1]);
+    });
+
+    test('should keep queued spawns when the active limit is reached', () => {
+        zombieSystem.maxActiveZombies = 1;
+        zombieSystem.loadWaveScript({ waves: [{ count: 3, interval: 0 }] });
+        zombieSystem.update(0);
+        
+        expect(zombieSystem.activeZombies).toHaveLength(1);
+        expect(zombieSystem.spawnQueue).toHaveLength(2);
+    });
+
+    test('should notify when a wave starts', () => {
+        const onWaveStarted = jest.fn();
+        zombieSystem.setCallbacks({ onWaveStarted });
+        zombieSystem.loadWaveScript({
+            waves: [
+                { name: 'A', count: 1, interval: 100 },
+                { name: 'B', count: 1, interval: 100 }
+            ]
+        });
+        
+        zombieSystem.update(0);
+        zombieSystem.update(100);
+        
+        expect(onWaveStarted).toHaveBeenCalledTimes(2);
+        expect(onWaveStarted.mock.calls[1][0].name).toBe('B');
+        expect(onWaveStarted.mock.calls[1][1]).toBe(1);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,144 @@
+/**
+ * 垃圾行为原型测试
+ */
+import { WaveScheduler } from '../src/js/systems/WaveScheduler.js';
+import { LevelData, LevelSystem } from '../src/js/systems/LevelSystem.js';
+import { zombieBehaviorRegistry, ZombieBehaviorType } from '../src/js/behaviors/ZombieBehaviors.js';
+import { trashCatalog } from '../src/js/config/TrashCatalog.js';
+import { SeededRandom } from '../src/js/core/SeededRandom.js';
+import { GameConfig, TrashType } from '../src/js/config/GameConfig.js';
+import { createWorld } from './helpers/fixtures.js';
+
+describe('Zombie behaviours', () => {
+    test('sprinters should accelerate up to their top speed', () => {
+        const { zombieSystem } = createWorld({ seed: 7, linkCollection: true });
+        const plain = zombieSystem.spawnZombie('banana_peel', 1, { speed: 50 });
+        const sprinter = zombieSystem.spawnZombie('banana_peel', 1, { speed: 50, behaviors: [ZombieBehaviorType.SPRINTER] });
+        
+        zombieSystem.update(2000);
+        expect(sprinter.getSpeedMultiplier()).toBeCloseTo(1 + GameConfig.zombieBehaviors.sprinter.acceleration * 2);
+        expect(sprinter.trackDistance).toBeGreaterThan(plain.trackDistance);
+        
+        zombieSystem.update(10000);
+        expect(sprinter.getSpeedMultiplier()).toBe(GameConfig.zombieBehaviors.sprinter.maxSpeedMultiplier);
+        zombieSystem.destroy();
+    });
+
+    test('armored trash should need two correct hits', () => {
+        const { trashBinSystem, zombieSystem, collectionSystem } = createWorld({ seed: 7, linkCollection: true });
+        const bin = trashBinSystem.placeBin(600, 150).bin;
+        const zombie = zombieSystem.spawnZombie('banana_peel', 1, { behaviors: [ZombieBehaviorType.ARMORED] });
+        zombie.shiftAlongTrack(500);
+        
+        collectionSystem.checkCollections(16);
+        expect(zombie.isCollected).toBe(false);
+        expect(zombie.getBehavior(ZombieBehaviorType.ARMORED).armor).toBe(0);
+        expect(bin.isChewing()).toBe(true);
+        expect(collectionSystem.getCollectionStats().total).toBe(0);
+        
+        // 护甲刚被打破时接不住，等垃圾桶咀嚼完、无敌时间过去再接一次
+        bin.update(GameConfig.binUpgrades.baseChewCooldown);
+        expect(zombie.canBeCaughtBy(bin)).toBe(false);
+        zombie.getBehavior(ZombieBehaviorType.ARMORED).update(zombie, GameConfig.zombieBehaviors.armored.immunity);
+        collectionSystem.checkCollections(16);
+        expect(zombie.isCollected).toBe(true);
+        zombieSystem.destroy();
+    });
+
+    test('splitters should break into their pieces past the bin that caught them', () => {
+        const { trashBinSystem, zombieSystem, collectionSystem } = createWorld({ seed: 7, linkCollection: true });
+        const bin = trashBinSystem.placeBin(600, 150).bin;
+        const box = zombieSystem.spawnZombie('takeout_box', 1);
+        box.shiftAlongTrack(500);
+        
+        expect(box.hasBehavior(ZombieBehaviorType.SPLITTER)).toBe(true);
+        collectionSystem.checkCollections(16);
+        
+        expect(box.isCollected).toBe(true);
+        const pieces = zombieSystem.activeZombies.filter(zombie => zombie !== box);
+        expect(pieces.map(piece => piece.itemId)).toEqual(['leftover_rice', 'takeout_container']);
+        expect(pieces.every(piece => piece.trackDistance === box.trackDistance && !piece.canBeCaughtBy(bin))).toBe(true);
+        expect(collectionSystem.activeTrashZombies).toEqual(pieces);
+        
+        bin.update(GameConfig.binUpgrades.baseChewCooldown);
+        collectionSystem.checkCollections(16);
+        expect(pieces.some(piece => piece.isCollected)).toBe(false);
+        
+        zombieSystem.update(16);
+        expect(zombieSystem.activeZombies).toEqual(pieces);
+        zombieSystem.destroy();
+    });
+
+    test('disguised trash should hide its identity until it nears a bin', () => {
+        const { trashBinSystem, zombieSystem, collectionSystem } = createWorld({ seed: 7, linkCollection: true });
+        trashBinSystem.placeBin(600, 150);
+        const zombie = zombieSystem.spawnZombie('waste_battery', 1, { behaviors: [ZombieBehaviorType.DISGUISED] });
+        
+        collectionSystem.update(16);
+        zombie.update(16);
+        expect(zombie.isDisguised()).toBe(true);
+        expect(zombie.getInfo().isDisguised).toBe(true);
+        
+        zombie.shiftAlongTrack(500 - GameConfig.zombieBehaviors.disguised.revealRadius + 10);
+        collectionSystem.update(16);
+        zombie.update(16);
+        expect(zombie.isDisguised()).toBe(false);
+        zombieSystem.destroy();
+    });
+
+    test('the registry should create configured behaviours and reject unknown ones', () => {
+        expect(zombieBehaviorRegistry.getTypes()).toEqual(['sprinter', 'armored', 'splitter', 'disguised']);
+        expect(zombieBehaviorRegistry.create('armored', { hits: 3 }).armor).toBe(2);
+        expect(zombieBehaviorRegistry.create('teleporter')).toBeNull();
+    });
+});
+
+describe('Behaviours in wave scripts', () => {
+    test('waves should assign behaviours by chance and swap splitters to combo items', () => {
+        const scheduler = new WaveScheduler({
+            waves: [{ count: 4, mix: { [TrashType.KITCHEN_WASTE]: 1 }, behaviors: { sprinter: 1, splitter: 1, disguised: 0 } }]
+        }, { rng: new SeededRandom(1) });
+        
+        for (const event of scheduler.timeline) {
+            expect(event.behaviors).toEqual(['sprinter', 'splitter']);
+            expect(event.itemId).toBe('takeout_box');
+        }
+        
+        // 本关没有其他垃圾时拆不出餐盒，不会出现拆分
+        const kitchenOnly = new WaveScheduler({
+            waves: [{ count: 2, behaviors: { splitter: 1 } }]
+        }, { trashTypes: [TrashType.KITCHEN_WASTE], rng: new SeededRandom(1) });
+        expect(kitchenOnly.timeline.every(event => event.behaviors.length === 0 && event.type === TrashType.KITCHEN_WASTE)).toBe(true);
+    });
+
+    test('combo items should only appear when asked for', () => {
+        const rng = new SeededRandom(3);
+        for (let i = 0; i < 50; i++) {
+            expect(trashCatalog.getRandomItem(TrashType.OTHER, { rng }).id).not.toBe('takeout_box');
+        }
+        expect(trashCatalog.getRandomItem(TrashType.OTHER, { itemIds: ['takeout_box'], rng }).id).toBe('takeout_box');
+    });
+
+    test('levels should validate behaviour mixes and count split pieces', () => {
+        const base = { trackCount: 1, trashTypes: [TrashType.KITCHEN_WASTE, TrashType.OTHER], timeLimit: 60 };
+        expect(LevelSystem.validateLevelConfig({ ...base, waves: [{ count: 2, behaviors: { armored: 0.5 } }] })).toEqual([]);
+        expect(LevelSystem.validateLevelConfig({ ...base, waves: [{ count: 2, behaviors: { flying: 0.5 } }] }))
+            .toContain('波次的垃圾行为无效');
+        expect(LevelSystem.validateLevelConfig({ ...base, waves: [{ count: 2, behaviors: { armored: 2 } }] }))
+            .toContain('波次的垃圾行为无效');
+        
+        const level = new LevelData({ id: 1, ...base, waves: [{ count: 1 }] });
+        level.start();
+        level.recordZombieSpawned();
+        level.recordZombieSplit(2);
+        level.recordZombieSpawned();
+        level.recordZombieSpawned();
+        level.recordZombieCollected(true, 10);
+        level.update(16);
+        expect(level.isComplete).toBe(false);
+        
+        level.recordZombieCollected(true, 10);
+        level.update(16);
+        expect(level.isComplete).toBe(true);
+    });
+});
\ No newline at end of file